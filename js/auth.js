@@ -5,84 +5,14 @@
 
 // ============================================
 // CONFIGURATION
+// API_BASE_URL, TOKEN_KEY, USER_KEY, fetchWithTimeout and
+// checkBackendConnection live in utils.js
 // ============================================
-const API_BASE_URL = "https://dailyflow-backend-kwuc.onrender.com";
-const TOKEN_KEY = "dailyflow_token";
-const USER_KEY = "dailyflow_user";
 
 // State management
 let isLoggingIn = false;
 let isSigningUp = false;
-let loginAttempts = {};
-
-// ============================================
-// HELPER FUNCTION: Fetch with timeout
-// ============================================
-async function fetchWithTimeout(url, options = {}, timeout = 10000) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-
-    try {
-        const response = await fetch(url, {
-            ...options,
-            signal: controller.signal
-        });
-        clearTimeout(id);
-        return response;
-    } catch (error) {
-        clearTimeout(id);
-        throw error;
-    }
-}
-
-// ============================================
-// BACKEND CONNECTION CHECK
-// ============================================
-async function checkBackendConnection() {
-    console.log('🔍 Checking backend connection...');
-
-    try {
-        const response = await fetchWithTimeout(
-            `${API_BASE_URL}/api/health`,
-            {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            },
-            5000
-        );
-
-        if (response.ok) {
-            console.log('✅ Backend is connected!');
-            return { success: true, message: 'Connected to server' };
-        } else {
-            return {
-                success: false,
-                message: `Server responded with status: ${response.status}`
-            };
-        }
-    } catch (error) {
-        console.log('❌ Connection failed:', error.message);
-
-        if (error.name === 'AbortError' || error.message.includes('timeout')) {
-            return {
-                success: false,
-                message: 'Connection timeout - server is taking too long to respond'
-            };
-        } else if (error.message.includes('Failed to fetch')) {
-            return {
-                success: false,
-                message: 'Cannot reach server - it might be starting up or offline'
-            };
-        } else {
-            return {
-                success: false,
-                message: `Connection error: ${error.message}`
-            };
-        }
-    }
-}
+let loginLockoutInterval = null;
 
 // ============================================
 // INPUT SANITIZATION
@@ -177,40 +107,14 @@ function logout() {
     showToast('Logging out securely...', 'info', 2000);
 
     try {
-        // --- STEP 1: NUKE ALL STORAGE ---
-        console.log('🧹 Clearing localStorage...');
-        localStorage.clear(); // Wipes everything in localStorage
-
-        console.log('🧹 Clearing sessionStorage...');
-        sessionStorage.clear(); // Wipes everything in sessionStorage
-
-        // --- STEP 2: CLEAR COOKIES (Important for some backends) ---
-        console.log('🍪 Clearing cookies...');
-        document.cookie.split(";").forEach(function(c) {
-            document.cookie = c
-                .replace(/^ +/, "")
-                .replace(/=.*/, "=;expires=" + new Date(0).toUTCString() + ";path=/");
-        });
+        // --- STEP 1: CLEAR THE SESSION (token, current user, cookies) ---
+        // Each user's dailyflow_<username>_* data stays on this device
+        console.log('🧹 Clearing session...');
+        clearSessionData();
 
-        // --- STEP 3: MANUALLY NUKE SPECIFIC KEYS (Belt & Suspenders) ---
-        const keysToNuke = [
-            'dailyflow_token',
-            'dailyflow_user',
-            'dailyflow_currentUser',
-            'token_expiry',
-            'dailyflow_settings',
-            'dailyflow_profile_picture',
-            'last_activity',
-            'rememberMe'
-        ];
-        keysToNuke.forEach(key => {
-            localStorage.removeItem(key);
-            sessionStorage.removeItem(key);
-        });
-
-        console.log('✅ All storage has been wiped clean.');
+        console.log('✅ Session cleared.');
 
-        // --- STEP 4: FORCE REDIRECT TO LOGIN PAGE ---
+        // --- STEP 2: FORCE REDIRECT TO LOGIN PAGE ---
         // Use replace to prevent the browser from keeping the dashboard in history
         setTimeout(() => {
             window.location.replace('index.html');
@@ -231,7 +135,7 @@ function logout() {
 // ============================================
 // FOOLPROOF AUTH CHECK - PREVENTS LOOPS
 // ============================================
-function checkAuthStatus() {
+async function checkAuthStatus() {
     // Determine which page we are on
     const path = window.location.pathname;
     const isLoginPage = path.includes('index.html') || path === '/' || path.endsWith('/');
@@ -243,6 +147,18 @@ function checkAuthStatus() {
 
     console.log(`📍 On page: ${path}, Token exists: ${!!token}, User exists: ${!!user}`);
 
+    // An expired token only counts if it can still be refreshed
+    if (token && isTokenExpired(token)) {
+        console.log('⏰ Token expired. Trying to refresh...');
+        if (!(await refreshAuthToken())) {
+            // The dashboard asks for the password again instead of dropping unsaved state
+            if (isDashboardPage) return;
+            clearSessionData();
+            console.log('👋 Session expired. Please sign in again.');
+            return;
+        }
+    }
+
     // --- THE GOLDEN RULES ---
     // Rule 1: If I'm on the dashboard but don't have a valid session, GTFO.
     if (isDashboardPage && (!token || !user)) {
@@ -282,10 +198,23 @@ async function login() {
         return;
     }
     
+    const lockout = loginAttempts.getLockoutRemaining(getLoginAccountKey(usernameOrEmail));
+    if (lockout > 0) {
+        updateLoginLockout();
+        showToast(`Too many failed attempts. Try again in ${formatLockoutTime(lockout)}`, 'error');
+        return;
+    }
+    
     isLoggingIn = true;
     showLoader('🔐 Signing In', 'Please wait...', 'login');
     
     try {
+        // Local (offline/demo) accounts never exist on the server
+        if (findLocalUser(usernameOrEmail)) {
+            await loginLocalAccount(usernameOrEmail, password);
+            return;
+        }
+        
         // Check connection
         updateLoaderMessage('🌐 Connecting', 'Checking server connection...');
         const connection = await checkBackendConnection();
@@ -317,16 +246,18 @@ async function login() {
         const data = await response.json();
         
         if (data.success) {
-            // Clear any existing data first
-            localStorage.clear();
-            sessionStorage.clear();
+            loginAttempts.reset(getLoginAccountKey(usernameOrEmail));
+            rememberLoginAliases(data.data.user);
+            
+            // Clear any previous session first (other users' data is kept)
+            clearSessionData();
             
             // Store new auth data
             if (rememberMe) {
-                localStorage.setItem(TOKEN_KEY, data.data.token);
+                storeAuthToken(data.data.token, localStorage);
                 localStorage.setItem(USER_KEY, JSON.stringify(data.data.user));
             } else {
-                sessionStorage.setItem(TOKEN_KEY, data.data.token);
+                storeAuthToken(data.data.token, sessionStorage);
                 sessionStorage.setItem(USER_KEY, JSON.stringify(data.data.user));
             }
             
@@ -337,6 +268,8 @@ async function login() {
             setTimeout(() => {
                 window.location.replace('dashboard.html'); // Use replace to prevent back button issues
             }, 1500);
+        } else if (response.status < 500) {
+            handleFailedLogin(usernameOrEmail, data.message || 'Login failed');
         } else {
             hideLoader();
             showToast(data.message || 'Login failed', 'error');
@@ -350,6 +283,72 @@ async function login() {
     }
 }
 
+// ============================================
+// LOCAL ACCOUNT LOGIN
+// ============================================
+async function loginLocalAccount(usernameOrEmail, password) {
+    updateLoaderMessage('🔐 Verifying', 'Checking your credentials...');
+    
+    const user = await verifyLocalLogin(usernameOrEmail, password);
+    
+    if (!user) {
+        handleFailedLogin(usernameOrEmail, 'Invalid username or password');
+        return;
+    }
+    
+    loginAttempts.reset(getLoginAccountKey(usernameOrEmail));
+    
+    // Clear any previous session first (other users' data is kept)
+    clearSessionData();
+    localStorage.setItem('dailyflow_currentUser', user.username);
+    
+    updateLoaderMessage('✅ Success!', 'Redirecting to dashboard...');
+    
+    setTimeout(() => {
+        window.location.replace('dashboard.html');
+    }, 1500);
+}
+
+// ============================================
+// LOGIN THROTTLING
+// ============================================
+function handleFailedLogin(usernameOrEmail, message) {
+    const lockout = loginAttempts.recordFailure(getLoginAccountKey(usernameOrEmail));
+    
+    hideLoader();
+    isLoggingIn = false;
+    
+    if (lockout > 0) {
+        showToast(`${message}. Too many failed attempts - try again in ${formatLockoutTime(lockout)}`, 'error', 6000);
+        updateLoginLockout();
+    } else {
+        showToast(message, 'error');
+    }
+}
+
+/**
+ * Show the countdown and disable Sign In while the typed account is locked out
+ */
+function updateLoginLockout() {
+    const identifier = document.getElementById('loginUsername')?.value.trim();
+    const remaining = identifier ? loginAttempts.getLockoutRemaining(getLoginAccountKey(identifier)) : 0;
+    const notice = document.getElementById('loginLockout');
+    const submitBtn = document.getElementById('loginSubmitBtn');
+    
+    if (submitBtn) submitBtn.disabled = remaining > 0;
+    if (notice) {
+        notice.style.display = remaining > 0 ? 'flex' : 'none';
+        notice.innerHTML = `<i class="fas fa-hourglass-half"></i> Too many failed attempts. Try again in ${formatLockoutTime(remaining)}`;
+    }
+    
+    if (remaining === 0) {
+        clearInterval(loginLockoutInterval);
+        loginLockoutInterval = null;
+    } else if (!loginLockoutInterval) {
+        loginLockoutInterval = setInterval(updateLoginLockout, 1000);
+    }
+}
+
 // ============================================
 // SIGNUP FUNCTION
 // ============================================
@@ -437,7 +436,7 @@ async function signup() {
         const data = await response.json();
         
         if (data.success) {
-            localStorage.setItem(TOKEN_KEY, data.data.token);
+            storeAuthToken(data.data.token, localStorage);
             localStorage.setItem(USER_KEY, JSON.stringify(data.data.user));
             localStorage.setItem('dailyflow_currentUser', data.data.user.username || data.data.user.email);
             
@@ -600,6 +599,12 @@ document.addEventListener('DOMContentLoaded', function() {
         passwordInput.addEventListener('input', checkPasswordStrength);
     }
     
+    // Re-check the lockout whenever a different account is typed
+    const loginUsernameInput = document.getElementById('loginUsername');
+    if (loginUsernameInput) {
+        loginUsernameInput.addEventListener('input', updateLoginLockout);
+    }
+    
     // Setup phone formatting
     const phoneInput = document.getElementById('phone');
     if (phoneInput) {
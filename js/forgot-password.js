@@ -9,10 +9,25 @@ let codeGenerationInterval = null;
 let timeLeft = 300; // 5 minutes in seconds
 let codeGenerationTime = 5; // 5 seconds countdown for code generation
 
+// ===== RESET MODE =====
+// 'server'  - the backend issues, emails and verifies the code (default)
+// 'offline' - explicit demo mode for local accounts on this device; the code
+//             is generated in the browser and shown on screen
+let resetMode = 'server';
+let localResetCode = null; // { code, expiresAt } - offline mode only
+let resetToken = null;     // returned by the server once the code is verified
+
+// Wrong codes per email; survives resending a code (see createAttemptThrottle in utils.js)
+const resetCodeAttempts = createAttemptThrottle('dailyflow_reset_code_attempts');
+let codeLockoutInterval = null;
+
 // ===== INITIALIZATION =====
 document.addEventListener('DOMContentLoaded', function() {
     console.log('🔑 DailyFlow Forgot Password System Initialized');
     
+    // Codes are never kept in storage any more
+    localStorage.removeItem('dailyflow_verification_code');
+    
     // Show step 1 initially
     showStep(1);
     
@@ -158,6 +173,8 @@ function initializeStep1() {
     
     // Reset found user
     foundUser = null;
+    localResetCode = null;
+    resetToken = null;
 }
 
 function initializeStep2() {
@@ -181,6 +198,14 @@ function initializeStep2() {
         userEmailElement.textContent = foundUser.email;
     }
     
+    updateCodeLockout();
+    
+    // Only offline mode shows the code on screen
+    const codeDisplayContainer = document.getElementById('codeDisplayContainer');
+    if (codeDisplayContainer) {
+        codeDisplayContainer.style.display = resetMode === 'offline' ? 'block' : 'none';
+    }
+    
     // Clear code display
     const codeDisplay = document.getElementById('codeDisplay');
     const codeCountdown = document.getElementById('codeCountdown');
@@ -196,17 +221,24 @@ function initializeStep2() {
     // Clear code inputs
     clearCodeInputs();
     
-    // Start code generation countdown
-    startCodeGeneration();
-    
     // Start verification code expiry countdown
     startCountdown();
     
-    // Focus on first code input after code appears
-    setTimeout(() => {
-        const code1 = document.getElementById('code1');
-        if (code1) code1.focus();
-    }, 6000); // Wait for code generation (5 seconds + buffer)
+    if (resetMode === 'offline') {
+        // Start code generation countdown
+        startCodeGeneration();
+        
+        // Focus on first code input after code appears
+        setTimeout(() => {
+            const code1 = document.getElementById('code1');
+            if (code1) code1.focus();
+        }, 6000); // Wait for code generation (5 seconds + buffer)
+    } else {
+        setTimeout(() => {
+            const code1 = document.getElementById('code1');
+            if (code1) code1.focus();
+        }, 100);
+    }
 }
 
 function initializeStep3() {
@@ -222,16 +254,10 @@ function initializeStep3() {
         return;
     }
     
-    // Display username
+    // Display username (server mode only knows the email)
     const usernameDisplay = document.getElementById('usernameDisplay');
     if (usernameDisplay) {
-        usernameDisplay.textContent = foundUser.username;
-    }
-    
-    // Display current password
-    const currentPasswordDisplay = document.getElementById('currentPasswordDisplay');
-    if (currentPasswordDisplay) {
-        currentPasswordDisplay.textContent = foundUser.password || 'No password set';
+        usernameDisplay.textContent = foundUser.username || foundUser.email;
     }
     
     // Clear password fields
@@ -279,6 +305,12 @@ function searchUserByEmail(email) {
         return;
     }
     
+    // The server never reveals whether an account exists
+    if (resetMode === 'server') {
+        sendCodeBtn.disabled = false;
+        return;
+    }
+    
     // Search for user in localStorage
     foundUser = findUserInLocalStorage(email);
     
@@ -288,7 +320,6 @@ function searchUserByEmail(email) {
         // Update user info display
         document.getElementById('foundUsername').textContent = foundUser.username;
         document.getElementById('foundUserEmail').textContent = foundUser.email;
-        document.getElementById('foundCurrentPassword').textContent = foundUser.password || 'Not set';
         
         // Show user found info
         userFoundInfo.style.display = 'block';
@@ -316,7 +347,7 @@ function searchUserByEmail(email) {
     }
 }
 
-function sendResetCode() {
+async function sendResetCode() {
     console.log('🚀 Sending reset code...');
     
     // Get email from input
@@ -336,6 +367,37 @@ function sendResetCode() {
         return;
     }
     
+    if (resetMode === 'offline') {
+        sendLocalResetCode(email);
+        return;
+    }
+    
+    // Disable send button while the request is in flight
+    const sendBtn = document.getElementById('sendCodeBtn');
+    if (sendBtn) {
+        sendBtn.disabled = true;
+        sendBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+    }
+    
+    try {
+        await resetApiRequest('/api/auth/forgot-password', { email });
+        
+        foundUser = { email };
+        showStep(2);
+        showToast('If an account exists for this email, a verification code is on its way.', 'info');
+    } catch (error) {
+        console.error('❌ Could not request reset code:', error);
+        showToast(error.message, 'error');
+    } finally {
+        if (sendBtn) {
+            sendBtn.disabled = false;
+            sendBtn.innerHTML = '<i class="fas fa-paper-plane"></i> Send Verification Code';
+        }
+    }
+}
+
+// Offline/demo mode: reset a local account stored in this browser
+function sendLocalResetCode(email) {
     // If no user found yet, search for them
     if (!foundUser) {
         foundUser = findUserInLocalStorage(email);
@@ -343,43 +405,22 @@ function sendResetCode() {
     
     // Check if user was found
     if (!foundUser) {
-        showToast('No account found with this email. Please sign up first.', 'error');
+        showToast('No local account found with this email on this device.', 'error');
         return;
     }
     
     console.log('✅ User verified:', foundUser.username);
     
-    // Generate verification code
-    const verificationCode = generateVerificationCode();
-    
-    // Store the code with user info
-    localStorage.setItem('dailyflow_verification_code', JSON.stringify({
-        code: verificationCode,
-        email: foundUser.email,
-        username: foundUser.username,
+    // Kept in memory only
+    localResetCode = {
+        code: generateVerificationCode(),
         expiresAt: Date.now() + 300000 // 5 minutes
-    }));
-    
-    // Store in foundUser for step 2
-    foundUser.verificationCode = verificationCode;
-    
-    // Disable send button temporarily
-    const sendBtn = document.getElementById('sendCodeBtn');
-    if (sendBtn) {
-        sendBtn.disabled = true;
-        sendBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
-    }
+    };
     
     // Move to step 2 after brief delay
     setTimeout(() => {
         showStep(2);
         showToast('Verification code will appear in 5 seconds...', 'info');
-        
-        // Re-enable send button (it will be on different step)
-        if (sendBtn) {
-            sendBtn.disabled = false;
-            sendBtn.innerHTML = '<i class="fas fa-paper-plane"></i> Send Verification Code';
-        }
     }, 500);
 }
 
@@ -405,26 +446,14 @@ function startCodeGeneration() {
             // Generate and display code
             clearInterval(codeGenerationInterval);
             
-            // Use stored code or generate new one
-            const storedCode = JSON.parse(localStorage.getItem('dailyflow_verification_code') || '{}');
-            const verificationCode = storedCode.code || generateVerificationCode();
-            
-            console.log('🔐 Generated code:', verificationCode);
+            if (!localResetCode) return;
             
             // Display the code
-            codeDisplay.textContent = verificationCode;
+            codeDisplay.textContent = localResetCode.code;
             codeDisplay.classList.add('code-reveal');
             codeCountdown.innerHTML = '<i class="fas fa-arrow-down"></i> Enter this code below:';
             codeCountdown.style.color = '#48bb78';
             
-            // Store in foundUser for verification
-            foundUser.verificationCode = verificationCode;
-            
-            // Also show in console for debugging
-            console.log('📋 Verification Code:', verificationCode);
-            console.log('👤 For user:', foundUser.username);
-            console.log('📧 Email:', foundUser.email);
-            
             // Auto-focus on first code input
             setTimeout(() => {
                 const code1 = document.getElementById('code1');
@@ -501,7 +530,7 @@ function moveToNext(currentIndex) {
     }
 }
 
-function verifyCode() {
+async function verifyCode() {
     console.log('🔐 Verifying code...');
     
     // Get entered code
@@ -513,54 +542,120 @@ function verifyCode() {
         }
     }
     
-    console.log('📝 Entered code:', enteredCode);
-    
     // Check if complete code is entered
     if (enteredCode.length !== 6) {
         showToast('Please enter the complete 6-digit code', 'error');
         return;
     }
     
-    // Get stored verification code
-    const storedCodeData = JSON.parse(localStorage.getItem('dailyflow_verification_code') || '{}');
-    console.log('💾 Stored code:', storedCodeData.code);
+    const lockout = resetCodeAttempts.getLockoutRemaining(foundUser.email);
+    if (lockout > 0) {
+        updateCodeLockout();
+        showToast(`Too many wrong codes. Try again in ${formatLockoutTime(lockout)}`, 'error');
+        return;
+    }
+    
+    if (resetMode === 'offline') {
+        verifyLocalCode(enteredCode);
+        return;
+    }
+    
+    try {
+        const result = await resetApiRequest('/api/auth/verify-reset-code', {
+            email: foundUser.email,
+            code: enteredCode
+        });
+        resetToken = result.data && result.data.resetToken;
+    } catch (error) {
+        console.log('❌ Code rejected:', error.message);
+        // Only count answers from the server, not connection problems
+        if (error.status) {
+            handleWrongCode(error.message);
+        } else {
+            rejectEnteredCode(error.message);
+        }
+        return;
+    }
+    
+    // Code verified successfully
+    resetCodeAttempts.reset(foundUser.email);
+    console.log('✅ Code verified successfully!');
+    showToast('Email verified successfully!', 'success');
     
+    // Move to step 3 after delay
+    setTimeout(() => showStep(3), 500);
+}
+
+function verifyLocalCode(enteredCode) {
     // Check if code matches
-    if (!storedCodeData.code || enteredCode !== storedCodeData.code) {
+    if (!localResetCode || enteredCode !== localResetCode.code) {
         console.log('❌ Code mismatch');
-        showToast('Invalid verification code. Please try again.', 'error');
-        
-        // Shake animation
-        document.querySelectorAll('.code-input').forEach(input => {
-            input.classList.add('shake');
-            setTimeout(() => input.classList.remove('shake'), 500);
-        });
-        
-        // Clear inputs and refocus
-        clearCodeInputs();
-        setTimeout(() => {
-            const code1 = document.getElementById('code1');
-            if (code1) code1.focus();
-        }, 100);
+        handleWrongCode('Invalid verification code. Please try again.');
         return;
     }
     
     // Check if code expired
-    if (Date.now() > storedCodeData.expiresAt) {
+    if (Date.now() > localResetCode.expiresAt) {
         showToast('Verification code has expired. Please request a new one.', 'error');
         showStep(1);
         return;
     }
     
-    // Code verified successfully
+    resetCodeAttempts.reset(foundUser.email);
     console.log('✅ Code verified successfully!');
     showToast('Email verified successfully!', 'success');
-    
-    // Move to step 3 after delay
     setTimeout(() => showStep(3), 500);
 }
 
-function resendCode() {
+function handleWrongCode(message) {
+    const lockout = resetCodeAttempts.recordFailure(foundUser.email);
+    
+    if (lockout > 0) {
+        rejectEnteredCode(`Too many wrong codes. Try again in ${formatLockoutTime(lockout)}`);
+        updateCodeLockout();
+    } else {
+        rejectEnteredCode(message);
+    }
+}
+
+// Countdown above the Verify button while this email is locked out
+function updateCodeLockout() {
+    const remaining = foundUser ? resetCodeAttempts.getLockoutRemaining(foundUser.email) : 0;
+    const notice = document.getElementById('codeLockout');
+    const verifyBtn = document.getElementById('verifyCodeBtn');
+    
+    if (verifyBtn) verifyBtn.disabled = remaining > 0;
+    if (notice) {
+        notice.style.display = remaining > 0 ? 'flex' : 'none';
+        notice.innerHTML = `<i class="fas fa-hourglass-half"></i> Too many wrong codes. Try again in ${formatLockoutTime(remaining)}`;
+    }
+    
+    if (remaining === 0) {
+        clearInterval(codeLockoutInterval);
+        codeLockoutInterval = null;
+    } else if (!codeLockoutInterval) {
+        codeLockoutInterval = setInterval(updateCodeLockout, 1000);
+    }
+}
+
+function rejectEnteredCode(message) {
+    showToast(message, 'error');
+    
+    // Shake animation
+    document.querySelectorAll('.code-input').forEach(input => {
+        input.classList.add('shake');
+        setTimeout(() => input.classList.remove('shake'), 500);
+    });
+    
+    // Clear inputs and refocus
+    clearCodeInputs();
+    setTimeout(() => {
+        const code1 = document.getElementById('code1');
+        if (code1) code1.focus();
+    }, 100);
+}
+
+async function resendCode() {
     console.log('🔄 Resending code...');
     
     if (!foundUser) {
@@ -569,19 +664,28 @@ function resendCode() {
         return;
     }
     
-    // Generate new code
-    const newVerificationCode = generateVerificationCode();
+    // Clear code inputs
+    clearCodeInputs();
     
-    // Update localStorage
-    localStorage.setItem('dailyflow_verification_code', JSON.stringify({
-        code: newVerificationCode,
-        email: foundUser.email,
-        username: foundUser.username,
-        expiresAt: Date.now() + 300000
-    }));
+    if (resetMode === 'server') {
+        try {
+            await resetApiRequest('/api/auth/forgot-password', { email: foundUser.email });
+        } catch (error) {
+            showToast(error.message, 'error');
+            return;
+        }
+        
+        timeLeft = 300;
+        startCountdown();
+        showToast('A new verification code has been sent.', 'success');
+        return;
+    }
     
-    // Update foundUser
-    foundUser.verificationCode = newVerificationCode;
+    // Generate new code
+    localResetCode = {
+        code: generateVerificationCode(),
+        expiresAt: Date.now() + 300000
+    };
     
     // Reset code display
     const codeDisplay = document.getElementById('codeDisplay');
@@ -597,9 +701,6 @@ function resendCode() {
         codeCountdown.style.color = '#ed8936';
     }
     
-    // Clear code inputs
-    clearCodeInputs();
-    
     // Restart timers
     timeLeft = 300;
     startCountdown();
@@ -624,7 +725,7 @@ function clearCodeInputs() {
 }
 
 // ===== STEP 3: RESET PASSWORD =====
-function resetPassword() {
+async function resetPassword() {
     console.log('🔑 Resetting password...');
     
     const newPassword = document.getElementById('newPassword').value;
@@ -645,12 +746,6 @@ function resetPassword() {
         return;
     }
     
-    // Check if new password is same as old
-    if (newPassword === foundUser.password) {
-        showToast('New password cannot be the same as current password', 'error');
-        return;
-    }
-    
     // Check password strength
     const strength = checkPasswordStrength();
     if (strength.score < 3) {
@@ -658,25 +753,53 @@ function resetPassword() {
         return;
     }
     
-    // Update password in localStorage
-    const success = updateUserPassword(foundUser.username, newPassword);
+    const success = resetMode === 'offline'
+        ? await resetLocalPassword(newPassword)
+        : await resetServerPassword(newPassword);
     
     if (success) {
-        // Clear verification code
-        localStorage.removeItem('dailyflow_verification_code');
+        // Forget the code and token
+        localResetCode = null;
+        resetToken = null;
         
         // Show success and move to step 4
         showToast('Password reset successfully!', 'success');
         setTimeout(() => showStep(4), 500);
         
-        // Log for demo
         console.log('✅ Password updated successfully');
-        console.log('👤 User:', foundUser.username);
-        console.log('🔐 Old password:', foundUser.password);
-        console.log('🔑 New password:', newPassword);
-    } else {
+    }
+}
+
+async function resetServerPassword(newPassword) {
+    try {
+        await resetApiRequest('/api/auth/reset-password', {
+            email: foundUser.email,
+            resetToken,
+            newPassword
+        });
+        return true;
+    } catch (error) {
+        console.error('❌ Password reset failed:', error);
+        showToast(error.message, 'error');
+        return false;
+    }
+}
+
+async function resetLocalPassword(newPassword) {
+    // Check if new password is same as old
+    const storedUser = findLocalUser(foundUser.username);
+    const sameAsOld = storedUser && (await verifyPassword(newPassword, storedUser.password)).valid;
+    if (sameAsOld) {
+        showToast('New password cannot be the same as current password', 'error');
+        return false;
+    }
+    
+    // Update password in localStorage
+    const success = await updateUserPassword(foundUser.username, newPassword);
+    if (!success) {
         showToast('Failed to update password. Please try again.', 'error');
     }
+    return success;
 }
 
 function checkPasswordStrength() {
@@ -797,6 +920,45 @@ function resetPasswordValidation() {
     }
 }
 
+// ===== RESET MODE & API =====
+function setResetMode(offline) {
+    resetMode = offline ? 'offline' : 'server';
+    console.log('🔀 Reset mode:', resetMode);
+    
+    foundUser = null;
+    
+    const hint = document.getElementById('resetModeHint');
+    if (hint) {
+        hint.textContent = offline
+            ? 'Offline / demo mode: resets a local account stored in this browser.'
+            : 'Must be the email you used to sign up';
+    }
+}
+
+async function resetApiRequest(path, body) {
+    let response;
+    try {
+        response = await fetchWithTimeout(`${API_BASE_URL}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+    } catch (error) {
+        throw new Error('Cannot reach the server. Check your connection or use offline mode for a local account.');
+    }
+    
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+        const error = new Error(data.message || `Server responded with status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
 // ===== UTILITY FUNCTIONS =====
 function findUserInLocalStorage(email) {
     try {
@@ -818,7 +980,6 @@ function findUserInLocalStorage(email) {
                 return {
                     username: username,
                     email: userData.email,
-                    password: userData.password || 'Not set',
                     fullName: userData.fullName || 'User'
                 };
             }
@@ -837,32 +998,16 @@ function generateVerificationCode() {
     return Math.floor(100000 + Math.random() * 900000).toString();
 }
 
-function updateUserPassword(username, newPassword) {
+async function updateUserPassword(username, newPassword) {
     try {
-        // Get users from localStorage
-        const usersJSON = localStorage.getItem('dailyflow_users');
-        if (!usersJSON) return false;
+        // Stored as a salted PBKDF2 hash, never as the password itself
+        const success = await setLocalPassword(username, newPassword);
         
-        const users = JSON.parse(usersJSON);
-        
-        // Check if user exists
-        if (!users[username]) {
+        if (!success) {
             console.error('❌ User not found:', username);
             return false;
         }
         
-        // Update password
-        users[username].password = newPassword;
-        users[username].lastPasswordChange = new Date().toISOString();
-        
-        // Save back to localStorage
-        localStorage.setItem('dailyflow_users', JSON.stringify(users));
-        
-        // Update foundUser for display
-        if (foundUser && foundUser.username === username) {
-            foundUser.password = newPassword;
-        }
-        
         console.log('✅ Password updated for user:', username);
         return true;
     } catch (error) {
@@ -20,7 +20,7 @@ let appData = {
 };
 
 // ===== FIXED INITIALIZATION - NO LOOP =====
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     console.log('🚀 DailyFlow Dashboard Initializing...');
     
     // Check for user in MULTIPLE possible locations
@@ -32,7 +32,7 @@ document.addEventListener('DOMContentLoaded', function() {
         
         try {
             // Initialize the app with error handling
-            initializeApp();
+            await initializeApp();
             setupEventListeners();
             updateCurrentDate();
             setInterval(updateCurrentDate, 60000);
@@ -145,22 +145,14 @@ function cleanupCorruptedData() {
  * Force a full reset when too many redirects occur
  */
 function forceFullReset() {
-    // Clear ALL storage
-    localStorage.clear();
-    sessionStorage.clear();
-    
-    // Clear cookies
-    document.cookie.split(";").forEach(function(c) {
-        document.cookie = c
-            .replace(/^ +/, "")
-            .replace(/=.*/, "=;expires=" + new Date(0).toUTCString() + ";path=/");
-    });
+    // Clear the session (token, current user, cookies); user data is kept
+    clearSessionData();
     
     // Reset redirect counter
     sessionStorage.removeItem('redirect_count');
     
     // Show message and redirect
-    alert('Too many redirects detected. All data has been reset. Please login again.');
+    alert('Too many redirects detected. Your session has been reset. Please login again.');
     window.location.replace('index.html');
 }
 
@@ -179,22 +171,6 @@ function safeRedirect(url) {
 }
 
 // ===== LOCAL STORAGE MANAGER =====
-class LocalStorageManager {
-    constructor(username) {
-        this.prefix = `dailyflow_${username}_`;
-    }
-    
-    load(key) {
-        const data = localStorage.getItem(this.prefix + key);
-        return data ? JSON.parse(data) : null;
-    }
-    
-    save(key, data) {
-        localStorage.setItem(this.prefix + key, JSON.stringify(data));
-        return true;
-    }
-}
-
 function initializeApp() {
     // Setup storage with user prefix
     storage = new LocalStorageManager(currentUser);
@@ -202,11 +178,11 @@ function initializeApp() {
     loadNotifications();
     updateUI();
     showPage('dashboard');
-    scheduleDailyReminder();
+    scheduleReminders();
 }
 
 // ===== DATA MANAGEMENT =====
-function loadAppData() {
+async function loadAppData() {
     if (!storage) return;
     
     // Load each data type
@@ -223,6 +199,33 @@ function loadAppData() {
     // Load notifications
     notifications = storage.load('notifications') || [];
     
+    // Upgrade records saved by older versions before anything reads them
+    const schemaVersion = storage.load('schema_version') || 0;
+    if (schemaVersion < CURRENT_SCHEMA_VERSION) {
+        const data = { ...appData, notifications };
+        runDataMigrations(data, schemaVersion);
+        Object.assign(appData, {
+            calendar: data.calendar,
+            goals: data.goals,
+            projects: data.projects,
+            habits: data.habits,
+            settings: data.settings
+        });
+        notifications = data.notifications;
+        
+        // Only record the new version once the upgraded data is stored, or
+        // the next load would skip migrations the stored data never got
+        const saved = saveAppData() && (storage.flush ? await storage.flush() : true);
+        if (saved) {
+            storage.save('schema_version', CURRENT_SCHEMA_VERSION);
+        } else {
+            console.error('❌ Could not store upgraded data; migrations will run again next time');
+        }
+    }
+    
+    // Streaks depend on today's date, so a missed day since the last visit must show
+    refreshHabitStreaks();
+    
     // Apply theme
     document.documentElement.setAttribute('data-theme', appData.settings.theme);
     
@@ -233,6 +236,433 @@ function loadAppData() {
     initializeSampleData();
 }
 
+// ===== SCHEMA MIGRATIONS =====
+// Ordered list of upgrades. Each migration receives the full data set
+// ({ calendar, goals, projects, habits, settings, notifications }), mutates it
+// in place and returns a list of human-readable changes for the console.
+// Append new entries with the next version number; never edit shipped ones.
+const DATA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill missing fields on goals, projects, habits and calendar days',
+        migrate(data) {
+            const changes = [];
+            const now = new Date().toISOString();
+            const timestamps = {
+                createdAt: record => record.updatedAt || now,
+                updatedAt: record => record.createdAt || now
+            };
+            
+            fillMissingFields(data.goals, 'goals', {
+                description: '',
+                category: 'other',
+                priority: 'medium',
+                status: 'active',
+                ...timestamps
+            }, changes);
+            
+            fillMissingFields(data.projects, 'projects', {
+                description: '',
+                category: 'other',
+                status: 'planned',
+                tech: '',
+                progress: 0,
+                ...timestamps
+            }, changes);
+            
+            fillMissingFields(data.habits, 'habits', {
+                description: '',
+                category: 'general',
+                frequency: 'daily',
+                reminder: '',
+                streak: 0,
+                completedDates: () => [],
+                ...timestamps
+            }, changes);
+            
+            fillMissingFields(Object.values(data.calendar), 'calendar days', {
+                plannedHours: 0,
+                actualHours: 0,
+                tasks: () => [],
+                notes: '',
+                status: 'planned'
+            }, changes);
+            
+            fillMissingFields([data.settings], 'settings', {
+                theme: 'light',
+                notifications: true,
+                dailyReminder: '09:00'
+            }, changes);
+            
+            return changes;
+        }
+    },
+    {
+        version: 2,
+        description: 'Map legacy category labels onto the values the forms use',
+        migrate(data) {
+            const changes = [];
+            const habitCategories = {
+                'health': 'health',
+                'health & fitness': 'health',
+                'learning': 'learning',
+                'productivity': 'productivity',
+                'mindfulness': 'mindfulness',
+                'social': 'social'
+            };
+            const projectCategories = {
+                'web development': 'coding',
+                'coding': 'coding',
+                'design': 'design',
+                'writing': 'writing',
+                'research': 'research'
+            };
+            
+            const remap = (records, label, mapping, fallback) => {
+                let count = 0;
+                records.forEach(record => {
+                    const mapped = mapping[String(record.category).toLowerCase()] || fallback;
+                    if (record.category !== mapped) {
+                        record.category = mapped;
+                        count++;
+                    }
+                });
+                if (count > 0) changes.push(`${label}: normalized category on ${count} record(s)`);
+            };
+            
+            remap(data.habits, 'habits', habitCategories, 'general');
+            remap(data.projects, 'projects', projectCategories, 'other');
+            
+            return changes;
+        }
+    },
+    {
+        version: 3,
+        description: 'Move days recorded under the UTC date onto the local date',
+        migrate(data) {
+            const changes = [];
+            
+            // Older versions keyed "today" by the UTC date. A record's timestamp
+            // tells us which key it was given and which one it should have had.
+            const misfiledDay = timestamp => {
+                const moment = new Date(timestamp);
+                if (!timestamp || isNaN(moment.getTime())) return null;
+                const utcKey = moment.toISOString().split('T')[0];
+                const localKey = toDateKey(moment);
+                return utcKey === localKey ? null : { from: utcKey, to: localKey };
+            };
+            
+            // West of UTC days move back one, east of UTC forward one. Walk the
+            // keys in that direction so consecutive days don't collide.
+            const movesBack = new Date().getTimezoneOffset() > 0;
+            const walkOrder = (a, b) => movesBack ? a.localeCompare(b) : b.localeCompare(a);
+            
+            // Habits: the completion notification marks when "today" was ticked
+            const completionTitles = ['Habit Completed!', '7-Day Streak! 🔥', '30-Day Streak! 🎯'];
+            const today = toDateKey();
+            const tomorrow = addDaysToKey(today, 1);
+            let movedCompletions = 0;
+            
+            data.habits.forEach(habit => {
+                const dates = new Set(habit.completedDates || []);
+                const moves = data.notifications
+                    .filter(n => completionTitles.includes(n.title) && String(n.message).includes(`"${habit.name}"`))
+                    .map(n => misfiledDay(n.timestamp))
+                    .filter(Boolean);
+                
+                // A completion dated tomorrow can only be this evening's UTC date
+                if (movesBack && dates.has(tomorrow)) moves.push({ from: tomorrow, to: today });
+                
+                let moved = 0;
+                moves.sort((a, b) => walkOrder(a.from, b.from)).forEach(({ from, to }) => {
+                    if (!dates.has(from) || dates.has(to)) return;
+                    dates.delete(from);
+                    dates.add(to);
+                    moved++;
+                });
+                
+                if (moved > 0) {
+                    habit.completedDates = [...dates].sort();
+                    habit.streak = calculateCurrentStreak(habit);
+                    movedCompletions += moved;
+                }
+            });
+            if (movedCompletions > 0) {
+                changes.push(`habits: moved ${movedCompletions} completion(s) onto the local day`);
+            }
+            
+            // Calendar: a day saved under the UTC date of its own last edit was
+            // almost always "today" at the time. Only move it onto an empty day.
+            const isBlankDay = day => !day || (!day.updatedAt && !day.actualHours && !day.notes && !(day.tasks || []).length);
+            let movedDays = 0;
+            let keptDays = 0;
+            
+            Object.keys(data.calendar).sort(walkOrder).forEach(key => {
+                const shift = misfiledDay(data.calendar[key].updatedAt);
+                if (!shift || shift.from !== key) return;
+                
+                if (!isBlankDay(data.calendar[shift.to])) {
+                    keptDays++;
+                    return;
+                }
+                data.calendar[shift.to] = data.calendar[key];
+                delete data.calendar[key];
+                movedDays++;
+            });
+            if (movedDays > 0) changes.push(`calendar: moved ${movedDays} day(s) onto the local date`);
+            if (keptDays > 0) changes.push(`calendar: left ${keptDays} day(s) in place, the local date already has entries`);
+            
+            return changes;
+        }
+    },
+    {
+        version: 4,
+        description: 'Add measurable targets and progress logs to goals',
+        migrate(data) {
+            const changes = [];
+            
+            // Goals without a target keep working as before (targetValue stays null)
+            data.goals.forEach(goal => {
+                if (goal.targetValue === undefined) goal.targetValue = null;
+            });
+            fillMissingFields(data.goals, 'goals', {
+                unit: '',
+                startValue: 0,
+                currentValue: record => record.startValue || 0,
+                progressLog: () => []
+            }, changes);
+            
+            return changes;
+        }
+    },
+    {
+        version: 5,
+        description: 'Add milestones and parent links (sub-goals) to goals',
+        migrate(data) {
+            const changes = [];
+            
+            data.goals.forEach(goal => {
+                if (goal.parentId === undefined) goal.parentId = null;
+            });
+            fillMissingFields(data.goals, 'goals', {
+                milestones: () => []
+            }, changes);
+            
+            return changes;
+        }
+    },
+    {
+        version: 6,
+        description: 'Link goals to the habits and projects that serve them',
+        migrate(data) {
+            const changes = [];
+            
+            fillMissingFields(data.goals, 'goals', {
+                linkedHabitIds: () => [],
+                linkedProjectIds: () => []
+            }, changes);
+            
+            return changes;
+        }
+    },
+    {
+        version: 7,
+        description: 'Add task boards to projects',
+        migrate(data) {
+            const changes = [];
+            
+            // Projects without tasks keep their typed-in progress until tasks are added
+            fillMissingFields(data.projects, 'projects', {
+                tasks: () => [],
+                progressMode: 'auto'
+            }, changes);
+            
+            return changes;
+        }
+    },
+    {
+        version: 8,
+        description: 'Add timer entries to projects and goals',
+        migrate(data) {
+            const changes = [];
+            
+            fillMissingFields(data.projects, 'projects', { timeEntries: () => [] }, changes);
+            fillMissingFields(data.goals, 'goals', { timeEntries: () => [] }, changes);
+            
+            return changes;
+        }
+    },
+    {
+        version: 9,
+        description: 'Give habits schedule settings for their frequency',
+        migrate(data) {
+            const changes = [];
+            
+            // 'custom' never had any settings behind it
+            data.habits.forEach(habit => {
+                if (habit.frequency === 'custom') {
+                    habit.frequency = 'daily';
+                    changes.push(`habits: "${habit.name}" custom frequency treated as daily`);
+                }
+            });
+            fillMissingFields(data.habits, 'habits', {
+                scheduleDays: () => [1, 2, 3, 4, 5],
+                timesPerWeek: 1,
+                intervalDays: 2
+            }, changes);
+            
+            return changes;
+        }
+    },
+    {
+        version: 10,
+        description: 'Clear the 08:00 reminder the add-habit form used to pre-fill',
+        migrate(data) {
+            const changes = [];
+            // Saved before reminders fired, so nobody chose it on purpose
+            const prefilled = data.habits.filter(habit => habit.reminder === '08:00');
+            
+            prefilled.forEach(habit => {
+                habit.reminder = '';
+            });
+            if (prefilled.length > 0) changes.push(`habits: cleared the default reminder on ${prefilled.length} record(s)`);
+            
+            return changes;
+        }
+    },
+    {
+        version: 11,
+        description: 'Give habits an optional daily target with logged amounts',
+        migrate(data) {
+            const changes = [];
+            
+            // A target of 0 keeps the habit a simple done / not done habit
+            fillMissingFields(data.habits, 'habits', {
+                target: 0,
+                unit: '',
+                amounts: () => ({})
+            }, changes);
+            
+            return changes;
+        }
+    },
+    {
+        version: 12,
+        description: 'Add rest days and streak freezes to settings',
+        migrate(data) {
+            const changes = [];
+            
+            fillMissingFields([data.settings], 'settings', {
+                restDays: () => [],
+                frozenDays: () => [],
+                streakFreezes: 0
+            }, changes);
+            
+            return changes;
+        }
+    },
+    {
+        version: 13,
+        description: 'Track streak freezes by the day they were earned',
+        migrate(data) {
+            const changes = [];
+            const settings = data.settings;
+            
+            if (!Array.isArray(settings.earnedFreezes)) {
+                // Freezes still held plus the ones already spent
+                const count = (parseInt(settings.streakFreezes) || 0) + (settings.frozenDays || []).length;
+                settings.earnedFreezes = Array.from({ length: count }, (_, index) => `legacy-${index + 1}`);
+                changes.push(`settings: recorded ${count} earned streak freeze(s)`);
+            }
+            delete settings.streakFreezes;
+            delete settings.lastFreezeEarned;
+            
+            return changes;
+        }
+    },
+    {
+        version: 14,
+        description: 'Add habit types and slip logs for habits to break',
+        migrate(data) {
+            const changes = [];
+            
+            fillMissingFields(data.habits, 'habits', {
+                type: 'build',
+                slips: () => []
+            }, changes);
+            
+            return changes;
+        }
+    },
+    {
+        version: 15,
+        description: 'Add recurring task rules to settings',
+        migrate(data) {
+            const changes = [];
+            
+            fillMissingFields([data.settings], 'settings', {
+                recurringTasks: () => []
+            }, changes);
+            
+            return changes;
+        }
+    },
+    {
+        version: 16,
+        description: 'Add time blocks to calendar days',
+        migrate(data) {
+            const changes = [];
+            
+            fillMissingFields(Object.values(data.calendar), 'calendar days', {
+                blocks: () => []
+            }, changes);
+            
+            return changes;
+        }
+    }
+];
+
+const CURRENT_SCHEMA_VERSION = DATA_MIGRATIONS[DATA_MIGRATIONS.length - 1].version;
+
+function fillMissingFields(records, label, defaults, changes) {
+    const filled = {};
+    
+    records.forEach(record => {
+        Object.entries(defaults).forEach(([field, value]) => {
+            if (record[field] !== undefined && record[field] !== null) return;
+            record[field] = typeof value === 'function' ? value(record) : value;
+            filled[field] = (filled[field] || 0) + 1;
+        });
+    });
+    
+    Object.entries(filled).forEach(([field, count]) => {
+        changes.push(`${label}: added "${field}" to ${count} record(s)`);
+    });
+}
+
+/**
+ * Upgrade a data set in place from fromVersion to CURRENT_SCHEMA_VERSION.
+ * Used for stored data on load and for imported backups.
+ */
+function runDataMigrations(data, fromVersion = 0) {
+    data.calendar = data.calendar || {};
+    data.goals = data.goals || [];
+    data.projects = data.projects || [];
+    data.habits = data.habits || [];
+    data.settings = data.settings || {};
+    data.notifications = data.notifications || [];
+    
+    DATA_MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .forEach(migration => {
+            const changes = migration.migrate(data) || [];
+            console.log(`🔄 Schema v${migration.version}: ${migration.description}`);
+            changes.forEach(change => console.log(`   • ${change}`));
+        });
+    
+    return data;
+}
+
 function saveAppData() {
     if (!storage) return;
     
@@ -243,6 +673,7 @@ function saveAppData() {
         storage.save('habits', appData.habits);
         storage.save('settings', appData.settings);
         storage.save('notifications', notifications);
+        scheduleServerSync();
         return true;
     } catch (error) {
         console.error('❌ Error saving app data:', error);
@@ -250,6 +681,35 @@ function saveAppData() {
     }
 }
 
+/**
+ * Store one changed record (or its removal) and queue it for the server.
+ * IndexedDB writes just that record; localStorage rewrites everything.
+ */
+function saveAppRecord(collection, recordId) {
+    const data = getCollectionData(collection);
+    const record = Array.isArray(data)
+        ? data.find(item => String(item.id) === String(recordId))
+        : data[recordId];
+    
+    queueMutation(collection, record ? 'upsert' : 'delete', recordId, record);
+    
+    if (!storage) return false;
+    if (!storage.saveRecord) return saveAppData();
+    
+    try {
+        if (record) {
+            storage.saveRecord(collection, record, recordId);
+        } else {
+            storage.deleteRecord(collection, recordId);
+        }
+        scheduleServerSync();
+        return true;
+    } catch (error) {
+        console.error(`❌ Error saving ${collection}/${recordId}:`, error);
+        return false;
+    }
+}
+
 function loadNotifications() {
     if (!storage) return;
     notifications = storage.load('notifications') || [];
@@ -259,11 +719,19 @@ function loadNotifications() {
 function saveNotifications() {
     if (!storage) return;
     storage.save('notifications', notifications);
+    scheduleServerSync();
+}
+
+// Storage keys notifications by id, so ones added in the same millisecond
+// (e.g. several reminders at 08:00) each need their own
+function getNextNotificationId() {
+    const highest = notifications.reduce((max, notification) => Math.max(max, Number(notification.id) || 0), 0);
+    return Math.max(Date.now(), highest + 1);
 }
 
 function addNotification(title, message, type = 'info', action = null) {
     const notification = {
-        id: Date.now(),
+        id: getNextNotificationId(),
         title,
         message,
         type,
@@ -360,6 +828,9 @@ function handleNotificationClick(notificationId) {
             if (notification.action.page) {
                 showPage(notification.action.page);
             }
+            if (notification.action.reminder) {
+                showReminderPopup(notification.action.reminder);
+            }
             if (notification.action.modal) {
                 if (notification.action.modal === 'day') {
                     showDayModal(new Date());
@@ -438,1377 +909,5530 @@ document.addEventListener('keydown', (e) => {
     }
 });
 
-// ===== INITIALIZATION FUNCTIONS =====
-function initializeCalendar() {
-    if (Object.keys(appData.calendar).length > 0) return;
-    
-    const currentYear = new Date().getFullYear();
-    const startDate = new Date(`${currentYear}-01-01`);
-    const endDate = new Date(`${currentYear}-12-31`);
-    
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-        const dateStr = d.toISOString().split('T')[0];
-        if (!appData.calendar[dateStr]) {
-            appData.calendar[dateStr] = {
-                plannedHours: 8,
-                actualHours: 0,
-                tasks: [],
-                notes: '',
-                status: 'planned',
-                createdAt: new Date().toISOString()
-            };
-        }
-    }
-    
-    saveAppData();
+// ===== SERVER SYNC =====
+// Each collection is mirrored to GET/PUT /api/data/<collection> using the
+// token auth.js stored at login. Accounts without a token stay local-only.
+const SYNC_COLLECTIONS = ['calendar', 'goals', 'projects', 'habits', 'settings', 'notifications'];
+const SYNC_DEBOUNCE_MS = 3000;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+const HEALTH_POLL_INTERVAL_MS = 15000;
+
+let syncState = createEmptySyncState();
+let syncInProgress = false;
+let syncTimeout = null;
+
+// Offline mutation queue: record-level writes waiting to be replayed in order
+let mutationQueue = [];
+let isOffline = false;
+let healthPollInterval = null;
+
+function createEmptySyncState() {
+    return {
+        bases: {},          // Last value this device and the server agreed on
+        remoteVersions: {}, // Server updatedAt seen at that point
+        lastSyncedAt: null
+    };
 }
 
-function initializeSampleData() {
-    // Add sample goals if empty
-    if (appData.goals.length === 0) {
-        appData.goals = [
-            {
-                id: 1,
-                title: 'Learn JavaScript Advanced Concepts',
-                description: 'Master async/await, closures, and design patterns',
-                targetDate: '2026-06-30',
-                status: 'active',
-                createdAt: '2026-01-01',
-                priority: 'high'
-            },
-            {
-                id: 2,
-                title: 'Build 5 Real Projects',
-                description: 'Complete 5 full-stack applications for portfolio',
-                targetDate: '2026-12-31',
-                status: 'active',
-                createdAt: '2026-01-01',
-                priority: 'medium'
-            }
-        ];
-        
-        addNotification(
-            'Welcome to DailyFlow!',
-            'We\'ve added some sample goals to get you started. You can edit or delete them.',
-            'info',
-            { page: 'goals' }
-        );
-    }
-    
-    // Add sample projects if empty
-    if (appData.projects.length === 0) {
-        appData.projects = [
-            {
-                id: 1,
-                name: 'DailyFlow App',
-                description: 'Life dashboard for tracking goals, habits, and progress',
-                category: 'Web Development',
-                tech: 'HTML, CSS, JavaScript',
-                startDate: '2026-01-01',
-                deadline: '2026-01-31',
-                progress: 80,
-                status: 'inprogress'
-            }
-        ];
-    }
-    
-    // Add sample habits if empty
-    if (appData.habits.length === 0) {
-        appData.habits = [
-            {
-                id: 1,
-                name: 'Morning Exercise',
-                description: '30 minutes of exercise every morning',
-                category: 'Health',
-                frequency: 'daily',
-                streak: 0,
-                completedDates: []
-            },
-            {
-                id: 2,
-                name: 'Read 30 Pages',
-                description: 'Read at least 30 pages every day',
-                category: 'Learning',
-                frequency: 'daily',
-                streak: 0,
-                completedDates: []
-            }
-        ];
-    }
-    
-    saveAppData();
+function loadSyncState() {
+    if (!storage) return;
+    syncState = storage.load('sync_state') || createEmptySyncState();
+    mutationQueue = storage.load('sync_queue') || [];
 }
 
-function checkMissedDays() {
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = yesterday.toISOString().split('T')[0];
-    
-    // Check if yesterday was planned but not completed
-    if (appData.calendar[yesterdayStr] && 
-        appData.calendar[yesterdayStr].status === 'planned' &&
-        appData.calendar[yesterdayStr].actualHours === 0) {
-        
-        const hasNotification = notifications.some(n => 
-            n.message && n.message.includes('missed logging') && 
-            new Date(n.timestamp).toDateString() === today.toDateString()
-        );
-        
-        if (!hasNotification) {
-            addNotification(
-                'Missed Day Detected',
-                `You didn't log any hours for ${yesterday.toLocaleDateString()}. Click to log it now.`,
-                'warning',
-                { modal: 'day' }
-            );
-        }
-    }
+function saveSyncState() {
+    if (!storage) return;
+    storage.save('sync_state', syncState);
 }
 
-// ===== EVENT LISTENERS =====
-function setupEventListeners() {
-    // Mobile menu toggle
-    const mobileMenuBtn = document.getElementById('mobileMenuBtn');
-    if (mobileMenuBtn) {
-        mobileMenuBtn.addEventListener('click', function(e) {
-            e.stopPropagation(); // Prevent event bubbling
-            toggleSidebar();
-        });
+function isSyncEnabled() {
+    return !!getAuthToken();
+}
+
+function getCollectionData(name) {
+    return name === 'notifications' ? notifications : appData[name];
+}
+
+function setCollectionData(name, value) {
+    if (name === 'notifications') {
+        notifications = value;
+    } else {
+        appData[name] = value;
     }
-    
-    // Navigation items
-    document.querySelectorAll('.nav-item').forEach(item => {
-        item.addEventListener('click', function(e) {
-            e.preventDefault();
-            const page = this.getAttribute('href').substring(1);
-            showPage(page);
-        });
-    });
-    
-    // Close sidebar when clicking outside on mobile
-    document.addEventListener('click', function(e) {
-        const sidebar = document.getElementById('sidebar');
-        const mobileMenuBtn = document.getElementById('mobileMenuBtn');
-        
-        if (window.innerWidth <= 1024 && 
-            sidebar && sidebar.classList.contains('open') &&
-            !sidebar.contains(e.target) && 
-            mobileMenuBtn && !mobileMenuBtn.contains(e.target)) {
-            toggleSidebar();
-        }
-    });
-    
-    // Keyboard shortcuts
-    document.addEventListener('keydown', handleKeyboardShortcuts);
 }
 
-// ===== SIDEBAR FUNCTIONS =====
-function toggleSidebar() {
-    const sidebar = document.getElementById('sidebar');
-    const mobileMenuBtn = document.getElementById('mobileMenuBtn');
-    
-    if (sidebar) {
-        sidebar.classList.toggle('open');
-        
-        // Update hamburger icon
-        if (mobileMenuBtn) {
-            if (sidebar.classList.contains('open')) {
-                mobileMenuBtn.innerHTML = '<i class="fas fa-times"></i>';
-                mobileMenuBtn.style.transform = 'rotate(90deg)';
-            } else {
-                mobileMenuBtn.innerHTML = '<i class="fas fa-bars"></i>';
-                mobileMenuBtn.style.transform = 'rotate(0)';
-            }
+function isSameData(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function hasUnsyncedChanges() {
+    if (mutationQueue.length > 0) return true;
+    return SYNC_COLLECTIONS.some(name => !isSameData(getCollectionData(name), syncState.bases[name]));
+}
+
+async function apiRequest(path, options = {}) {
+    const response = await fetchWithTimeout(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${getAuthToken()}`,
+            ...(options.headers || {})
         }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+        const error = new Error(data.message || `Server responded with status: ${response.status}`);
+        error.status = response.status;
+        throw error;
     }
+
+    return data;
 }
 
-// ===== PAGE MANAGEMENT =====
-function showPage(pageName) {
-    // Hide all pages
-    document.querySelectorAll('.page').forEach(page => {
-        page.classList.remove('active');
+/**
+ * Fetch one collection from the server: resolves to { value, updatedAt } or null
+ */
+async function pullCollection(name) {
+    const result = await apiRequest(`/api/data/${name}`, { method: 'GET' });
+    return result.data || null;
+}
+
+/**
+ * Upload one collection to the server: resolves to { updatedAt }
+ */
+async function pushCollection(name, value) {
+    const result = await apiRequest(`/api/data/${name}`, {
+        method: 'PUT',
+        body: JSON.stringify({ value })
     });
-    
-    // Remove active class from all nav items
-    document.querySelectorAll('.nav-item').forEach(item => {
-        item.classList.remove('active');
+    return result.data || {};
+}
+
+function recordSyncedVersion(name, value, remoteUpdatedAt) {
+    syncState.bases[name] = JSON.parse(JSON.stringify(value));
+    syncState.remoteVersions[name] = remoteUpdatedAt || null;
+}
+
+async function syncCollection(name) {
+    const local = getCollectionData(name);
+    const base = syncState.bases[name];
+    const remote = await pullCollection(name);
+
+    const hasRemote = !!remote && remote.value !== undefined && remote.value !== null;
+    const localChanged = base === undefined || !isSameData(local, base);
+    const remoteChanged = hasRemote && remote.updatedAt !== syncState.remoteVersions[name];
+
+    // Fresh device, or nothing changed here since the last sync: take the server copy
+    if (hasRemote && (base === undefined || (remoteChanged && !localChanged))) {
+        setCollectionData(name, remote.value);
+        recordSyncedVersion(name, remote.value, remote.updatedAt);
+        return 'pulled';
+    }
+
+    // Both sides changed since the last sync: merge field by field, then upload the result
+    if (hasRemote && localChanged && remoteChanged) {
+        const { merged, conflicts } = mergeCollection(name, base, local, remote.value);
+        setCollectionData(name, merged);
+        const pushed = await pushCollection(name, merged);
+        recordSyncedVersion(name, merged, pushed.updatedAt);
+        pendingConflicts.push(...conflicts);
+        return 'merged';
+    }
+
+    // Local edits (or an empty server): upload
+    if (localChanged || !hasRemote) {
+        const pushed = await pushCollection(name, local);
+        recordSyncedVersion(name, local, pushed.updatedAt);
+        return 'pushed';
+    }
+
+    return 'unchanged';
+}
+
+// ===== SYNC CONFLICT RESOLUTION =====
+// Three-way merge against the last synced base. Non-overlapping edits are
+// combined automatically; fields changed differently on both sides keep this
+// device's value and are queued for the user in the conflict modal.
+const MERGE_SET_FIELDS = ['completedDates', 'linkedHabitIds', 'linkedProjectIds', 'frozenDays', 'earnedFreezes', 'recurringApplied'];
+// Lists of { id, ... } entries; keyed by collection because calendar days also have a `tasks` field
+const MERGE_LIST_FIELDS = {
+    goals: ['progressLog', 'milestones', 'timeEntries'],
+    projects: ['tasks', 'timeEntries'],
+    habits: ['slips'],
+    calendar: ['blocks'],
+    settings: ['restDays', 'recurringTasks']
+};
+// Objects of { key: value } merged key by key, e.g. a habit's amount per day
+const MERGE_MAP_FIELDS = ['amounts'];
+const MERGE_DERIVED_FIELDS = ['updatedAt', 'streak', 'currentValue'];
+
+let pendingConflicts = [];
+
+function mergeCollection(name, base, local, remote) {
+    const conflicts = [];
+    let merged;
+
+    if (name === 'settings') {
+        merged = mergeRecord(name, null, base || {}, local || {}, remote || {}, conflicts);
+    } else if (Array.isArray(local) || Array.isArray(remote)) {
+        merged = mergeRecordList(name, base || [], local || [], remote || [], conflicts);
+    } else {
+        merged = mergeRecordMap(name, base || {}, local || {}, remote || {}, conflicts);
+    }
+
+    return { merged, conflicts };
+}
+
+// Decide what happens to one record given its three versions (undefined = absent)
+function mergeRecordVersions(name, recordId, base, local, remote, conflicts) {
+    if (local === undefined && remote === undefined) return undefined;
+
+    if (local === undefined || remote === undefined) {
+        const present = local === undefined ? remote : local;
+        // Added on one side only
+        if (base === undefined) return present;
+        // Deleted on one side: the deletion wins unless the other side edited it
+        return isSameData(present, base) ? undefined : present;
+    }
+
+    return mergeRecord(name, recordId, base || {}, local, remote, conflicts);
+}
+
+function mergeRecordList(name, base, local, remote, conflicts) {
+    const byId = list => new Map(list.map(item => [String(item.id), item]));
+    const baseMap = byId(base);
+    const localMap = byId(local);
+    const remoteMap = byId(remote);
+
+    // Keep this device's ordering, with server-only records appended
+    const ids = [...localMap.keys(), ...[...remoteMap.keys()].filter(id => !localMap.has(id))];
+
+    return ids
+        .map(id => mergeRecordVersions(name, id, baseMap.get(id), localMap.get(id), remoteMap.get(id), conflicts))
+        .filter(record => record !== undefined);
+}
+
+function mergeRecordMap(name, base, local, remote, conflicts) {
+    const merged = {};
+    const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+    keys.forEach(key => {
+        const record = mergeRecordVersions(name, key, base[key], local[key], remote[key], conflicts);
+        if (record !== undefined) merged[key] = record;
     });
-    
-    // Show selected page
-    const pageElement = document.getElementById(`${pageName}Page`);
-    if (pageElement) {
-        pageElement.classList.add('active');
-        
-        // Update active nav item
-        const navItem = document.querySelector(`.nav-item[href="#${pageName}"]`);
-        if (navItem) {
-            navItem.classList.add('active');
+
+    return merged;
+}
+
+function mergeRecord(name, recordId, base, local, remote, conflicts) {
+    const merged = {};
+    const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+    fields.forEach(field => {
+        const baseValue = base[field];
+        const localValue = local[field];
+        const remoteValue = remote[field];
+
+        if (MERGE_SET_FIELDS.includes(field)) {
+            merged[field] = mergeSet(baseValue || [], localValue || [], remoteValue || []);
+        } else if ((MERGE_LIST_FIELDS[name] || []).includes(field)) {
+            merged[field] = mergeEntryList(baseValue || [], localValue || [], remoteValue || []);
+        } else if (MERGE_MAP_FIELDS.includes(field)) {
+            merged[field] = mergeValueMap(baseValue || {}, localValue || {}, remoteValue || {});
+        } else if (isSameData(localValue, remoteValue) || isSameData(remoteValue, baseValue)) {
+            merged[field] = localValue;
+        } else if (isSameData(localValue, baseValue)) {
+            merged[field] = remoteValue;
+        } else if (field === 'updatedAt') {
+            merged[field] = localValue > remoteValue ? localValue : remoteValue;
+        } else {
+            merged[field] = localValue;
+            if (!isDerivedField(name, field, local)) {
+                conflicts.push({
+                    collection: name,
+                    recordId,
+                    label: getConflictRecordLabel(name, recordId, local),
+                    field,
+                    localValue,
+                    remoteValue
+                });
+            }
         }
-        
-        // Update page title
-        updatePageTitle(pageName);
-        
-        // Load page content
-        loadPageContent(pageName);
-        
-        // Close sidebar on mobile
-        if (window.innerWidth <= 1024) {
-            toggleSidebar();
+
+        if (merged[field] === undefined) delete merged[field];
+    });
+
+    if (name === 'settings') {
+        reconcileStreakFreezes(merged);
+    }
+    if (name === 'habits') {
+        // Days logged since the last sync may have taken their amount from one
+        // side and their completion from the other
+        const loggedDays = new Set([...Object.keys(merged.amounts || {}), ...Object.keys(base.amounts || {})]);
+        syncHabitCompletions(merged, [...loggedDays].filter(dateKey => merged.amounts?.[dateKey] !== base.amounts?.[dateKey]));
+        merged.streak = calculateCurrentStreak(merged);
+    }
+    if (name === 'goals') {
+        // The progress log is chronological; milestones keep the user's order
+        if (Array.isArray(merged.progressLog)) {
+            merged.progressLog.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
         }
+        recalculateGoalValue(merged);
     }
-    
-    currentPage = pageName;
+    if (name === 'projects' && isProjectProgressAuto(merged)) {
+        merged.progress = calculateTaskProgress(merged);
+    }
+
+    return merged;
 }
 
-function updatePageTitle(pageName) {
-    const titles = {
-        dashboard: 'Dashboard',
-        calendar: 'Calendar',
-        goals: 'Goals',
-        projects: 'Projects',
-        habits: 'Habits',
-        stats: 'Statistics'
-    };
-    
-    const title = titles[pageName] || 'Dashboard';
-    const pageTitle = document.getElementById('pageTitle');
-    const breadcrumb = document.getElementById('breadcrumb');
-    
-    if (pageTitle) pageTitle.textContent = title;
-    if (breadcrumb) breadcrumb.textContent = `Life Dashboard / ${title}`;
+function isDerivedField(name, field, record) {
+    if (MERGE_DERIVED_FIELDS.includes(field)) return true;
+    // A project's progress follows its task board unless it was set by hand
+    return name === 'projects' && field === 'progress' && isProjectProgressAuto(record);
 }
 
-function loadPageContent(pageName) {
-    switch(pageName) {
-        case 'dashboard':
-            updateDashboard();
-            break;
-        case 'calendar':
-            loadCalendarPage();
-            break;
-        case 'goals':
-            loadGoalsPage();
-            break;
-        case 'projects':
-            loadProjectsPage();
-            break;
-        case 'habits':
-            loadHabitsPage();
-            break;
-        case 'stats':
-            loadStatsPage();
-            break;
-    }
+// Additions from either side survive; an entry removed on either side is removed
+function mergeSet(base, local, remote) {
+    const baseSet = new Set(base);
+    const localSet = new Set(local);
+    const remoteSet = new Set(remote);
+    const kept = base.filter(item => localSet.has(item) && remoteSet.has(item));
+    const added = [...local, ...remote].filter(item => !baseSet.has(item));
+
+    return [...new Set([...kept, ...added])].sort();
 }
 
-// ===== DASHBOARD FUNCTIONS =====
-function updateDashboard() {
-    updateStats();
-    updateRecentActivity();
-    updateWeekCalendar();
-    updateUpcomingDeadlines();
-    updateNavBadges();
+// Same rules as mergeSet for lists of { id, ... } entries, e.g. goal progress logs
+function mergeEntryList(base, local, remote) {
+    const baseIds = new Set(base.map(entry => entry.id));
+    const localIds = new Set(local.map(entry => entry.id));
+    const remoteIds = new Set(remote.map(entry => entry.id));
+    const baseById = new Map(base.map(entry => [entry.id, entry]));
+    const remoteById = new Map(remote.map(entry => [entry.id, entry]));
+    // An entry only the server edited takes the server's version
+    const kept = local
+        .filter(entry => !baseIds.has(entry.id) || remoteIds.has(entry.id))
+        .map(entry => {
+            const baseEntry = baseById.get(entry.id);
+            return baseEntry && isSameData(entry, baseEntry) ? remoteById.get(entry.id) || entry : entry;
+        });
+    const added = remote.filter(entry => !baseIds.has(entry.id) && !localIds.has(entry.id));
+
+    // This device's order wins; entries only the server has go at the end
+    return [...kept, ...added];
 }
 
-function updateStats() {
-    // Today's progress
-    const today = new Date().toISOString().split('T')[0];
-    const todayData = appData.calendar[today] || { tasks: [], actualHours: 0, plannedHours: 8 };
-    const completedTasks = todayData.tasks ? todayData.tasks.filter(task => task.completed).length : 0;
-    const totalTasks = todayData.tasks ? todayData.tasks.length : 0;
-    const progress = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
-    
-    const todayProgress = document.getElementById('todayProgress');
-    const todayTasks = document.getElementById('todayTasks');
-    
-    if (todayProgress) todayProgress.textContent = `${progress}%`;
-    if (todayTasks) todayTasks.textContent = `${completedTasks}/${totalTasks} tasks`;
-    
-    // Goals achieved
-    const completedGoals = appData.goals.filter(goal => goal.status === 'completed').length;
-    const totalGoals = appData.goals.length;
-    const goalsProgress = totalGoals > 0 ? Math.round((completedGoals / totalGoals) * 100) : 0;
-    
-    const goalsAchieved = document.getElementById('goalsAchieved');
-    const goalsCount = document.getElementById('goalsCount');
-    
-    if (goalsAchieved) goalsAchieved.textContent = `${goalsProgress}%`;
-    if (goalsCount) goalsCount.textContent = `${completedGoals}/${totalGoals} goals`;
-    
-    // Active projects
-    const activeProjects = appData.projects.filter(project => project.status === 'inprogress').length;
-    const activeProjectsEl = document.getElementById('activeProjects');
-    const projectsStatus = document.getElementById('projectsStatus');
-    
-    if (activeProjectsEl) activeProjectsEl.textContent = activeProjects;
-    if (projectsStatus) projectsStatus.textContent = activeProjects > 0 ? 'In progress' : 'No active projects';
-    
-    // Total study hours (this month)
-    const currentMonth = new Date().getMonth();
-    const currentYear = new Date().getFullYear();
-    const monthlyHours = Object.entries(appData.calendar)
-        .filter(([date]) => {
-            const d = new Date(date);
-            return d.getMonth() === currentMonth && d.getFullYear() === currentYear;
-        })
-        .reduce((sum, [, data]) => sum + (data.actualHours || 0), 0);
-    
-    const totalStudyHours = document.getElementById('totalStudyHours');
-    if (totalStudyHours) totalStudyHours.textContent = monthlyHours;
+// Each key follows the side that changed it; this device wins if both did
+function mergeValueMap(base, local, remote) {
+    const merged = {};
+    const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+    keys.forEach(key => {
+        const value = isSameData(local[key], base[key]) ? remote[key] : local[key];
+        if (value !== undefined) merged[key] = value;
+    });
+
+    return merged;
 }
 
-function updateRecentActivity() {
-    const container = document.getElementById('recentActivity');
-    if (!container) return;
-    
-    // Get recent days (last 5 days)
-    const recentDays = Object.entries(appData.calendar)
-        .sort(([dateA], [dateB]) => new Date(dateB) - new Date(dateA))
-        .slice(0, 5);
-    
-    if (recentDays.length === 0) {
-        container.innerHTML = `
-            <div class="activity-item">
-                <div class="activity-icon" style="background: linear-gradient(135deg, #6366f1, #8b5cf6);">
-                    <i class="fas fa-info-circle"></i>
-                </div>
-                <div class="activity-content">
-                    <div class="activity-title">No activity yet</div>
-                    <p class="activity-desc">Start logging your daily tasks to see activity here</p>
-                </div>
-            </div>
-        `;
-        return;
+function getConflictRecordLabel(name, recordId, record) {
+    switch (name) {
+        case 'goals': return `Goal: ${record.title}`;
+        case 'projects': return `Project: ${record.name}`;
+        case 'habits': return `Habit: ${record.name}`;
+        case 'calendar': return `Day: ${recordId}`;
+        case 'notifications': return `Notification: ${record.title}`;
+        default: return 'Settings';
     }
-    
-    container.innerHTML = '';
-    
-    recentDays.forEach(([date, data]) => {
-        const dateObj = new Date(date);
-        const today = new Date().toDateString();
-        const dateStr = dateObj.toDateString() === today ? 'Today' : dateObj.toLocaleDateString('en-US', { 
-            weekday: 'short', 
-            month: 'short', 
-            day: 'numeric' 
-        });
-        
-        let icon = 'fa-calendar-check';
-        let color = 'linear-gradient(135deg, #10b981, #34d399)';
-        let title = 'Day Completed';
-        let desc = `${data.actualHours || 0}h studied`;
-        
-        if (data.status === 'missed') {
-            icon = 'fa-calendar-times';
-            color = 'linear-gradient(135deg, #ef4444, #f87171)';
-            title = 'Day Missed';
-            desc = 'No study hours logged';
-        } else if (data.status === 'planned') {
-            icon = 'fa-calendar-plus';
-            color = 'linear-gradient(135deg, #f59e0b, #fbbf24)';
-            title = 'Day Planned';
-            desc = `${data.plannedHours || 8}h planned`;
-        }
-        
-        const activityItem = document.createElement('div');
-        activityItem.className = 'activity-item';
-        activityItem.innerHTML = `
-            <div class="activity-icon" style="background: ${color};">
-                <i class="fas ${icon}"></i>
-            </div>
-            <div class="activity-content">
-                <div class="activity-title">${title}</div>
-                <p class="activity-desc">${desc}</p>
-                <div class="activity-time">${dateStr}</div>
-            </div>
-        `;
-        
-        activityItem.addEventListener('click', () => showDayModal(dateObj));
-        container.appendChild(activityItem);
-    });
 }
 
-function updateWeekCalendar() {
-    const container = document.getElementById('weekCalendar');
-    const currentWeek = document.getElementById('currentWeek');
-    
-    if (!container) return;
-    
-    container.innerHTML = '';
-    
-    // Get current week with offset
-    const currentDate = new Date();
-    const adjustedDate = new Date(currentDate);
-    adjustedDate.setDate(currentDate.getDate() + (currentWeekOffset * 7));
-    const currentDay = adjustedDate.getDay();
-    const startDate = new Date(adjustedDate);
-    startDate.setDate(adjustedDate.getDate() - currentDay);
-    
-    // Update week display
-    const weekNumber = getWeekNumber(adjustedDate);
-    if (currentWeek) currentWeek.textContent = `Week ${weekNumber}`;
-    
-    // Generate days for the week
-    for (let i = 0; i < 7; i++) {
-        const dayDate = new Date(startDate);
-        dayDate.setDate(startDate.getDate() + i);
-        const dateStr = dayDate.toISOString().split('T')[0];
-        const dayData = appData.calendar[dateStr];
-        const isToday = dayDate.toDateString() === new Date().toDateString();
-        
-        const dayCell = document.createElement('div');
-        dayCell.className = 'day-cell';
-        if (isToday) dayCell.classList.add('today');
-        if (dayData) {
-            if (dayData.status === 'completed') dayCell.classList.add('completed');
-            else if (dayData.status === 'missed') dayCell.classList.add('missed');
-        }
-        
-        dayCell.innerHTML = `
-            <div class="day-number">${dayDate.getDate()}</div>
-            <div class="day-name">${dayDate.toLocaleDateString('en-US', { weekday: 'short' })}</div>
-        `;
-        
-        dayCell.addEventListener('click', () => showDayModal(dayDate));
-        container.appendChild(dayCell);
+function formatConflictValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return '<em class="conflict-empty">(empty)</em>';
     }
+    if (Array.isArray(value) && value.every(item => item && item.text !== undefined)) {
+        // Day tasks
+        return value.map(task => `${task.completed ? '✅' : '⬜'} ${escapeHtml(task.text)}`).join('<br>');
+    }
+    if (typeof value === 'object') {
+        return `<code>${escapeHtml(JSON.stringify(value, null, 1))}</code>`;
+    }
+    return escapeHtml(String(value));
 }
 
-function updateUpcomingDeadlines() {
-    const container = document.getElementById('upcomingDeadlines');
-    if (!container) return;
-    
-    // Combine goals and projects with deadlines
-    const deadlines = [];
-    
-    // Add goals with target dates
-    appData.goals.forEach(goal => {
-        if (goal.targetDate && goal.status !== 'completed') {
-            deadlines.push({
-                type: 'goal',
-                id: goal.id,
-                title: goal.title,
-                date: new Date(goal.targetDate),
-                description: goal.description,
-                completed: false
-            });
-        }
-    });
-    
-    // Add projects with deadlines
-    appData.projects.forEach(project => {
-        if (project.deadline && project.status !== 'completed') {
-            deadlines.push({
-                type: 'project',
-                id: project.id,
-                title: project.name,
-                date: new Date(project.deadline),
-                description: project.description,
-                completed: false
-            });
-        }
-    });
-    
-    // Sort by date (closest first)
-    deadlines.sort((a, b) => a.date - b.date);
-    
-    // Get next 5 deadlines
-    const upcoming = deadlines.slice(0, 5);
-    
-    if (upcoming.length === 0) {
-        container.innerHTML = `
-            <div class="deadline-item">
-                <div class="deadline-checkbox"></div>
-                <div class="deadline-content">
-                    <div class="deadline-title">No upcoming deadlines</div>
-                    <p class="deadline-desc">Add goals or projects with deadlines to see them here</p>
-                </div>
-            </div>
-        `;
+function showConflictModalWhenIdle() {
+    // Never replace a modal the user is working in
+    const openModal = document.querySelector('#modalsContainer .modal-overlay');
+    if (openModal && openModal.id !== 'conflictModal') {
+        setTimeout(showConflictModalWhenIdle, 2000);
         return;
     }
-    
-    container.innerHTML = '';
-    
-    upcoming.forEach(deadline => {
-        const daysUntil = Math.ceil((deadline.date - new Date()) / (1000 * 60 * 60 * 24));
-        let urgencyClass = '';
-        
-        if (daysUntil <= 1) urgencyClass = 'urgent';
-        else if (daysUntil <= 3) urgencyClass = 'warning';
-        
-        const deadlineItem = document.createElement('div');
-        deadlineItem.className = `deadline-item ${urgencyClass}`;
-        deadlineItem.innerHTML = `
-            <div class="deadline-checkbox ${deadline.completed ? 'checked' : ''}">
-                ${deadline.completed ? '✓' : ''}
-            </div>
-            <div class="deadline-content">
-                <div class="deadline-title">${deadline.title}</div>
-                <p class="deadline-desc">${deadline.description || 'No description'}</p>
-                <div class="deadline-date">
-                    <i class="far fa-calendar"></i>
-                    ${deadline.date.toLocaleDateString('en-US', { 
-                        weekday: 'short', 
-                        month: 'short', 
-                        day: 'numeric' 
-                    })}
-                    ${daysUntil > 0 ? `(${daysUntil} day${daysUntil !== 1 ? 's' : ''} left)` : '(Today)'}
-                </div>
-            </div>
-        `;
-        
-        deadlineItem.addEventListener('click', () => {
-            if (deadline.type === 'goal') {
-                showGoalModal(deadline.id);
-            } else {
-                showProjectModal(deadline.id);
-            }
-        });
-        
-        container.appendChild(deadlineItem);
-    });
+    showConflictModal();
 }
 
-function updateNavBadges() {
-    // Dashboard badge - incomplete tasks today
-    const today = new Date().toISOString().split('T')[0];
-    const todayData = appData.calendar[today];
-    const dashboardBadge = document.getElementById('navDashboardBadge');
-    if (dashboardBadge && todayData && todayData.tasks) {
-        const incomplete = todayData.tasks.filter(t => !t.completed).length;
-        dashboardBadge.textContent = incomplete > 0 ? incomplete : '';
-        dashboardBadge.style.display = incomplete > 0 ? 'inline-flex' : 'none';
-    }
-    
-    // Calendar badge - missed days
-    const calendarBadge = document.getElementById('navCalendarBadge');
-    if (calendarBadge) {
-        const missedDays = Object.values(appData.calendar).filter(d => d.status === 'missed').length;
-        calendarBadge.textContent = missedDays > 0 ? missedDays : '';
-        calendarBadge.style.display = missedDays > 0 ? 'inline-flex' : 'none';
-    }
-    
-    // Goals badge - active goals
-    const goalsBadge = document.getElementById('navGoalsBadge');
-    if (goalsBadge) {
-        const activeGoals = appData.goals.filter(g => g.status === 'active').length;
-        goalsBadge.textContent = activeGoals > 0 ? activeGoals : '';
-        goalsBadge.style.display = activeGoals > 0 ? 'inline-flex' : 'none';
-    }
-    
-    // Projects badge - in progress projects
-    const projectsBadge = document.getElementById('navProjectsBadge');
-    if (projectsBadge) {
-        const activeProjects = appData.projects.filter(p => p.status === 'inprogress').length;
-        projectsBadge.textContent = activeProjects > 0 ? activeProjects : '';
-        projectsBadge.style.display = activeProjects > 0 ? 'inline-flex' : 'none';
-    }
-    
-    // Habits badge - habits to complete today
-    const habitsBadge = document.getElementById('navHabitsBadge');
-    if (habitsBadge) {
-        const todayStr = new Date().toISOString().split('T')[0];
-        const habitsToComplete = appData.habits.filter(habit => 
-            !habit.completedDates?.includes(todayStr)
-        ).length;
-        habitsBadge.textContent = habitsToComplete > 0 ? habitsToComplete : '';
-        habitsBadge.style.display = habitsToComplete > 0 ? 'inline-flex' : 'none';
-    }
-}
+function showConflictModal() {
+    if (pendingConflicts.length === 0) return;
+
+    const rows = pendingConflicts.map((conflict, index) => `
+        <div class="conflict-item">
+            <div class="conflict-title">
+                <strong>${escapeHtml(conflict.label)}</strong>
+                <span class="conflict-field">${escapeHtml(conflict.field)}</span>
+            </div>
+            <div class="conflict-options">
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="local" checked>
+                    <span class="conflict-option-label"><i class="fas fa-laptop"></i> This device</span>
+                    <div class="conflict-value">${formatConflictValue(conflict.localValue)}</div>
+                </label>
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="remote">
+                    <span class="conflict-option-label"><i class="fas fa-cloud"></i> Server</span>
+                    <div class="conflict-value">${formatConflictValue(conflict.remoteValue)}</div>
+                </label>
+            </div>
+        </div>
+    `).join('');
 
-// ===== DAY MODAL FUNCTIONS =====
-function showDayModal(date) {
-    const dateStr = typeof date === 'string' ? date : date.toISOString().split('T')[0];
-    const dayData = appData.calendar[dateStr] || {
-        plannedHours: 8,
-        actualHours: 0,
-        tasks: [],
-        notes: '',
-        status: 'planned'
-    };
-    
     const modalHTML = `
-        <div class="modal-overlay" id="dayModal">
-            <div class="modal">
+        <div class="modal-overlay" id="conflictModal">
+            <div class="modal" style="max-width: 720px;">
                 <div class="modal-header">
-                    <h3>${new Date(dateStr).toLocaleDateString('en-US', { 
-                        weekday: 'long', 
-                        year: 'numeric', 
-                        month: 'long', 
-                        day: 'numeric' 
-                    })}</h3>
-                    <button class="modal-close" onclick="closeModal('dayModal')">&times;</button>
+                    <h3><i class="fas fa-code-branch"></i> Resolve Sync Conflicts</h3>
+                    <button class="modal-close" onclick="resolveSyncConflicts('local')">&times;</button>
                 </div>
                 <div class="modal-body">
-                    <div class="form-group">
-                        <label class="form-label">Planned Study Hours</label>
-                        <input type="number" id="plannedHours" class="form-control" 
-                               min="0" max="24" value="${dayData.plannedHours || 8}">
-                    </div>
-                    <div class="form-group">
-                        <label class="form-label">Actual Hours Studied</label>
-                        <input type="number" id="actualHours" class="form-control" 
-                               min="0" max="24" value="${dayData.actualHours || 0}">
+                    <p class="conflict-intro">
+                        These fields were changed on this device and on another device since the last sync.
+                        Everything else was merged automatically. Choose which version to keep.
+                    </p>
+                    <div class="conflict-actions-bulk">
+                        <button class="btn btn-outline" onclick="selectAllConflicts('local')">Keep all mine</button>
+                        <button class="btn btn-outline" onclick="selectAllConflicts('remote')">Use all server</button>
                     </div>
-                    
-                    <div class="form-group">
-                        <label class="form-label">Tasks for Today</label>
-                        <div id="tasksList">
-                            ${renderTasksList(dayData.tasks || [])}
-                        </div>
-                        <button class="btn btn-outline" onclick="addTaskInput()" style="margin-top: 10px;">
-                            <i class="fas fa-plus"></i> Add Task
-                        </button>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label class="form-label">Notes & Reflection</label>
-                        <textarea id="dayNotes" class="form-control" rows="4" 
-                                  placeholder="How did today go? What could be improved?">${dayData.notes || ''}</textarea>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label class="form-label">Status</label>
-                        <select id="dayStatus" class="form-control">
-                            <option value="planned" ${dayData.status === 'planned' ? 'selected' : ''}>Planned</option>
-                            <option value="inprogress" ${dayData.status === 'inprogress' ? 'selected' : ''}>In Progress</option>
-                            <option value="completed" ${dayData.status === 'completed' ? 'selected' : ''}>Completed</option>
-                            <option value="missed" ${dayData.status === 'missed' ? 'selected' : ''}>Missed</option>
-                        </select>
-                    </div>
-                    
-                    <div class="modal-actions">
-                        <button class="btn btn-danger" onclick="deleteDayData('${dateStr}')">
-                            <i class="fas fa-trash"></i> Delete
-                        </button>
-                        <div style="flex: 1"></div>
-                        <button class="btn btn-outline" onclick="closeModal('dayModal')">
-                            Cancel
-                        </button>
-                        <button class="btn btn-primary" onclick="saveDayData('${dateStr}')">
-                            <i class="fas fa-save"></i> Save
+                    <div class="conflict-list">${rows}</div>
+                    <div class="modal-actions">
+                        <button class="btn btn-primary" onclick="resolveSyncConflicts()">
+                            <i class="fas fa-check"></i> Apply Choices
                         </button>
                     </div>
                 </div>
             </div>
         </div>
     `;
-    
+
     const modalContainer = document.getElementById('modalsContainer');
+    if (!modalContainer) return;
     modalContainer.innerHTML = modalHTML;
 }
 
-function renderTasksList(tasks) {
-    if (tasks.length === 0) {
-        return '<div style="color: var(--text-muted); font-style: italic; padding: 10px; text-align: center;">No tasks added yet</div>';
+function selectAllConflicts(side) {
+    document.querySelectorAll(`#conflictModal input[value="${side}"]`).forEach(input => {
+        input.checked = true;
+    });
+}
+
+function resolveSyncConflicts(forceSide) {
+    let changed = 0;
+
+    pendingConflicts.forEach((conflict, index) => {
+        const selected = document.querySelector(`#conflictModal input[name="conflict-${index}"]:checked`);
+        const side = forceSide || (selected ? selected.value : 'local');
+
+        // The merge already kept this device's value
+        if (side !== 'remote') return;
+
+        const record = findConflictRecord(conflict);
+        if (!record) return;
+
+        if (conflict.remoteValue === undefined) {
+            delete record[conflict.field];
+        } else {
+            record[conflict.field] = conflict.remoteValue;
+        }
+        if (conflict.collection !== 'settings') {
+            record.updatedAt = new Date().toISOString();
+            queueMutation(conflict.collection, 'upsert', conflict.recordId, record);
+        }
+        changed++;
+    });
+
+    pendingConflicts = [];
+    closeModal('conflictModal');
+
+    if (changed > 0) {
+        saveAppData();
+        refreshAfterSync();
     }
-    
-    let html = '';
-    tasks.forEach((task, index) => {
-        html += `
-            <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px; padding: 8px; background: var(--bg-tertiary); border-radius: 8px;">
-                <input type="checkbox" id="task-${index}" ${task.completed ? 'checked' : ''} 
-                       onchange="updateTaskCompletion('${new Date().toISOString().split('T')[0]}', ${index}, this.checked)">
-                <input type="text" class="form-control" value="${task.text || ''}" 
-                       style="flex: 1;" onchange="updateTaskText('${new Date().toISOString().split('T')[0]}', ${index}, this.value)">
-                <button class="btn-icon-sm" onclick="removeTask('${new Date().toISOString().split('T')[0]}', ${index})" style="color: var(--danger-500);">
-                    <i class="fas fa-times"></i>
-                </button>
-            </div>
-        `;
+    showToast('Sync conflicts resolved', 'success');
+}
+
+function findConflictRecord(conflict) {
+    const data = getCollectionData(conflict.collection);
+    if (conflict.collection === 'settings') return data;
+    if (Array.isArray(data)) return data.find(item => String(item.id) === conflict.recordId);
+    return data[conflict.recordId];
+}
+
+// ===== OFFLINE MUTATION QUEUE =====
+/**
+ * Record a single create/update/delete so it can be replayed against
+ * PUT/DELETE /api/data/<collection>/<id>, even if the server is unreachable now.
+ */
+function queueMutation(collection, action, recordId, record = null) {
+    if (!storage || !isSyncEnabled()) return;
+
+    mutationQueue.push({
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        collection,
+        action, // 'upsert' | 'delete'
+        recordId: String(recordId),
+        record: record ? JSON.parse(JSON.stringify(record)) : null,
+        queuedAt: new Date().toISOString()
     });
-    return html;
+
+    saveMutationQueue();
 }
 
-function addTaskInput() {
-    const tasksList = document.getElementById('tasksList');
-    const taskCount = tasksList.querySelectorAll('div[style*="display: flex"]').length;
-    
-    const taskDiv = document.createElement('div');
-    taskDiv.style.cssText = 'display: flex; align-items: center; gap: 10px; margin-bottom: 8px; padding: 8px; background: var(--bg-tertiary); border-radius: 8px;';
-    taskDiv.innerHTML = `
-        <input type="checkbox" id="task-new-${taskCount}">
-        <input type="text" class="form-control" placeholder="Enter task description" style="flex: 1;">
-        <button class="btn-icon-sm" onclick="this.parentElement.remove()" style="color: var(--danger-500);">
-            <i class="fas fa-times"></i>
-        </button>
-    `;
-    
-    tasksList.appendChild(taskDiv);
+function saveMutationQueue() {
+    if (!storage) return;
+    storage.save('sync_queue', mutationQueue);
+    updatePendingChangesIndicator();
 }
 
-function saveDayData(dateStr) {
-    const plannedHours = parseInt(document.getElementById('plannedHours').value) || 0;
-    const actualHours = parseInt(document.getElementById('actualHours').value) || 0;
-    const notes = document.getElementById('dayNotes').value;
-    const status = document.getElementById('dayStatus').value;
-    
-    // Get tasks from inputs
-    const taskInputs = document.querySelectorAll('#tasksList input[type="text"]');
-    const taskCheckboxes = document.querySelectorAll('#tasksList input[type="checkbox"]');
-    
-    const tasks = Array.from(taskInputs).map((input, index) => ({
-        text: input.value.trim(),
-        completed: taskCheckboxes[index] ? taskCheckboxes[index].checked : false,
-        createdAt: new Date().toISOString()
-    })).filter(task => task.text);
-    
-    // Save day data
-    appData.calendar[dateStr] = {
-        ...appData.calendar[dateStr],
-        plannedHours,
-        actualHours,
-        tasks,
-        notes,
-        status,
-        updatedAt: new Date().toISOString()
-    };
-    
-    saveAppData();
-    updateDashboard();
-    
-    // Add notification for completed day
-    if (status === 'completed' && actualHours > 0) {
-        addNotification(
-            'Day Completed!',
-            `Great job! You studied ${actualHours} hours on ${new Date(dateStr).toLocaleDateString()}.`,
-            'success'
-        );
+function sendMutation(op) {
+    const path = `/api/data/${op.collection}/${encodeURIComponent(op.recordId)}`;
+
+    if (op.action === 'delete') {
+        return apiRequest(path, { method: 'DELETE' });
     }
-    
-    showToast('Day saved successfully!', 'success');
-    closeModal('dayModal');
+
+    return apiRequest(path, {
+        method: 'PUT',
+        body: JSON.stringify({ value: op.record })
+    });
 }
 
-function deleteDayData(dateStr) {
-    if (confirm('Are you sure you want to delete this day\'s data?')) {
-        delete appData.calendar[dateStr];
-        saveAppData();
-        updateDashboard();
-        showToast('Day data deleted', 'success');
-        closeModal('dayModal');
+// Keep the sync base in step with what the server now holds, so the
+// collection pass afterwards does not push the same change twice
+function applyMutationToBase(op) {
+    const base = syncState.bases[op.collection];
+    if (base === undefined) return;
+
+    if (Array.isArray(base)) {
+        const index = base.findIndex(item => String(item.id) === op.recordId);
+        if (op.action === 'delete') {
+            if (index !== -1) base.splice(index, 1);
+        } else if (index !== -1) {
+            base[index] = op.record;
+        } else {
+            base.push(op.record);
+        }
+    } else if (op.action === 'delete') {
+        delete base[op.recordId];
+    } else {
+        base[op.recordId] = op.record;
     }
 }
 
-function updateTaskCompletion(dateStr, index, completed) {
-    if (appData.calendar[dateStr] && appData.calendar[dateStr].tasks[index]) {
-        appData.calendar[dateStr].tasks[index].completed = completed;
-        saveAppData();
-        updateDashboard();
+function reportRejectedMutation(op, error) {
+    const label = op.record
+        ? getConflictRecordLabel(op.collection, op.recordId, op.record)
+        : `${op.collection} item ${op.recordId}`;
+    const change = op.action === 'delete' ? 'Deleting' : 'Saving';
+    const queuedAt = new Date(op.queuedAt).toLocaleString('en-US', {
+        month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+
+    addNotification(
+        'Change Not Synced ⚠️',
+        `${change} ${label} (made ${queuedAt}) was rejected by the server: ${error.message}. It is still saved on this device.`,
+        'warning'
+    );
+}
+
+function isNetworkError(error) {
+    return !error.status || error.status >= 500;
+}
+
+async function replayMutationQueue() {
+    while (mutationQueue.length > 0) {
+        const op = mutationQueue[0];
+
+        try {
+            await sendMutation(op);
+            applyMutationToBase(op);
+        } catch (error) {
+            // Expired sessions keep the queue; it replays after signing back in
+            if (isNetworkError(error) || error.status === 401) throw error;
+
+            if (error.status === 409) {
+                // The server's copy moved on. The edit is still in local data and
+                // differs from the base, so forgetting the remote version makes the
+                // collection pass merge it and ask about any overlapping fields.
+                console.warn(`⚠️ ${op.action} on ${op.collection}/${op.recordId} conflicts with the server - merging`);
+                delete syncState.remoteVersions[op.collection];
+            } else {
+                // The server rejected this change outright; retrying will not help
+                console.error(`❌ Dropping rejected ${op.action} on ${op.collection}/${op.recordId}:`, error);
+                reportRejectedMutation(op, error);
+            }
+        }
+
+        mutationQueue.shift();
+        saveMutationQueue();
+        saveSyncState();
     }
 }
 
-function updateTaskText(dateStr, index, text) {
-    if (appData.calendar[dateStr] && appData.calendar[dateStr].tasks[index]) {
-        appData.calendar[dateStr].tasks[index].text = text;
-        saveAppData();
+function goOffline() {
+    if (isOffline) return;
+
+    isOffline = true;
+    console.log('📴 Server unreachable - changes will be queued');
+    updateSyncIndicator('offline');
+
+    clearInterval(healthPollInterval);
+    healthPollInterval = setInterval(checkServerHealth, HEALTH_POLL_INTERVAL_MS);
+}
+
+function goOnline() {
+    if (!isOffline) return;
+
+    isOffline = false;
+    clearInterval(healthPollInterval);
+    healthPollInterval = null;
+    console.log('📶 Server reachable again - replaying queued changes');
+}
+
+async function checkServerHealth() {
+    const connection = await checkBackendConnection();
+    if (!connection.success) return;
+
+    goOnline();
+    const pending = mutationQueue.length;
+    const synced = await syncWithServer({ silent: true });
+    if (synced && pending > 0) {
+        showToast(`Back online - ${pending} queued change${pending === 1 ? '' : 's'} synced`, 'success');
     }
 }
 
-function removeTask(dateStr, index) {
-    if (appData.calendar[dateStr] && appData.calendar[dateStr].tasks[index]) {
-        appData.calendar[dateStr].tasks.splice(index, 1);
-        saveAppData();
-        updateDashboard();
-        showDayModal(dateStr); // Refresh the modal
+function updatePendingChangesIndicator() {
+    const badge = document.getElementById('pendingChangesBadge');
+    if (!badge) return;
+
+    const count = mutationQueue.length;
+    badge.textContent = count > 99 ? '99+' : count;
+    badge.style.display = count > 0 ? 'flex' : 'none';
+}
+
+async function syncWithServer(options = {}) {
+    if (!storage || !isSyncEnabled() || syncInProgress || sessionExpired) return false;
+
+    syncInProgress = true;
+    updateSyncIndicator('syncing');
+    let pulledAny = false;
+
+    try {
+        await replayMutationQueue();
+
+        for (const name of SYNC_COLLECTIONS) {
+            const result = await syncCollection(name);
+            if (result === 'pulled' || result === 'merged') pulledAny = true;
+        }
+
+        syncState.lastSyncedAt = new Date().toISOString();
+        saveSyncState();
+
+        updateSyncIndicator('synced');
+        if (pendingConflicts.length > 0) {
+            showConflictModalWhenIdle();
+        } else if (!options.silent) {
+            showToast('All changes synced with the server', 'success');
+        }
+        return true;
+    } catch (error) {
+        console.error('❌ Sync failed:', error);
+
+        if (isNetworkError(error)) {
+            goOffline();
+            if (!options.silent) showToast('You are offline. Changes will sync when the connection returns.', 'warning');
+        } else if (error.status === 401) {
+            // fetchWithTimeout already tried a refresh and asked the user to sign in
+            updateSyncIndicator('error');
+        } else {
+            updateSyncIndicator('error');
+            if (!options.silent) showToast('Sync failed. Your data is still saved on this device.', 'warning');
+        }
+        return false;
+    } finally {
+        // Collections pulled before a failure have already replaced appData
+        if (pulledAny) {
+            saveSyncState();
+            saveAppData();
+            refreshAfterSync();
+        }
+        syncInProgress = false;
     }
 }
 
-// ===== GOALS PAGE =====
-function loadGoalsPage() {
-    const container = document.getElementById('goalsPage');
-    if (!container) return;
-    
-    container.innerHTML = `
-        <div class="modern-goals-page">
-            <!-- Header with gradient background -->
-            <div class="goals-header">
-                <div class="goals-header-content">
-                    <h2><i class="fas fa-bullseye"></i> My Goals</h2>
-                    <p>Track, manage, and achieve your goals</p>
-                </div>
-                <button class="btn btn-gradient" onclick="showAddGoalModal()">
-                    <i class="fas fa-plus"></i> New Goal
-                </button>
-            </div>
-            
-            <!-- Stats Overview -->
-            <div class="goals-stats-overview" id="goalsStats">
-                <!-- Stats will be dynamically loaded -->
-            </div>
-            
-            <!-- Goals Filter -->
-            <div class="goals-filter-section">
-                <div class="filter-tabs">
-                    <button class="filter-tab active" onclick="filterGoals('all')">
-                        <i class="fas fa-layer-group"></i> All
-                        <span class="filter-count" id="countAll">0</span>
-                    </button>
-                    <button class="filter-tab" onclick="filterGoals('active')">
-                        <i class="fas fa-play-circle"></i> Active
-                        <span class="filter-count" id="countActive">0</span>
-                    </button>
-                    <button class="filter-tab" onclick="filterGoals('completed')">
-                        <i class="fas fa-check-circle"></i> Completed
-                        <span class="filter-count" id="countCompleted">0</span>
-                    </button>
-                    <button class="filter-tab" onclick="filterGoals('pending')">
-                        <i class="fas fa-clock"></i> Pending
-                        <span class="filter-count" id="countPending">0</span>
-                    </button>
-                </div>
-                <div class="filter-sort">
-                    <select class="form-control" onchange="sortGoals(this.value)">
-                        <option value="priority">Sort by Priority</option>
-                        <option value="date">Sort by Date</option>
-                        <option value="title">Sort by Title</option>
-                    </select>
-                </div>
-            </div>
-            
-            <!-- Goals Grid -->
-            <div class="goals-grid" id="goalsList">
-                <!-- Goals will be rendered here -->
-            </div>
-        </div>
-    `;
-    
-    updateGoalsStats();
-    renderGoalsList('all');
+function scheduleServerSync() {
+    if (!storage || !isSyncEnabled() || syncInProgress || isOffline || sessionExpired) return;
+    if (!hasUnsyncedChanges()) return;
+
+    clearTimeout(syncTimeout);
+    syncTimeout = setTimeout(() => syncWithServer({ silent: true }), SYNC_DEBOUNCE_MS);
 }
 
-function updateGoalsStats() {
-    const container = document.getElementById('goalsStats');
-    if (!container) return;
-    
-    const totalGoals = appData.goals.length;
-    const completedGoals = appData.goals.filter(g => g.status === 'completed').length;
-    const activeGoals = appData.goals.filter(g => g.status === 'active').length;
-    const pendingGoals = appData.goals.filter(g => 
-        g.targetDate && new Date(g.targetDate) < new Date() && g.status !== 'completed'
-    ).length;
-    
-    // Update filter counts
-    const countAll = document.getElementById('countAll');
-    const countActive = document.getElementById('countActive');
-    const countCompleted = document.getElementById('countCompleted');
-    const countPending = document.getElementById('countPending');
-    
-    if (countAll) countAll.textContent = totalGoals;
-    if (countActive) countActive.textContent = activeGoals;
-    if (countCompleted) countCompleted.textContent = completedGoals;
-    if (countPending) countPending.textContent = pendingGoals;
-    
-    const completionRate = totalGoals > 0 ? Math.round((completedGoals / totalGoals) * 100) : 0;
-    
-    container.innerHTML = `
-        <div class="stat-card">
-            <div class="stat-icon">
-                <i class="fas fa-bullseye"></i>
-            </div>
-            <div class="stat-content">
-                <h3>${totalGoals}</h3>
-                <p>Total Goals</p>
-            </div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-icon" style="background: linear-gradient(135deg, #10b981, #34d399);">
-                <i class="fas fa-check-circle"></i>
-            </div>
-            <div class="stat-content">
-                <h3>${completedGoals}</h3>
-                <p>Completed</p>
-            </div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-icon" style="background: linear-gradient(135deg, #6366f1, #8b5cf6);">
-                <i class="fas fa-chart-line"></i>
-            </div>
-            <div class="stat-content">
-                <h3>${completionRate}%</h3>
-                <p>Success Rate</p>
-            </div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-icon" style="background: linear-gradient(135deg, #f59e0b, #fbbf24);">
-                <i class="fas fa-clock"></i>
-            </div>
-            <div class="stat-content">
-                <h3>${pendingGoals}</h3>
-                <p>Pending</p>
-            </div>
-        </div>
-    `;
+function refreshAfterSync() {
+    document.documentElement.setAttribute('data-theme', appData.settings.theme || 'light');
+    updateNotificationDisplay();
+    loadPageContent(currentPage);
+    updateNavBadges();
 }
 
-function renderGoalsList(filter = 'all') {
-    const container = document.getElementById('goalsList');
-    if (!container) return;
-    
-    let filteredGoals = [...appData.goals];
-    
-    if (filter === 'active') {
-        filteredGoals = appData.goals.filter(goal => goal.status === 'active');
-    } else if (filter === 'completed') {
-        filteredGoals = appData.goals.filter(goal => goal.status === 'completed');
-    } else if (filter === 'pending') {
-        filteredGoals = appData.goals.filter(goal => 
-            goal.targetDate && new Date(goal.targetDate) < new Date() && goal.status !== 'completed'
-        );
+function updateSyncIndicator(state) {
+    const syncButton = document.getElementById('syncButton');
+    if (!syncButton) return;
+
+    const icon = syncButton.querySelector('i');
+    if (icon) icon.classList.toggle('fa-spin', state === 'syncing');
+
+    syncButton.classList.toggle('sync-error', state === 'error');
+    syncButton.classList.toggle('sync-offline', isOffline);
+
+    if (isOffline) {
+        syncButton.title = 'Offline - changes are queued on this device';
+    } else if (sessionExpired) {
+        syncButton.title = 'Session expired - click to sign in again';
+    } else if (state === 'error') {
+        syncButton.title = 'Last sync failed - click to retry';
+    } else if (syncState.lastSyncedAt) {
+        syncButton.title = `Last synced ${formatTimeAgo(syncState.lastSyncedAt)}`;
+    } else {
+        syncButton.title = 'Sync with server';
     }
-    
-    // Update active filter tab
-    document.querySelectorAll('.filter-tab').forEach(tab => {
-        tab.classList.remove('active');
-    });
-    const activeTab = document.querySelector(`.filter-tab[onclick="filterGoals('${filter}')"]`);
-    if (activeTab) activeTab.classList.add('active');
-    
-    if (filteredGoals.length === 0) {
-        container.innerHTML = `
-            <div class="empty-state-modern">
-                <div class="empty-icon">
-                    <i class="fas fa-bullseye"></i>
-                </div>
-                <h3>No goals found</h3>
-                <p>${filter === 'all' ? 'Start by adding your first goal!' : `No ${filter} goals found`}</p>
-                <button class="btn btn-gradient" onclick="showAddGoalModal()">
-                    <i class="fas fa-plus"></i> Add Goal
-                </button>
-            </div>
-        `;
+}
+
+function syncNow() {
+    if (!isSyncEnabled()) {
+        showToast('Sign in with a server account to sync across devices', 'info');
         return;
     }
-    
-    container.innerHTML = filteredGoals.map(goal => {
-        const daysLeft = goal.targetDate ? 
-            Math.ceil((new Date(goal.targetDate) - new Date()) / (1000 * 60 * 60 * 24)) : null;
-        const isOverdue = daysLeft < 0;
-        const priorityColors = {
-            'high': 'linear-gradient(135deg, #ef4444, #f87171)',
-            'medium': 'linear-gradient(135deg, #f59e0b, #fbbf24)',
-            'low': 'linear-gradient(135deg, #10b981, #34d399)'
-        };
-        
-        return `
-            <div class="goal-card-modern ${goal.status}">
-                <div class="goal-card-header">
-                    <div class="goal-card-badge" style="background: ${priorityColors[goal.priority] || priorityColors.medium}">
-                        <i class="fas fa-flag"></i>
-                        ${goal.priority || 'Medium'}
-                    </div>
-                    <div class="goal-status-badge ${goal.status}">
-                        <i class="fas fa-${goal.status === 'completed' ? 'check-circle' : 'circle'}"></i>
-                        ${goal.status}
-                    </div>
+    if (sessionExpired) {
+        showReloginModal();
+        return;
+    }
+    if (isOffline) {
+        showToast('Checking connection...', 'info');
+        checkServerHealth();
+        return;
+    }
+    syncWithServer();
+}
+
+function setupServerSync() {
+    loadSyncState();
+
+    const syncButton = document.getElementById('syncButton');
+    if (syncButton) syncButton.style.display = isSyncEnabled() ? 'flex' : 'none';
+
+    if (!isSyncEnabled()) return;
+
+    updatePendingChangesIndicator();
+
+    // Pull on load so a fresh device picks up the account's data
+    syncWithServer({ silent: true });
+
+    setInterval(() => {
+        if (!isOffline) syncWithServer({ silent: true });
+    }, SYNC_INTERVAL_MS);
+    window.addEventListener('online', () => checkServerHealth());
+    window.addEventListener('offline', () => goOffline());
+}
+
+// ===== SESSION EXPIRY =====
+// The token is refreshed before it lapses (see utils.js). When that fails the
+// user signs in again in a modal on top of whatever they were doing, so open
+// forms and unsynced changes stay where they are.
+let sessionExpired = false;
+
+function setupSessionRefresh() {
+    if (!getAuthToken()) return;
+
+    setSessionExpiredHandler(showReloginModal);
+
+    if (!isTokenExpired()) {
+        scheduleTokenRefresh();
+        return;
+    }
+
+    // Hold sync back until we know whether the session can be renewed
+    sessionExpired = true;
+    refreshAuthToken().then(refreshed => {
+        if (refreshed) {
+            resumeSession();
+        } else {
+            handleSessionExpired();
+        }
+    });
+}
+
+function resumeSession() {
+    sessionExpired = false;
+    scheduleTokenRefresh();
+    syncWithServer({ silent: true });
+}
+
+function showReloginModal() {
+    sessionExpired = true;
+    clearTimeout(syncTimeout);
+    updateSyncIndicator('error');
+
+    // Everything stays on this device until the user is back
+    saveAppData();
+
+    if (document.getElementById('reloginModal')) return;
+
+    const savedUser = JSON.parse(localStorage.getItem(USER_KEY) || sessionStorage.getItem(USER_KEY) || 'null');
+    const identifier = savedUser?.username || savedUser?.email || currentUser;
+
+    const modalHTML = `
+        <div class="modal-overlay relogin-overlay" id="reloginModal">
+            <div class="modal" style="max-width: 420px;">
+                <div class="modal-header">
+                    <h3><i class="fas fa-lock"></i> Session Expired</h3>
+                    <button class="modal-close" onclick="closeModal('reloginModal')" title="Keep working on this device">&times;</button>
                 </div>
-                
-                <div class="goal-card-body">
-                    <h4 class="goal-title">${escapeHtml(goal.title)}</h4>
-                    <p class="goal-description">${goal.description || 'No description provided'}</p>
-                    
-                    <div class="goal-meta">
-                        <div class="meta-item">
-                            <i class="fas fa-calendar"></i>
-                            <span>${goal.targetDate ? formatDate(goal.targetDate) : 'No deadline'}</span>
+                <div class="modal-body">
+                    <p class="relogin-intro">
+                        Your session has ended. Sign in again to keep syncing.
+                        Nothing you've entered has been lost.
+                    </p>
+                    <form id="reloginForm" onsubmit="event.preventDefault(); submitRelogin();">
+                        <div class="form-group">
+                            <label>Username or Email</label>
+                            <input type="text" id="reloginUsername" class="form-control"
+                                   value="${escapeHtml(identifier || '')}" readonly>
                         </div>
-                        <div class="meta-item">
-                            <i class="fas fa-tag"></i>
-                            <span>${goal.category || 'General'}</span>
+                        <div class="form-group">
+                            <label>Password</label>
+                            <input type="password" id="reloginPassword" class="form-control"
+                                   autocomplete="current-password" required>
                         </div>
-                    </div>
-                    
-                    ${goal.targetDate ? `
-                        <div class="goal-deadline ${isOverdue ? 'overdue' : ''}">
-                            <div class="deadline-label">
-                                <i class="fas fa-hourglass-half"></i>
-                                ${isOverdue ? 'Overdue by' : 'Due in'}
-                                <strong>${Math.abs(daysLeft)} days</strong>
-                            </div>
-                            <div class="progress-bar">
-                                <div class="progress-fill" style="width: ${calculateGoalProgress(goal)}%"></div>
-                            </div>
+                        <p class="relogin-error" id="reloginError"></p>
+                        <div class="modal-actions">
+                            <button type="button" class="btn btn-outline" onclick="signOut()">Sign Out</button>
+                            <button type="submit" class="btn btn-primary" id="reloginSubmit">
+                                <i class="fas fa-sign-in-alt"></i> Sign In
+                            </button>
                         </div>
-                    ` : ''}
-                </div>
-                
-                <div class="goal-card-footer">
-                    <div class="goal-actions">
-                        <button class="btn-icon-action" onclick="toggleGoalStatus(${goal.id})" 
-                                title="${goal.status === 'completed' ? 'Mark as active' : 'Mark as complete'}">
-                            <i class="fas fa-${goal.status === 'completed' ? 'undo' : 'check'}"></i>
-                        </button>
-                        <button class="btn-icon-action" onclick="editGoal(${goal.id})" title="Edit goal">
-                            <i class="fas fa-edit"></i>
-                        </button>
-                        <button class="btn-icon-action delete" onclick="deleteGoal(${goal.id})" title="Delete goal">
-                            <i class="fas fa-trash"></i>
-                        </button>
-                    </div>
+                    </form>
                 </div>
             </div>
-        `;
-    }).join('');
+        </div>
+    `;
+
+    // Added on top of any open modal rather than replacing it
+    const modalContainer = document.getElementById('modalsContainer');
+    if (!modalContainer) return;
+    modalContainer.insertAdjacentHTML('beforeend', modalHTML);
+    document.getElementById('reloginPassword')?.focus();
 }
 
-// Helper function to calculate goal progress
-function calculateGoalProgress(goal) {
-    if (!goal.targetDate || !goal.createdAt) return 0;
+async function submitRelogin() {
+    const identifier = document.getElementById('reloginUsername')?.value.trim();
+    const password = document.getElementById('reloginPassword')?.value;
+    const errorEl = document.getElementById('reloginError');
+    const submitBtn = document.getElementById('reloginSubmit');
+
+    if (!password) {
+        errorEl.textContent = 'Please enter your password';
+        return;
+    }
+
+    // Same backoff as the sign-in page, so this form can't be used to guess faster
+    const accountKey = getLoginAccountKey(identifier || currentUser);
+    const lockout = loginAttempts.getLockoutRemaining(accountKey);
+    if (lockout > 0) {
+        errorEl.textContent = `Too many failed attempts. Try again in ${formatLockoutTime(lockout)}`;
+        return;
+    }
+
+    submitBtn.disabled = true;
+    errorEl.textContent = '';
+
+    try {
+        const response = await fetchWithTimeout(`${API_BASE_URL}/api/auth/login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({
+                usernameOrEmail: identifier,
+                password: password,
+                rememberMe: getTokenStorage() === localStorage
+            })
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!data.success) {
+            const message = data.message || 'Sign in failed';
+            const failureLockout = response.status < 500 ? loginAttempts.recordFailure(accountKey) : 0;
+            errorEl.textContent = failureLockout > 0
+                ? `${message}. Too many failed attempts - try again in ${formatLockoutTime(failureLockout)}`
+                : message;
+            return;
+        }
+        loginAttempts.reset(accountKey);
+        rememberLoginAliases(data.data.user);
+
+        // The local data on this page belongs to currentUser; never mix accounts
+        const user = data.data.user;
+        if (user.username !== currentUser && user.email !== currentUser) {
+            errorEl.textContent = 'That is a different account. Sign out to switch accounts.';
+            return;
+        }
+
+        const tokenStorage = getTokenStorage();
+        storeAuthToken(data.data.token, tokenStorage);
+        tokenStorage.setItem(USER_KEY, JSON.stringify(user));
+
+        closeModal('reloginModal');
+        showToast('Signed in again - syncing your changes', 'success');
+        resumeSession();
+    } catch (error) {
+        console.error('❌ Re-login error:', error);
+        errorEl.textContent = 'Cannot reach the server. Your changes are still saved on this device.';
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// ===== INITIALIZATION FUNCTIONS =====
+function initializeCalendar() {
+    if (Object.keys(appData.calendar).length > 0) return;
     
-    const createdDate = new Date(goal.createdAt);
-    const targetDate = new Date(goal.targetDate);
-    const currentDate = new Date();
+    const currentYear = new Date().getFullYear();
+    const startDate = new Date(currentYear, 0, 1);
+    const endDate = new Date(currentYear, 11, 31);
     
-    // If target date is in the past
-    if (currentDate >= targetDate) return 100;
+    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+        const dateStr = toDateKey(d);
+        if (!appData.calendar[dateStr]) {
+            appData.calendar[dateStr] = {
+                plannedHours: 8,
+                actualHours: 0,
+                tasks: [],
+                notes: '',
+                status: 'planned',
+                createdAt: new Date().toISOString()
+            };
+        }
+    }
     
-    // If created date is in the future (shouldn't happen)
-    if (currentDate <= createdDate) return 0;
+    saveAppData();
+}
+
+function initializeSampleData() {
+    // Add sample goals if empty
+    if (appData.goals.length === 0) {
+        appData.goals = [
+            {
+                id: 1,
+                title: 'Learn JavaScript Advanced Concepts',
+                description: 'Master async/await, closures, and design patterns',
+                targetDate: '2026-06-30',
+                priority: 'high',
+                category: 'study',
+                status: 'active',
+                createdAt: '2026-01-01T00:00:00.000Z',
+                updatedAt: '2026-01-01T00:00:00.000Z'
+            },
+            {
+                id: 2,
+                title: 'Build 5 Real Projects',
+                description: 'Complete 5 full-stack applications for portfolio',
+                targetDate: '2026-12-31',
+                priority: 'medium',
+                category: 'career',
+                status: 'active',
+                createdAt: '2026-01-01T00:00:00.000Z',
+                updatedAt: '2026-01-01T00:00:00.000Z'
+            }
+        ];
+        
+        addNotification(
+            'Welcome to DailyFlow!',
+            'We\'ve added some sample goals to get you started. You can edit or delete them.',
+            'info',
+            { page: 'goals' }
+        );
+    }
+    
+    // Add sample projects if empty
+    if (appData.projects.length === 0) {
+        appData.projects = [
+            {
+                id: 1,
+                name: 'DailyFlow App',
+                description: 'Life dashboard for tracking goals, habits, and progress',
+                category: 'coding',
+                tech: 'HTML, CSS, JavaScript',
+                startDate: '2026-01-01',
+                deadline: '2026-01-31',
+                progress: 80,
+                status: 'inprogress',
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            }
+        ];
+    }
+    
+    // Add sample habits if empty
+    if (appData.habits.length === 0) {
+        appData.habits = [
+            {
+                id: 1,
+                name: 'Morning Exercise',
+                description: '30 minutes of exercise every morning',
+                category: 'health',
+                frequency: 'daily',
+                reminder: '07:00',
+                streak: 0,
+                completedDates: [],
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            },
+            {
+                id: 2,
+                name: 'Read 30 Pages',
+                description: 'Read at least 30 pages every day',
+                category: 'learning',
+                frequency: 'daily',
+                reminder: '',
+                streak: 0,
+                completedDates: [],
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            }
+        ];
+    }
+    
+    saveAppData();
+}
+
+function checkMissedDays() {
+    const today = new Date();
+    const yesterday = new Date(today);
+    yesterday.setDate(yesterday.getDate() - 1);
+    const yesterdayStr = toDateKey(yesterday);
+    
+    // Today's recurring tasks show up as soon as the day starts
+    if (materializeRecurringTasks(toDateKey(today))) updateDashboard();
+    
+    applyStreakFreezes();
+    if (isRestDay(yesterdayStr)) return;
+    
+    // Check if yesterday was planned but not completed
+    if (appData.calendar[yesterdayStr] && 
+        appData.calendar[yesterdayStr].status === 'planned' &&
+        appData.calendar[yesterdayStr].actualHours === 0) {
+        
+        const hasNotification = notifications.some(n => 
+            n.message && n.message.includes('missed logging') && 
+            new Date(n.timestamp).toDateString() === today.toDateString()
+        );
+        
+        if (!hasNotification) {
+            addNotification(
+                'Missed Day Detected',
+                `You didn't log any hours for ${yesterday.toLocaleDateString()}. Click to log it now.`,
+                'warning',
+                { modal: 'day' }
+            );
+        }
+    }
+}
+
+// ===== EVENT LISTENERS =====
+function setupEventListeners() {
+    // Mobile menu toggle
+    const mobileMenuBtn = document.getElementById('mobileMenuBtn');
+    if (mobileMenuBtn) {
+        mobileMenuBtn.addEventListener('click', function(e) {
+            e.stopPropagation(); // Prevent event bubbling
+            toggleSidebar();
+        });
+    }
+    
+    // Navigation items
+    document.querySelectorAll('.nav-item').forEach(item => {
+        item.addEventListener('click', function(e) {
+            e.preventDefault();
+            const page = this.getAttribute('href').substring(1);
+            showPage(page);
+        });
+    });
+    
+    // Close sidebar when clicking outside on mobile
+    document.addEventListener('click', function(e) {
+        const sidebar = document.getElementById('sidebar');
+        const mobileMenuBtn = document.getElementById('mobileMenuBtn');
+        
+        if (window.innerWidth <= 1024 && 
+            sidebar && sidebar.classList.contains('open') &&
+            !sidebar.contains(e.target) && 
+            mobileMenuBtn && !mobileMenuBtn.contains(e.target)) {
+            toggleSidebar();
+        }
+    });
+    
+    // Keyboard shortcuts
+    document.addEventListener('keydown', handleKeyboardShortcuts);
+}
+
+// ===== SIDEBAR FUNCTIONS =====
+function toggleSidebar() {
+    const sidebar = document.getElementById('sidebar');
+    const mobileMenuBtn = document.getElementById('mobileMenuBtn');
+    
+    if (sidebar) {
+        sidebar.classList.toggle('open');
+        
+        // Update hamburger icon
+        if (mobileMenuBtn) {
+            if (sidebar.classList.contains('open')) {
+                mobileMenuBtn.innerHTML = '<i class="fas fa-times"></i>';
+                mobileMenuBtn.style.transform = 'rotate(90deg)';
+            } else {
+                mobileMenuBtn.innerHTML = '<i class="fas fa-bars"></i>';
+                mobileMenuBtn.style.transform = 'rotate(0)';
+            }
+        }
+    }
+}
+
+// ===== PAGE MANAGEMENT =====
+function showPage(pageName) {
+    // Hide all pages
+    document.querySelectorAll('.page').forEach(page => {
+        page.classList.remove('active');
+    });
+    
+    // Remove active class from all nav items
+    document.querySelectorAll('.nav-item').forEach(item => {
+        item.classList.remove('active');
+    });
+    
+    // Show selected page
+    const pageElement = document.getElementById(`${pageName}Page`);
+    if (pageElement) {
+        pageElement.classList.add('active');
+        
+        // Update active nav item
+        const navItem = document.querySelector(`.nav-item[href="#${pageName}"]`);
+        if (navItem) {
+            navItem.classList.add('active');
+        }
+        
+        // Update page title
+        updatePageTitle(pageName);
+        
+        // Load page content
+        loadPageContent(pageName);
+        
+        // Close sidebar on mobile
+        if (window.innerWidth <= 1024) {
+            toggleSidebar();
+        }
+    }
+    
+    currentPage = pageName;
+}
+
+function updatePageTitle(pageName) {
+    const titles = {
+        dashboard: 'Dashboard',
+        calendar: 'Calendar',
+        goals: 'Goals',
+        projects: 'Projects',
+        habits: 'Habits',
+        stats: 'Statistics'
+    };
+    
+    const title = titles[pageName] || 'Dashboard';
+    const pageTitle = document.getElementById('pageTitle');
+    const breadcrumb = document.getElementById('breadcrumb');
+    
+    if (pageTitle) pageTitle.textContent = title;
+    if (breadcrumb) breadcrumb.textContent = `Life Dashboard / ${title}`;
+}
+
+function loadPageContent(pageName) {
+    switch(pageName) {
+        case 'dashboard':
+            updateDashboard();
+            break;
+        case 'calendar':
+            loadCalendarPage();
+            break;
+        case 'goals':
+            loadGoalsPage();
+            break;
+        case 'projects':
+            loadProjectsPage();
+            break;
+        case 'habits':
+            loadHabitsPage();
+            break;
+        case 'stats':
+            loadStatsPage();
+            break;
+    }
+}
+
+// ===== DASHBOARD FUNCTIONS =====
+function updateDashboard() {
+    updateStats();
+    updateRecentActivity();
+    updateWeekCalendar();
+    updateUpcomingDeadlines();
+    updateNavBadges();
+}
+
+function updateStats() {
+    // Today's progress
+    const today = toDateKey();
+    const todayData = appData.calendar[today] || { tasks: [], actualHours: 0, plannedHours: 8 };
+    const completedTasks = todayData.tasks ? todayData.tasks.filter(task => task.completed).length : 0;
+    const totalTasks = todayData.tasks ? todayData.tasks.length : 0;
+    const progress = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+    
+    const todayProgress = document.getElementById('todayProgress');
+    const todayTasks = document.getElementById('todayTasks');
+    
+    if (todayProgress) todayProgress.textContent = `${progress}%`;
+    if (todayTasks) todayTasks.textContent = `${completedTasks}/${totalTasks} tasks`;
+    
+    // Goals achieved
+    const completedGoals = appData.goals.filter(goal => goal.status === 'completed').length;
+    const totalGoals = appData.goals.length;
+    const goalsProgress = totalGoals > 0 ? Math.round((completedGoals / totalGoals) * 100) : 0;
+    
+    const goalsAchieved = document.getElementById('goalsAchieved');
+    const goalsCount = document.getElementById('goalsCount');
+    
+    if (goalsAchieved) goalsAchieved.textContent = `${goalsProgress}%`;
+    if (goalsCount) goalsCount.textContent = `${completedGoals}/${totalGoals} goals`;
+    
+    // Active projects
+    const activeProjects = appData.projects.filter(project => project.status === 'inprogress').length;
+    const activeProjectsEl = document.getElementById('activeProjects');
+    const projectsStatus = document.getElementById('projectsStatus');
+    
+    if (activeProjectsEl) activeProjectsEl.textContent = activeProjects;
+    if (projectsStatus) projectsStatus.textContent = activeProjects > 0 ? 'In progress' : 'No active projects';
+    
+    // Total study hours (this month)
+    const currentMonth = new Date().getMonth();
+    const currentYear = new Date().getFullYear();
+    const monthlyHours = Object.entries(appData.calendar)
+        .filter(([date]) => {
+            const d = parseDateKey(date);
+            return d.getMonth() === currentMonth && d.getFullYear() === currentYear;
+        })
+        .reduce((sum, [, data]) => sum + (data.actualHours || 0), 0);
+    
+    const totalStudyHours = document.getElementById('totalStudyHours');
+    if (totalStudyHours) totalStudyHours.textContent = monthlyHours;
+}
+
+function updateRecentActivity() {
+    const container = document.getElementById('recentActivity');
+    if (!container) return;
+    
+    // Get recent days (last 5 days)
+    const recentDays = Object.entries(appData.calendar)
+        .sort(([dateA], [dateB]) => parseDateKey(dateB) - parseDateKey(dateA))
+        .slice(0, 5);
+    
+    if (recentDays.length === 0) {
+        container.innerHTML = `
+            <div class="activity-item">
+                <div class="activity-icon" style="background: linear-gradient(135deg, #6366f1, #8b5cf6);">
+                    <i class="fas fa-info-circle"></i>
+                </div>
+                <div class="activity-content">
+                    <div class="activity-title">No activity yet</div>
+                    <p class="activity-desc">Start logging your daily tasks to see activity here</p>
+                </div>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    recentDays.forEach(([date, data]) => {
+        const dateObj = parseDateKey(date);
+        const today = new Date().toDateString();
+        const dateStr = dateObj.toDateString() === today ? 'Today' : dateObj.toLocaleDateString('en-US', { 
+            weekday: 'short', 
+            month: 'short', 
+            day: 'numeric' 
+        });
+        
+        let icon = 'fa-calendar-check';
+        let color = 'linear-gradient(135deg, #10b981, #34d399)';
+        let title = 'Day Completed';
+        let desc = `${data.actualHours || 0}h studied`;
+        
+        if (data.status === 'missed') {
+            icon = 'fa-calendar-times';
+            color = 'linear-gradient(135deg, #ef4444, #f87171)';
+            title = 'Day Missed';
+            desc = 'No study hours logged';
+        } else if (data.status === 'planned') {
+            icon = 'fa-calendar-plus';
+            color = 'linear-gradient(135deg, #f59e0b, #fbbf24)';
+            title = 'Day Planned';
+            desc = `${data.plannedHours || 8}h planned`;
+        }
+        
+        const activityItem = document.createElement('div');
+        activityItem.className = 'activity-item';
+        activityItem.innerHTML = `
+            <div class="activity-icon" style="background: ${color};">
+                <i class="fas ${icon}"></i>
+            </div>
+            <div class="activity-content">
+                <div class="activity-title">${title}</div>
+                <p class="activity-desc">${desc}</p>
+                <div class="activity-time">${dateStr}</div>
+            </div>
+        `;
+        
+        activityItem.addEventListener('click', () => showDayModal(dateObj));
+        container.appendChild(activityItem);
+    });
+}
+
+function updateWeekCalendar() {
+    const container = document.getElementById('weekCalendar');
+    const currentWeek = document.getElementById('currentWeek');
+    
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    // Get current week with offset
+    const currentDate = new Date();
+    const adjustedDate = new Date(currentDate);
+    adjustedDate.setDate(currentDate.getDate() + (currentWeekOffset * 7));
+    const currentDay = adjustedDate.getDay();
+    const startDate = new Date(adjustedDate);
+    startDate.setDate(adjustedDate.getDate() - currentDay);
+    
+    // Update week display
+    const weekNumber = getWeekNumber(adjustedDate);
+    if (currentWeek) currentWeek.textContent = `Week ${weekNumber}`;
+    
+    // Generate days for the week
+    for (let i = 0; i < 7; i++) {
+        const dayDate = new Date(startDate);
+        dayDate.setDate(startDate.getDate() + i);
+        const dateStr = toDateKey(dayDate);
+        const dayData = appData.calendar[dateStr];
+        const isToday = dayDate.toDateString() === new Date().toDateString();
+        
+        const dayCell = document.createElement('div');
+        dayCell.className = 'day-cell';
+        if (isToday) dayCell.classList.add('today');
+        if (dayData) {
+            if (dayData.status === 'completed') dayCell.classList.add('completed');
+            else if (dayData.status === 'missed') dayCell.classList.add('missed');
+        }
+        if (isRestDay(dateStr) && dayData?.status !== 'completed') {
+            dayCell.classList.add('rest-day');
+            dayCell.title = describeRestDay(dateStr);
+        }
+        
+        const upcoming = dateStr >= toDateKey() ? getPendingRecurringTasks(dateStr) : [];
+        
+        dayCell.innerHTML = `
+            <div class="day-number">${dayDate.getDate()}</div>
+            <div class="day-name">${dayDate.toLocaleDateString('en-US', { weekday: 'short' })}</div>
+            ${upcoming.length > 0 ? `
+                <div class="day-recurring" title="${escapeHtml(upcoming.map(rule => rule.text).join(', '))}">
+                    <i class="fas fa-redo"></i> ${upcoming.length}
+                </div>
+            ` : ''}
+        `;
+        
+        dayCell.addEventListener('click', () => showDayModal(dayDate));
+        container.appendChild(dayCell);
+    }
+}
+
+function updateUpcomingDeadlines() {
+    const container = document.getElementById('upcomingDeadlines');
+    if (!container) return;
+    
+    // Combine goals and projects with deadlines
+    const deadlines = [];
+    
+    // Add goals with target dates
+    appData.goals.forEach(goal => {
+        if (goal.targetDate && goal.status !== 'completed') {
+            deadlines.push({
+                type: 'goal',
+                id: goal.id,
+                title: goal.title,
+                date: parseDateKey(goal.targetDate),
+                description: goal.description,
+                completed: false
+            });
+        }
+    });
+    
+    // Add open milestones of goals that are still running
+    appData.goals.forEach(goal => {
+        if (goal.status === 'completed') return;
+        (goal.milestones || []).forEach(milestone => {
+            if (milestone.dueDate && !milestone.completed) {
+                deadlines.push({
+                    type: 'milestone',
+                    id: goal.id,
+                    title: milestone.title,
+                    date: parseDateKey(milestone.dueDate),
+                    description: `Milestone · ${goal.title}`,
+                    completed: false
+                });
+            }
+        });
+    });
+    
+    // Add projects with deadlines
+    appData.projects.forEach(project => {
+        if (project.deadline && project.status !== 'completed') {
+            deadlines.push({
+                type: 'project',
+                id: project.id,
+                title: project.name,
+                date: parseDateKey(project.deadline),
+                description: project.description,
+                completed: false
+            });
+        }
+    });
+    
+    // Sort by date (closest first)
+    deadlines.sort((a, b) => a.date - b.date);
+    
+    // Get next 5 deadlines
+    const upcoming = deadlines.slice(0, 5);
+    
+    if (upcoming.length === 0) {
+        container.innerHTML = `
+            <div class="deadline-item">
+                <div class="deadline-checkbox"></div>
+                <div class="deadline-content">
+                    <div class="deadline-title">No upcoming deadlines</div>
+                    <p class="deadline-desc">Add goals or projects with deadlines to see them here</p>
+                </div>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    upcoming.forEach(deadline => {
+        const daysUntil = Math.ceil((deadline.date - new Date()) / (1000 * 60 * 60 * 24));
+        let urgencyClass = '';
+        
+        if (daysUntil <= 1) urgencyClass = 'urgent';
+        else if (daysUntil <= 3) urgencyClass = 'warning';
+        
+        const deadlineItem = document.createElement('div');
+        deadlineItem.className = `deadline-item ${urgencyClass}`;
+        deadlineItem.innerHTML = `
+            <div class="deadline-checkbox ${deadline.completed ? 'checked' : ''}">
+                ${deadline.completed ? '✓' : ''}
+            </div>
+            <div class="deadline-content">
+                <div class="deadline-title">${deadline.title}</div>
+                <p class="deadline-desc">${deadline.description || 'No description'}</p>
+                <div class="deadline-date">
+                    <i class="far fa-calendar"></i>
+                    ${deadline.date.toLocaleDateString('en-US', { 
+                        weekday: 'short', 
+                        month: 'short', 
+                        day: 'numeric' 
+                    })}
+                    ${daysUntil > 0 ? `(${daysUntil} day${daysUntil !== 1 ? 's' : ''} left)` : '(Today)'}
+                </div>
+            </div>
+        `;
+        
+        deadlineItem.addEventListener('click', () => {
+            if (deadline.type === 'goal' || deadline.type === 'milestone') {
+                showGoalModal(deadline.id);
+            } else {
+                showProjectModal(deadline.id);
+            }
+        });
+        
+        container.appendChild(deadlineItem);
+    });
+}
+
+function updateNavBadges() {
+    // Dashboard badge - incomplete tasks today
+    const today = toDateKey();
+    const todayData = appData.calendar[today];
+    const dashboardBadge = document.getElementById('navDashboardBadge');
+    if (dashboardBadge && todayData && todayData.tasks) {
+        const incomplete = todayData.tasks.filter(t => !t.completed).length;
+        dashboardBadge.textContent = incomplete > 0 ? incomplete : '';
+        dashboardBadge.style.display = incomplete > 0 ? 'inline-flex' : 'none';
+    }
+    
+    // Calendar badge - missed days
+    const calendarBadge = document.getElementById('navCalendarBadge');
+    if (calendarBadge) {
+        const missedDays = Object.values(appData.calendar).filter(d => d.status === 'missed').length;
+        calendarBadge.textContent = missedDays > 0 ? missedDays : '';
+        calendarBadge.style.display = missedDays > 0 ? 'inline-flex' : 'none';
+    }
+    
+    // Goals badge - active goals
+    const goalsBadge = document.getElementById('navGoalsBadge');
+    if (goalsBadge) {
+        const activeGoals = appData.goals.filter(g => g.status === 'active').length;
+        goalsBadge.textContent = activeGoals > 0 ? activeGoals : '';
+        goalsBadge.style.display = activeGoals > 0 ? 'inline-flex' : 'none';
+    }
+    
+    // Projects badge - in progress projects
+    const projectsBadge = document.getElementById('navProjectsBadge');
+    if (projectsBadge) {
+        const activeProjects = appData.projects.filter(p => p.status === 'inprogress').length;
+        projectsBadge.textContent = activeProjects > 0 ? activeProjects : '';
+        projectsBadge.style.display = activeProjects > 0 ? 'inline-flex' : 'none';
+    }
+    
+    // Habits badge - habits to complete today
+    const habitsBadge = document.getElementById('navHabitsBadge');
+    if (habitsBadge) {
+        const todayStr = toDateKey();
+        const habitsToComplete = appData.habits.filter(habit => 
+            isHabitDueOn(habit, todayStr) && !habit.completedDates?.includes(todayStr)
+        ).length;
+        habitsBadge.textContent = habitsToComplete > 0 ? habitsToComplete : '';
+        habitsBadge.style.display = habitsToComplete > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+// ===== DAY MODAL FUNCTIONS =====
+function showDayModal(date) {
+    const dateStr = typeof date === 'string' ? date : toDateKey(date);
+    materializeRecurringTasks(dateStr);
+    const dayData = appData.calendar[dateStr] || {
+        plannedHours: 8,
+        actualHours: 0,
+        tasks: [],
+        notes: '',
+        status: 'planned'
+    };
+    // An unsaved day shows its recurring tasks; saveDayData stores them
+    if (!appData.calendar[dateStr]) addRecurringOccurrences(dayData, dateStr);
+    const hasBlocks = (dayData.blocks || []).length > 0;
+    
+    // Time blocks link to tasks by id
+    (dayData.tasks || []).forEach((task, index) => {
+        if (!task.id) task.id = Date.now() + index;
+    });
+    dayPlanner = { dateStr, activities: [], selected: null };
+    
+    const modalHTML = `
+        <div class="modal-overlay" id="dayModal">
+            <div class="modal" style="max-width: 640px;">
+                <div class="modal-header">
+                    <h3>${parseDateKey(dateStr).toLocaleDateString('en-US', { 
+                        weekday: 'long', 
+                        year: 'numeric', 
+                        month: 'long', 
+                        day: 'numeric' 
+                    })}</h3>
+                    <button class="modal-close" onclick="closeModal('dayModal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${isRestDay(dateStr) ? `
+                        <div class="rest-day-banner">
+                            <i class="fas fa-${isFrozenDay(dateStr) ? 'snowflake' : 'umbrella-beach'}"></i>
+                            ${escapeHtml(describeRestDay(dateStr))} - streaks are paused today
+                        </div>
+                    ` : ''}
+                    <div class="form-group">
+                        <label class="form-label">Planned Study Hours</label>
+                        <input type="number" id="plannedHours" class="form-control" 
+                               min="0" max="24" value="${dayData.plannedHours || 8}" ${hasBlocks ? 'readonly' : ''}
+                               title="${hasBlocks ? 'Worked out from your time blocks' : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Actual Hours Studied</label>
+                        <input type="number" id="actualHours" class="form-control" 
+                               min="0" max="24" step="0.25" value="${dayData.actualHours || 0}">
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Tasks for Today</label>
+                        <div id="tasksList">
+                            ${renderTasksList(dayData.tasks || [], dateStr)}
+                        </div>
+                        <button class="btn btn-outline" onclick="addTaskInput()" style="margin-top: 10px;">
+                            <i class="fas fa-plus"></i> Add Task
+                        </button>
+                        <button class="btn btn-outline" onclick="showRecurringTasksModal({ returnDate: '${dateStr}' })" style="margin-top: 10px;">
+                            <i class="fas fa-redo"></i> Recurring Tasks
+                        </button>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Time Blocks</label>
+                        <div id="dayPlanner" class="day-planner">
+                            ${renderDayPlanner()}
+                        </div>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Notes & Reflection</label>
+                        <textarea id="dayNotes" class="form-control" rows="4" 
+                                  placeholder="How did today go? What could be improved?">${dayData.notes || ''}</textarea>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Status</label>
+                        <select id="dayStatus" class="form-control">
+                            <option value="planned" ${dayData.status === 'planned' ? 'selected' : ''}>Planned</option>
+                            <option value="inprogress" ${dayData.status === 'inprogress' ? 'selected' : ''}>In Progress</option>
+                            <option value="completed" ${dayData.status === 'completed' ? 'selected' : ''}>Completed</option>
+                            <option value="missed" ${dayData.status === 'missed' ? 'selected' : ''}>Missed</option>
+                        </select>
+                    </div>
+                    
+                    <div class="modal-actions">
+                        <button class="btn btn-danger" onclick="deleteDayData('${dateStr}')">
+                            <i class="fas fa-trash"></i> Delete
+                        </button>
+                        <div style="flex: 1"></div>
+                        <button class="btn btn-outline" onclick="closeModal('dayModal')">
+                            Cancel
+                        </button>
+                        <button class="btn btn-primary" onclick="saveDayData('${dateStr}')">
+                            <i class="fas fa-save"></i> Save
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const modalContainer = document.getElementById('modalsContainer');
+    modalContainer.innerHTML = modalHTML;
+}
+
+function renderTasksList(tasks, dateStr = toDateKey()) {
+    if (tasks.length === 0) {
+        return '<div style="color: var(--text-muted); font-style: italic; padding: 10px; text-align: center;">No tasks added yet</div>';
+    }
+    
+    let html = '';
+    tasks.forEach((task, index) => {
+        const rule = task.recurringId ? getRecurringTask(task.recurringId) : null;
+        html += `
+            <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px; padding: 8px; background: var(--bg-tertiary); border-radius: 8px;"
+                 ${task.id ? `data-task-id="${task.id}"` : ''} ${task.recurringId ? `data-recurring-id="${task.recurringId}"` : ''}>
+                <input type="checkbox" id="task-${index}" ${task.completed ? 'checked' : ''} 
+                       onchange="updateTaskCompletion('${dateStr}', ${index}, this.checked)">
+                ${task.recurringId ? `
+                    <i class="fas fa-redo recurring-task-icon" title="${rule ? `Repeats ${escapeHtml(describeRecurrence(rule).toLowerCase())}` : 'From a recurring task'} - changes here only affect this day"></i>
+                ` : ''}
+                <input type="text" class="form-control" value="${task.text || ''}" 
+                       style="flex: 1;" onchange="updateTaskText('${dateStr}', ${index}, this.value)">
+                <button class="btn-icon-sm" onclick="removeTask('${dateStr}', ${index})" style="color: var(--danger-500);">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    });
+    return html;
+}
+
+function addTaskInput() {
+    const tasksList = document.getElementById('tasksList');
+    const taskCount = tasksList.querySelectorAll('div[style*="display: flex"]').length;
+    
+    const taskDiv = document.createElement('div');
+    taskDiv.style.cssText = 'display: flex; align-items: center; gap: 10px; margin-bottom: 8px; padding: 8px; background: var(--bg-tertiary); border-radius: 8px;';
+    taskDiv.innerHTML = `
+        <input type="checkbox" id="task-new-${taskCount}">
+        <input type="text" class="form-control" placeholder="Enter task description" style="flex: 1;">
+        <button class="btn-icon-sm" onclick="this.parentElement.remove()" style="color: var(--danger-500);">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    
+    tasksList.appendChild(taskDiv);
+}
+
+function saveDayData(dateStr) {
+    const blocks = getDayBlocks(dateStr);
+    // Time blocks, when there are any, set the plan
+    const plannedHours = blocks.length > 0 ? getBlockHours(blocks) : parseInt(document.getElementById('plannedHours').value) || 0;
+    // Timer entries add fractional hours
+    const actualHours = parseFloat(document.getElementById('actualHours').value) || 0;
+    const notes = document.getElementById('dayNotes').value;
+    const status = document.getElementById('dayStatus').value;
+    
+    // Get tasks from inputs
+    const taskInputs = document.querySelectorAll('#tasksList input[type="text"]');
+    const taskCheckboxes = document.querySelectorAll('#tasksList input[type="checkbox"]');
+    
+    const tasks = Array.from(taskInputs).map((input, index) => ({
+        id: Number(input.parentElement.dataset.taskId) || Date.now() + index,
+        text: input.value.trim(),
+        completed: taskCheckboxes[index] ? taskCheckboxes[index].checked : false,
+        // Occurrences of a recurring task stay linked to their rule
+        ...(input.parentElement.dataset.recurringId ? { recurringId: Number(input.parentElement.dataset.recurringId) } : {}),
+        createdAt: new Date().toISOString()
+    })).filter(task => task.text);
+    
+    // Save day data
+    appData.calendar[dateStr] = {
+        ...appData.calendar[dateStr],
+        plannedHours,
+        actualHours,
+        tasks,
+        notes,
+        status,
+        updatedAt: new Date().toISOString()
+    };
+    // Occurrences shown before the day existed count as applied, even ones removed before saving
+    const pendingRules = getPendingRecurringTasks(dateStr);
+    if (pendingRules.length > 0) {
+        appData.calendar[dateStr].recurringApplied = [
+            ...(appData.calendar[dateStr].recurringApplied || []),
+            ...pendingRules.map(rule => rule.id)
+        ];
+    }
+    
+    if (status === 'completed') {
+        refundStreakFreeze(dateStr);
+        awardStreakFreeze(calculateStreaks().currentStreak);
+    }
+    
+    queueMutation('calendar', 'upsert', dateStr, appData.calendar[dateStr]);
+    saveAppData();
+    updateDashboard();
+    
+    // Add notification for completed day
+    if (status === 'completed' && actualHours > 0) {
+        addNotification(
+            'Day Completed!',
+            `Great job! You studied ${actualHours} hours on ${parseDateKey(dateStr).toLocaleDateString()}.`,
+            'success'
+        );
+    }
+    
+    showToast('Day saved successfully!', 'success');
+    closeModal('dayModal');
+}
+
+function deleteDayData(dateStr) {
+    if (confirm('Are you sure you want to delete this day\'s data?')) {
+        delete appData.calendar[dateStr];
+        saveAppRecord('calendar', dateStr);
+        updateDashboard();
+        showToast('Day data deleted', 'success');
+        closeModal('dayModal');
+    }
+}
+
+function updateTaskCompletion(dateStr, index, completed) {
+    if (appData.calendar[dateStr] && appData.calendar[dateStr].tasks[index]) {
+        appData.calendar[dateStr].tasks[index].completed = completed;
+        saveAppRecord('calendar', dateStr);
+        updateDashboard();
+    }
+}
+
+function updateTaskText(dateStr, index, text) {
+    if (appData.calendar[dateStr] && appData.calendar[dateStr].tasks[index]) {
+        appData.calendar[dateStr].tasks[index].text = text;
+        saveAppRecord('calendar', dateStr);
+        refreshDayPlanner();
+    }
+}
+
+function removeTask(dateStr, index) {
+    if (appData.calendar[dateStr] && appData.calendar[dateStr].tasks[index]) {
+        appData.calendar[dateStr].tasks.splice(index, 1);
+        saveAppRecord('calendar', dateStr);
+        updateDashboard();
+        showDayModal(dateStr); // Refresh the modal
+    }
+}
+
+// ===== RECURRING TASKS =====
+// Rules live in settings.recurringTasks as { id, text, frequency, days,
+// dayOfMonth, startDate }. When a day is opened, each rule due that day adds
+// a copy of its task (with recurringId) to the day's task list and is noted
+// in day.recurringApplied, so editing or removing that copy leaves the rule
+// alone and a removed occurrence doesn't come back. Days with nothing stored
+// yet (other than today) only get a record once the day modal is saved.
+const RECURRENCE_TYPES = {
+    daily: 'Every day',
+    weekdays: 'Weekdays',
+    weekly: 'Weekly',
+    monthly: 'Monthly'
+};
+
+function getRecurringTasks() {
+    return appData.settings.recurringTasks || [];
+}
+
+function getRecurringTask(ruleId) {
+    return getRecurringTasks().find(rule => rule.id === ruleId) || null;
+}
+
+function doesRecurringTaskOccur(rule, dateKey) {
+    if (dateKey < rule.startDate) return false;
+    const date = parseDateKey(dateKey);
+    
+    switch (rule.frequency) {
+        case 'weekdays':
+            return date.getDay() >= 1 && date.getDay() <= 5;
+        case 'weekly':
+            return (rule.days || []).includes(date.getDay());
+        case 'monthly': {
+            // The 31st falls on the last day of shorter months
+            const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+            return date.getDate() === Math.min(rule.dayOfMonth || 1, lastDay);
+        }
+        default:
+            return true;
+    }
+}
+
+// Rules due on dateKey that have not been added to that day yet
+function getPendingRecurringTasks(dateKey) {
+    const applied = appData.calendar[dateKey]?.recurringApplied || [];
+    return getRecurringTasks().filter(rule => !applied.includes(rule.id) && doesRecurringTaskOccur(rule, dateKey));
+}
+
+// Adds the pending occurrences to a day object; returns how many were added
+function addRecurringOccurrences(day, dateKey) {
+    const pending = getPendingRecurringTasks(dateKey);
+    if (pending.length === 0) return 0;
+    
+    const now = new Date().toISOString();
+    const firstId = Date.now() + (day.tasks || []).length;
+    day.tasks = [...(day.tasks || []), ...pending.map((rule, index) => ({
+        id: firstId + index,
+        text: rule.text,
+        completed: false,
+        recurringId: rule.id,
+        createdAt: now
+    }))];
+    day.recurringApplied = [...(day.recurringApplied || []), ...pending.map(rule => rule.id)];
+    return pending.length;
+}
+
+// Stores the occurrences on days that already exist and on today.
+// Returns true if any tasks were added.
+function materializeRecurringTasks(dateKey) {
+    if (!appData.calendar[dateKey] && dateKey !== toDateKey()) return false;
+    
+    const day = appData.calendar[dateKey] || {
+        plannedHours: 8,
+        actualHours: 0,
+        tasks: [],
+        notes: '',
+        status: 'planned'
+    };
+    if (addRecurringOccurrences(day, dateKey) === 0) return false;
+    
+    day.updatedAt = new Date().toISOString();
+    appData.calendar[dateKey] = day;
+    saveAppRecord('calendar', dateKey);
+    return true;
+}
+
+function describeRecurrence(rule) {
+    switch (rule.frequency) {
+        case 'weekly':
+            return `Every ${[...(rule.days || [])].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+        case 'monthly':
+            return `Monthly on day ${rule.dayOfMonth}`;
+        default:
+            return RECURRENCE_TYPES[rule.frequency] || RECURRENCE_TYPES.daily;
+    }
+}
+
+// returnDate reopens that day's modal on close; editId loads a rule into the form
+function showRecurringTasksModal({ editId = null, returnDate = null } = {}) {
+    const editing = editId ? getRecurringTask(editId) : null;
+    const rule = editing || {
+        frequency: 'daily',
+        days: [parseDateKey(returnDate || toDateKey()).getDay()],
+        dayOfMonth: parseDateKey(returnDate || toDateKey()).getDate(),
+        startDate: returnDate && returnDate > toDateKey() ? returnDate : toDateKey()
+    };
+    const returnArg = returnDate ? `'${returnDate}'` : 'null';
+    
+    const modalHTML = `
+        <div class="modal-overlay" id="recurringTasksModal">
+            <div class="modal" style="max-width: 540px;">
+                <div class="modal-header">
+                    <h3>Recurring Tasks</h3>
+                    <button class="modal-close" onclick="closeRecurringTasksModal(${returnArg})">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="form-group">
+                        ${getRecurringTasks().length > 0 ? getRecurringTasks().map(item => `
+                            <div class="recurring-task-item ${item.id === editId ? 'editing' : ''}">
+                                <i class="fas fa-redo"></i>
+                                <div class="recurring-task-info">
+                                    <div class="recurring-task-text">${escapeHtml(item.text)}</div>
+                                    <div class="recurring-task-meta">${describeRecurrence(item)} · from ${formatShortDate(item.startDate)}</div>
+                                </div>
+                                <button class="btn-icon-sm" onclick="showRecurringTasksModal({ editId: ${item.id}, returnDate: ${returnArg} })" title="Edit rule">
+                                    <i class="fas fa-edit"></i>
+                                </button>
+                                <button class="btn-icon-sm" onclick="deleteRecurringTask(${item.id}, ${returnArg})" title="Delete rule">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </div>
+                        `).join('') : '<p class="goal-log-empty">No recurring tasks yet</p>'}
+                    </div>
+                    
+                    <label class="form-label">${editing ? 'Edit Rule' : 'New Recurring Task'}</label>
+                    <div class="form-group">
+                        <input type="text" id="recurringTaskText" class="form-control"
+                               placeholder="e.g., Review flashcards" value="${escapeHtml(editing?.text || '')}">
+                    </div>
+                    
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label class="form-label">Repeats</label>
+                            <select id="recurringTaskFrequency" class="form-control" onchange="updateRecurringTaskFields()">
+                                ${Object.entries(RECURRENCE_TYPES).map(([value, label]) => `
+                                    <option value="${value}" ${rule.frequency === value ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Starting</label>
+                            <input type="date" id="recurringTaskStart" class="form-control" value="${rule.startDate}">
+                        </div>
+                    </div>
+                    
+                    <div class="form-group recurring-option" data-frequency="weekly" ${rule.frequency === 'weekly' ? '' : 'style="display: none;"'}>
+                        <label class="form-label">On these days</label>
+                        <div class="habit-weekday-picker" id="recurringTaskDays">
+                            ${[1, 2, 3, 4, 5, 6, 0].map(day => `
+                                <label class="habit-weekday">
+                                    <input type="checkbox" value="${day}" ${(rule.days || []).includes(day) ? 'checked' : ''}>
+                                    <span>${WEEKDAY_NAMES[day]}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                    
+                    <div class="form-group recurring-option" data-frequency="monthly" ${rule.frequency === 'monthly' ? '' : 'style="display: none;"'}>
+                        <label class="form-label">Day of the month</label>
+                        <input type="number" id="recurringTaskDayOfMonth" class="form-control" min="1" max="31" value="${rule.dayOfMonth || 1}">
+                    </div>
+                    
+                    <p class="recurring-task-hint">
+                        Changes apply to days that haven't been opened yet. Tasks already on a day are kept as they are.
+                    </p>
+                    
+                    <div class="modal-actions">
+                        ${editing ? `
+                            <button class="btn btn-outline" onclick="showRecurringTasksModal({ returnDate: ${returnArg} })">
+                                Cancel Edit
+                            </button>
+                        ` : ''}
+                        <div style="flex: 1"></div>
+                        <button class="btn btn-outline" onclick="closeRecurringTasksModal(${returnArg})">
+                            ${returnDate ? 'Back to Day' : 'Close'}
+                        </button>
+                        <button class="btn btn-primary" onclick="saveRecurringTask(${editing ? editing.id : 'null'}, ${returnArg})">
+                            <i class="fas fa-save"></i> ${editing ? 'Update Rule' : 'Add Rule'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const modalContainer = document.getElementById('modalsContainer');
+    modalContainer.innerHTML = modalHTML;
+}
+
+function updateRecurringTaskFields() {
+    const frequency = document.getElementById('recurringTaskFrequency').value;
+    
+    document.querySelectorAll('#recurringTasksModal .recurring-option').forEach(option => {
+        option.style.display = option.dataset.frequency === frequency ? '' : 'none';
+    });
+}
+
+function closeRecurringTasksModal(returnDate) {
+    closeModal('recurringTasksModal');
+    if (returnDate) showDayModal(returnDate);
+}
+
+function saveRecurringTask(ruleId, returnDate) {
+    const text = document.getElementById('recurringTaskText').value.trim();
+    const frequency = document.getElementById('recurringTaskFrequency').value;
+    const startDate = document.getElementById('recurringTaskStart').value || toDateKey();
+    const days = Array.from(
+        document.querySelectorAll('#recurringTaskDays input:checked'),
+        input => Number(input.value)
+    );
+    const dayOfMonth = Math.min(31, Math.max(1, parseInt(document.getElementById('recurringTaskDayOfMonth').value) || 1));
+    
+    if (!text) {
+        showToast('Please enter the task', 'error');
+        return;
+    }
+    if (frequency === 'weekly' && days.length === 0) {
+        showToast('Pick at least one day for this task', 'error');
+        return;
+    }
+    
+    const fields = { text, frequency, days, dayOfMonth, startDate, updatedAt: new Date().toISOString() };
+    const existing = ruleId ? getRecurringTask(ruleId) : null;
+    
+    if (existing) {
+        Object.assign(existing, fields);
+    } else {
+        appData.settings.recurringTasks = [...getRecurringTasks(), {
+            id: Date.now(),
+            ...fields,
+            createdAt: fields.updatedAt
+        }];
+    }
+    
+    saveAppData();
+    updateDashboard();
+    if (currentPage === 'calendar') changeCalendarMonth(0);
+    
+    showToast(existing ? 'Recurring task updated' : 'Recurring task added', 'success');
+    showRecurringTasksModal({ returnDate });
+}
+
+function deleteRecurringTask(ruleId, returnDate) {
+    const rule = getRecurringTask(ruleId);
+    if (!rule || !confirm(`Stop repeating "${rule.text}"? Tasks already on your calendar are kept.`)) return;
+    
+    appData.settings.recurringTasks = getRecurringTasks().filter(item => item.id !== ruleId);
+    saveAppData();
+    updateDashboard();
+    if (currentPage === 'calendar') changeCalendarMonth(0);
+    
+    showToast('Recurring task deleted', 'info');
+    showRecurringTasksModal({ returnDate });
+}
+
+// ===== DAY PLANNER =====
+// Time blocks live on the calendar day as blocks: [{ id, start, duration,
+// title, linkType, linkId, done }], with start and duration in hours. Blocks
+// are saved as soon as they change, like task check-offs. A day with blocks
+// takes its plannedHours from them, and ticking a block off adds its duration
+// to actualHours.
+const PLANNER_START_HOUR = 6;
+const PLANNER_END_HOUR = 24;
+const PLANNER_STEP_HOURS = 0.5;
+const PLANNER_LINK_TYPES = {
+    task: { label: 'Task', icon: 'tasks' },
+    project: { label: 'Project', icon: 'project-diagram' },
+    habit: { label: 'Habit', icon: 'check-circle' },
+    custom: { label: 'Other', icon: 'clock' }
+};
+
+// { dateStr, activities, selected } for the open day modal
+let dayPlanner = null;
+
+function getDayBlocks(dateStr) {
+    return appData.calendar[dateStr]?.blocks || [];
+}
+
+function getBlockHours(blocks, { doneOnly = false } = {}) {
+    const hours = blocks
+        .filter(block => !doneOnly || block.done)
+        .reduce((sum, block) => sum + block.duration, 0);
+    return Math.round(hours * 100) / 100;
+}
+
+function formatPlannerTime(hours) {
+    const whole = Math.floor(hours);
+    return `${whole}:${hours % 1 ? '30' : '00'}`;
+}
+
+// Things that can be dropped onto the day: its tasks, active projects and habits due that day
+function getPlannerActivities(dateStr) {
+    const tasks = (appData.calendar[dateStr]?.tasks || []).filter(task => task.id && task.text);
+    
+    return [
+        ...tasks.map(task => ({ linkType: 'task', linkId: task.id, title: task.text })),
+        ...appData.projects
+            .filter(project => project.status !== 'completed')
+            .map(project => ({ linkType: 'project', linkId: project.id, title: project.name })),
+        ...appData.habits
+            .filter(habit => isHabitDueOn(habit, dateStr))
+            .map(habit => ({ linkType: 'habit', linkId: habit.id, title: habit.name })),
+        { linkType: 'custom', linkId: null, title: 'Other activity' }
+    ];
+}
+
+// Linked blocks follow renames; the stored title covers deleted links
+function getBlockTitle(block, dateStr) {
+    let linked = null;
+    
+    if (block.linkType === 'task') {
+        linked = (appData.calendar[dateStr]?.tasks || []).find(task => task.id === block.linkId)?.text;
+    } else if (block.linkType === 'project') {
+        linked = appData.projects.find(project => project.id === block.linkId)?.name;
+    } else if (block.linkType === 'habit') {
+        linked = appData.habits.find(habit => habit.id === block.linkId)?.name;
+    }
+    
+    return linked || block.title;
+}
+
+// How long a block starting at `start` can run before the next block or the end of the day
+function getPlannerRoom(blocks, start, ignoreId = null) {
+    const others = blocks.filter(block => block.id !== ignoreId);
+    if (others.some(block => start >= block.start && start < block.start + block.duration)) return 0;
+    
+    const nextStart = others
+        .map(block => block.start)
+        .filter(blockStart => blockStart > start)
+        .reduce((earliest, blockStart) => Math.min(earliest, blockStart), PLANNER_END_HOUR);
+    
+    return nextStart - start;
+}
+
+function commitDayBlocks(dateStr, blocks, actualDelta = 0) {
+    const day = appData.calendar[dateStr] || {
+        plannedHours: 8,
+        actualHours: 0,
+        tasks: [],
+        notes: '',
+        status: 'planned'
+    };
+    
+    day.blocks = [...blocks].sort((a, b) => a.start - b.start);
+    if (day.blocks.length > 0) day.plannedHours = getBlockHours(day.blocks);
+    day.actualHours = Math.max(0, Math.round(((day.actualHours || 0) + actualDelta) * 100) / 100);
+    day.updatedAt = new Date().toISOString();
+    appData.calendar[dateStr] = day;
+    
+    saveAppRecord('calendar', dateStr);
+    updateDashboard();
+    
+    // Keep the day form in step so a later Save doesn't undo the planner
+    const plannedInput = document.getElementById('plannedHours');
+    const actualInput = document.getElementById('actualHours');
+    if (plannedInput && day.blocks.length > 0) plannedInput.value = day.plannedHours;
+    if (plannedInput) plannedInput.readOnly = day.blocks.length > 0;
+    if (actualInput) actualInput.value = Math.max(0, Math.round(((parseFloat(actualInput.value) || 0) + actualDelta) * 100) / 100);
+    
+    refreshDayPlanner();
+}
+
+function renderDayPlanner() {
+    const { dateStr, selected } = dayPlanner;
+    const blocks = getDayBlocks(dateStr);
+    dayPlanner.activities = getPlannerActivities(dateStr);
+    
+    const hours = [];
+    for (let hour = PLANNER_START_HOUR; hour < PLANNER_END_HOUR; hour++) hours.push(hour);
+    
+    return `
+        <div class="planner-palette">
+            ${dayPlanner.activities.map((activity, index) => `
+                <div class="planner-chip ${activity.linkType} ${selected === `activity:${index}` ? 'selected' : ''}" draggable="true"
+                     ondragstart="onPlannerDragStart(event, 'activity:${index}')"
+                     onclick="selectPlannerItem('activity:${index}')"
+                     title="${PLANNER_LINK_TYPES[activity.linkType].label}: drag onto an hour, or click then pick an hour">
+                    <i class="fas fa-${PLANNER_LINK_TYPES[activity.linkType].icon}"></i>
+                    <span>${escapeHtml(activity.title)}</span>
+                </div>
+            `).join('')}
+        </div>
+        
+        <div class="planner-timeline">
+            ${hours.map(hour => `
+                <div class="planner-slot" data-hour="${hour}"
+                     ondragover="onPlannerSlotDragOver(event)"
+                     ondragleave="this.classList.remove('drag-over')"
+                     ondrop="onPlannerSlotDrop(event, ${hour})"
+                     onclick="onPlannerSlotClick(${hour})">
+                    <span class="planner-hour">${formatPlannerTime(hour)}</span>
+                    ${blocks.filter(block => Math.floor(block.start) === hour).map(block => `
+                        <div class="planner-block ${block.linkType} ${block.done ? 'done' : ''} ${selected === `block:${block.id}` ? 'selected' : ''}"
+                             draggable="true" data-block-id="${block.id}"
+                             style="--block-offset: ${block.start - hour}; --block-span: ${block.duration};"
+                             ondragstart="onPlannerDragStart(event, 'block:${block.id}')"
+                             onclick="event.stopPropagation(); selectPlannerItem('block:${block.id}')">
+                            <input type="checkbox" ${block.done ? 'checked' : ''} title="Mark as done"
+                                   onclick="event.stopPropagation()" onchange="togglePlannerBlock(${block.id}, this.checked)">
+                            <div class="planner-block-info">
+                                <span class="planner-block-title">${escapeHtml(getBlockTitle(block, dateStr))}</span>
+                                <span class="planner-block-time">
+                                    ${formatPlannerTime(block.start)}–${formatPlannerTime(block.start + block.duration)}
+                                </span>
+                            </div>
+                            <button class="btn-icon-sm" onclick="event.stopPropagation(); resizePlannerBlock(${block.id}, -${PLANNER_STEP_HOURS})" title="Shorter">
+                                <i class="fas fa-minus"></i>
+                            </button>
+                            <button class="btn-icon-sm" onclick="event.stopPropagation(); resizePlannerBlock(${block.id}, ${PLANNER_STEP_HOURS})" title="Longer">
+                                <i class="fas fa-plus"></i>
+                            </button>
+                            <button class="btn-icon-sm" onclick="event.stopPropagation(); removePlannerBlock(${block.id})" title="Remove block">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+        </div>
+        
+        ${renderPlannerSummary(blocks, dateStr)}
+    `;
+}
+
+function renderPlannerSummary(blocks, dateStr) {
+    if (blocks.length === 0) {
+        return '<p class="planner-empty">No time blocks yet. Planned hours are entered by hand until you add one.</p>';
+    }
+    
+    // One row per linked activity; unlinked blocks group by title
+    const rows = new Map();
+    blocks.forEach(block => {
+        const key = block.linkId ? `${block.linkType}:${block.linkId}` : `custom:${block.title}`;
+        const row = rows.get(key) || { linkType: block.linkType, title: getBlockTitle(block, dateStr), blocks: [] };
+        row.blocks.push(block);
+        rows.set(key, row);
+    });
+    
+    return `
+        <div class="planner-summary">
+            ${[...rows.values()].map(row => {
+                const planned = getBlockHours(row.blocks);
+                const actual = getBlockHours(row.blocks, { doneOnly: true });
+                return `
+                    <div class="planner-summary-row">
+                        <i class="fas fa-${PLANNER_LINK_TYPES[row.linkType].icon}"></i>
+                        <span class="planner-summary-title">${escapeHtml(row.title)}</span>
+                        <div class="planner-summary-bar">
+                            <div style="width: ${Math.round((actual / planned) * 100)}%"></div>
+                        </div>
+                        <span class="planner-summary-hours">${actual}h / ${planned}h</span>
+                    </div>
+                `;
+            }).join('')}
+            <div class="planner-summary-row total">
+                <span class="planner-summary-title">Done / planned</span>
+                <span class="planner-summary-hours">${getBlockHours(blocks, { doneOnly: true })}h / ${getBlockHours(blocks)}h</span>
+            </div>
+        </div>
+    `;
+}
+
+function refreshDayPlanner() {
+    const container = document.getElementById('dayPlanner');
+    if (container && dayPlanner) container.innerHTML = renderDayPlanner();
+}
+
+function selectPlannerItem(item) {
+    dayPlanner.selected = dayPlanner.selected === item ? null : item;
+    refreshDayPlanner();
+}
+
+function onPlannerDragStart(event, item) {
+    event.dataTransfer.setData('text/plain', item);
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+function onPlannerSlotDragOver(event) {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    event.currentTarget.classList.add('drag-over');
+}
+
+function onPlannerSlotDrop(event, hour) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('drag-over');
+    placePlannerItem(event.dataTransfer.getData('text/plain'), hour);
+}
+
+// Click-to-place for touch screens, where dragging isn't available
+function onPlannerSlotClick(hour) {
+    if (!dayPlanner.selected) return;
+    placePlannerItem(dayPlanner.selected, hour);
+}
+
+function placePlannerItem(item, hour) {
+    const [kind, value] = String(item).split(':');
+    const { dateStr } = dayPlanner;
+    const blocks = getDayBlocks(dateStr);
+    dayPlanner.selected = null;
+    
+    if (kind === 'block') {
+        const block = blocks.find(entry => entry.id === Number(value));
+        if (!block) return;
+        
+        const room = getPlannerRoom(blocks, hour, block.id);
+        if (room <= 0) {
+            showToast('That hour is already planned', 'error');
+            refreshDayPlanner();
+            return;
+        }
+        
+        commitDayBlocks(dateStr, blocks.map(entry =>
+            entry.id === block.id ? { ...entry, start: hour, duration: Math.min(entry.duration, room) } : entry
+        ));
+        return;
+    }
+    
+    const activity = dayPlanner.activities?.[Number(value)];
+    if (kind !== 'activity' || !activity) return;
+    
+    const room = getPlannerRoom(blocks, hour);
+    if (room <= 0) {
+        showToast('That hour is already planned', 'error');
+        refreshDayPlanner();
+        return;
+    }
+    
+    let title = activity.title;
+    if (activity.linkType === 'custom') {
+        title = (prompt('What will you work on?') || '').trim();
+        if (!title) {
+            refreshDayPlanner();
+            return;
+        }
+    }
+    
+    commitDayBlocks(dateStr, [...blocks, {
+        id: Date.now(),
+        start: hour,
+        duration: Math.min(1, room),
+        title,
+        linkType: activity.linkType,
+        linkId: activity.linkId,
+        done: false,
+        createdAt: new Date().toISOString()
+    }]);
+}
+
+function resizePlannerBlock(blockId, delta) {
+    const { dateStr } = dayPlanner;
+    const blocks = getDayBlocks(dateStr);
+    const block = blocks.find(entry => entry.id === blockId);
+    if (!block) return;
+    
+    const room = getPlannerRoom(blocks, block.start, block.id);
+    const duration = Math.min(room, Math.max(PLANNER_STEP_HOURS, block.duration + delta));
+    if (duration === block.duration) return;
+    
+    // A finished block's hours are already in actualHours
+    commitDayBlocks(
+        dateStr,
+        blocks.map(entry => entry.id === blockId ? { ...entry, duration } : entry),
+        block.done ? duration - block.duration : 0
+    );
+}
+
+function togglePlannerBlock(blockId, done) {
+    const { dateStr } = dayPlanner;
+    const blocks = getDayBlocks(dateStr);
+    const block = blocks.find(entry => entry.id === blockId);
+    if (!block || block.done === done) return;
+    
+    commitDayBlocks(
+        dateStr,
+        blocks.map(entry => entry.id === blockId ? { ...entry, done } : entry),
+        done ? block.duration : -block.duration
+    );
+}
+
+function removePlannerBlock(blockId) {
+    const { dateStr } = dayPlanner;
+    const blocks = getDayBlocks(dateStr);
+    const block = blocks.find(entry => entry.id === blockId);
+    if (!block) return;
+    
+    commitDayBlocks(
+        dateStr,
+        blocks.filter(entry => entry.id !== blockId),
+        block.done ? -block.duration : 0
+    );
+}
+
+// ===== GOALS PAGE =====
+function loadGoalsPage() {
+    const container = document.getElementById('goalsPage');
+    if (!container) return;
+    
+    container.innerHTML = `
+        <div class="modern-goals-page">
+            <!-- Header with gradient background -->
+            <div class="goals-header">
+                <div class="goals-header-content">
+                    <h2><i class="fas fa-bullseye"></i> My Goals</h2>
+                    <p>Track, manage, and achieve your goals</p>
+                </div>
+                <button class="btn btn-gradient" onclick="showAddGoalModal()">
+                    <i class="fas fa-plus"></i> New Goal
+                </button>
+            </div>
+            
+            <!-- Stats Overview -->
+            <div class="goals-stats-overview" id="goalsStats">
+                <!-- Stats will be dynamically loaded -->
+            </div>
+            
+            <!-- Goals Filter -->
+            <div class="goals-filter-section">
+                <div class="filter-tabs">
+                    <button class="filter-tab active" onclick="filterGoals('all')">
+                        <i class="fas fa-layer-group"></i> All
+                        <span class="filter-count" id="countAll">0</span>
+                    </button>
+                    <button class="filter-tab" onclick="filterGoals('active')">
+                        <i class="fas fa-play-circle"></i> Active
+                        <span class="filter-count" id="countActive">0</span>
+                    </button>
+                    <button class="filter-tab" onclick="filterGoals('completed')">
+                        <i class="fas fa-check-circle"></i> Completed
+                        <span class="filter-count" id="countCompleted">0</span>
+                    </button>
+                    <button class="filter-tab" onclick="filterGoals('pending')">
+                        <i class="fas fa-clock"></i> Pending
+                        <span class="filter-count" id="countPending">0</span>
+                    </button>
+                </div>
+                <div class="filter-sort">
+                    <select class="form-control" onchange="sortGoals(this.value)">
+                        <option value="priority">Sort by Priority</option>
+                        <option value="date">Sort by Date</option>
+                        <option value="title">Sort by Title</option>
+                    </select>
+                </div>
+            </div>
+            
+            <!-- Goals Grid -->
+            <div class="goals-grid" id="goalsList">
+                <!-- Goals will be rendered here -->
+            </div>
+        </div>
+    `;
+    
+    updateGoalsStats();
+    renderGoalsList('all');
+}
+
+function updateGoalsStats() {
+    const container = document.getElementById('goalsStats');
+    if (!container) return;
+    
+    const totalGoals = appData.goals.length;
+    const completedGoals = appData.goals.filter(g => g.status === 'completed').length;
+    const activeGoals = appData.goals.filter(g => g.status === 'active').length;
+    const pendingGoals = appData.goals.filter(g => 
+        g.targetDate && parseDateKey(g.targetDate) < new Date() && g.status !== 'completed'
+    ).length;
+    
+    // Update filter counts
+    const countAll = document.getElementById('countAll');
+    const countActive = document.getElementById('countActive');
+    const countCompleted = document.getElementById('countCompleted');
+    const countPending = document.getElementById('countPending');
+    
+    if (countAll) countAll.textContent = totalGoals;
+    if (countActive) countActive.textContent = activeGoals;
+    if (countCompleted) countCompleted.textContent = completedGoals;
+    if (countPending) countPending.textContent = pendingGoals;
+    
+    const completionRate = totalGoals > 0 ? Math.round((completedGoals / totalGoals) * 100) : 0;
+    
+    // Measurable goals that are still running and have a deadline to pace against
+    const pacedGoals = appData.goals.map(getGoalPace).filter(pace => pace === 'on-track' || pace === 'behind');
+    const onTrackGoals = pacedGoals.filter(pace => pace === 'on-track').length;
+    const behindGoals = pacedGoals.length - onTrackGoals;
+    
+    container.innerHTML = `
+        <div class="stat-card">
+            <div class="stat-icon">
+                <i class="fas fa-bullseye"></i>
+            </div>
+            <div class="stat-content">
+                <h3>${totalGoals}</h3>
+                <p>Total Goals</p>
+            </div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-icon" style="background: linear-gradient(135deg, #10b981, #34d399);">
+                <i class="fas fa-check-circle"></i>
+            </div>
+            <div class="stat-content">
+                <h3>${completedGoals}</h3>
+                <p>Completed</p>
+            </div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-icon" style="background: linear-gradient(135deg, #6366f1, #8b5cf6);">
+                <i class="fas fa-chart-line"></i>
+            </div>
+            <div class="stat-content">
+                <h3>${completionRate}%</h3>
+                <p>Success Rate</p>
+            </div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-icon" style="background: linear-gradient(135deg, #f59e0b, #fbbf24);">
+                <i class="fas fa-clock"></i>
+            </div>
+            <div class="stat-content">
+                <h3>${pendingGoals}</h3>
+                <p>Pending</p>
+            </div>
+        </div>
+        <div class="stat-card">
+            <div class="stat-icon" style="background: linear-gradient(135deg, ${behindGoals > 0 ? '#ef4444, #f87171' : '#10b981, #34d399'});">
+                <i class="fas fa-tachometer-alt"></i>
+            </div>
+            <div class="stat-content">
+                <h3>${onTrackGoals}/${pacedGoals.length}</h3>
+                <p>On Track${behindGoals > 0 ? ` · ${behindGoals} behind` : ''}</p>
+            </div>
+        </div>
+    `;
+}
+
+function renderGoalsList(filter = 'all') {
+    const container = document.getElementById('goalsList');
+    if (!container) return;
+    
+    let filteredGoals = [...appData.goals];
+    
+    if (filter === 'active') {
+        filteredGoals = appData.goals.filter(goal => goal.status === 'active');
+    } else if (filter === 'completed') {
+        filteredGoals = appData.goals.filter(goal => goal.status === 'completed');
+    } else if (filter === 'pending') {
+        filteredGoals = appData.goals.filter(goal => 
+            goal.targetDate && parseDateKey(goal.targetDate) < new Date() && goal.status !== 'completed'
+        );
+    }
+    
+    // Update active filter tab
+    document.querySelectorAll('.filter-tab').forEach(tab => {
+        tab.classList.remove('active');
+    });
+    const activeTab = document.querySelector(`.filter-tab[onclick="filterGoals('${filter}')"]`);
+    if (activeTab) activeTab.classList.add('active');
+    
+    if (filteredGoals.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state-modern">
+                <div class="empty-icon">
+                    <i class="fas fa-bullseye"></i>
+                </div>
+                <h3>No goals found</h3>
+                <p>${filter === 'all' ? 'Start by adding your first goal!' : `No ${filter} goals found`}</p>
+                <button class="btn btn-gradient" onclick="showAddGoalModal()">
+                    <i class="fas fa-plus"></i> Add Goal
+                </button>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = filteredGoals.map(goal => {
+        const daysLeft = goal.targetDate ? 
+            Math.ceil((parseDateKey(goal.targetDate) - new Date()) / (1000 * 60 * 60 * 24)) : null;
+        const isOverdue = daysLeft < 0;
+        const priorityColors = {
+            'high': 'linear-gradient(135deg, #ef4444, #f87171)',
+            'medium': 'linear-gradient(135deg, #f59e0b, #fbbf24)',
+            'low': 'linear-gradient(135deg, #10b981, #34d399)'
+        };
+        
+        return `
+            <div class="goal-card-modern ${goal.status}">
+                <div class="goal-card-header">
+                    <div class="goal-card-badge" style="background: ${priorityColors[goal.priority] || priorityColors.medium}">
+                        <i class="fas fa-flag"></i>
+                        ${goal.priority || 'Medium'}
+                    </div>
+                    <div class="goal-status-badge ${goal.status}">
+                        <i class="fas fa-${goal.status === 'completed' ? 'check-circle' : 'circle'}"></i>
+                        ${goal.status}
+                    </div>
+                </div>
+                
+                <div class="goal-card-body">
+                    ${getParentGoal(goal) ? `
+                        <div class="goal-parent-link" onclick="showGoalModal(${goal.parentId})" title="Sub-goal of">
+                            <i class="fas fa-level-up-alt"></i> ${escapeHtml(getParentGoal(goal).title)}
+                        </div>
+                    ` : ''}
+                    <h4 class="goal-title" onclick="showGoalModal(${goal.id})">${escapeHtml(goal.title)}</h4>
+                    <p class="goal-description">${goal.description || 'No description provided'}</p>
+                    
+                    <div class="goal-meta">
+                        <div class="meta-item">
+                            <i class="fas fa-calendar"></i>
+                            <span>${goal.targetDate ? formatDate(goal.targetDate) : 'No deadline'}</span>
+                        </div>
+                        <div class="meta-item">
+                            <i class="fas fa-tag"></i>
+                            <span>${goal.category || 'General'}</span>
+                        </div>
+                    </div>
+                    
+                    ${hasGoalMetric(goal) ? renderGoalMetric(goal) : ''}
+                    ${hasGoalBreakdown(goal) ? renderGoalBreakdown(goal) : ''}
+                    
+                    ${goal.targetDate ? `
+                        <div class="goal-deadline ${isOverdue ? 'overdue' : ''}">
+                            <div class="deadline-label">
+                                <i class="fas fa-hourglass-half"></i>
+                                ${isOverdue ? 'Overdue by' : 'Due in'}
+                                <strong>${Math.abs(daysLeft)} days</strong>
+                            </div>
+                            ${isGoalTracked(goal) ? '' : `
+                                <div class="progress-bar" title="Time elapsed">
+                                    <div class="progress-fill time-elapsed" style="width: ${calculateGoalTimeElapsed(goal)}%"></div>
+                                </div>
+                            `}
+                        </div>
+                    ` : ''}
+                </div>
+                
+                <div class="goal-card-footer">
+                    <div class="goal-actions">
+                        ${hasGoalMetric(goal) ? `
+                            <button class="btn-icon-action" onclick="showLogGoalProgressModal(${goal.id})" title="Log progress">
+                                <i class="fas fa-plus"></i>
+                            </button>
+                        ` : ''}
+                        ${goal.status !== 'completed' || isTimerRunningFor('goal', goal.id) ? `
+                            <button class="btn-icon-action" onclick="toggleTimer('goal', ${goal.id})"
+                                    title="${isTimerRunningFor('goal', goal.id) ? 'Stop timer' : 'Start timer'}">
+                                <i class="fas fa-${isTimerRunningFor('goal', goal.id) ? 'stop' : 'stopwatch'}"></i>
+                            </button>
+                        ` : ''}
+                        <button class="btn-icon-action" onclick="toggleGoalStatus(${goal.id})" 
+                                title="${goal.status === 'completed' ? 'Mark as active' : 'Mark as complete'}">
+                            <i class="fas fa-${goal.status === 'completed' ? 'undo' : 'check'}"></i>
+                        </button>
+                        <button class="btn-icon-action" onclick="editGoal(${goal.id})" title="Edit goal">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn-icon-action delete" onclick="deleteGoal(${goal.id})" title="Delete goal">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ===== GOAL METRICS =====
+// A measurable goal has a targetValue and unit, a startValue and a progressLog
+// of { id, date, amount, note, createdAt } entries. currentValue is always
+// startValue plus the logged amounts; it is stored so lists don't recompute it.
+const GOAL_PACE_TOLERANCE = 5; // percentage points behind schedule that still count as on track
+
+function hasGoalMetric(goal) {
+    return typeof goal.targetValue === 'number' && goal.targetValue !== (goal.startValue || 0);
+}
+
+function roundGoalValue(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function recalculateGoalValue(goal) {
+    const logged = (goal.progressLog || []).reduce((sum, entry) => sum + (Number(entry.amount) || 0), 0);
+    goal.currentValue = roundGoalValue((goal.startValue || 0) + logged);
+    return goal.currentValue;
+}
+
+function formatGoalValue(goal, value) {
+    return `${value.toLocaleString('en-US')}${goal.unit ? ' ' + goal.unit : ''}`;
+}
+
+// Share of the target actually reached (works for decreasing targets too)
+function calculateGoalProgress(goal) {
+    if (!hasGoalMetric(goal)) return goal.status === 'completed' ? 100 : 0;
+    
+    const start = goal.startValue || 0;
+    const current = goal.currentValue ?? start;
+    const progress = ((current - start) / (goal.targetValue - start)) * 100;
+    return Math.min(100, Math.max(0, Math.round(progress)));
+}
+
+// Share of the time between createdAt and targetDate that has passed
+function calculateGoalTimeElapsed(goal) {
+    if (!goal.targetDate || !goal.createdAt) return 0;
+    
+    const createdDate = new Date(goal.createdAt);
+    const targetDate = parseDateKey(goal.targetDate);
+    const currentDate = new Date();
+    
+    // If target date is in the past
+    if (currentDate >= targetDate) return 100;
+    
+    // If created date is in the future (shouldn't happen)
+    if (currentDate <= createdDate) return 0;
+    
+    const totalDuration = targetDate - createdDate;
+    const elapsedDuration = currentDate - createdDate;
+    
+    if (totalDuration <= 0) return 100;
+    
+    const progress = (elapsedDuration / totalDuration) * 100;
+    return Math.min(100, Math.max(0, Math.round(progress)));
+}
+
+/**
+ * 'reached', 'on-track' or 'behind'; null when there is nothing to compare
+ * (nothing measurable, no target date, or the goal was closed without reaching it)
+ */
+function getGoalPace(goal) {
+    if (!isGoalTracked(goal)) return null;
+    
+    const progress = calculateGoalOverallProgress(goal);
+    if (progress >= 100) return 'reached';
+    if (!goal.targetDate || goal.status === 'completed') return null;
+    
+    return progress + GOAL_PACE_TOLERANCE >= calculateGoalTimeElapsed(goal) ? 'on-track' : 'behind';
+}
+
+function renderGoalMetric(goal) {
+    const progress = calculateGoalProgress(goal);
+    // With milestones or sub-goals the pace badge goes on the overall bar instead
+    const pace = hasGoalBreakdown(goal) ? null : getGoalPace(goal);
+    const paceLabels = {
+        'reached': '<i class="fas fa-trophy"></i> Target reached',
+        'on-track': '<i class="fas fa-check"></i> On track',
+        'behind': '<i class="fas fa-exclamation-triangle"></i> Behind'
+    };
+    
+    return `
+        <div class="goal-metric">
+            <div class="goal-metric-header">
+                <span class="goal-metric-value">
+                    <strong>${escapeHtml(formatGoalValue(goal, goal.currentValue ?? goal.startValue ?? 0))}</strong>
+                    / ${escapeHtml(formatGoalValue(goal, goal.targetValue))}
+                </span>
+                ${pace ? `<span class="goal-pace ${pace}">${paceLabels[pace]}</span>` : ''}
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${progress}%"></div>
+            </div>
+            <div class="goal-metric-footer">
+                <span>${progress}% done</span>
+                ${goal.targetDate ? `<span>${calculateGoalTimeElapsed(goal)}% of time elapsed</span>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+// ===== GOAL MILESTONES & SUB-GOALS =====
+// goal.milestones is an ordered list of { id, title, dueDate, completed,
+// completedAt, createdAt }. Sub-goals are ordinary goals whose parentId points
+// at another goal. A goal's overall progress averages its own metric, each
+// milestone and each sub-goal's overall progress.
+function getSubGoals(goal) {
+    return appData.goals.filter(g => g.parentId === goal.id);
+}
+
+function getParentGoal(goal) {
+    return goal.parentId ? appData.goals.find(g => g.id === goal.parentId) || null : null;
+}
+
+function hasGoalBreakdown(goal) {
+    return (goal.milestones || []).length > 0 || getSubGoals(goal).length > 0 || hasGoalLinks(goal);
+}
+
+function isGoalTracked(goal) {
+    return hasGoalMetric(goal) || hasGoalBreakdown(goal);
+}
+
+function calculateGoalOverallProgress(goal, visited = new Set()) {
+    // Guard against a parent loop that slipped in through sync
+    if (visited.has(goal.id)) return 0;
+    visited.add(goal.id);
+    
+    const parts = [];
+    if (hasGoalMetric(goal)) parts.push(calculateGoalProgress(goal));
+    (goal.milestones || []).forEach(milestone => parts.push(milestone.completed ? 100 : 0));
+    getSubGoals(goal).forEach(subGoal => parts.push(calculateGoalOverallProgress(subGoal, visited)));
+    getLinkedHabits(goal).forEach(habit => parts.push(calculateLinkedHabitProgress(goal, habit)));
+    getLinkedProjects(goal).forEach(project => parts.push(calculateLinkedProjectProgress(project)));
+    
+    if (parts.length === 0) return goal.status === 'completed' ? 100 : 0;
+    return Math.round(parts.reduce((sum, value) => sum + value, 0) / parts.length);
+}
+
+// Goals this one may be nested under: anything except itself and its descendants
+function getGoalParentOptions(goal) {
+    const excluded = new Set();
+    if (goal) {
+        const collect = current => {
+            excluded.add(current.id);
+            getSubGoals(current).forEach(child => {
+                if (!excluded.has(child.id)) collect(child);
+            });
+        };
+        collect(goal);
+    }
+    return appData.goals.filter(g => !excluded.has(g.id));
+}
+
+function renderGoalBreakdown(goal, { includeLinks = true } = {}) {
+    const progress = calculateGoalOverallProgress(goal);
+    const pace = getGoalPace(goal);
+    const paceLabels = {
+        'reached': '<i class="fas fa-trophy"></i> All done',
+        'on-track': '<i class="fas fa-check"></i> On track',
+        'behind': '<i class="fas fa-exclamation-triangle"></i> Behind'
+    };
+    const today = toDateKey();
+    
+    const milestonesHTML = (goal.milestones || []).map(milestone => {
+        const overdue = !milestone.completed && milestone.dueDate && milestone.dueDate < today;
+        return `
+            <label class="goal-milestone ${milestone.completed ? 'completed' : ''} ${overdue ? 'overdue' : ''}">
+                <input type="checkbox" ${milestone.completed ? 'checked' : ''}
+                       onchange="toggleGoalMilestone(${goal.id}, ${milestone.id})">
+                <span class="goal-milestone-title">${escapeHtml(milestone.title)}</span>
+                ${milestone.dueDate ? `<span class="goal-milestone-date">${formatShortDate(milestone.dueDate)}</span>` : ''}
+            </label>
+        `;
+    }).join('');
+    
+    const subGoalsHTML = getSubGoals(goal).map(subGoal => `
+        <div class="goal-subgoal" onclick="showGoalModal(${subGoal.id})">
+            <i class="fas fa-${subGoal.status === 'completed' ? 'check-circle' : 'level-up-alt fa-rotate-90'}"></i>
+            <span class="goal-subgoal-title">${escapeHtml(subGoal.title)}</span>
+            <span class="goal-subgoal-progress">${calculateGoalOverallProgress(subGoal)}%</span>
+        </div>
+    `).join('');
+    
+    const linksHTML = includeLinks ? [
+        ...getLinkedHabits(goal).map(habit => `
+            <span class="goal-link-chip" onclick="editHabit(${habit.id})" title="Linked habit">
+                <i class="fas fa-sync-alt"></i> ${escapeHtml(habit.name)} · ${calculateLinkedHabitProgress(goal, habit)}%
+            </span>
+        `),
+        ...getLinkedProjects(goal).map(project => `
+            <span class="goal-link-chip" onclick="showProjectModal(${project.id})" title="Linked project">
+                <i class="fas fa-project-diagram"></i> ${escapeHtml(project.name)} · ${calculateLinkedProjectProgress(project)}%
+            </span>
+        `)
+    ].join('') : '';
+    
+    return `
+        <div class="goal-breakdown">
+            <div class="goal-metric-header">
+                <span class="goal-metric-value"><strong>${progress}%</strong> overall</span>
+                ${pace ? `<span class="goal-pace ${pace}">${paceLabels[pace]}</span>` : ''}
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${progress}%"></div>
+            </div>
+            ${milestonesHTML ? `<div class="goal-milestones">${milestonesHTML}</div>` : ''}
+            ${subGoalsHTML ? `<div class="goal-subgoals">${subGoalsHTML}</div>` : ''}
+            ${linksHTML ? `<div class="goal-links">${linksHTML}</div>` : ''}
+        </div>
+    `;
+}
+
+function toggleGoalMilestone(goalId, milestoneId) {
+    const goal = appData.goals.find(g => g.id === goalId);
+    const milestone = goal && (goal.milestones || []).find(m => m.id === milestoneId);
+    if (!milestone) return;
+    
+    milestone.completed = !milestone.completed;
+    milestone.completedAt = milestone.completed ? new Date().toISOString() : null;
+    goal.updatedAt = new Date().toISOString();
+    
+    queueMutation('goals', 'upsert', goal.id, goal);
+    checkGoalCompletion(goal);
+    saveAppData();
+    refreshGoalViews();
+    
+    if (milestone.completed) {
+        showToast(`Milestone "${milestone.title}" completed`, 'success');
+    }
+}
+
+/**
+ * Mark a tracked goal complete once everything under it is done, then let the
+ * parent goal check again with the new rolled-up progress
+ */
+function checkGoalCompletion(goal, visited = new Set()) {
+    if (!goal || visited.has(goal.id)) return;
+    visited.add(goal.id);
+    
+    if (goal.status !== 'completed' && isGoalTracked(goal) && !hasOpenEndedHabitLinks(goal) &&
+        calculateGoalOverallProgress(goal) >= 100) {
+        goal.status = 'completed';
+        goal.updatedAt = new Date().toISOString();
+        queueMutation('goals', 'upsert', goal.id, goal);
+        addNotification(
+            'Goal Completed! 🎉',
+            `Congratulations! You've completed "${goal.title}".`,
+            'success',
+            { page: 'goals' }
+        );
+    }
+    
+    checkGoalCompletion(getParentGoal(goal), visited);
+}
+
+// Without a target date, linked habit progress only measures consistency so
+// far, so a goal relying on it (directly or through a sub-goal) is completed by hand
+function hasOpenEndedHabitLinks(goal, visited = new Set()) {
+    if (visited.has(goal.id)) return false;
+    visited.add(goal.id);
+    
+    if (!goal.targetDate && getLinkedHabits(goal).length > 0) return true;
+    return getSubGoals(goal).some(subGoal => subGoal.status !== 'completed' && hasOpenEndedHabitLinks(subGoal, visited));
+}
+
+// Editable, reorderable milestone rows shared by the add and edit goal modals
+function renderMilestoneEditor(milestones = []) {
+    return `
+        <div class="form-group">
+            <label class="form-label">Milestones</label>
+            <div class="milestone-editor" id="milestoneEditor">
+                ${milestones.map(renderMilestoneRow).join('')}
+            </div>
+            <button type="button" class="btn btn-text" onclick="addMilestoneRow()">
+                <i class="fas fa-plus"></i> Add Milestone
+            </button>
+        </div>
+    `;
+}
+
+function renderMilestoneRow(milestone = {}) {
+    return `
+        <div class="milestone-row" data-id="${milestone.id || ''}" data-created-at="${milestone.createdAt || ''}"
+             data-completed-at="${milestone.completedAt || ''}">
+            <input type="checkbox" class="milestone-completed" ${milestone.completed ? 'checked' : ''} title="Completed">
+            <input type="text" class="form-control milestone-title" placeholder="Milestone"
+                   value="${escapeHtml(milestone.title || '').replace(/"/g, '&quot;')}">
+            <input type="date" class="form-control milestone-due" value="${milestone.dueDate || ''}">
+            <button type="button" class="btn-icon-sm" onclick="moveMilestoneRow(this, -1)" title="Move up">
+                <i class="fas fa-arrow-up"></i>
+            </button>
+            <button type="button" class="btn-icon-sm" onclick="moveMilestoneRow(this, 1)" title="Move down">
+                <i class="fas fa-arrow-down"></i>
+            </button>
+            <button type="button" class="btn-icon-sm" onclick="this.closest('.milestone-row').remove()" title="Remove">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `;
+}
+
+function addMilestoneRow() {
+    const editor = document.getElementById('milestoneEditor');
+    if (!editor) return;
+    
+    editor.insertAdjacentHTML('beforeend', renderMilestoneRow());
+    editor.lastElementChild.querySelector('.milestone-title').focus();
+}
+
+function moveMilestoneRow(button, direction) {
+    const row = button.closest('.milestone-row');
+    const sibling = direction < 0 ? row.previousElementSibling : row.nextElementSibling;
+    if (!sibling) return;
+    
+    if (direction < 0) {
+        row.parentNode.insertBefore(row, sibling);
+    } else {
+        row.parentNode.insertBefore(sibling, row);
+    }
+}
+
+function readMilestoneEditor() {
+    const now = new Date().toISOString();
+    
+    return Array.from(document.querySelectorAll('#milestoneEditor .milestone-row'), (row, index) => {
+        const title = row.querySelector('.milestone-title').value.trim();
+        if (!title) return null;
+        
+        const completed = row.querySelector('.milestone-completed').checked;
+        return {
+            id: Number(row.dataset.id) || Date.now() + index,
+            title,
+            dueDate: row.querySelector('.milestone-due').value,
+            completed,
+            completedAt: completed ? row.dataset.completedAt || now : null,
+            createdAt: row.dataset.createdAt || now
+        };
+    }).filter(Boolean);
+}
+
+function renderParentGoalSelect(id, goal = null) {
+    const options = getGoalParentOptions(goal).map(option => `
+        <option value="${option.id}" ${goal && goal.parentId === option.id ? 'selected' : ''}>
+            ${escapeHtml(option.title)}
+        </option>
+    `).join('');
+    
+    return `
+        <div class="form-group">
+            <label class="form-label">Part Of</label>
+            <select id="${id}" class="form-control">
+                <option value="">No parent goal</option>
+                ${options}
+            </select>
+        </div>
+    `;
+}
+
+// ===== GOAL LINKS =====
+// goal.linkedHabitIds / goal.linkedProjectIds reference the habits and projects
+// that serve the goal. Each linked item counts as one part of the overall
+// progress: a project by its own progress, a habit by how many days of the
+// goal's window (creation to target date, or to today) it was scheduled and completed on.
+function getLinkedHabits(goal) {
+    const ids = goal.linkedHabitIds || [];
+    return appData.habits.filter(habit => ids.includes(habit.id));
+}
+
+function getLinkedProjects(goal) {
+    const ids = goal.linkedProjectIds || [];
+    return appData.projects.filter(project => ids.includes(project.id));
+}
+
+function hasGoalLinks(goal) {
+    return getLinkedHabits(goal).length > 0 || getLinkedProjects(goal).length > 0;
+}
+
+function getGoalsLinkedTo(type, id) {
+    const field = type === 'habit' ? 'linkedHabitIds' : 'linkedProjectIds';
+    return appData.goals.filter(goal => (goal[field] || []).includes(id));
+}
+
+function calculateLinkedHabitProgress(goal, habit) {
+    const startKey = toDateKey(goal.createdAt ? new Date(goal.createdAt) : new Date());
+    let endKey = goal.targetDate || toDateKey();
+    if (endKey < startKey) endKey = startKey;
+    
+    // A habit to break counts the clean days so far out of the whole window,
+    // so it only reaches 100% once the target date has passed without a slip
+    if (isBreakHabit(habit)) {
+        const lastKey = endKey < toDateKey() ? endKey : toDateKey();
+        const windowDays = daysBetweenKeys(startKey, endKey) + 1;
+        const elapsedDays = lastKey < startKey ? 0 : daysBetweenKeys(startKey, lastKey) + 1;
+        const slipDays = getHabitSlipDates(habit).filter(date => date >= startKey && date <= lastKey).length;
+        return windowDays > 0 ? Math.round(((elapsedDays - slipDays) / windowDays) * 100) : 0;
+    }
+    
+    const expected = getExpectedCompletions(habit, startKey, endKey);
+    const completedDays = (habit.completedDates || []).filter(date => date >= startKey && date <= endKey).length;
+    
+    return expected > 0 ? Math.min(100, Math.round((completedDays / expected) * 100)) : 0;
+}
+
+function calculateLinkedProjectProgress(project) {
+    return project.status === 'completed' ? 100 : Math.min(100, Math.max(0, project.progress || 0));
+}
+
+// Called after a habit or project changes so goals it serves can complete
+function checkLinkedGoals(type, id) {
+    getGoalsLinkedTo(type, id).forEach(goal => checkGoalCompletion(goal));
+}
+
+// Drop a deleted habit or project from every goal that linked it
+function unlinkFromGoals(type, id) {
+    const field = type === 'habit' ? 'linkedHabitIds' : 'linkedProjectIds';
+    
+    getGoalsLinkedTo(type, id).forEach(goal => {
+        goal[field] = goal[field].filter(linkedId => linkedId !== id);
+        goal.updatedAt = new Date().toISOString();
+        queueMutation('goals', 'upsert', goal.id, goal);
+    });
+}
+
+function renderGoalLinkPicker(goal = null) {
+    const habitIds = goal?.linkedHabitIds || [];
+    const projectIds = goal?.linkedProjectIds || [];
+    
+    const renderOptions = (items, name, selectedIds, label) => items.map(item => `
+        <label class="goal-link-option">
+            <input type="checkbox" name="${name}" value="${item.id}" ${selectedIds.includes(item.id) ? 'checked' : ''}>
+            ${escapeHtml(item[label])}
+        </label>
+    `).join('');
+    
+    return `
+        ${appData.habits.length > 0 ? `
+            <div class="form-group">
+                <label class="form-label">Linked Habits</label>
+                <div class="goal-link-picker">
+                    ${renderOptions(appData.habits, 'goalLinkedHabit', habitIds, 'name')}
+                </div>
+            </div>
+        ` : ''}
+        ${appData.projects.length > 0 ? `
+            <div class="form-group">
+                <label class="form-label">Linked Projects</label>
+                <div class="goal-link-picker">
+                    ${renderOptions(appData.projects, 'goalLinkedProject', projectIds, 'name')}
+                </div>
+            </div>
+        ` : ''}
+    `;
+}
+
+function readGoalLinkPicker() {
+    const checkedIds = name => Array.from(
+        document.querySelectorAll(`input[name="${name}"]:checked`),
+        input => Number(input.value)
+    );
+    
+    return {
+        linkedHabitIds: checkedIds('goalLinkedHabit'),
+        linkedProjectIds: checkedIds('goalLinkedProject')
+    };
+}
+
+// Goal detail view; opened from the dashboard deadlines, sub-goal rows and parent links
+function showGoalModal(goalId) {
+    const goal = appData.goals.find(g => g.id === goalId);
+    if (!goal) return;
+    
+    const parent = getParentGoal(goal);
+    const habits = getLinkedHabits(goal);
+    const projects = getLinkedProjects(goal);
+    
+    const modalHTML = `
+        <div class="modal-overlay" id="goalViewModal">
+            <div class="modal" style="max-width: 600px;">
+                <div class="modal-header">
+                    <h3>${escapeHtml(goal.title)}</h3>
+                    <button class="modal-close" onclick="closeModal('goalViewModal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    ${parent ? `
+                        <div class="goal-parent-link" onclick="showGoalModal(${parent.id})" title="Sub-goal of">
+                            <i class="fas fa-level-up-alt"></i> ${escapeHtml(parent.title)}
+                        </div>
+                    ` : ''}
+                    
+                    <div class="form-group">
+                        <label class="form-label">Description</label>
+                        <div style="padding: 12px; background: var(--bg-tertiary); border-radius: 8px; white-space: pre-wrap;">
+                            ${escapeHtml(goal.description || 'No description provided')}
+                        </div>
+                    </div>
+                    
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label class="form-label">Target Date</label>
+                            <div style="padding: 8px 12px; background: var(--bg-tertiary); border-radius: 8px;">
+                                ${goal.targetDate ? formatShortDate(goal.targetDate) : 'Not set'}
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Status</label>
+                            <div style="padding: 8px 12px; background: var(--bg-tertiary); border-radius: 8px;">
+                                <span class="goal-status-badge ${goal.status}">${goal.status}</span>
+                            </div>
+                        </div>
+                    </div>
+                    
+                    ${(goal.timeEntries || []).length > 0 ? `
+                        <div class="form-group">
+                            <label class="form-label">Time Logged</label>
+                            <div style="padding: 8px 12px; background: var(--bg-tertiary); border-radius: 8px;">
+                                <i class="fas fa-stopwatch"></i> ${getLoggedHours(goal)}h over ${goal.timeEntries.length} session${goal.timeEntries.length === 1 ? '' : 's'}
+                            </div>
+                        </div>
+                    ` : ''}
+                    
+                    ${hasGoalMetric(goal) ? renderGoalMetric(goal) : ''}
+                    ${hasGoalBreakdown(goal) ? renderGoalBreakdown(goal, { includeLinks: false }) : ''}
+                    
+                    <div class="form-group">
+                        <label class="form-label">Linked Habits</label>
+                        ${habits.length > 0 ? habits.map(habit => `
+                            <div class="goal-linked-item" onclick="showHabitModal(${habit.id})">
+                                <i class="fas fa-sync-alt"></i>
+                                <span class="goal-linked-name">${escapeHtml(habit.name)}</span>
+                                <span class="goal-linked-meta">${habit.streak || 0} day streak</span>
+                                <span class="goal-linked-progress">${calculateLinkedHabitProgress(goal, habit)}%</span>
+                            </div>
+                        `).join('') : '<p class="goal-log-empty">No habits linked</p>'}
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Linked Projects</label>
+                        ${projects.length > 0 ? projects.map(project => `
+                            <div class="goal-linked-item" onclick="showProjectModal(${project.id})">
+                                <i class="fas fa-project-diagram"></i>
+                                <span class="goal-linked-name">${escapeHtml(project.name)}</span>
+                                <span class="goal-linked-meta">${project.status}</span>
+                                <span class="goal-linked-progress">${calculateLinkedProjectProgress(project)}%</span>
+                            </div>
+                        `).join('') : '<p class="goal-log-empty">No projects linked</p>'}
+                    </div>
+                    
+                    <div class="modal-actions">
+                        <button class="btn btn-danger" onclick="deleteGoal(${goal.id})">
+                            <i class="fas fa-trash"></i> Delete
+                        </button>
+                        <div style="flex: 1"></div>
+                        <button class="btn btn-outline" onclick="closeModal('goalViewModal')">
+                            Close
+                        </button>
+                        ${hasGoalMetric(goal) ? `
+                            <button class="btn btn-outline" onclick="showLogGoalProgressModal(${goal.id})">
+                                <i class="fas fa-plus"></i> Log Progress
+                            </button>
+                        ` : ''}
+                        <button class="btn btn-primary" onclick="editGoal(${goal.id})">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const modalContainer = document.getElementById('modalsContainer');
+    modalContainer.innerHTML = modalHTML;
+}
+
+function showLogGoalProgressModal(goalId) {
+    const goal = appData.goals.find(g => g.id === goalId);
+    if (!goal || !hasGoalMetric(goal)) return;
+    
+    const recentEntries = (goal.progressLog || []).slice(-5).reverse();
+    const entriesHTML = recentEntries.length === 0
+        ? '<p class="goal-log-empty">No progress logged yet</p>'
+        : recentEntries.map(entry => `
+            <div class="goal-log-entry">
+                <span class="goal-log-amount ${entry.amount < 0 ? 'negative' : ''}">
+                    ${entry.amount > 0 ? '+' : ''}${escapeHtml(formatGoalValue(goal, entry.amount))}
+                </span>
+                <span class="goal-log-note">${escapeHtml(entry.note || '')}</span>
+                <span class="goal-log-date">${formatDate(entry.date)}</span>
+                <button class="btn-icon-sm" onclick="removeGoalProgressEntry(${goal.id}, ${entry.id})" title="Remove entry">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    
+    const modalHTML = `
+        <div class="modal-overlay" id="goalProgressModal">
+            <div class="modal" style="max-width: 480px;">
+                <div class="modal-header" style="background: linear-gradient(135deg, #10b981, #34d399); color: white;">
+                    <h3><i class="fas fa-chart-line"></i> Log Progress</h3>
+                    <button class="modal-close" onclick="closeModal('goalProgressModal')" style="color: white;">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <h4 class="goal-log-title">${escapeHtml(goal.title)}</h4>
+                    ${renderGoalMetric(goal)}
+                    
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label class="form-label">Amount${goal.unit ? ` (${escapeHtml(goal.unit)})` : ''} *</label>
+                            <input type="number" id="goalProgressAmount" class="form-control" step="any"
+                                   placeholder="e.g. 5 (negative to correct)">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Date</label>
+                            <input type="date" id="goalProgressDate" class="form-control" value="${toDateKey()}">
+                        </div>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Note</label>
+                        <input type="text" id="goalProgressNote" class="form-control" placeholder="What did you do?">
+                    </div>
+                    
+                    <div class="goal-log-list">
+                        <label class="form-label">Recent entries</label>
+                        ${entriesHTML}
+                    </div>
+                    
+                    <div class="modal-actions">
+                        <button class="btn btn-outline" onclick="closeModal('goalProgressModal')">
+                            Cancel
+                        </button>
+                        <button class="btn btn-primary" onclick="saveGoalProgress(${goal.id})" style="background: linear-gradient(135deg, #10b981, #34d399);">
+                            <i class="fas fa-plus"></i> Add Entry
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const modalContainer = document.getElementById('modalsContainer');
+    if (!modalContainer) return;
+    modalContainer.innerHTML = modalHTML;
+    
+    setTimeout(() => {
+        const amountInput = document.getElementById('goalProgressAmount');
+        if (amountInput) amountInput.focus();
+    }, 100);
+}
+
+function saveGoalProgress(goalId) {
+    const goal = appData.goals.find(g => g.id === goalId);
+    if (!goal) return;
+    
+    const amount = parseFloat(document.getElementById('goalProgressAmount')?.value);
+    if (!amount) {
+        showToast('Please enter an amount', 'error');
+        return;
+    }
+    
+    addGoalProgressEntry(goal, {
+        amount,
+        date: document.getElementById('goalProgressDate')?.value || toDateKey(),
+        note: document.getElementById('goalProgressNote')?.value.trim() || ''
+    });
+    
+    closeModal('goalProgressModal');
+    showToast(`Logged ${amount > 0 ? '+' : ''}${formatGoalValue(goal, amount)}`, 'success');
+}
+
+function addGoalProgressEntry(goal, { amount, date, note }) {
+    goal.progressLog = goal.progressLog || [];
+    goal.progressLog.push({
+        id: Date.now(),
+        date,
+        amount: roundGoalValue(amount),
+        note,
+        createdAt: new Date().toISOString()
+    });
+    recalculateGoalValue(goal);
+    goal.updatedAt = new Date().toISOString();
+    
+    queueMutation('goals', 'upsert', goal.id, goal);
+    checkGoalCompletion(goal);
+    saveAppData();
+    refreshGoalViews();
+}
+
+function removeGoalProgressEntry(goalId, entryId) {
+    const goal = appData.goals.find(g => g.id === goalId);
+    if (!goal) return;
+    
+    goal.progressLog = (goal.progressLog || []).filter(entry => entry.id !== entryId);
+    recalculateGoalValue(goal);
+    goal.updatedAt = new Date().toISOString();
+    
+    queueMutation('goals', 'upsert', goal.id, goal);
+    saveAppData();
+    refreshGoalViews();
+    showLogGoalProgressModal(goalId);
+}
+
+function refreshGoalViews() {
+    if (currentPage === 'goals') {
+        updateGoalsStats();
+        renderGoalsList();
+    } else {
+        updateDashboard();
+    }
+}
+
+// Read the optional target fields shared by the add and edit goal forms
+function readGoalMetricInputs(prefix) {
+    const targetRaw = document.getElementById(`${prefix}TargetValue`)?.value.trim();
+    const targetValue = targetRaw === '' || targetRaw === undefined ? null : parseFloat(targetRaw);
+    
+    return {
+        targetValue: Number.isFinite(targetValue) ? targetValue : null,
+        unit: document.getElementById(`${prefix}Unit`)?.value.trim() || ''
+    };
+}
+
+// Helper function to escape HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Helper function to format date
+function formatDate(dateString) {
+    const date = parseDateKey(dateString);
+    return date.toLocaleDateString('en-US', { 
+        month: 'short', 
+        day: 'numeric', 
+        year: 'numeric' 
+    });
+}
+
+// Filter goals
+function filterGoals(filter) {
+    renderGoalsList(filter);
+}
+
+// Sort goals
+function sortGoals(criteria) {
+    let sortedGoals = [...appData.goals];
+    
+    switch(criteria) {
+        case 'priority':
+            const priorityOrder = { 'high': 3, 'medium': 2, 'low': 1 };
+            sortedGoals.sort((a, b) => 
+                (priorityOrder[b.priority] || 0) - (priorityOrder[a.priority] || 0)
+            );
+            break;
+        case 'date':
+            sortedGoals.sort((a, b) => {
+                const dateA = a.targetDate ? parseDateKey(a.targetDate).getTime() : Infinity;
+                const dateB = b.targetDate ? parseDateKey(b.targetDate).getTime() : Infinity;
+                return dateA - dateB;
+            });
+            break;
+        case 'title':
+            sortedGoals.sort((a, b) => 
+                a.title.localeCompare(b.title)
+            );
+            break;
+    }
+    
+    appData.goals = sortedGoals;
+    saveAppData();
+    renderGoalsList();
+    showToast('Goals sorted successfully', 'success');
+}
+
+// Toggle goal status
+function toggleGoalStatus(goalId) {
+    const goal = appData.goals.find(g => g.id === goalId);
+    if (!goal) return;
+    
+    const oldStatus = goal.status;
+    goal.status = goal.status === 'completed' ? 'active' : 'completed';
+    goal.updatedAt = new Date().toISOString();
+    
+    queueMutation('goals', 'upsert', goal.id, goal);
+    if (goal.status === 'completed') checkGoalCompletion(getParentGoal(goal));
+    saveAppData();
+    
+    // Update stats and list
+    updateGoalsStats();
+    renderGoalsList();
+    
+    // Update dashboard
+    if (currentPage !== 'goals') {
+        updateDashboard();
+    }
+    
+    // Add notification for completion
+    if (goal.status === 'completed') {
+        addNotification(
+            'Goal Completed! 🎉',
+            `Congratulations! You've completed "${goal.title}".`,
+            'success',
+            { page: 'goals' }
+        );
+    }
+    
+    showToast(`Goal marked as ${goal.status}`, 'success');
+}
+
+// Delete goal
+function deleteGoal(goalId) {
+    const goal = appData.goals.find(g => g.id === goalId);
+    if (!goal) return;
+    
+    const subGoals = getSubGoals(goal);
+    const subGoalNote = subGoals.length > 0
+        ? `Its ${subGoals.length} sub-goal${subGoals.length === 1 ? '' : 's'} will become top-level goals.`
+        : '';
+    
+    if (!hasGoalLinks(goal)) {
+        if (confirm(`Are you sure you want to delete "${goal.title}"?${subGoalNote ? `\n\n${subGoalNote}` : ''}`)) {
+            removeGoal(goal);
+        }
+        return;
+    }
+    
+    // Linked habits and projects may be worth keeping on their own - ask
+    const habits = getLinkedHabits(goal);
+    const projects = getLinkedProjects(goal);
+    const linkSummary = [
+        habits.length > 0 ? `${habits.length} habit${habits.length === 1 ? '' : 's'}` : '',
+        projects.length > 0 ? `${projects.length} project${projects.length === 1 ? '' : 's'}` : ''
+    ].filter(Boolean).join(' and ');
+    
+    const modalHTML = `
+        <div class="modal-overlay" id="deleteGoalModal">
+            <div class="modal" style="max-width: 460px;">
+                <div class="modal-header">
+                    <h3><i class="fas fa-trash"></i> Delete Goal</h3>
+                    <button class="modal-close" onclick="closeModal('deleteGoalModal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p>"${escapeHtml(goal.title)}" is linked to ${linkSummary}. What should happen to them?</p>
+                    
+                    <label class="goal-link-option">
+                        <input type="radio" name="deleteGoalLinks" value="keep" checked>
+                        Keep them, just remove the link
+                    </label>
+                    <label class="goal-link-option">
+                        <input type="radio" name="deleteGoalLinks" value="delete">
+                        Delete them too
+                    </label>
+                    
+                    ${subGoalNote ? `<p class="goal-log-empty" style="margin-top: 12px;">${subGoalNote}</p>` : ''}
+                    
+                    <div class="modal-actions">
+                        <button class="btn btn-outline" onclick="closeModal('deleteGoalModal')">
+                            Cancel
+                        </button>
+                        <button class="btn btn-danger" onclick="confirmDeleteGoal(${goal.id})">
+                            <i class="fas fa-trash"></i> Delete Goal
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const modalContainer = document.getElementById('modalsContainer');
+    modalContainer.innerHTML = modalHTML;
+}
+
+function confirmDeleteGoal(goalId) {
+    const goal = appData.goals.find(g => g.id === goalId);
+    if (!goal) return;
+    
+    const choice = document.querySelector('input[name="deleteGoalLinks"]:checked')?.value;
+    removeGoal(goal, { deleteLinked: choice === 'delete' });
+    closeModal('deleteGoalModal');
+}
+
+function removeGoal(goal, { deleteLinked = false } = {}) {
+    const subGoals = getSubGoals(goal);
+    
+    discardTimerFor('goal', goal.id);
+    appData.goals = appData.goals.filter(g => g.id !== goal.id);
+    queueMutation('goals', 'delete', goal.id);
+    
+    subGoals.forEach(subGoal => {
+        subGoal.parentId = goal.parentId || null;
+        subGoal.updatedAt = new Date().toISOString();
+        queueMutation('goals', 'upsert', subGoal.id, subGoal);
+    });
+    
+    if (deleteLinked) {
+        getLinkedHabits(goal).forEach(habit => {
+            appData.habits = appData.habits.filter(h => h.id !== habit.id);
+            queueMutation('habits', 'delete', habit.id);
+            unlinkFromGoals('habit', habit.id);
+        });
+        getLinkedProjects(goal).forEach(project => {
+            discardTimerFor('project', project.id);
+            appData.projects = appData.projects.filter(p => p.id !== project.id);
+            queueMutation('projects', 'delete', project.id);
+            unlinkFromGoals('project', project.id);
+        });
+    }
+    saveAppData();
+    
+    // Update stats and list
+    updateGoalsStats();
+    renderGoalsList();
+    
+    // Update dashboard
+    if (currentPage !== 'goals') {
+        updateDashboard();
+    }
+    
+    addNotification(
+        'Goal Deleted',
+        `"${goal.title}" has been removed from your goals.`,
+        'info'
+    );
+    
+    showToast('Goal deleted successfully!', 'success');
+    
+    // Close modals if open
+    closeModal('editGoalModal');
+    closeModal('goalViewModal');
+}
+
+// Show add goal modal
+function showAddGoalModal() {
+    const modalHTML = `
+        <div class="modal-overlay" id="addGoalModal">
+            <div class="modal" style="max-width: 500px;">
+                <div class="modal-header" style="background: linear-gradient(135deg, #6366f1, #8b5cf6); color: white;">
+                    <h3><i class="fas fa-plus-circle"></i> Add New Goal</h3>
+                    <button class="modal-close" onclick="closeModal('addGoalModal')" style="color: white;">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="form-group">
+                        <label class="form-label">Goal Title *</label>
+                        <input type="text" id="goalTitle" class="form-control" 
+                               placeholder="What do you want to achieve?" required>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Description</label>
+                        <textarea id="goalDescription" class="form-control" rows="3" 
+                                  placeholder="Describe your goal and why it's important..."></textarea>
+                    </div>
+                    
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label class="form-label">Target Date</label>
+                            <input type="date" id="goalTargetDate" class="form-control">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Priority</label>
+                            <select id="goalPriority" class="form-control">
+                                <option value="low">Low</option>
+                                <option value="medium" selected>Medium</option>
+                                <option value="high">High</option>
+                            </select>
+                        </div>
+                    </div>
+                    
+                    <div class="form-row goal-metric-row">
+                        <div class="form-group">
+                            <label class="form-label">Target Value</label>
+                            <input type="number" id="goalTargetValue" class="form-control" step="any"
+                                   placeholder="Optional, e.g. 100">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Unit</label>
+                            <input type="text" id="goalUnit" class="form-control" placeholder="km, pages, $...">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Starting At</label>
+                            <input type="number" id="goalStartValue" class="form-control" step="any" value="0">
+                        </div>
+                    </div>
+                    
+                    ${renderMilestoneEditor()}
+                    
+                    ${appData.goals.length > 0 ? renderParentGoalSelect('goalParent') : ''}
+                    
+                    ${renderGoalLinkPicker()}
+                    
+                    <div class="form-group">
+                        <label class="form-label">Category</label>
+                        <select id="goalCategory" class="form-control">
+                            <option value="study">Study</option>
+                            <option value="career">Career</option>
+                            <option value="health" selected>Health</option>
+                            <option value="personal">Personal</option>
+                            <option value="financial">Financial</option>
+                            <option value="other">Other</option>
+                        </select>
+                    </div>
+                    
+                    <div class="modal-actions">
+                        <button class="btn btn-outline" onclick="closeModal('addGoalModal')">
+                            Cancel
+                        </button>
+                        <button class="btn btn-primary" onclick="saveGoal()" style="background: linear-gradient(135deg, #6366f1, #8b5cf6);">
+                            <i class="fas fa-save"></i> Create Goal
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const modalContainer = document.getElementById('modalsContainer');
+    if (!modalContainer) {
+        console.error('Modal container not found');
+        return;
+    }
+    
+    modalContainer.innerHTML = modalHTML;
+    
+    // Set default date to 3 months from now
+    const dateInput = document.getElementById('goalTargetDate');
+    if (dateInput) {
+        const futureDate = new Date();
+        futureDate.setMonth(futureDate.getMonth() + 3);
+        dateInput.value = toDateKey(futureDate);
+    }
+    
+    // Focus on title input
+    setTimeout(() => {
+        const titleInput = document.getElementById('goalTitle');
+        if (titleInput) titleInput.focus();
+    }, 100);
+}
+
+// Save goal
+function saveGoal() {
+    const titleInput = document.getElementById('goalTitle');
+    const descriptionInput = document.getElementById('goalDescription');
+    const dateInput = document.getElementById('goalTargetDate');
+    const prioritySelect = document.getElementById('goalPriority');
+    const categorySelect = document.getElementById('goalCategory');
+    
+    if (!titleInput || !descriptionInput || !dateInput || !prioritySelect || !categorySelect) {
+        showToast('Form elements not found', 'error');
+        return;
+    }
+    
+    const title = titleInput.value.trim();
+    const description = descriptionInput.value.trim();
+    const targetDate = dateInput.value;
+    const priority = prioritySelect.value;
+    const category = categorySelect.value;
+    
+    if (!title) {
+        showToast('Please enter a goal title', 'error');
+        titleInput.focus();
+        return;
+    }
+    
+    const { targetValue, unit } = readGoalMetricInputs('goal');
+    const startValue = parseFloat(document.getElementById('goalStartValue')?.value) || 0;
+    
+    const goal = {
+        id: Date.now(),
+        title,
+        description,
+        targetDate,
+        priority,
+        category,
+        status: 'active',
+        targetValue,
+        unit,
+        startValue,
+        currentValue: startValue,
+        progressLog: [],
+        milestones: readMilestoneEditor(),
+        parentId: Number(document.getElementById('goalParent')?.value) || null,
+        ...readGoalLinkPicker(),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    appData.goals.push(goal);
+    queueMutation('goals', 'upsert', goal.id, goal);
+    // Created with every milestone already ticked - may finish it (and its parent) straight away
+    checkGoalCompletion(goal);
+    saveAppData();
+    
+    // Add notification
+    addNotification(
+        'New Goal Created! 🎯',
+        `"${title}" has been added to your goals.`,
+        'success',
+        { page: 'goals' }
+    );
+    
+    showToast('Goal created successfully!', 'success');
+    closeModal('addGoalModal');
+    
+    // Update goals page if it's currently active
+    if (currentPage === 'goals') {
+        updateGoalsStats();
+        renderGoalsList('all');
+    } else {
+        // If not on goals page, update dashboard
+        updateDashboard();
+    }
+}
+
+// Edit goal modal
+function editGoal(goalId) {
+    const goal = appData.goals.find(g => g.id === goalId);
+    if (!goal) return;
+    
+    const modalHTML = `
+        <div class="modal-overlay" id="editGoalModal">
+            <div class="modal" style="max-width: 500px;">
+                <div class="modal-header" style="background: linear-gradient(135deg, #8b5cf6, #d946ef); color: white;">
+                    <h3><i class="fas fa-edit"></i> Edit Goal</h3>
+                    <button class="modal-close" onclick="closeModal('editGoalModal')" style="color: white;">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="form-group">
+                        <label class="form-label">Goal Title *</label>
+                        <input type="text" id="editGoalTitle" class="form-control" 
+                               value="${goal.title.replace(/"/g, '&quot;')}" required>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Description</label>
+                        <textarea id="editGoalDescription" class="form-control" rows="3">${goal.description || ''}</textarea>
+                    </div>
+                    
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label class="form-label">Target Date</label>
+                            <input type="date" id="editGoalTargetDate" class="form-control" 
+                                   value="${goal.targetDate || ''}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Priority</label>
+                            <select id="editGoalPriority" class="form-control">
+                                <option value="low" ${goal.priority === 'low' ? 'selected' : ''}>Low</option>
+                                <option value="medium" ${!goal.priority || goal.priority === 'medium' ? 'selected' : ''}>Medium</option>
+                                <option value="high" ${goal.priority === 'high' ? 'selected' : ''}>High</option>
+                            </select>
+                        </div>
+                    </div>
+                    
+                    <div class="form-row goal-metric-row">
+                        <div class="form-group">
+                            <label class="form-label">Target Value</label>
+                            <input type="number" id="editGoalTargetValue" class="form-control" step="any"
+                                   placeholder="Optional" value="${goal.targetValue ?? ''}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Unit</label>
+                            <input type="text" id="editGoalUnit" class="form-control"
+                                   value="${escapeHtml(goal.unit || '')}">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Current Value</label>
+                            <input type="number" id="editGoalCurrentValue" class="form-control" step="any"
+                                   value="${goal.currentValue ?? goal.startValue ?? 0}">
+                        </div>
+                    </div>
+                    
+                    ${renderMilestoneEditor(goal.milestones || [])}
+                    
+                    ${getGoalParentOptions(goal).length > 0 ? renderParentGoalSelect('editGoalParent', goal) : ''}
+                    
+                    ${renderGoalLinkPicker(goal)}
+                    
+                    <div class="form-group">
+                        <label class="form-label">Category</label>
+                        <select id="editGoalCategory" class="form-control">
+                            <option value="study" ${goal.category === 'study' ? 'selected' : ''}>Study</option>
+                            <option value="career" ${goal.category === 'career' ? 'selected' : ''}>Career</option>
+                            <option value="health" ${goal.category === 'health' || !goal.category ? 'selected' : ''}>Health</option>
+                            <option value="personal" ${goal.category === 'personal' ? 'selected' : ''}>Personal</option>
+                            <option value="financial" ${goal.category === 'financial' ? 'selected' : ''}>Financial</option>
+                            <option value="other" ${goal.category === 'other' ? 'selected' : ''}>Other</option>
+                        </select>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Status</label>
+                        <select id="editGoalStatus" class="form-control">
+                            <option value="active" ${goal.status === 'active' ? 'selected' : ''}>Active</option>
+                            <option value="completed" ${goal.status === 'completed' ? 'selected' : ''}>Completed</option>
+                        </select>
+                    </div>
+                    
+                    <div class="modal-actions">
+                        <button class="btn btn-danger" onclick="deleteGoal(${goalId})">
+                            <i class="fas fa-trash"></i> Delete Goal
+                        </button>
+                        <div style="flex: 1"></div>
+                        <button class="btn btn-outline" onclick="closeModal('editGoalModal')">
+                            Cancel
+                        </button>
+                        <button class="btn btn-primary" onclick="updateGoal(${goalId})" style="background: linear-gradient(135deg, #8b5cf6, #d946ef);">
+                            <i class="fas fa-save"></i> Update Goal
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const modalContainer = document.getElementById('modalsContainer');
+    if (!modalContainer) {
+        console.error('Modal container not found');
+        return;
+    }
+    
+    modalContainer.innerHTML = modalHTML;
+    
+    // Focus on title input
+    setTimeout(() => {
+        const titleInput = document.getElementById('editGoalTitle');
+        if (titleInput) titleInput.focus();
+    }, 100);
+}
+
+// Update goal
+function updateGoal(goalId) {
+    const goal = appData.goals.find(g => g.id === goalId);
+    if (!goal) return;
+    
+    const titleInput = document.getElementById('editGoalTitle');
+    const descriptionInput = document.getElementById('editGoalDescription');
+    const dateInput = document.getElementById('editGoalTargetDate');
+    const prioritySelect = document.getElementById('editGoalPriority');
+    const categorySelect = document.getElementById('editGoalCategory');
+    const statusSelect = document.getElementById('editGoalStatus');
+    
+    if (!titleInput || !descriptionInput || !dateInput || !prioritySelect || !categorySelect || !statusSelect) {
+        showToast('Form elements not found', 'error');
+        return;
+    }
+    
+    const title = titleInput.value.trim();
+    if (!title) {
+        showToast('Please enter a goal title', 'error');
+        titleInput.focus();
+        return;
+    }
+    
+    goal.title = title;
+    goal.description = descriptionInput.value.trim();
+    goal.targetDate = dateInput.value;
+    goal.priority = prioritySelect.value;
+    goal.category = categorySelect.value;
+    goal.status = statusSelect.value;
+    Object.assign(goal, readGoalMetricInputs('editGoal'));
+    goal.milestones = readMilestoneEditor();
+    Object.assign(goal, readGoalLinkPicker());
+    
+    const previousParent = getParentGoal(goal);
+    const parentSelect = document.getElementById('editGoalParent');
+    if (parentSelect) goal.parentId = Number(parentSelect.value) || null;
+    
+    // Editing the current value is logged as an adjustment so the history adds up
+    const currentValue = parseFloat(document.getElementById('editGoalCurrentValue')?.value);
+    const previousValue = recalculateGoalValue(goal);
+    if (Number.isFinite(currentValue) && currentValue !== previousValue) {
+        goal.progressLog = goal.progressLog || [];
+        goal.progressLog.push({
+            id: Date.now(),
+            date: toDateKey(),
+            amount: roundGoalValue(currentValue - previousValue),
+            note: 'Adjusted',
+            createdAt: new Date().toISOString()
+        });
+        recalculateGoalValue(goal);
+    }
+    goal.updatedAt = new Date().toISOString();
+    
+    queueMutation('goals', 'upsert', goal.id, goal);
+    // The status was just picked in this form, so only parents are auto-completed
+    checkGoalCompletion(getParentGoal(goal));
+    if (previousParent && previousParent.id !== goal.parentId) checkGoalCompletion(previousParent);
+    saveAppData();
+    
+    // Update stats and list
+    updateGoalsStats();
+    renderGoalsList();
+    
+    // Update dashboard
+    if (currentPage !== 'goals') {
+        updateDashboard();
+    }
+    
+    addNotification(
+        'Goal Updated',
+        `"${title}" has been updated.`,
+        'info',
+        { page: 'goals' }
+    );
+    
+    showToast('Goal updated successfully!', 'success');
+    closeModal('editGoalModal');
+}
+
+// ===== PROJECTS PAGE =====
+function loadProjectsPage() {
+    const container = document.getElementById('projectsPage');
+    if (!container) return;
+    
+    container.innerHTML = `
+        <div class="projects-page">
+            <div class="section-header">
+                <h3>My Projects</h3>
+                <button class="btn btn-primary" onclick="showAddProjectModal()">
+                    <i class="fas fa-plus"></i> Add New Project
+                </button>
+            </div>
+            
+            <!-- Projects Stats Overview -->
+            <div class="projects-stats-overview" id="projectsStatsOverview">
+                <!-- Stats will be loaded here -->
+            </div>
+            
+            <!-- Filter Bar -->
+            <div class="projects-filter-bar">
+                <div class="filter-buttons">
+                    <button class="filter-btn active" onclick="filterProjects('all')">All Projects</button>
+                    <button class="filter-btn" onclick="filterProjects('inprogress')">In Progress</button>
+                    <button class="filter-btn" onclick="filterProjects('planned')">Planned</button>
+                    <button class="filter-btn" onclick="filterProjects('completed')">Completed</button>
+                </div>
+                <div class="search-box">
+                    <i class="fas fa-search"></i>
+                    <input type="text" id="projectSearch" placeholder="Search projects..." onkeyup="searchProjects()">
+                </div>
+                <div class="view-toggle" id="projectsViewToggle">
+                    ${renderProjectsViewToggle()}
+                </div>
+            </div>
+            
+            <!-- Projects Grid -->
+            <div class="projects-grid" id="projectsGrid">
+                <!-- Projects will be loaded here -->
+            </div>
+        </div>
+    `;
+    
+    renderProjectsStats();
+    renderProjectsList('all', '');
+}
+
+function renderProjectsStats() {
+    const container = document.getElementById('projectsStatsOverview');
+    if (!container) return;
+    
+    const totalProjects = appData.projects.length;
+    const inProgress = appData.projects.filter(p => p.status === 'inprogress').length;
+    const completed = appData.projects.filter(p => p.status === 'completed').length;
+    const averageProgress = totalProjects > 0 
+        ? Math.round(appData.projects.reduce((sum, p) => sum + (p.progress || 0), 0) / totalProjects)
+        : 0;
+    const hoursLogged = Math.round(appData.projects.reduce((sum, p) => sum + getLoggedHours(p), 0) * 10) / 10;
+    const mostTracked = appData.projects.reduce(
+        (top, p) => getLoggedHours(p) > (top ? getLoggedHours(top) : 0) ? p : top, null);
+    
+    container.innerHTML = `
+        <div class="project-stat-card" onclick="filterProjects('all')">
+            <div class="project-stat-icon" style="background: linear-gradient(135deg, #6366f1, #8b5cf6);">
+                <i class="fas fa-project-diagram"></i>
+            </div>
+            <div class="project-stat-content">
+                <div class="project-stat-value">${totalProjects}</div>
+                <div class="project-stat-label">Total Projects</div>
+            </div>
+        </div>
+        
+        <div class="project-stat-card" onclick="filterProjects('inprogress')">
+            <div class="project-stat-icon" style="background: linear-gradient(135deg, #f59e0b, #fbbf24);">
+                <i class="fas fa-tasks"></i>
+            </div>
+            <div class="project-stat-content">
+                <div class="project-stat-value">${inProgress}</div>
+                <div class="project-stat-label">In Progress</div>
+            </div>
+        </div>
+        
+        <div class="project-stat-card" onclick="filterProjects('completed')">
+            <div class="project-stat-icon" style="background: linear-gradient(135deg, #10b981, #34d399);">
+                <i class="fas fa-check-circle"></i>
+            </div>
+            <div class="project-stat-content">
+                <div class="project-stat-value">${completed}</div>
+                <div class="project-stat-label">Completed</div>
+            </div>
+        </div>
+        
+        <div class="project-stat-card" onclick="showPage('stats')">
+            <div class="project-stat-icon" style="background: linear-gradient(135deg, #8b5cf6, #d946ef);">
+                <i class="fas fa-chart-line"></i>
+            </div>
+            <div class="project-stat-content">
+                <div class="project-stat-value">${averageProgress}%</div>
+                <div class="project-stat-label">Avg. Progress</div>
+            </div>
+        </div>
+        
+        <div class="project-stat-card" title="${mostTracked ? `Most time: ${escapeHtml(mostTracked.name)} (${getLoggedHours(mostTracked)}h)` : 'No time logged yet'}">
+            <div class="project-stat-icon" style="background: linear-gradient(135deg, #0ea5e9, #38bdf8);">
+                <i class="fas fa-stopwatch"></i>
+            </div>
+            <div class="project-stat-content">
+                <div class="project-stat-value">${hoursLogged}h</div>
+                <div class="project-stat-label">Hours Logged</div>
+            </div>
+        </div>
+    `;
+}
+
+// Remembered so re-renders after an edit keep the current filter and search
+let projectListFilter = 'all';
+let projectListSearch = '';
+
+function renderProjectsList(filter = projectListFilter, searchTerm = projectListSearch) {
+    const container = document.getElementById('projectsGrid');
+    if (!container) return;
+    
+    projectListFilter = filter;
+    projectListSearch = searchTerm;
+    
+    // Update active filter button
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    if (filter !== 'search') {
+        const activeBtn = document.querySelector(`.filter-btn[onclick*="${filter}"]`);
+        if (activeBtn) activeBtn.classList.add('active');
+    }
+    
+    let filteredProjects = [...appData.projects];
+    
+    // Apply filter
+    if (filter === 'inprogress') {
+        filteredProjects = appData.projects.filter(p => p.status === 'inprogress');
+    } else if (filter === 'planned') {
+        filteredProjects = appData.projects.filter(p => p.status === 'planned');
+    } else if (filter === 'completed') {
+        filteredProjects = appData.projects.filter(p => p.status === 'completed');
+    }
+    
+    // Apply search if provided
+    if (searchTerm) {
+        const term = searchTerm.toLowerCase();
+        filteredProjects = filteredProjects.filter(p => 
+            p.name.toLowerCase().includes(term) ||
+            (p.description && p.description.toLowerCase().includes(term)) ||
+            (p.category && p.category.toLowerCase().includes(term)) ||
+            (p.tech && p.tech.toLowerCase().includes(term))
+        );
+    }
+    
+    if (filteredProjects.length === 0) {
+        container.innerHTML = `
+            <div class="projects-empty-state">
+                <i class="fas fa-project-diagram"></i>
+                <h3>No projects found</h3>
+                <p>${filter === 'all' && !searchTerm ? 'Add your first project to get started!' : 
+                   searchTerm ? 'No projects match your search' : 
+                   `No ${filter} projects found`}</p>
+                ${!searchTerm ? `<button class="btn btn-primary" onclick="showAddProjectModal()">
+                    <i class="fas fa-plus"></i> Add Project
+                </button>` : ''}
+            </div>
+        `;
+        return;
+    }
+    
+    if (getProjectsView() === 'timeline') {
+        container.classList.add('timeline-mode');
+        renderProjectsTimeline(container, filteredProjects);
+        return;
+    }
+    container.classList.remove('timeline-mode');
+    
+    container.innerHTML = filteredProjects.map(project => {
+        const daysLeft = project.deadline ? 
+            Math.ceil((parseDateKey(project.deadline) - new Date()) / (1000 * 60 * 60 * 24)) : 
+            null;
+        
+        // Tech tags
+        const techTags = project.tech ? project.tech.split(',').map(t => t.trim()).filter(t => t) : [];
+        
+        // Format dates
+        const startDate = project.startDate ? formatShortDate(project.startDate) : 'Not started';
+        const deadline = project.deadline ? formatShortDate(project.deadline) : 'No deadline';
+        
+        return `
+            <div class="project-card-modern ${project.status}" data-project-id="${project.id}">
+                <div class="project-card-header">
+                    <div class="project-title-section">
+                        <h4 class="project-card-title">${escapeHtml(project.name)}</h4>
+                        <span class="project-card-category">${escapeHtml(project.category || 'Uncategorized')}</span>
+                    </div>
+                    <span class="project-status-badge ${project.status}">${project.status}</span>
+                </div>
+                
+                <p class="project-card-description">${escapeHtml(project.description || 'No description provided')}</p>
+                
+                <div class="project-meta-grid">
+                    <div class="project-meta-item">
+                        <i class="fas fa-calendar-plus"></i>
+                        <span>${startDate}</span>
+                    </div>
+                    <div class="project-meta-item">
+                        <i class="fas fa-calendar-check"></i>
+                        <span>${deadline}</span>
+                    </div>
+                    <div class="project-meta-item">
+                        <i class="fas fa-clock"></i>
+                        <span>${daysLeft !== null ? (daysLeft > 0 ? `${daysLeft} days left` : 'Overdue') : 'No deadline'}</span>
+                    </div>
+                    <div class="project-meta-item">
+                        <i class="fas fa-code"></i>
+                        <span>${techTags.length > 0 ? escapeHtml(techTags[0]) : 'No tech'}</span>
+                    </div>
+                </div>
+                
+                ${techTags.length > 1 ? `
+                    <div class="project-tech-tags">
+                        ${techTags.slice(0, 3).map(tag => `<span class="tech-tag">${escapeHtml(tag)}</span>`).join('')}
+                        ${techTags.length > 3 ? `<span class="tech-tag">+${techTags.length - 3}</span>` : ''}
+                    </div>
+                ` : ''}
+                
+                <div class="project-progress-section">
+                    <div class="progress-header">
+                        <span>Progress${(project.tasks || []).length > 0 ? ` · ${project.tasks.filter(t => t.status === 'done').length}/${project.tasks.length} tasks` : ''}</span>
+                        <span class="progress-percentage">${project.progress || 0}%</span>
+                    </div>
+                    <div class="progress-bar-modern">
+                        <div class="progress-fill-modern" style="width: ${project.progress || 0}%"></div>
+                    </div>
+                </div>
+                
+                <div class="project-time-logged">
+                    <i class="fas fa-stopwatch"></i>
+                    ${getLoggedHours(project)}h logged
+                    ${isTimerRunningFor('project', project.id) ? '<span class="project-timer-live">● Timer running</span>' : ''}
+                </div>
+                
+                <div class="project-card-actions">
+                    <button class="btn-icon-circle tooltip" onclick="toggleTimer('project', ${project.id})"
+                            title="${isTimerRunningFor('project', project.id) ? 'Stop Timer' : 'Start Timer'}">
+                        <i class="fas fa-${isTimerRunningFor('project', project.id) ? 'stop' : 'play'}"></i>
+                    </button>
+                    <button class="btn-icon-circle tooltip" onclick="updateProjectProgress(${project.id})" title="Update Progress">
+                        <i class="fas fa-chart-line"></i>
+                    </button>
+                    <button class="btn-icon-circle tooltip" onclick="toggleProjectStatus(${project.id})" title="${project.status === 'completed' ? 'Mark as In Progress' : 'Mark as Complete'}">
+                        <i class="fas fa-${project.status === 'completed' ? 'undo' : 'check'}"></i>
+                    </button>
+                    <button class="btn-icon-circle tooltip" onclick="editProject(${project.id})" title="Edit Project">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn-icon-circle tooltip" onclick="deleteProject(${project.id})" title="Delete Project" style="color: var(--danger-500);">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    // Add click event to cards (opens modal)
+    container.querySelectorAll('.project-card-modern').forEach(card => {
+        card.addEventListener('click', function(e) {
+            // Only trigger if click wasn't on a button
+            if (!e.target.closest('.btn-icon-circle')) {
+                const projectId = parseInt(this.getAttribute('data-project-id'));
+                showProjectModal(projectId);
+            }
+        });
+    });
+}
+
+function filterProjects(filter) {
+    const searchInput = document.getElementById('projectSearch');
+    if (searchInput) searchInput.value = '';
+    renderProjectsList(filter, '');
+}
+
+function searchProjects() {
+    const searchTerm = document.getElementById('projectSearch').value;
+    renderProjectsList('all', searchTerm);
+}
+
+// ===== PROJECTS TIMELINE =====
+// Gantt-style alternative to the card grid. Each project is a bar from its
+// startDate to its deadline; dragging either end of a bar moves that date.
+// The chosen view and scale are kept in settings.
+const TIMELINE_SCALES = {
+    weeks: { dayWidth: 18, label: 'Weeks' },
+    months: { dayWidth: 5, label: 'Months' }
+};
+
+let timelineDrag = null;
+
+function getProjectsView() {
+    return appData.settings.projectsView === 'timeline' ? 'timeline' : 'grid';
+}
+
+function getTimelineScale() {
+    return TIMELINE_SCALES[appData.settings.timelineScale] ? appData.settings.timelineScale : 'weeks';
+}
+
+function renderProjectsViewToggle() {
+    const view = getProjectsView();
+    
+    return `
+        <button class="view-toggle-btn ${view === 'grid' ? 'active' : ''}" onclick="setProjectsView('grid')" title="Card grid">
+            <i class="fas fa-th-large"></i>
+        </button>
+        <button class="view-toggle-btn ${view === 'timeline' ? 'active' : ''}" onclick="setProjectsView('timeline')" title="Timeline">
+            <i class="fas fa-stream"></i>
+        </button>
+        ${view === 'timeline' ? `
+            <select class="form-control timeline-scale" onchange="setTimelineScale(this.value)">
+                ${Object.entries(TIMELINE_SCALES).map(([value, scale]) => `
+                    <option value="${value}" ${getTimelineScale() === value ? 'selected' : ''}>${scale.label}</option>
+                `).join('')}
+            </select>
+        ` : ''}
+    `;
+}
+
+function setProjectsView(view) {
+    appData.settings.projectsView = view;
+    saveAppData();
+    
+    const toggle = document.getElementById('projectsViewToggle');
+    if (toggle) toggle.innerHTML = renderProjectsViewToggle();
+    renderProjectsList();
+}
+
+function setTimelineScale(scale) {
+    appData.settings.timelineScale = scale;
+    saveAppData();
+    renderProjectsList();
+}
+
+// Projects without dates still get a bar: start falls back to creation, end to the start
+function getProjectTimelineDates(project) {
+    const startKey = project.startDate || toDateKey(project.createdAt ? new Date(project.createdAt) : new Date());
+    const endKey = project.deadline && project.deadline >= startKey ? project.deadline : startKey;
+    return { startKey, endKey };
+}
+
+function renderProjectsTimeline(container, projects) {
+    const scale = TIMELINE_SCALES[getTimelineScale()];
+    const todayKey = toDateKey();
+    
+    // Pad the range so bars can be dragged past the current first/last date
+    const keys = projects.flatMap(project => Object.values(getProjectTimelineDates(project)));
+    keys.push(todayKey);
+    const firstKey = keys.reduce((min, key) => key < min ? key : min);
+    const lastKey = keys.reduce((max, key) => key > max ? key : max);
+    
+    const firstDate = parseDateKey(addDaysToKey(firstKey, -14));
+    const rangeStartKey = getTimelineScale() === 'months'
+        ? toDateKey(new Date(firstDate.getFullYear(), firstDate.getMonth(), 1))
+        : addDaysToKey(toDateKey(firstDate), -((firstDate.getDay() + 6) % 7)); // back to Monday
+    const rangeDays = daysBetweenKeys(rangeStartKey, addDaysToKey(lastKey, 30)) + 1;
+    const trackWidth = rangeDays * scale.dayWidth;
+    const todayOffset = (daysBetweenKeys(rangeStartKey, todayKey) + 0.5) * scale.dayWidth;
+    
+    const rows = projects.map(project => {
+        const { startKey, endKey } = getProjectTimelineDates(project);
+        const left = daysBetweenKeys(rangeStartKey, startKey) * scale.dayWidth;
+        const width = (daysBetweenKeys(startKey, endKey) + 1) * scale.dayWidth;
+        const overdue = project.deadline && project.deadline < todayKey && project.status !== 'completed';
+        const overdueWidth = overdue ? daysBetweenKeys(project.deadline, todayKey) * scale.dayWidth : 0;
+        
+        return `
+            <div class="timeline-row">
+                <div class="timeline-label" onclick="showProjectModal(${project.id})" title="${escapeHtml(project.name)}">
+                    <span class="timeline-label-name">${escapeHtml(project.name)}</span>
+                    <span class="project-status-badge ${project.status}">${project.status}</span>
+                </div>
+                <div class="timeline-track" style="width: ${trackWidth}px;">
+                    <div class="timeline-today" style="left: ${todayOffset}px;"></div>
+                    ${overdue ? `
+                        <div class="timeline-overdue-tail" style="left: ${left + width}px; width: ${overdueWidth}px;"
+                             title="Overdue by ${daysBetweenKeys(project.deadline, todayKey)} days"></div>
+                    ` : ''}
+                    <div class="timeline-bar ${project.status} ${overdue ? 'overdue' : ''} ${project.deadline ? '' : 'open-ended'}"
+                         data-project-id="${project.id}" style="left: ${left}px; width: ${width}px;"
+                         onclick="onTimelineBarClick(event, ${project.id})"
+                         title="${escapeHtml(project.name)}: ${formatShortDate(startKey)} – ${project.deadline ? formatShortDate(endKey) : 'no deadline'}">
+                        <div class="timeline-bar-progress" style="width: ${project.progress || 0}%"></div>
+                        <span class="timeline-bar-label">${project.progress || 0}%</span>
+                        <div class="timeline-handle start" onpointerdown="startTimelineDrag(event, ${project.id}, 'start')"></div>
+                        <div class="timeline-handle end" onpointerdown="startTimelineDrag(event, ${project.id}, 'end')"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    container.innerHTML = `
+        <div class="projects-timeline" data-range-start="${rangeStartKey}" data-day-width="${scale.dayWidth}">
+            <div class="timeline-row timeline-header-row">
+                <div class="timeline-label"></div>
+                <div class="timeline-track" style="width: ${trackWidth}px;">
+                    ${renderTimelineColumns(rangeStartKey, rangeDays, scale.dayWidth)}
+                    <div class="timeline-today" style="left: ${todayOffset}px;">
+                        <span class="timeline-today-label">Today</span>
+                    </div>
+                </div>
+            </div>
+            ${rows}
+        </div>
+    `;
+}
+
+// Week columns start on Mondays; month columns on the 1st
+function renderTimelineColumns(rangeStartKey, rangeDays, dayWidth) {
+    const byMonth = getTimelineScale() === 'months';
+    const columns = [];
+    
+    for (let day = 0; day < rangeDays; day++) {
+        const date = parseDateKey(addDaysToKey(rangeStartKey, day));
+        const isBoundary = byMonth ? date.getDate() === 1 : date.getDay() === 1;
+        if (day === 0 || isBoundary) {
+            columns.push({ day, date });
+        }
+    }
+    
+    return columns.map(({ day, date }) => `
+        <div class="timeline-column" style="left: ${day * dayWidth}px;">
+            ${byMonth
+                ? date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+                : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+        </div>
+    `).join('');
+}
+
+function startTimelineDrag(event, projectId, edge) {
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const bar = event.target.closest('.timeline-bar');
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!bar || !project) return;
+    
+    timelineDrag = {
+        projectId,
+        edge,
+        bar,
+        startX: event.clientX,
+        left: parseFloat(bar.style.left),
+        width: parseFloat(bar.style.width),
+        dayWidth: Number(bar.closest('.projects-timeline').dataset.dayWidth),
+        dayDelta: 0,
+        moved: false
+    };
+    bar.classList.add('dragging');
+    
+    // Pointer events so the handles work with touch and pens as well as a mouse
+    document.addEventListener('pointermove', onTimelineDragMove);
+    document.addEventListener('pointerup', endTimelineDrag);
+    document.addEventListener('pointercancel', endTimelineDrag);
+}
+
+function onTimelineDragMove(event) {
+    if (!timelineDrag) return;
+    
+    const { edge, bar, left, width, dayWidth } = timelineDrag;
+    let dayDelta = Math.round((event.clientX - timelineDrag.startX) / dayWidth);
+    
+    // Keep at least one day between the ends
+    const spanDays = Math.round(width / dayWidth);
+    if (edge === 'start') dayDelta = Math.min(dayDelta, spanDays - 1);
+    else dayDelta = Math.max(dayDelta, 1 - spanDays);
+    
+    timelineDrag.dayDelta = dayDelta;
+    timelineDrag.moved = timelineDrag.moved || dayDelta !== 0;
+    
+    if (edge === 'start') {
+        bar.style.left = `${left + dayDelta * dayWidth}px`;
+        bar.style.width = `${width - dayDelta * dayWidth}px`;
+    } else {
+        bar.style.width = `${width + dayDelta * dayWidth}px`;
+    }
+}
+
+function endTimelineDrag() {
+    document.removeEventListener('pointermove', onTimelineDragMove);
+    document.removeEventListener('pointerup', endTimelineDrag);
+    document.removeEventListener('pointercancel', endTimelineDrag);
+    if (!timelineDrag) return;
+    
+    const { projectId, edge, dayDelta, bar } = timelineDrag;
+    bar.classList.remove('dragging');
+    // Let the click that ends a drag skip opening the project
+    setTimeout(() => { timelineDrag = null; }, 0);
+    
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project || dayDelta === 0) return;
+    
+    const { startKey, endKey } = getProjectTimelineDates(project);
+    if (edge === 'start') {
+        project.startDate = addDaysToKey(startKey, dayDelta);
+    } else {
+        project.deadline = addDaysToKey(endKey, dayDelta);
+        if (!project.startDate) project.startDate = startKey;
+    }
+    project.updatedAt = new Date().toISOString();
+    
+    saveAppRecord('projects', project.id);
+    
+    showToast(`${edge === 'start' ? 'Start date' : 'Deadline'} of "${project.name}" moved to ${formatShortDate(edge === 'start' ? project.startDate : project.deadline)}`, 'success');
+    renderProjectsList();
+    updateDashboard();
+}
+
+function onTimelineBarClick(event, projectId) {
+    if (timelineDrag && timelineDrag.moved) return;
+    if (event.target.closest('.timeline-handle')) return;
+    showProjectModal(projectId);
+}
+
+function formatShortDate(dateString) {
+    if (!dateString) return 'No date';
+    try {
+        const date = parseDateKey(dateString);
+        if (isNaN(date.getTime())) return 'Invalid date';
+        return date.toLocaleDateString('en-US', { 
+            month: 'short', 
+            day: 'numeric', 
+            year: 'numeric' 
+        });
+    } catch (e) {
+        return 'Invalid date';
+    }
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// ===== PROJECT MODAL FUNCTIONS =====
+function showAddProjectModal() {
+    const modalHTML = `
+        <div class="modal-overlay" id="addProjectModal">
+            <div class="modal">
+                <div class="modal-header">
+                    <h3>Add New Project</h3>
+                    <button class="modal-close" onclick="closeModal('addProjectModal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <form id="addProjectForm" onsubmit="saveProject(); return false;">
+                        <div class="form-group">
+                            <label class="form-label">Project Name *</label>
+                            <input type="text" id="projectName" class="form-control" 
+                                   placeholder="Name of your project" required>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label class="form-label">Description</label>
+                            <textarea id="projectDescription" class="form-control" rows="3" 
+                                      placeholder="Describe your project..."></textarea>
+                        </div>
+                        
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label class="form-label">Start Date</label>
+                                <input type="date" id="projectStartDate" class="form-control">
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Deadline</label>
+                                <input type="date" id="projectDeadline" class="form-control">
+                            </div>
+                        </div>
+                        
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label class="form-label">Category</label>
+                                <select id="projectCategory" class="form-control">
+                                    <option value="coding">Coding</option>
+                                    <option value="design">Design</option>
+                                    <option value="writing">Writing</option>
+                                    <option value="research">Research</option>
+                                    <option value="other">Other</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Status</label>
+                                <select id="projectStatus" class="form-control">
+                                    <option value="planned">Planned</option>
+                                    <option value="inprogress" selected>In Progress</option>
+                                    <option value="completed">Completed</option>
+                                </select>
+                            </div>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label class="form-label">Technology / Tools</label>
+                            <input type="text" id="projectTech" class="form-control" 
+                                   placeholder="e.g., React, Node.js, Figma">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label class="form-label">Progress (%)</label>
+                            <input type="range" id="projectProgress" class="form-control-range" 
+                                   min="0" max="100" value="0">
+                            <div style="text-align: center; font-size: 0.875rem; color: var(--text-muted); margin-top: 5px;">
+                                <span id="progressValue">0%</span>
+                            </div>
+                        </div>
+                        
+                        <div class="modal-actions">
+                            <button class="btn btn-outline" type="button" onclick="closeModal('addProjectModal')">
+                                Cancel
+                            </button>
+                            <button class="btn btn-primary" type="submit">
+                                <i class="fas fa-save"></i> Save Project
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const modalContainer = document.getElementById('modalsContainer');
+    modalContainer.innerHTML = modalHTML;
+    
+    // Set default dates
+    const startDateInput = document.getElementById('projectStartDate');
+    const deadlineInput = document.getElementById('projectDeadline');
+    const today = toDateKey();
+    const nextMonth = new Date();
+    nextMonth.setMonth(nextMonth.getMonth() + 1);
+    
+    startDateInput.value = today;
+    deadlineInput.value = toDateKey(nextMonth);
+    
+    // Update progress value display
+    const progressSlider = document.getElementById('projectProgress');
+    const progressValue = document.getElementById('progressValue');
+    
+    progressSlider.addEventListener('input', function() {
+        progressValue.textContent = `${this.value}%`;
+    });
+}
+
+function saveProject() {
+    const name = document.getElementById('projectName').value.trim();
+    const description = document.getElementById('projectDescription').value.trim();
+    const startDate = document.getElementById('projectStartDate').value;
+    const deadline = document.getElementById('projectDeadline').value;
+    const category = document.getElementById('projectCategory').value;
+    const status = document.getElementById('projectStatus').value;
+    const tech = document.getElementById('projectTech').value.trim();
+    const progress = parseInt(document.getElementById('projectProgress').value) || 0;
+    
+    if (!name) {
+        showToast('Please enter a project name', 'error');
+        return;
+    }
+    
+    const project = {
+        id: Date.now(),
+        name,
+        description,
+        startDate,
+        deadline,
+        category,
+        status,
+        tech,
+        progress,
+        progressMode: 'auto',
+        tasks: [],
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    appData.projects.push(project);
+    queueMutation('projects', 'upsert', project.id, project);
+    saveAppData();
+    updateDashboard();
+    
+    addNotification(
+        'New Project Added',
+        `"${name}" has been added to your projects.`,
+        'info',
+        { page: 'projects' }
+    );
+    
+    showToast('Project saved successfully!', 'success');
+    closeModal('addProjectModal');
+    
+    // Update projects page
+    if (currentPage === 'projects') {
+        renderProjectsStats();
+        renderProjectsList();
+    }
+}
+
+function updateProjectProgress(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project) return;
+    
+    const newProgress = prompt(`Update progress for "${project.name}" (0-100%):`, project.progress || 0);
+    if (newProgress !== null) {
+        const progress = parseInt(newProgress);
+        if (!isNaN(progress) && progress >= 0 && progress <= 100) {
+            project.progress = progress;
+            // A typed value overrides the task board until auto progress is switched back on
+            if ((project.tasks || []).length > 0) project.progressMode = 'manual';
+            project.updatedAt = new Date().toISOString();
+            
+            // Auto-complete if progress is 100%
+            if (progress === 100 && project.status !== 'completed') {
+                project.status = 'completed';
+                addNotification(
+                    'Project Completed! 🎉',
+                    `Congratulations! You've completed "${project.name}".`,
+                    'success',
+                    { page: 'projects' }
+                );
+            }
+            
+            queueMutation('projects', 'upsert', project.id, project);
+            checkLinkedGoals('project', project.id);
+            saveAppData();
+            updateDashboard();
+            
+            showToast('Progress updated successfully!', 'success');
+            
+            if (currentPage === 'projects') {
+                renderProjectsStats();
+                renderProjectsList();
+            }
+        } else {
+            showToast('Please enter a valid percentage (0-100)', 'error');
+        }
+    }
+}
+
+function toggleProjectStatus(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (project) {
+        const oldStatus = project.status;
+        const openTasks = (project.tasks || []).filter(task => task.status !== 'done').length;
+        if (oldStatus !== 'completed' && isProjectProgressAuto(project) && openTasks > 0 &&
+            !confirm(`"${project.name}" still has ${openTasks} open task${openTasks === 1 ? '' : 's'}. Mark it completed anyway?`)) {
+            return;
+        }
+        
+        project.status = project.status === 'completed' ? 'inprogress' : 'completed';
+        project.updatedAt = new Date().toISOString();
+        
+        if (isProjectProgressAuto(project)) {
+            // Progress stays with the task board
+            project.progress = calculateTaskProgress(project);
+        } else if (project.status === 'completed') {
+            project.progress = 100;
+        } else if (oldStatus === 'completed' && project.progress === 100) {
+            // If marking as inprogress from completed, set progress to 90%
+            project.progress = 90;
+        }
+        
+        if (project.status === 'completed') {
+            addNotification(
+                'Project Completed! 🎉',
+                `Congratulations! You've completed "${project.name}".`,
+                'success',
+                { page: 'projects' }
+            );
+        }
+        
+        queueMutation('projects', 'upsert', project.id, project);
+        checkLinkedGoals('project', project.id);
+        saveAppData();
+        updateDashboard();
+        
+        showToast(`Project marked as ${project.status}`, 'success');
+        
+        if (currentPage === 'projects') {
+            renderProjectsStats();
+            renderProjectsList();
+        }
+    }
+}
+
+function editProject(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project) return;
+    
+    const modalHTML = `
+        <div class="modal-overlay" id="editProjectModal">
+            <div class="modal">
+                <div class="modal-header">
+                    <h3>Edit Project</h3>
+                    <button class="modal-close" onclick="closeModal('editProjectModal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <form id="editProjectForm" onsubmit="updateProject(${projectId}); return false;">
+                        <div class="form-group">
+                            <label class="form-label">Project Name *</label>
+                            <input type="text" id="editProjectName" class="form-control" 
+                                   value="${escapeHtml(project.name)}" required>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label class="form-label">Description</label>
+                            <textarea id="editProjectDescription" class="form-control" rows="3">${escapeHtml(project.description || '')}</textarea>
+                        </div>
+                        
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label class="form-label">Start Date</label>
+                                <input type="date" id="editProjectStartDate" class="form-control" 
+                                       value="${project.startDate || ''}">
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Deadline</label>
+                                <input type="date" id="editProjectDeadline" class="form-control" 
+                                       value="${project.deadline || ''}">
+                            </div>
+                        </div>
+                        
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label class="form-label">Category</label>
+                                <select id="editProjectCategory" class="form-control">
+                                    <option value="coding" ${project.category === 'coding' ? 'selected' : ''}>Coding</option>
+                                    <option value="design" ${project.category === 'design' ? 'selected' : ''}>Design</option>
+                                    <option value="writing" ${project.category === 'writing' ? 'selected' : ''}>Writing</option>
+                                    <option value="research" ${project.category === 'research' ? 'selected' : ''}>Research</option>
+                                    <option value="other" ${project.category === 'other' ? 'selected' : ''}>Other</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Status</label>
+                                <select id="editProjectStatus" class="form-control">
+                                    <option value="planned" ${project.status === 'planned' ? 'selected' : ''}>Planned</option>
+                                    <option value="inprogress" ${project.status === 'inprogress' ? 'selected' : ''}>In Progress</option>
+                                    <option value="completed" ${project.status === 'completed' ? 'selected' : ''}>Completed</option>
+                                </select>
+                            </div>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label class="form-label">Technology / Tools</label>
+                            <input type="text" id="editProjectTech" class="form-control" 
+                                   value="${escapeHtml(project.tech || '')}">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label class="form-label">Progress (%)</label>
+                            ${(project.tasks || []).length > 0 ? `
+                                <label class="board-progress-toggle">
+                                    <input type="checkbox" id="editProjectAutoProgress" ${isProjectProgressAuto(project) ? 'checked' : ''}>
+                                    Calculate from tasks
+                                </label>
+                            ` : ''}
+                            <input type="range" id="editProjectProgress" class="form-control-range" 
+                                   min="0" max="100" value="${project.progress || 0}"
+                                   ${isProjectProgressAuto(project) ? 'disabled' : ''}>
+                            <div style="text-align: center; font-size: 0.875rem; color: var(--text-muted); margin-top: 5px;">
+                                <span id="editProgressValue">${project.progress || 0}%</span>
+                            </div>
+                        </div>
+                        
+                        <div class="modal-actions">
+                            <button class="btn btn-danger" type="button" onclick="deleteProject(${project.id}); closeModal('editProjectModal')">
+                                <i class="fas fa-trash"></i> Delete
+                            </button>
+                            <div style="flex: 1"></div>
+                            <button class="btn btn-outline" type="button" onclick="closeModal('editProjectModal')">
+                                Cancel
+                            </button>
+                            <button class="btn btn-primary" type="submit">
+                                <i class="fas fa-save"></i> Update Project
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        </div>
+    `;
     
-    const totalDuration = targetDate - createdDate;
-    const elapsedDuration = currentDate - createdDate;
+    const modalContainer = document.getElementById('modalsContainer');
+    modalContainer.innerHTML = modalHTML;
     
-    if (totalDuration <= 0) return 100;
+    // Update progress value display
+    const progressSlider = document.getElementById('editProjectProgress');
+    const progressValue = document.getElementById('editProgressValue');
     
-    const progress = (elapsedDuration / totalDuration) * 100;
-    return Math.min(100, Math.max(0, Math.round(progress)));
-}
-
-// Helper function to escape HTML
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
-// Helper function to format date
-function formatDate(dateString) {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', { 
-        month: 'short', 
-        day: 'numeric', 
-        year: 'numeric' 
+    progressSlider.addEventListener('input', function() {
+        progressValue.textContent = `${this.value}%`;
     });
+    
+    const autoProgress = document.getElementById('editProjectAutoProgress');
+    if (autoProgress) {
+        autoProgress.addEventListener('change', function() {
+            progressSlider.disabled = this.checked;
+            if (this.checked) {
+                progressSlider.value = calculateTaskProgress(project);
+                progressValue.textContent = `${progressSlider.value}%`;
+            }
+        });
+    }
 }
 
-// Filter goals
-function filterGoals(filter) {
-    renderGoalsList(filter);
-}
-
-// Sort goals
-function sortGoals(criteria) {
-    let sortedGoals = [...appData.goals];
+function updateProject(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project) return;
     
-    switch(criteria) {
-        case 'priority':
-            const priorityOrder = { 'high': 3, 'medium': 2, 'low': 1 };
-            sortedGoals.sort((a, b) => 
-                (priorityOrder[b.priority] || 0) - (priorityOrder[a.priority] || 0)
-            );
-            break;
-        case 'date':
-            sortedGoals.sort((a, b) => {
-                const dateA = a.targetDate ? new Date(a.targetDate).getTime() : Infinity;
-                const dateB = b.targetDate ? new Date(b.targetDate).getTime() : Infinity;
-                return dateA - dateB;
-            });
-            break;
-        case 'title':
-            sortedGoals.sort((a, b) => 
-                a.title.localeCompare(b.title)
-            );
-            break;
+    const name = document.getElementById('editProjectName').value.trim();
+    if (!name) {
+        showToast('Please enter a project name', 'error');
+        return;
     }
     
-    appData.goals = sortedGoals;
-    saveAppData();
-    renderGoalsList();
-    showToast('Goals sorted successfully', 'success');
-}
-
-// Toggle goal status
-function toggleGoalStatus(goalId) {
-    const goal = appData.goals.find(g => g.id === goalId);
-    if (!goal) return;
+    project.name = name;
+    project.description = document.getElementById('editProjectDescription').value.trim();
+    project.startDate = document.getElementById('editProjectStartDate').value;
+    project.deadline = document.getElementById('editProjectDeadline').value;
+    project.category = document.getElementById('editProjectCategory').value;
+    project.status = document.getElementById('editProjectStatus').value;
+    project.tech = document.getElementById('editProjectTech').value.trim();
     
-    const oldStatus = goal.status;
-    goal.status = goal.status === 'completed' ? 'active' : 'completed';
-    goal.updatedAt = new Date().toISOString();
+    const autoProgress = document.getElementById('editProjectAutoProgress');
+    if (autoProgress) project.progressMode = autoProgress.checked ? 'auto' : 'manual';
+    project.progress = isProjectProgressAuto(project)
+        ? calculateTaskProgress(project)
+        : parseInt(document.getElementById('editProjectProgress').value) || 0;
+    project.updatedAt = new Date().toISOString();
     
+    queueMutation('projects', 'upsert', project.id, project);
+    checkLinkedGoals('project', project.id);
     saveAppData();
+    updateDashboard();
     
-    // Update stats and list
-    updateGoalsStats();
-    renderGoalsList();
+    addNotification(
+        'Project Updated',
+        `"${name}" has been updated.`,
+        'info',
+        { page: 'projects' }
+    );
     
-    // Update dashboard
-    if (currentPage !== 'goals') {
-        updateDashboard();
-    }
+    showToast('Project updated successfully!', 'success');
+    closeModal('editProjectModal');
     
-    // Add notification for completion
-    if (goal.status === 'completed') {
-        addNotification(
-            'Goal Completed! 🎉',
-            `Congratulations! You've completed "${goal.title}".`,
-            'success',
-            { page: 'goals' }
-        );
+    if (currentPage === 'projects') {
+        renderProjectsStats();
+        renderProjectsList();
     }
-    
-    showToast(`Goal marked as ${goal.status}`, 'success');
 }
 
-// Delete goal
-function deleteGoal(goalId) {
-    const goal = appData.goals.find(g => g.id === goalId);
-    if (!goal) return;
+function deleteProject(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project) return;
     
-    if (confirm(`Are you sure you want to delete "${goal.title}"?`)) {
-        appData.goals = appData.goals.filter(g => g.id !== goalId);
+    if (confirm(`Are you sure you want to delete "${project.name}"?`)) {
+        discardTimerFor('project', projectId);
+        appData.projects = appData.projects.filter(p => p.id !== projectId);
+        queueMutation('projects', 'delete', projectId);
+        unlinkFromGoals('project', projectId);
         saveAppData();
-        
-        // Update stats and list
-        updateGoalsStats();
-        renderGoalsList();
-        
-        // Update dashboard
-        if (currentPage !== 'goals') {
-            updateDashboard();
-        }
+        updateDashboard();
         
         addNotification(
-            'Goal Deleted',
-            `"${goal.title}" has been removed from your goals.`,
+            'Project Deleted',
+            `"${project.name}" has been removed from your projects.`,
             'info'
         );
         
-        showToast('Goal deleted successfully!', 'success');
+        showToast('Project deleted successfully!', 'success');
         
-        // Close modal if open
-        closeModal('editGoalModal');
+        if (currentPage === 'projects') {
+            renderProjectsStats();
+            renderProjectsList();
+        }
     }
 }
 
-// Show add goal modal
-function showAddGoalModal() {
+function showProjectModal(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project) return;
+    
+    const daysLeft = project.deadline ? 
+        Math.ceil((parseDateKey(project.deadline) - new Date()) / (1000 * 60 * 60 * 24)) : 
+        null;
+    
+    const techTags = project.tech ? project.tech.split(',').map(t => t.trim()).filter(t => t) : [];
+    
     const modalHTML = `
-        <div class="modal-overlay" id="addGoalModal">
-            <div class="modal" style="max-width: 500px;">
-                <div class="modal-header" style="background: linear-gradient(135deg, #6366f1, #8b5cf6); color: white;">
-                    <h3><i class="fas fa-plus-circle"></i> Add New Goal</h3>
-                    <button class="modal-close" onclick="closeModal('addGoalModal')" style="color: white;">&times;</button>
+        <div class="modal-overlay" id="projectViewModal">
+            <div class="modal" style="max-width: 820px;">
+                <div class="modal-header">
+                    <h3>${escapeHtml(project.name)}</h3>
+                    <button class="modal-close" onclick="closeModal('projectViewModal')">&times;</button>
                 </div>
                 <div class="modal-body">
                     <div class="form-group">
-                        <label class="form-label">Goal Title *</label>
-                        <input type="text" id="goalTitle" class="form-control" 
-                               placeholder="What do you want to achieve?" required>
+                        <label class="form-label">Description</label>
+                        <div style="padding: 12px; background: var(--bg-tertiary); border-radius: 8px; white-space: pre-wrap;">
+                            ${escapeHtml(project.description || 'No description provided')}
+                        </div>
                     </div>
                     
-                    <div class="form-group">
-                        <label class="form-label">Description</label>
-                        <textarea id="goalDescription" class="form-control" rows="3" 
-                                  placeholder="Describe your goal and why it's important..."></textarea>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label class="form-label">Category</label>
+                            <div style="padding: 8px 12px; background: var(--bg-tertiary); border-radius: 8px;">
+                                ${escapeHtml(project.category || 'Uncategorized')}
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Status</label>
+                            <div style="padding: 8px 12px; background: var(--bg-tertiary); border-radius: 8px;">
+                                <span class="project-status-badge ${project.status}">${project.status}</span>
+                            </div>
+                        </div>
                     </div>
                     
                     <div class="form-row">
                         <div class="form-group">
-                            <label class="form-label">Target Date</label>
-                            <input type="date" id="goalTargetDate" class="form-control">
+                            <label class="form-label">Start Date</label>
+                            <div style="padding: 8px 12px; background: var(--bg-tertiary); border-radius: 8px;">
+                                ${project.startDate ? formatShortDate(project.startDate) : 'Not set'}
+                            </div>
                         </div>
                         <div class="form-group">
-                            <label class="form-label">Priority</label>
-                            <select id="goalPriority" class="form-control">
-                                <option value="low">Low</option>
-                                <option value="medium" selected>Medium</option>
-                                <option value="high">High</option>
-                            </select>
+                            <label class="form-label">Deadline</label>
+                            <div style="padding: 8px 12px; background: var(--bg-tertiary); border-radius: 8px;">
+                                ${project.deadline ? formatShortDate(project.deadline) : 'Not set'}
+                                ${daysLeft !== null ? ` (${daysLeft > 0 ? `${daysLeft} days left` : 'Overdue'})` : ''}
+                            </div>
                         </div>
                     </div>
                     
+                    ${techTags.length > 0 ? `
+                        <div class="form-group">
+                            <label class="form-label">Technology / Tools</label>
+                            <div class="project-tech-tags" style="padding: 12px; background: var(--bg-tertiary); border-radius: 8px;">
+                                ${techTags.map(tag => `<span class="tech-tag">${escapeHtml(tag)}</span>`).join('')}
+                            </div>
+                        </div>
+                    ` : ''}
+                    
                     <div class="form-group">
-                        <label class="form-label">Category</label>
-                        <select id="goalCategory" class="form-control">
-                            <option value="study">Study</option>
-                            <option value="career">Career</option>
-                            <option value="health" selected>Health</option>
-                            <option value="personal">Personal</option>
-                            <option value="financial">Financial</option>
-                            <option value="other">Other</option>
-                        </select>
+                        <label class="form-label">Progress</label>
+                        <div style="margin-top: 8px;" id="projectBoardProgress">
+                            ${renderProjectBoardProgress(project)}
+                        </div>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="form-label">Tasks</label>
+                        <div class="project-board" id="projectBoard">
+                            ${renderProjectBoard(project)}
+                        </div>
                     </div>
                     
                     <div class="modal-actions">
-                        <button class="btn btn-outline" onclick="closeModal('addGoalModal')">
-                            Cancel
+                        <button class="btn btn-danger" onclick="deleteProject(${project.id}); closeModal('projectViewModal')">
+                            <i class="fas fa-trash"></i> Delete
                         </button>
-                        <button class="btn btn-primary" onclick="saveGoal()" style="background: linear-gradient(135deg, #6366f1, #8b5cf6);">
-                            <i class="fas fa-save"></i> Create Goal
+                        <div style="flex: 1"></div>
+                        <button class="btn btn-outline" onclick="closeModal('projectViewModal')">
+                            Close
+                        </button>
+                        <button class="btn btn-primary" onclick="editProject(${project.id}); closeModal('projectViewModal')">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const modalContainer = document.getElementById('modalsContainer');
+    modalContainer.innerHTML = modalHTML;
+}
+
+// ===== PROJECT TASK BOARD =====
+// project.tasks is an ordered list of { id, title, status, createdAt,
+// completedAt } where status is one of the board columns. While
+// progressMode is 'auto' and the project has tasks, progress is the share of
+// tasks that are done; 'manual' keeps whatever was typed in.
+const BOARD_COLUMNS = [
+    { status: 'backlog', label: 'Backlog', icon: 'inbox' },
+    { status: 'inprogress', label: 'In Progress', icon: 'spinner' },
+    { status: 'done', label: 'Done', icon: 'check-circle' }
+];
+
+function isProjectProgressAuto(project) {
+    return project.progressMode !== 'manual' && (project.tasks || []).length > 0;
+}
+
+function calculateTaskProgress(project) {
+    const tasks = project.tasks || [];
+    if (tasks.length === 0) return project.progress || 0;
+    
+    const done = tasks.filter(task => task.status === 'done').length;
+    return Math.round((done / tasks.length) * 100);
+}
+
+function renderProjectBoardProgress(project) {
+    const tasks = project.tasks || [];
+    const done = tasks.filter(task => task.status === 'done').length;
+    
+    return `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
+            <span>${project.progress || 0}% complete${tasks.length > 0 ? ` · ${done}/${tasks.length} tasks done` : ''}</span>
+            ${tasks.length > 0 ? `
+                <label class="board-progress-toggle">
+                    <input type="checkbox" ${isProjectProgressAuto(project) ? 'checked' : ''}
+                           onchange="setProjectProgressMode(${project.id}, this.checked)">
+                    From tasks
+                </label>
+            ` : ''}
+        </div>
+        <div class="progress-bar-modern">
+            <div class="progress-fill-modern" style="width: ${project.progress || 0}%"></div>
+        </div>
+    `;
+}
+
+function renderProjectBoard(project) {
+    const tasks = project.tasks || [];
+    
+    return BOARD_COLUMNS.map((column, index) => {
+        const columnTasks = tasks.filter(task => task.status === column.status);
+        const next = BOARD_COLUMNS[index + 1];
+        
+        return `
+            <div class="board-column" data-status="${column.status}"
+                 ondragover="onBoardColumnDragOver(event)"
+                 ondragleave="this.classList.remove('drag-over')"
+                 ondrop="onBoardColumnDrop(event, ${project.id}, '${column.status}')">
+                <div class="board-column-header">
+                    <span><i class="fas fa-${column.icon}"></i> ${column.label}</span>
+                    <span class="board-column-count">${columnTasks.length}</span>
+                </div>
+                <div class="board-column-tasks">
+                    ${columnTasks.map(task => `
+                        <div class="board-task ${task.status}" draggable="true" data-task-id="${task.id}"
+                             ondragstart="onBoardTaskDragStart(event, ${task.id})"
+                             ondragend="this.classList.remove('dragging')">
+                            <span class="board-task-title">${escapeHtml(task.title)}</span>
+                            ${next ? `
+                                <button class="btn-icon-sm" onclick="moveProjectTask(${project.id}, ${task.id}, '${next.status}')"
+                                        title="Move to ${next.label}">
+                                    <i class="fas fa-arrow-right"></i>
+                                </button>
+                            ` : ''}
+                            <button class="btn-icon-sm" onclick="deleteProjectTask(${project.id}, ${task.id})" title="Delete task">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+                ${column.status === 'backlog' ? `
+                    <div class="board-add-task">
+                        <input type="text" id="newBoardTask" class="form-control" placeholder="Add a task..."
+                               onkeypress="if (event.key === 'Enter') addProjectTask(${project.id})">
+                        <button class="btn-icon-sm" onclick="addProjectTask(${project.id})" title="Add task">
+                            <i class="fas fa-plus"></i>
                         </button>
                     </div>
-                </div>
+                ` : ''}
             </div>
-        </div>
-    `;
+        `;
+    }).join('');
+}
+
+function addProjectTask(projectId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    const input = document.getElementById('newBoardTask');
+    if (!project || !input) return;
     
-    const modalContainer = document.getElementById('modalsContainer');
-    if (!modalContainer) {
-        console.error('Modal container not found');
+    const title = input.value.trim();
+    if (!title) {
+        showToast('Please enter a task', 'error');
         return;
     }
     
-    modalContainer.innerHTML = modalHTML;
+    project.tasks = project.tasks || [];
+    project.tasks.push({
+        id: Date.now(),
+        title,
+        status: 'backlog',
+        createdAt: new Date().toISOString(),
+        completedAt: null
+    });
     
-    // Set default date to 3 months from now
-    const dateInput = document.getElementById('goalTargetDate');
-    if (dateInput) {
-        const futureDate = new Date();
-        futureDate.setMonth(futureDate.getMonth() + 3);
-        dateInput.value = futureDate.toISOString().split('T')[0];
+    saveProjectBoard(project);
+    document.getElementById('newBoardTask')?.focus();
+}
+
+function deleteProjectTask(projectId, taskId) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project) return;
+    
+    project.tasks = (project.tasks || []).filter(task => task.id !== taskId);
+    saveProjectBoard(project);
+}
+
+/**
+ * Move a task to a column. With beforeTaskId it lands just above that task,
+ * otherwise at the bottom of the column.
+ */
+function moveProjectTask(projectId, taskId, status, beforeTaskId = null) {
+    const project = appData.projects.find(p => p.id === projectId);
+    const task = project && (project.tasks || []).find(t => t.id === taskId);
+    if (!task || taskId === beforeTaskId) return;
+    
+    if (task.status !== status) {
+        task.status = status;
+        task.completedAt = status === 'done' ? new Date().toISOString() : null;
     }
     
-    // Focus on title input
-    setTimeout(() => {
-        const titleInput = document.getElementById('goalTitle');
-        if (titleInput) titleInput.focus();
-    }, 100);
+    project.tasks = project.tasks.filter(t => t.id !== taskId);
+    const beforeIndex = project.tasks.findIndex(t => t.id === beforeTaskId);
+    if (beforeIndex >= 0) {
+        project.tasks.splice(beforeIndex, 0, task);
+    } else {
+        project.tasks.push(task);
+    }
+    
+    saveProjectBoard(project);
 }
 
-// Save goal
-function saveGoal() {
-    const titleInput = document.getElementById('goalTitle');
-    const descriptionInput = document.getElementById('goalDescription');
-    const dateInput = document.getElementById('goalTargetDate');
-    const prioritySelect = document.getElementById('goalPriority');
-    const categorySelect = document.getElementById('goalCategory');
+function setProjectProgressMode(projectId, auto) {
+    const project = appData.projects.find(p => p.id === projectId);
+    if (!project) return;
     
-    if (!titleInput || !descriptionInput || !dateInput || !prioritySelect || !categorySelect) {
-        showToast('Form elements not found', 'error');
-        return;
+    project.progressMode = auto ? 'auto' : 'manual';
+    saveProjectBoard(project);
+    
+    // Offer to type the override straight away
+    if (!auto) {
+        updateProjectProgress(projectId);
+        refreshProjectBoard(project);
+    }
+}
+
+function saveProjectBoard(project) {
+    if (isProjectProgressAuto(project)) {
+        project.progress = calculateTaskProgress(project);
+        
+        if (project.progress === 100 && project.status !== 'completed') {
+            project.status = 'completed';
+            addNotification(
+                'Project Completed! 🎉',
+                `Congratulations! You've finished every task in "${project.name}".`,
+                'success',
+                { page: 'projects' }
+            );
+        } else if (project.progress < 100 && project.status === 'completed') {
+            project.status = 'inprogress';
+        }
     }
+    project.updatedAt = new Date().toISOString();
     
-    const title = titleInput.value.trim();
-    const description = descriptionInput.value.trim();
-    const targetDate = dateInput.value;
-    const priority = prioritySelect.value;
-    const category = categorySelect.value;
+    queueMutation('projects', 'upsert', project.id, project);
+    checkLinkedGoals('project', project.id);
+    saveAppData();
     
-    if (!title) {
-        showToast('Please enter a goal title', 'error');
-        titleInput.focus();
+    refreshProjectBoard(project);
+    if (currentPage === 'projects') {
+        renderProjectsStats();
+        renderProjectsList();
+    } else {
+        updateDashboard();
+    }
+}
+
+function refreshProjectBoard(project) {
+    const board = document.getElementById('projectBoard');
+    const progress = document.getElementById('projectBoardProgress');
+    if (board) board.innerHTML = renderProjectBoard(project);
+    if (progress) progress.innerHTML = renderProjectBoardProgress(project);
+}
+
+function onBoardTaskDragStart(event, taskId) {
+    event.dataTransfer.setData('text/plain', String(taskId));
+    event.dataTransfer.effectAllowed = 'move';
+    event.currentTarget.classList.add('dragging');
+}
+
+function onBoardColumnDragOver(event) {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    event.currentTarget.classList.add('drag-over');
+}
+
+function onBoardColumnDrop(event, projectId, status) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('drag-over');
+    
+    const taskId = Number(event.dataTransfer.getData('text/plain'));
+    if (!taskId) return;
+    
+    // Dropping onto a card puts the dragged task above it
+    const targetCard = event.target.closest('.board-task');
+    const beforeTaskId = targetCard ? Number(targetCard.dataset.taskId) : null;
+    moveProjectTask(projectId, taskId, status, beforeTaskId);
+}
+
+// ===== TIME TRACKING =====
+// One timer runs at a time, against a project or a goal. The running timer
+// lives in storage (this device only); stopping it stores a { id, start, end,
+// createdAt } entry on the target's timeEntries and adds the hours to each
+// calendar day the entry covers.
+const MIN_TIME_ENTRY_MS = 60 * 1000; // shorter runs are treated as mis-clicks
+
+let activeTimer = null;
+let timerInterval = null;
+
+function setupTimeTracking() {
+    activeTimer = storage.load('active_timer') || null;
+    renderHeaderTimer();
+    
+    if (activeTimer) {
+        startTimerTicker();
+        console.log('⏱️ Resumed timer for', activeTimer.targetType, activeTimer.targetId);
+    }
+}
+
+function getTimerTarget(targetType, targetId) {
+    const collection = targetType === 'goal' ? appData.goals : appData.projects;
+    return collection.find(item => item.id === targetId) || null;
+}
+
+function getTimerTargetName(targetType, targetId) {
+    const target = getTimerTarget(targetType, targetId);
+    if (!target) return 'Deleted item';
+    return targetType === 'goal' ? target.title : target.name;
+}
+
+function isTimerRunningFor(targetType, targetId) {
+    return !!activeTimer && activeTimer.targetType === targetType && activeTimer.targetId === targetId;
+}
+
+function startTimer(targetType, targetId) {
+    if (!getTimerTarget(targetType, targetId)) return;
+    if (activeTimer) stopTimer();
+    
+    activeTimer = { targetType, targetId, start: new Date().toISOString() };
+    storage.save('active_timer', activeTimer);
+    startTimerTicker();
+    
+    showToast(`Timer started for "${getTimerTargetName(targetType, targetId)}"`, 'info');
+    refreshTimerViews();
+}
+
+function stopTimer() {
+    if (!activeTimer) return;
+    
+    const { targetType, targetId, start } = activeTimer;
+    const end = new Date().toISOString();
+    
+    activeTimer = null;
+    storage.save('active_timer', null);
+    clearInterval(timerInterval);
+    timerInterval = null;
+    
+    const duration = new Date(end) - new Date(start);
+    if (duration < MIN_TIME_ENTRY_MS) {
+        showToast('Timer stopped - under a minute, nothing logged', 'info');
+        refreshTimerViews();
         return;
     }
     
-    const goal = {
-        id: Date.now(),
-        title,
-        description,
-        targetDate,
-        priority,
-        category,
-        status: 'active',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-    };
+    // The target may have been deleted on another device; log nothing rather than hours without an entry
+    const target = getTimerTarget(targetType, targetId);
+    if (!target) {
+        showToast(`Timer stopped - its ${targetType} was deleted, nothing logged`, 'info');
+        refreshTimerViews();
+        return;
+    }
     
-    appData.goals.push(goal);
+    target.timeEntries = target.timeEntries || [];
+    target.timeEntries.push({
+        id: Date.now(),
+        start,
+        end,
+        createdAt: end
+    });
+    target.updatedAt = end;
+    queueMutation(targetType === 'goal' ? 'goals' : 'projects', 'upsert', target.id, target);
+    addTrackedTimeToDays(start, end);
     saveAppData();
     
-    // Add notification
-    addNotification(
-        'New Goal Created! 🎯',
-        `"${title}" has been added to your goals.`,
-        'success',
-        { page: 'goals' }
-    );
+    showToast(`Logged ${formatDuration(duration)} on "${getTimerTargetName(targetType, targetId)}"`, 'success');
+    refreshTimerViews();
+}
+
+// Called before a project or goal is deleted: its running timer has nowhere to log to
+function discardTimerFor(targetType, targetId) {
+    if (!isTimerRunningFor(targetType, targetId)) return;
     
-    showToast('Goal created successfully!', 'success');
-    closeModal('addGoalModal');
+    const name = getTimerTargetName(targetType, targetId);
+    activeTimer = null;
+    storage.save('active_timer', null);
+    clearInterval(timerInterval);
+    timerInterval = null;
+    renderHeaderTimer();
     
-    // Update goals page if it's currently active
-    if (currentPage === 'goals') {
-        updateGoalsStats();
-        renderGoalsList('all');
+    showToast(`Timer for "${name}" discarded`, 'info');
+}
+
+function toggleTimer(targetType, targetId) {
+    if (isTimerRunningFor(targetType, targetId)) {
+        stopTimer();
+    } else {
+        startTimer(targetType, targetId);
+    }
+}
+
+// Split the entry at local midnights and add each part to that day's actualHours
+function addTrackedTimeToDays(start, end) {
+    let cursor = new Date(start);
+    const endDate = new Date(end);
+    
+    while (cursor < endDate) {
+        const dateKey = toDateKey(cursor);
+        const nextMidnight = parseDateKey(addDaysToKey(dateKey, 1));
+        const segmentEnd = nextMidnight < endDate ? nextMidnight : endDate;
+        const hours = (segmentEnd - cursor) / (1000 * 60 * 60);
+        
+        const day = appData.calendar[dateKey] || {
+            plannedHours: 8,
+            actualHours: 0,
+            tasks: [],
+            notes: '',
+            status: 'planned',
+            createdAt: new Date().toISOString()
+        };
+        day.actualHours = Math.round(((day.actualHours || 0) + hours) * 100) / 100;
+        day.updatedAt = new Date().toISOString();
+        appData.calendar[dateKey] = day;
+        queueMutation('calendar', 'upsert', dateKey, day);
+        
+        cursor = segmentEnd;
+    }
+}
+
+function getLoggedHours(record) {
+    const ms = (record.timeEntries || []).reduce((sum, entry) => sum + (new Date(entry.end) - new Date(entry.start)), 0);
+    return Math.round((ms / (1000 * 60 * 60)) * 10) / 10;
+}
+
+function formatDuration(ms) {
+    const totalMinutes = Math.floor(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function formatTimerClock(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+function startTimerTicker() {
+    clearInterval(timerInterval);
+    timerInterval = setInterval(() => {
+        const clock = document.getElementById('headerTimerClock');
+        if (clock && activeTimer) {
+            clock.textContent = formatTimerClock(Date.now() - new Date(activeTimer.start));
+        }
+    }, 1000);
+}
+
+function renderHeaderTimer() {
+    const container = document.getElementById('headerTimer');
+    if (!container) return;
+    
+    if (!activeTimer) {
+        container.classList.remove('running');
+        container.innerHTML = `
+            <button class="btn-icon tooltip" onclick="showStartTimerModal()" title="Start timer">
+                <i class="fas fa-stopwatch"></i>
+            </button>
+        `;
+        return;
+    }
+    
+    container.classList.add('running');
+    container.innerHTML = `
+        <span class="header-timer-target" title="${escapeHtml(getTimerTargetName(activeTimer.targetType, activeTimer.targetId))}">
+            ${escapeHtml(getTimerTargetName(activeTimer.targetType, activeTimer.targetId))}
+        </span>
+        <span class="header-timer-clock" id="headerTimerClock">${formatTimerClock(Date.now() - new Date(activeTimer.start))}</span>
+        <button class="btn-icon tooltip" onclick="stopTimer()" title="Stop timer">
+            <i class="fas fa-stop"></i>
+        </button>
+    `;
+}
+
+function refreshTimerViews() {
+    renderHeaderTimer();
+    
+    if (currentPage === 'projects') {
+        renderProjectsStats();
+        renderProjectsList();
+    } else if (currentPage === 'goals') {
+        renderGoalsList();
     } else {
-        // If not on goals page, update dashboard
         updateDashboard();
     }
 }
 
-// Edit goal modal
-function editGoal(goalId) {
-    const goal = appData.goals.find(g => g.id === goalId);
-    if (!goal) return;
+function showStartTimerModal() {
+    const projects = appData.projects.filter(p => p.status !== 'completed');
+    const goals = appData.goals.filter(g => g.status !== 'completed');
+    
+    if (projects.length === 0 && goals.length === 0) {
+        showToast('Add a project or goal to track time against', 'info');
+        return;
+    }
     
     const modalHTML = `
-        <div class="modal-overlay" id="editGoalModal">
-            <div class="modal" style="max-width: 500px;">
-                <div class="modal-header" style="background: linear-gradient(135deg, #8b5cf6, #d946ef); color: white;">
-                    <h3><i class="fas fa-edit"></i> Edit Goal</h3>
-                    <button class="modal-close" onclick="closeModal('editGoalModal')" style="color: white;">&times;</button>
-                </div>
-                <div class="modal-body">
-                    <div class="form-group">
-                        <label class="form-label">Goal Title *</label>
-                        <input type="text" id="editGoalTitle" class="form-control" 
-                               value="${goal.title.replace(/"/g, '&quot;')}" required>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label class="form-label">Description</label>
-                        <textarea id="editGoalDescription" class="form-control" rows="3">${goal.description || ''}</textarea>
-                    </div>
-                    
-                    <div class="form-row">
-                        <div class="form-group">
-                            <label class="form-label">Target Date</label>
-                            <input type="date" id="editGoalTargetDate" class="form-control" 
-                                   value="${goal.targetDate || ''}">
-                        </div>
-                        <div class="form-group">
-                            <label class="form-label">Priority</label>
-                            <select id="editGoalPriority" class="form-control">
-                                <option value="low" ${goal.priority === 'low' ? 'selected' : ''}>Low</option>
-                                <option value="medium" ${!goal.priority || goal.priority === 'medium' ? 'selected' : ''}>Medium</option>
-                                <option value="high" ${goal.priority === 'high' ? 'selected' : ''}>High</option>
-                            </select>
-                        </div>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label class="form-label">Category</label>
-                        <select id="editGoalCategory" class="form-control">
-                            <option value="study" ${goal.category === 'study' ? 'selected' : ''}>Study</option>
-                            <option value="career" ${goal.category === 'career' ? 'selected' : ''}>Career</option>
-                            <option value="health" ${goal.category === 'health' || !goal.category ? 'selected' : ''}>Health</option>
-                            <option value="personal" ${goal.category === 'personal' ? 'selected' : ''}>Personal</option>
-                            <option value="financial" ${goal.category === 'financial' ? 'selected' : ''}>Financial</option>
-                            <option value="other" ${goal.category === 'other' ? 'selected' : ''}>Other</option>
-                        </select>
-                    </div>
-                    
+        <div class="modal-overlay" id="startTimerModal">
+            <div class="modal" style="max-width: 420px;">
+                <div class="modal-header">
+                    <h3><i class="fas fa-stopwatch"></i> Start Timer</h3>
+                    <button class="modal-close" onclick="closeModal('startTimerModal')">&times;</button>
+                </div>
+                <div class="modal-body">
                     <div class="form-group">
-                        <label class="form-label">Status</label>
-                        <select id="editGoalStatus" class="form-control">
-                            <option value="active" ${goal.status === 'active' ? 'selected' : ''}>Active</option>
-                            <option value="completed" ${goal.status === 'completed' ? 'selected' : ''}>Completed</option>
+                        <label class="form-label">What are you working on?</label>
+                        <select id="timerTarget" class="form-control">
+                            ${projects.length > 0 ? `
+                                <optgroup label="Projects">
+                                    ${projects.map(p => `<option value="project:${p.id}">${escapeHtml(p.name)}</option>`).join('')}
+                                </optgroup>
+                            ` : ''}
+                            ${goals.length > 0 ? `
+                                <optgroup label="Goals">
+                                    ${goals.map(g => `<option value="goal:${g.id}">${escapeHtml(g.title)}</option>`).join('')}
+                                </optgroup>
+                            ` : ''}
                         </select>
                     </div>
                     
                     <div class="modal-actions">
-                        <button class="btn btn-danger" onclick="deleteGoal(${goalId})">
-                            <i class="fas fa-trash"></i> Delete Goal
-                        </button>
-                        <div style="flex: 1"></div>
-                        <button class="btn btn-outline" onclick="closeModal('editGoalModal')">
+                        <button class="btn btn-outline" onclick="closeModal('startTimerModal')">
                             Cancel
                         </button>
-                        <button class="btn btn-primary" onclick="updateGoal(${goalId})" style="background: linear-gradient(135deg, #8b5cf6, #d946ef);">
-                            <i class="fas fa-save"></i> Update Goal
+                        <button class="btn btn-primary" onclick="startTimerFromModal()">
+                            <i class="fas fa-play"></i> Start
                         </button>
                     </div>
                 </div>
@@ -1817,824 +6441,925 @@ function editGoal(goalId) {
     `;
     
     const modalContainer = document.getElementById('modalsContainer');
-    if (!modalContainer) {
-        console.error('Modal container not found');
-        return;
-    }
-    
     modalContainer.innerHTML = modalHTML;
-    
-    // Focus on title input
-    setTimeout(() => {
-        const titleInput = document.getElementById('editGoalTitle');
-        if (titleInput) titleInput.focus();
-    }, 100);
 }
 
-// Update goal
-function updateGoal(goalId) {
-    const goal = appData.goals.find(g => g.id === goalId);
-    if (!goal) return;
-    
-    const titleInput = document.getElementById('editGoalTitle');
-    const descriptionInput = document.getElementById('editGoalDescription');
-    const dateInput = document.getElementById('editGoalTargetDate');
-    const prioritySelect = document.getElementById('editGoalPriority');
-    const categorySelect = document.getElementById('editGoalCategory');
-    const statusSelect = document.getElementById('editGoalStatus');
-    
-    if (!titleInput || !descriptionInput || !dateInput || !prioritySelect || !categorySelect || !statusSelect) {
-        showToast('Form elements not found', 'error');
-        return;
-    }
-    
-    const title = titleInput.value.trim();
-    if (!title) {
-        showToast('Please enter a goal title', 'error');
-        titleInput.focus();
-        return;
-    }
-    
-    goal.title = title;
-    goal.description = descriptionInput.value.trim();
-    goal.targetDate = dateInput.value;
-    goal.priority = prioritySelect.value;
-    goal.category = categorySelect.value;
-    goal.status = statusSelect.value;
-    goal.updatedAt = new Date().toISOString();
-    
-    saveAppData();
-    
-    // Update stats and list
-    updateGoalsStats();
-    renderGoalsList();
-    
-    // Update dashboard
-    if (currentPage !== 'goals') {
-        updateDashboard();
-    }
-    
-    addNotification(
-        'Goal Updated',
-        `"${title}" has been updated.`,
-        'info',
-        { page: 'goals' }
-    );
-    
-    showToast('Goal updated successfully!', 'success');
-    closeModal('editGoalModal');
+function startTimerFromModal() {
+    const [targetType, targetId] = document.getElementById('timerTarget').value.split(':');
+    closeModal('startTimerModal');
+    startTimer(targetType, Number(targetId));
 }
 
-// ===== PROJECTS PAGE =====
-function loadProjectsPage() {
-    const container = document.getElementById('projectsPage');
+// ===== HABITS PAGE =====
+function loadHabitsPage() {
+    const container = document.getElementById('habitsPage');
     if (!container) return;
     
+    const stats = calculateHabitStats();
+    
     container.innerHTML = `
-        <div class="projects-page">
-            <div class="section-header">
-                <h3>My Projects</h3>
-                <button class="btn btn-primary" onclick="showAddProjectModal()">
-                    <i class="fas fa-plus"></i> Add New Project
-                </button>
+        <div class="habits-page">
+            <div class="habits-header">
+                <h2>Habit Tracker</h2>
+                <p class="habits-subtitle">Build consistency, one day at a time. Track your daily routines and build powerful habits.</p>
             </div>
             
-            <!-- Projects Stats Overview -->
-            <div class="projects-stats-overview" id="projectsStatsOverview">
-                <!-- Stats will be loaded here -->
+            <!-- Habits Stats Overview -->
+            <div class="habits-stats-overview">
+                <div class="habit-stat-card">
+                    <div class="habit-stat-icon">
+                        <i class="fas fa-fire"></i>
+                    </div>
+                    <div class="habit-stat-value">${stats.totalStreak}</div>
+                    <div class="habit-stat-label">Total Streak Days</div>
+                </div>
+                
+                <div class="habit-stat-card">
+                    <div class="habit-stat-icon">
+                        <i class="fas fa-check-circle"></i>
+                    </div>
+                    <div class="habit-stat-value">${stats.todayCompletion}%</div>
+                    <div class="habit-stat-label">Today's Completion</div>
+                </div>
+                
+                <div class="habit-stat-card">
+                    <div class="habit-stat-icon">
+                        <i class="fas fa-bullseye"></i>
+                    </div>
+                    <div class="habit-stat-value">${stats.totalHabits}</div>
+                    <div class="habit-stat-label">Active Habits</div>
+                </div>
+                
+                <div class="habit-stat-card">
+                    <div class="habit-stat-icon">
+                        <i class="fas fa-calendar-week"></i>
+                    </div>
+                    <div class="habit-stat-value">${stats.bestStreak}</div>
+                    <div class="habit-stat-label">Best Streak</div>
+                </div>
+                
+                ${stats.breakHabits > 0 ? `
+                    <div class="habit-stat-card">
+                        <div class="habit-stat-icon">
+                            <i class="fas fa-shield-alt"></i>
+                        </div>
+                        <div class="habit-stat-value">${stats.cleanToday}/${stats.breakHabits}</div>
+                        <div class="habit-stat-label">Clean Today · Best Run ${stats.longestCleanRun}d</div>
+                    </div>
+                ` : ''}
             </div>
             
-            <!-- Filter Bar -->
-            <div class="projects-filter-bar">
-                <div class="filter-buttons">
-                    <button class="filter-btn active" onclick="filterProjects('all')">All Projects</button>
-                    <button class="filter-btn" onclick="filterProjects('inprogress')">In Progress</button>
-                    <button class="filter-btn" onclick="filterProjects('planned')">Planned</button>
-                    <button class="filter-btn" onclick="filterProjects('completed')">Completed</button>
-                </div>
-                <div class="search-box">
-                    <i class="fas fa-search"></i>
-                    <input type="text" id="projectSearch" placeholder="Search projects..." onkeyup="searchProjects()">
+            <div class="section-header" style="margin-bottom: 24px;">
+                <h3>Your Habits</h3>
+                <div style="display: flex; gap: 8px; align-items: center;">
+                    <span class="streak-freeze-badge" title="Streak freezes">
+                        <i class="fas fa-snowflake"></i> ${getStreakFreezes()}/${MAX_STREAK_FREEZES}
+                    </span>
+                    <button class="btn btn-outline" onclick="showRestDaysModal()">
+                        <i class="fas fa-umbrella-beach"></i> Rest Days
+                    </button>
+                    <button class="btn btn-primary" onclick="showAddHabitModal()">
+                        <i class="fas fa-plus"></i> Add New Habit
+                    </button>
                 </div>
             </div>
             
-            <!-- Projects Grid -->
-            <div class="projects-grid" id="projectsGrid">
-                <!-- Projects will be loaded here -->
+            <div class="habits-grid" id="habitsList">
+                <!-- Habits will be rendered here -->
+            </div>
+            
+            <!-- Empty State -->
+            <div class="habits-empty-state" id="habitsEmptyState">
+                <i class="fas fa-check-circle"></i>
+                <h3>No Habits Yet</h3>
+                <p>Start building positive routines! Add your first habit to track consistency and build momentum.</p>
+                <button class="btn btn-primary" onclick="showAddHabitModal()">
+                    <i class="fas fa-plus"></i> Add Your First Habit
+                </button>
             </div>
         </div>
     `;
     
-    renderProjectsStats();
-    renderProjectsList('all');
+    renderModernHabitsList();
 }
 
-function renderProjectsStats() {
-    const container = document.getElementById('projectsStatsOverview');
-    if (!container) return;
+function calculateHabitStats() {
+    const today = toDateKey();
+    const totalHabits = appData.habits.length;
+    const buildHabits = appData.habits.filter(habit => !isBreakHabit(habit));
+    const breakHabits = appData.habits.filter(isBreakHabit);
     
-    const totalProjects = appData.projects.length;
-    const inProgress = appData.projects.filter(p => p.status === 'inprogress').length;
-    const completed = appData.projects.filter(p => p.status === 'completed').length;
-    const averageProgress = totalProjects > 0 
-        ? Math.round(appData.projects.reduce((sum, p) => sum + (p.progress || 0), 0) / totalProjects)
-        : 0;
+    // Calculate today's completion against the habits scheduled for today
+    const habitsDueToday = buildHabits.filter(habit => isHabitDueOn(habit, today));
+    const habitsCompletedToday = habitsDueToday.filter(habit => 
+        habit.completedDates?.includes(today)
+    ).length;
+    const todayCompletion = habitsDueToday.length > 0
+        ? Math.round((habitsCompletedToday / habitsDueToday.length) * 100)
+        : 100;
     
-    container.innerHTML = `
-        <div class="project-stat-card" onclick="filterProjects('all')">
-            <div class="project-stat-icon" style="background: linear-gradient(135deg, #6366f1, #8b5cf6);">
-                <i class="fas fa-project-diagram"></i>
-            </div>
-            <div class="project-stat-content">
-                <div class="project-stat-value">${totalProjects}</div>
-                <div class="project-stat-label">Total Projects</div>
-            </div>
-        </div>
-        
-        <div class="project-stat-card" onclick="filterProjects('inprogress')">
-            <div class="project-stat-icon" style="background: linear-gradient(135deg, #f59e0b, #fbbf24);">
-                <i class="fas fa-tasks"></i>
-            </div>
-            <div class="project-stat-content">
-                <div class="project-stat-value">${inProgress}</div>
-                <div class="project-stat-label">In Progress</div>
-            </div>
-        </div>
-        
-        <div class="project-stat-card" onclick="filterProjects('completed')">
-            <div class="project-stat-icon" style="background: linear-gradient(135deg, #10b981, #34d399);">
-                <i class="fas fa-check-circle"></i>
-            </div>
-            <div class="project-stat-content">
-                <div class="project-stat-value">${completed}</div>
-                <div class="project-stat-label">Completed</div>
-            </div>
-        </div>
-        
-        <div class="project-stat-card" onclick="showPage('stats')">
-            <div class="project-stat-icon" style="background: linear-gradient(135deg, #8b5cf6, #d946ef);">
-                <i class="fas fa-chart-line"></i>
-            </div>
-            <div class="project-stat-content">
-                <div class="project-stat-value">${averageProgress}%</div>
-                <div class="project-stat-label">Avg. Progress</div>
-            </div>
-        </div>
-    `;
-}
-
-function renderProjectsList(filter = 'all', searchTerm = '') {
-    const container = document.getElementById('projectsGrid');
-    if (!container) return;
+    // Calculate total streak days
+    const totalStreak = buildHabits.reduce((sum, habit) => sum + (habit.streak || 0), 0);
     
-    // Update active filter button
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
-    if (filter !== 'search') {
-        const activeBtn = document.querySelector(`.filter-btn[onclick*="${filter}"]`);
-        if (activeBtn) activeBtn.classList.add('active');
-    }
+    // Calculate best streak
+    const bestStreak = buildHabits.length > 0 ? Math.max(...buildHabits.map(habit => habit.streak || 0)) : 0;
     
-    let filteredProjects = [...appData.projects];
+    // Habits to break: clean so far today, and the best clean run on record
+    const cleanToday = breakHabits.filter(habit => !getHabitSlipDates(habit).includes(today)).length;
+    const longestCleanRun = breakHabits.length > 0 ? Math.max(...breakHabits.map(calculateLongestCleanRun)) : 0;
     
-    // Apply filter
-    if (filter === 'inprogress') {
-        filteredProjects = appData.projects.filter(p => p.status === 'inprogress');
-    } else if (filter === 'planned') {
-        filteredProjects = appData.projects.filter(p => p.status === 'planned');
-    } else if (filter === 'completed') {
-        filteredProjects = appData.projects.filter(p => p.status === 'completed');
-    }
+    return {
+        totalHabits,
+        dueToday: habitsDueToday.length,
+        todayCompletion,
+        totalStreak,
+        bestStreak,
+        breakHabits: breakHabits.length,
+        cleanToday,
+        longestCleanRun
+    };
+}
+
+function renderModernHabitsList() {
+    const container = document.getElementById('habitsList');
+    const emptyState = document.getElementById('habitsEmptyState');
+    
+    if (!container) return;
     
-    // Apply search if provided
-    if (searchTerm) {
-        const term = searchTerm.toLowerCase();
-        filteredProjects = filteredProjects.filter(p => 
-            p.name.toLowerCase().includes(term) ||
-            (p.description && p.description.toLowerCase().includes(term)) ||
-            (p.category && p.category.toLowerCase().includes(term)) ||
-            (p.tech && p.tech.toLowerCase().includes(term))
-        );
+    if (appData.habits.length === 0) {
+        container.style.display = 'none';
+        if (emptyState) {
+            emptyState.classList.add('show');
+        }
+        return;
     }
     
-    if (filteredProjects.length === 0) {
-        container.innerHTML = `
-            <div class="projects-empty-state">
-                <i class="fas fa-project-diagram"></i>
-                <h3>No projects found</h3>
-                <p>${filter === 'all' && !searchTerm ? 'Add your first project to get started!' : 
-                   searchTerm ? 'No projects match your search' : 
-                   `No ${filter} projects found`}</p>
-                ${!searchTerm ? `<button class="btn btn-primary" onclick="showAddProjectModal()">
-                    <i class="fas fa-plus"></i> Add Project
-                </button>` : ''}
-            </div>
-        `;
-        return;
+    if (emptyState) {
+        emptyState.classList.remove('show');
     }
+    container.style.display = 'grid';
     
-    container.innerHTML = filteredProjects.map(project => {
-        const daysLeft = project.deadline ? 
-            Math.ceil((new Date(project.deadline) - new Date()) / (1000 * 60 * 60 * 24)) : 
-            null;
+    const today = toDateKey();
+    
+    container.innerHTML = appData.habits.map(habit => {
+        if (isBreakHabit(habit)) return renderBreakHabitCard(habit);
         
-        // Tech tags
-        const techTags = project.tech ? project.tech.split(',').map(t => t.trim()).filter(t => t) : [];
+        const isCompletedToday = habit.completedDates?.includes(today);
+        const streak = habit.streak || 0;
+        const category = habit.category || 'general';
         
-        // Format dates
-        const startDate = project.startDate ? formatShortDate(project.startDate) : 'Not started';
-        const deadline = project.deadline ? formatShortDate(project.deadline) : 'No deadline';
+        // Generate last 7 days data
+        const weekData = getLast7DaysData(habit);
+        const weeklyCompletion = calculateWeeklyCompletion(weekData, habit);
         
         return `
-            <div class="project-card-modern ${project.status}" data-project-id="${project.id}">
-                <div class="project-card-header">
-                    <div class="project-title-section">
-                        <h4 class="project-card-title">${escapeHtml(project.name)}</h4>
-                        <span class="project-card-category">${escapeHtml(project.category || 'Uncategorized')}</span>
+            <div class="habit-card" data-habit-id="${habit.id}">
+                <div class="habit-card-header">
+                    <div class="habit-card-title">
+                        <h3>
+                            <span class="habit-name-link" onclick="showHabitModal(${habit.id})">${escapeHtml(habit.name)}</span>
+                            <span class="habit-category ${category}">
+                                <i class="fas fa-${getCategoryIcon(category)}"></i>
+                                ${getCategoryName(category)}
+                            </span>
+                        </h3>
+                        <p class="habit-card-description">${escapeHtml(habit.description || 'No description provided')}</p>
                     </div>
-                    <span class="project-status-badge ${project.status}">${project.status}</span>
                 </div>
                 
-                <p class="project-card-description">${escapeHtml(project.description || 'No description provided')}</p>
-                
-                <div class="project-meta-grid">
-                    <div class="project-meta-item">
-                        <i class="fas fa-calendar-plus"></i>
-                        <span>${startDate}</span>
-                    </div>
-                    <div class="project-meta-item">
-                        <i class="fas fa-calendar-check"></i>
-                        <span>${deadline}</span>
-                    </div>
-                    <div class="project-meta-item">
-                        <i class="fas fa-clock"></i>
-                        <span>${daysLeft !== null ? (daysLeft > 0 ? `${daysLeft} days left` : 'Overdue') : 'No deadline'}</span>
+                <!-- Streak Display -->
+                <div class="habit-streak-display">
+                    <div class="streak-info">
+                        <div class="streak-icon">
+                            <i class="fas fa-fire"></i>
+                        </div>
+                        <div class="streak-text">
+                            <div class="streak-count">${streak}</div>
+                            <div class="streak-label">Current Streak</div>
+                        </div>
                     </div>
-                    <div class="project-meta-item">
-                        <i class="fas fa-code"></i>
-                        <span>${techTags.length > 0 ? escapeHtml(techTags[0]) : 'No tech'}</span>
+                    <div class="frequency-display">
+                        <div class="frequency-label">Frequency</div>
+                        <div class="frequency-value">${describeHabitFrequency(habit)}</div>
                     </div>
                 </div>
                 
-                ${techTags.length > 1 ? `
-                    <div class="project-tech-tags">
-                        ${techTags.slice(0, 3).map(tag => `<span class="tech-tag">${escapeHtml(tag)}</span>`).join('')}
-                        ${techTags.length > 3 ? `<span class="tech-tag">+${techTags.length - 3}</span>` : ''}
-                    </div>
-                ` : ''}
+                ${isQuantitativeHabit(habit) ? renderHabitAmountTracker(habit) : ''}
                 
-                <div class="project-progress-section">
-                    <div class="progress-header">
-                        <span>Progress</span>
-                        <span class="progress-percentage">${project.progress || 0}%</span>
+                <!-- Weekly Progress -->
+                <div class="weekly-progress">
+                    <div class="progress-title">
+                        <span>This Week</span>
+                        <span class="progress-percentage">${weeklyCompletion}%</span>
                     </div>
-                    <div class="progress-bar-modern">
-                        <div class="progress-fill-modern" style="width: ${project.progress || 0}%"></div>
+                    
+                    <!-- Day Labels -->
+                    <div class="week-days">
+                        ${weekData.map(day => `
+                            <div class="week-day">${day.dayName}</div>
+                        `).join('')}
+                    </div>
+                    
+                    <!-- Calendar Grid -->
+                    <div class="week-calendar">
+                        ${weekData.map((day, index) => `
+                            <div class="day-cell-modern ${day.completed ? 'completed' : ''} ${day.isToday ? 'today' : ''} ${day.scheduled ? '' : 'off-day'} ${day.amount > 0 && !day.completed ? 'partial' : ''}"
+                                 onclick="toggleHabitDay(${habit.id}, '${day.date}')"
+                                 ${day.amount > 0 && !day.completed ? `style="--day-progress: ${Math.round(day.amount / habit.target * 100)}%"` : ''}
+                                 title="${day.fullDate}: ${isQuantitativeHabit(habit) ? `${formatHabitAmount(habit, day.amount)} of ${formatHabitAmount(habit, habit.target)}` : day.completed ? 'Completed' : day.scheduled ? 'Not completed' : describeRestDay(day.date) || 'Not scheduled'}">
+                                <div class="day-number">${day.dayNumber}</div>
+                            </div>
+                        `).join('')}
                     </div>
                 </div>
                 
-                <div class="project-card-actions">
-                    <button class="btn-icon-circle tooltip" onclick="updateProjectProgress(${project.id})" title="Update Progress">
-                        <i class="fas fa-chart-line"></i>
+                <!-- Actions -->
+                <div class="habit-actions-modern">
+                    <button class="habit-complete-btn ${isCompletedToday ? 'completed' : 'incomplete'}" 
+                            onclick="toggleHabitCompletion(${habit.id})">
+                        <i class="fas fa-${isCompletedToday ? 'check' : 'plus'}"></i>
+                        ${isCompletedToday ? 'Completed Today' : isHabitDueOn(habit, today) ? 'Mark Complete' : 'Not Due - Log Anyway'}
                     </button>
-                    <button class="btn-icon-circle tooltip" onclick="toggleProjectStatus(${project.id})" title="${project.status === 'completed' ? 'Mark as In Progress' : 'Mark as Complete'}">
-                        <i class="fas fa-${project.status === 'completed' ? 'undo' : 'check'}"></i>
+                    
+                    <button class="btn-icon-sm" onclick="showHabitModal(${habit.id})" title="View History">
+                        <i class="fas fa-chart-area"></i>
                     </button>
-                    <button class="btn-icon-circle tooltip" onclick="editProject(${project.id})" title="Edit Project">
+                    
+                    <button class="btn-icon-sm" onclick="editHabit(${habit.id})" title="Edit Habit">
                         <i class="fas fa-edit"></i>
                     </button>
-                    <button class="btn-icon-circle tooltip" onclick="deleteProject(${project.id})" title="Delete Project" style="color: var(--danger-500);">
+                    
+                    <button class="btn-icon-sm delete" onclick="deleteHabit(${habit.id})" title="Delete Habit">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
             </div>
         `;
     }).join('');
+}
+
+function getLast7DaysData(habit) {
+    const days = [];
+    const today = new Date();
     
-    // Add click event to cards (opens modal)
-    container.querySelectorAll('.project-card-modern').forEach(card => {
-        card.addEventListener('click', function(e) {
-            // Only trigger if click wasn't on a button
-            if (!e.target.closest('.btn-icon-circle')) {
-                const projectId = parseInt(this.getAttribute('data-project-id'));
-                showProjectModal(projectId);
-            }
+    for (let i = 6; i >= 0; i--) {
+        const date = new Date(today);
+        date.setDate(today.getDate() - i);
+        const dateStr = toDateKey(date);
+        const dayNumber = date.getDate();
+        const dayName = date.toLocaleDateString('en-US', { weekday: 'narrow' });
+        const fullDate = date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+        const isCompleted = habit.completedDates?.includes(dateStr) || false;
+        const isToday = i === 0;
+        
+        days.push({
+            date: dateStr,
+            dayNumber,
+            dayName,
+            fullDate,
+            completed: isCompleted,
+            amount: getHabitAmount(habit, dateStr),
+            scheduled: isHabitDueOn(habit, dateStr),
+            isToday
         });
-    });
+    }
+    
+    return days;
 }
 
-function filterProjects(filter) {
-    const searchInput = document.getElementById('projectSearch');
-    if (searchInput) searchInput.value = '';
-    renderProjectsList(filter);
+function calculateWeeklyCompletion(weekData, habit) {
+    const completedDays = weekData.filter(day => day.completed).length;
+    const expected = getExpectedCompletions(habit, weekData[0].date, weekData[weekData.length - 1].date);
+    return expected > 0 ? Math.min(100, Math.round((completedDays / expected) * 100)) : 100;
 }
 
-function searchProjects() {
-    const searchTerm = document.getElementById('projectSearch').value;
-    renderProjectsList('all', searchTerm);
+function getCategoryIcon(category) {
+    const icons = {
+        'health': 'heartbeat',
+        'learning': 'graduation-cap',
+        'productivity': 'bolt',
+        'mindfulness': 'brain',
+        'social': 'users',
+        'general': 'star'
+    };
+    return icons[category] || 'check-circle';
 }
 
-function formatShortDate(dateString) {
-    if (!dateString) return 'No date';
-    try {
-        const date = new Date(dateString);
-        if (isNaN(date.getTime())) return 'Invalid date';
-        return date.toLocaleDateString('en-US', { 
-            month: 'short', 
-            day: 'numeric', 
-            year: 'numeric' 
-        });
-    } catch (e) {
-        return 'Invalid date';
+function getCategoryName(category) {
+    const names = {
+        'health': 'Health',
+        'learning': 'Learning',
+        'productivity': 'Productivity',
+        'mindfulness': 'Mindfulness',
+        'social': 'Social',
+        'general': 'General'
+    };
+    return names[category] || 'General';
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// ===== HABIT FUNCTIONS =====
+function toggleHabitCompletion(habitId) {
+    const habit = appData.habits.find(h => h.id === habitId);
+    if (!habit) return;
+    
+    const today = toDateKey();
+    const isCompleted = habit.completedDates?.includes(today);
+    
+    if (!habit.completedDates) {
+        habit.completedDates = [];
+    }
+    
+    if (isCompleted) {
+        // Mark as incomplete
+        if (isQuantitativeHabit(habit)) {
+            setHabitAmount(habit, today, 0);
+        } else {
+            habit.completedDates = habit.completedDates.filter(date => date !== today);
+        }
+        habit.streak = calculateCurrentStreak(habit);
+        
+        addNotification(
+            'Habit Marked Incomplete',
+            `"${habit.name}" marked as incomplete for today.`,
+            'info'
+        );
+    } else {
+        // Mark as complete - a habit with a target is filled up to it
+        if (isQuantitativeHabit(habit)) {
+            setHabitAmount(habit, today, Math.max(getHabitAmount(habit, today), Number(habit.target)));
+        } else {
+            habit.completedDates.push(today);
+        }
+        
+        // Calculate streak against the habit's own schedule
+        habit.streak = calculateCurrentStreak(habit);
+        announceHabitCompletion(habit);
+    }
+    
+    habit.updatedAt = new Date().toISOString();
+    queueMutation('habits', 'upsert', habit.id, habit);
+    checkLinkedGoals('habit', habit.id);
+    saveAppData();
+    updateDashboard();
+    
+    // Update the habits list
+    renderModernHabitsList();
+}
+
+// Completion notification, celebrating streak milestones
+function announceHabitCompletion(habit) {
+    const streak = habit.streak || 0;
+    
+    if (streak === 7) {
+        addNotification(
+            '7-Day Streak! 🔥',
+            `Amazing! You've maintained "${habit.name}" for 7 days in a row!`,
+            'success',
+            { page: 'habits' }
+        );
+    } else if (streak === 30) {
+        addNotification(
+            '30-Day Streak! 🎯',
+            `Incredible! "${habit.name}" is now a solid habit after 30 days!`,
+            'success',
+            { page: 'habits' }
+        );
+    } else {
+        addNotification(
+            'Habit Completed!',
+            `Great job! You've completed "${habit.name}" today. Streak: ${streak}.`,
+            'success'
+        );
     }
+    
+    awardStreakFreeze(streak);
 }
 
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+// Mark one day done or not done; a habit with a target is filled up to it or cleared.
+// Only changes the data - callers recompute the streak and save.
+function setHabitDayDone(habit, dateKey, done) {
+    if (isQuantitativeHabit(habit)) {
+        setHabitAmount(habit, dateKey, done ? Math.max(getHabitAmount(habit, dateKey), Number(habit.target)) : 0);
+    } else if (done) {
+        habit.completedDates = [...(habit.completedDates || []).filter(date => date !== dateKey), dateKey];
+    } else {
+        habit.completedDates = (habit.completedDates || []).filter(date => date !== dateKey);
+    }
 }
 
-// ===== PROJECT MODAL FUNCTIONS =====
-function showAddProjectModal() {
-    const modalHTML = `
-        <div class="modal-overlay" id="addProjectModal">
-            <div class="modal">
-                <div class="modal-header">
-                    <h3>Add New Project</h3>
-                    <button class="modal-close" onclick="closeModal('addProjectModal')">&times;</button>
-                </div>
-                <div class="modal-body">
-                    <form id="addProjectForm" onsubmit="saveProject(); return false;">
-                        <div class="form-group">
-                            <label class="form-label">Project Name *</label>
-                            <input type="text" id="projectName" class="form-control" 
-                                   placeholder="Name of your project" required>
-                        </div>
-                        
-                        <div class="form-group">
-                            <label class="form-label">Description</label>
-                            <textarea id="projectDescription" class="form-control" rows="3" 
-                                      placeholder="Describe your project..."></textarea>
-                        </div>
-                        
-                        <div class="form-row">
-                            <div class="form-group">
-                                <label class="form-label">Start Date</label>
-                                <input type="date" id="projectStartDate" class="form-control">
-                            </div>
-                            <div class="form-group">
-                                <label class="form-label">Deadline</label>
-                                <input type="date" id="projectDeadline" class="form-control">
-                            </div>
-                        </div>
-                        
-                        <div class="form-row">
-                            <div class="form-group">
-                                <label class="form-label">Category</label>
-                                <select id="projectCategory" class="form-control">
-                                    <option value="coding">Coding</option>
-                                    <option value="design">Design</option>
-                                    <option value="writing">Writing</option>
-                                    <option value="research">Research</option>
-                                    <option value="other">Other</option>
-                                </select>
-                            </div>
-                            <div class="form-group">
-                                <label class="form-label">Status</label>
-                                <select id="projectStatus" class="form-control">
-                                    <option value="planned">Planned</option>
-                                    <option value="inprogress" selected>In Progress</option>
-                                    <option value="completed">Completed</option>
-                                </select>
-                            </div>
-                        </div>
-                        
-                        <div class="form-group">
-                            <label class="form-label">Technology / Tools</label>
-                            <input type="text" id="projectTech" class="form-control" 
-                                   placeholder="e.g., React, Node.js, Figma">
-                        </div>
-                        
-                        <div class="form-group">
-                            <label class="form-label">Progress (%)</label>
-                            <input type="range" id="projectProgress" class="form-control-range" 
-                                   min="0" max="100" value="0">
-                            <div style="text-align: center; font-size: 0.875rem; color: var(--text-muted); margin-top: 5px;">
-                                <span id="progressValue">0%</span>
-                            </div>
-                        </div>
-                        
-                        <div class="modal-actions">
-                            <button class="btn btn-outline" type="button" onclick="closeModal('addProjectModal')">
-                                Cancel
-                            </button>
-                            <button class="btn btn-primary" type="submit">
-                                <i class="fas fa-save"></i> Save Project
-                            </button>
-                        </div>
-                    </form>
-                </div>
-            </div>
-        </div>
-    `;
-    
-    const modalContainer = document.getElementById('modalsContainer');
-    modalContainer.innerHTML = modalHTML;
+function toggleHabitDay(habitId, dateStr, { quiet = false } = {}) {
+    const habit = appData.habits.find(h => h.id === habitId);
+    if (!habit) return;
     
-    // Set default dates
-    const startDateInput = document.getElementById('projectStartDate');
-    const deadlineInput = document.getElementById('projectDeadline');
-    const today = new Date().toISOString().split('T')[0];
-    const nextMonth = new Date();
-    nextMonth.setMonth(nextMonth.getMonth() + 1);
+    const today = toDateKey();
+    const selectedDate = parseDateKey(dateStr);
+    const isPastDate = selectedDate < parseDateKey(today);
     
-    startDateInput.value = today;
-    deadlineInput.value = nextMonth.toISOString().split('T')[0];
+    if (!isPastDate) {
+        showToast('You can only edit past dates', 'warning');
+        return;
+    }
     
-    // Update progress value display
-    const progressSlider = document.getElementById('projectProgress');
-    const progressValue = document.getElementById('progressValue');
+    if (!habit.completedDates) {
+        habit.completedDates = [];
+    }
     
-    progressSlider.addEventListener('input', function() {
-        progressValue.textContent = `${this.value}%`;
-    });
-}
-
-function saveProject() {
-    const name = document.getElementById('projectName').value.trim();
-    const description = document.getElementById('projectDescription').value.trim();
-    const startDate = document.getElementById('projectStartDate').value;
-    const deadline = document.getElementById('projectDeadline').value;
-    const category = document.getElementById('projectCategory').value;
-    const status = document.getElementById('projectStatus').value;
-    const tech = document.getElementById('projectTech').value.trim();
-    const progress = parseInt(document.getElementById('projectProgress').value) || 0;
+    const isCompleted = habit.completedDates.includes(dateStr);
+    setHabitDayDone(habit, dateStr, !isCompleted);
     
-    if (!name) {
-        showToast('Please enter a project name', 'error');
-        return;
+    if (isCompleted) {
+        if (!quiet) showToast(`Removed completion for ${selectedDate.toLocaleDateString()}`, 'info');
+    } else {
+        if (!quiet) showToast(`Marked as completed for ${selectedDate.toLocaleDateString()}`, 'success');
     }
     
-    const project = {
-        id: Date.now(),
-        name,
-        description,
-        startDate,
-        deadline,
-        category,
-        status,
-        tech,
-        progress,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-    };
+    // Recalculate streak
+    habit.streak = calculateCurrentStreak(habit);
+    habit.updatedAt = new Date().toISOString();
+    if (!isCompleted) refundStreakFreeze(dateStr);
     
-    appData.projects.push(project);
+    queueMutation('habits', 'upsert', habit.id, habit);
+    checkLinkedGoals('habit', habit.id);
     saveAppData();
     updateDashboard();
     
-    addNotification(
-        'New Project Added',
-        `"${name}" has been added to your projects.`,
-        'info',
-        { page: 'projects' }
-    );
+    // Update the habits list
+    renderModernHabitsList();
+}
+
+/**
+ * Completions in the current unbroken run, judged against the habit's
+ * schedule. Today never breaks a streak - there is still time to do it.
+ * Pass an earlier date as `today` to get the streak as it stood then.
+ */
+function calculateCurrentStreak(habit, today = toDateKey()) {
+    if (isBreakHabit(habit)) return calculateCleanDays(habit, today);
     
-    showToast('Project saved successfully!', 'success');
-    closeModal('addProjectModal');
+    const completed = new Set(habit.completedDates || []);
+    if (completed.size === 0) return 0;
     
-    // Update projects page
-    if (currentPage === 'projects') {
-        renderProjectsStats();
-        renderProjectsList();
+    const earliest = [...completed].sort()[0];
+    
+    if (habit.frequency === 'weekly') {
+        return calculateWeeklyStreak(habit, completed, today, earliest);
+    }
+    if (habit.frequency === 'interval') {
+        return calculateIntervalStreak(habit, completed, today);
     }
-}
-
-function updateProjectProgress(projectId) {
-    const project = appData.projects.find(p => p.id === projectId);
-    if (!project) return;
     
-    const newProgress = prompt(`Update progress for "${project.name}" (0-100%):`, project.progress || 0);
-    if (newProgress !== null) {
-        const progress = parseInt(newProgress);
-        if (!isNaN(progress) && progress >= 0 && progress <= 100) {
-            project.progress = progress;
-            project.updatedAt = new Date().toISOString();
-            
-            // Auto-complete if progress is 100%
-            if (progress === 100 && project.status !== 'completed') {
-                project.status = 'completed';
-                addNotification(
-                    'Project Completed! 🎉',
-                    `Congratulations! You've completed "${project.name}".`,
-                    'success',
-                    { page: 'projects' }
-                );
-            }
-            
-            saveAppData();
-            updateDashboard();
-            
-            showToast('Progress updated successfully!', 'success');
-            
-            if (currentPage === 'projects') {
-                renderProjectsStats();
-                renderProjectsList();
-            }
-        } else {
-            showToast('Please enter a valid percentage (0-100)', 'error');
+    // Daily and specific weekdays: walk back until a scheduled day was missed.
+    // Completions on unscheduled days still count.
+    let streak = 0;
+    for (let key = today; key >= earliest; key = addDaysToKey(key, -1)) {
+        if (completed.has(key)) {
+            streak++;
+        } else if (key !== today && isHabitScheduledDay(habit, key) && !isRestDay(key)) {
+            break;
         }
     }
+    return streak;
 }
 
-function toggleProjectStatus(projectId) {
-    const project = appData.projects.find(p => p.id === projectId);
-    if (project) {
-        const oldStatus = project.status;
-        project.status = project.status === 'completed' ? 'inprogress' : 'completed';
-        project.updatedAt = new Date().toISOString();
+// N times a week: every full week back from this one must have met the target,
+// scaled down for the rest days in it
+function calculateWeeklyStreak(habit, completed, today, earliest) {
+    const target = getHabitTimesPerWeek(habit);
+    let weekStart = getWeekStartKey(today);
+    let streak = 0;
+    
+    while (weekStart >= getWeekStartKey(earliest)) {
+        const weekEnd = addDaysToKey(weekStart, 6);
+        const count = countCompletionsBetween(completed, weekStart, weekEnd);
+        const required = Math.ceil((target * (7 - countRestDaysBetween(weekStart, weekEnd))) / 7);
+        const isCurrentWeek = weekStart === getWeekStartKey(today);
         
-        // Set progress to 100% if completed
-        if (project.status === 'completed') {
-            project.progress = 100;
-            addNotification(
-                'Project Completed! 🎉',
-                `Congratulations! You've completed "${project.name}".`,
-                'success',
-                { page: 'projects' }
-            );
-        } else if (oldStatus === 'completed' && project.progress === 100) {
-            // If marking as inprogress from completed, set progress to 90%
-            project.progress = 90;
+        if (count < required && !isCurrentWeek) break;
+        streak += count;
+        weekStart = addDaysToKey(weekStart, -7);
+    }
+    return streak;
+}
+
+// Every N days: each gap between completions (and since the last one) is at most
+// N days, not counting rest days
+function calculateIntervalStreak(habit, completed, today) {
+    const interval = getHabitIntervalDays(habit);
+    const dates = [...completed].filter(date => date <= today).sort().reverse();
+    if (dates.length === 0 || countActiveDaysBetween(dates[0], today) > interval) return 0;
+    
+    let streak = 1;
+    for (let i = 1; i < dates.length; i++) {
+        if (countActiveDaysBetween(dates[i], dates[i - 1]) > interval) break;
+        streak++;
+    }
+    return streak;
+}
+
+// ===== HABIT SCHEDULES =====
+// habit.frequency is 'daily', 'weekdays' (the days listed in scheduleDays,
+// 0 = Sunday), 'weekly' (timesPerWeek times in any Monday-Sunday week) or
+// 'interval' (once every intervalDays days).
+const HABIT_FREQUENCIES = {
+    daily: 'Daily',
+    weekdays: 'Specific days',
+    weekly: 'Times per week',
+    interval: 'Every N days'
+};
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function getHabitScheduleDays(habit) {
+    return Array.isArray(habit.scheduleDays) && habit.scheduleDays.length > 0 ? habit.scheduleDays : [1, 2, 3, 4, 5];
+}
+
+function getHabitTimesPerWeek(habit) {
+    return Math.min(7, Math.max(1, parseInt(habit.timesPerWeek) || 1));
+}
+
+function getHabitIntervalDays(habit) {
+    return Math.max(1, parseInt(habit.intervalDays) || 1);
+}
+
+function getWeekStartKey(dateKey) {
+    const date = parseDateKey(dateKey);
+    return addDaysToKey(dateKey, -((date.getDay() + 6) % 7));
+}
+
+function countCompletionsBetween(completed, fromKey, toKey) {
+    let count = 0;
+    completed.forEach(date => {
+        if (date >= fromKey && date <= toKey) count++;
+    });
+    return count;
+}
+
+// Fixed-calendar part of the schedule: is this a day the habit can be due on at all?
+function isHabitScheduledDay(habit, dateKey) {
+    if (habit.frequency === 'weekdays') {
+        return getHabitScheduleDays(habit).includes(parseDateKey(dateKey).getDay());
+    }
+    return true;
+}
+
+/**
+ * Whether the habit still needs doing on dateKey. Weekly habits stop being
+ * due once the week's target is met; interval habits until N days after the
+ * last completion. Completing the habit on the day itself doesn't change it.
+ */
+function isHabitDueOn(habit, dateKey) {
+    const completed = habit.completedDates || [];
+    if (isBreakHabit(habit) || isRestDay(dateKey)) return false;
+    
+    switch (habit.frequency) {
+        case 'weekdays':
+            return isHabitScheduledDay(habit, dateKey);
+        case 'weekly': {
+            const doneThisWeek = countCompletionsBetween(new Set(completed), getWeekStartKey(dateKey), addDaysToKey(dateKey, -1));
+            return doneThisWeek < getHabitTimesPerWeek(habit);
         }
-        
-        saveAppData();
-        updateDashboard();
-        
-        showToast(`Project marked as ${project.status}`, 'success');
-        
-        if (currentPage === 'projects') {
-            renderProjectsStats();
-            renderProjectsList();
+        case 'interval': {
+            const previous = completed.filter(date => date < dateKey).sort().pop();
+            return !previous || countActiveDaysBetween(previous, dateKey) >= getHabitIntervalDays(habit);
         }
+        default:
+            return true;
     }
 }
 
-function editProject(projectId) {
-    const project = appData.projects.find(p => p.id === projectId);
-    if (!project) return;
+// How many completions the schedule asks for between two dates (inclusive), rest days excluded
+function getExpectedCompletions(habit, fromKey, toKey) {
+    const days = daysBetweenKeys(fromKey, toKey) + 1;
+    if (days <= 0) return 0;
+    const activeDays = days - countRestDaysBetween(fromKey, toKey);
+    if (activeDays === 0) return 0;
     
-    const modalHTML = `
-        <div class="modal-overlay" id="editProjectModal">
-            <div class="modal">
-                <div class="modal-header">
-                    <h3>Edit Project</h3>
-                    <button class="modal-close" onclick="closeModal('editProjectModal')">&times;</button>
-                </div>
-                <div class="modal-body">
-                    <form id="editProjectForm" onsubmit="updateProject(${projectId}); return false;">
-                        <div class="form-group">
-                            <label class="form-label">Project Name *</label>
-                            <input type="text" id="editProjectName" class="form-control" 
-                                   value="${escapeHtml(project.name)}" required>
-                        </div>
-                        
-                        <div class="form-group">
-                            <label class="form-label">Description</label>
-                            <textarea id="editProjectDescription" class="form-control" rows="3">${escapeHtml(project.description || '')}</textarea>
-                        </div>
-                        
-                        <div class="form-row">
-                            <div class="form-group">
-                                <label class="form-label">Start Date</label>
-                                <input type="date" id="editProjectStartDate" class="form-control" 
-                                       value="${project.startDate || ''}">
-                            </div>
-                            <div class="form-group">
-                                <label class="form-label">Deadline</label>
-                                <input type="date" id="editProjectDeadline" class="form-control" 
-                                       value="${project.deadline || ''}">
-                            </div>
-                        </div>
-                        
-                        <div class="form-row">
-                            <div class="form-group">
-                                <label class="form-label">Category</label>
-                                <select id="editProjectCategory" class="form-control">
-                                    <option value="coding" ${project.category === 'coding' ? 'selected' : ''}>Coding</option>
-                                    <option value="design" ${project.category === 'design' ? 'selected' : ''}>Design</option>
-                                    <option value="writing" ${project.category === 'writing' ? 'selected' : ''}>Writing</option>
-                                    <option value="research" ${project.category === 'research' ? 'selected' : ''}>Research</option>
-                                    <option value="other" ${project.category === 'other' ? 'selected' : ''}>Other</option>
-                                </select>
-                            </div>
-                            <div class="form-group">
-                                <label class="form-label">Status</label>
-                                <select id="editProjectStatus" class="form-control">
-                                    <option value="planned" ${project.status === 'planned' ? 'selected' : ''}>Planned</option>
-                                    <option value="inprogress" ${project.status === 'inprogress' ? 'selected' : ''}>In Progress</option>
-                                    <option value="completed" ${project.status === 'completed' ? 'selected' : ''}>Completed</option>
-                                </select>
-                            </div>
-                        </div>
-                        
-                        <div class="form-group">
-                            <label class="form-label">Technology / Tools</label>
-                            <input type="text" id="editProjectTech" class="form-control" 
-                                   value="${escapeHtml(project.tech || '')}">
-                        </div>
-                        
-                        <div class="form-group">
-                            <label class="form-label">Progress (%)</label>
-                            <input type="range" id="editProjectProgress" class="form-control-range" 
-                                   min="0" max="100" value="${project.progress || 0}">
-                            <div style="text-align: center; font-size: 0.875rem; color: var(--text-muted); margin-top: 5px;">
-                                <span id="editProgressValue">${project.progress || 0}%</span>
-                            </div>
-                        </div>
-                        
-                        <div class="modal-actions">
-                            <button class="btn btn-danger" type="button" onclick="deleteProject(${project.id}); closeModal('editProjectModal')">
-                                <i class="fas fa-trash"></i> Delete
-                            </button>
-                            <div style="flex: 1"></div>
-                            <button class="btn btn-outline" type="button" onclick="closeModal('editProjectModal')">
-                                Cancel
-                            </button>
-                            <button class="btn btn-primary" type="submit">
-                                <i class="fas fa-save"></i> Update Project
-                            </button>
-                        </div>
-                    </form>
-                </div>
+    switch (habit.frequency) {
+        case 'weekdays': {
+            let count = 0;
+            for (let key = fromKey; key <= toKey; key = addDaysToKey(key, 1)) {
+                if (isHabitScheduledDay(habit, key) && !isRestDay(key)) count++;
+            }
+            return count;
+        }
+        case 'weekly':
+            return Math.max(1, Math.round((activeDays / 7) * getHabitTimesPerWeek(habit)));
+        case 'interval':
+            return Math.max(1, Math.ceil(activeDays / getHabitIntervalDays(habit)));
+        default:
+            return activeDays;
+    }
+}
+
+function describeHabitFrequency(habit) {
+    switch (habit.frequency) {
+        case 'weekdays': {
+            const days = getHabitScheduleDays(habit);
+            if (days.length === 7) return 'Daily';
+            if (days.length === 5 && !days.includes(0) && !days.includes(6)) return 'Weekdays';
+            return [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map(day => WEEKDAY_NAMES[day]).join(', ');
+        }
+        case 'weekly':
+            return `${getHabitTimesPerWeek(habit)}× / week`;
+        case 'interval':
+            return getHabitIntervalDays(habit) === 1 ? 'Daily' : `Every ${getHabitIntervalDays(habit)} days`;
+        default:
+            return 'Daily';
+    }
+}
+
+// Frequency picker shared by the add and edit habit modals: the select sits in
+// the category row, the schedule settings for the chosen frequency below it
+function renderHabitFrequencySelect(prefix, habit = {}) {
+    const frequency = HABIT_FREQUENCIES[habit.frequency] ? habit.frequency : 'daily';
+    
+    return `
+        <div class="form-group habit-build-fields" ${isBreakHabit(habit) ? 'style="display: none;"' : ''}>
+            <label class="form-label">Frequency</label>
+            <select id="${prefix}Frequency" class="form-control" onchange="updateHabitFrequencyFields('${prefix}')">
+                ${Object.entries(HABIT_FREQUENCIES).map(([value, label]) => `
+                    <option value="${value}" ${frequency === value ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+        </div>
+    `;
+}
+
+function renderHabitFrequencyFields(prefix, habit = {}) {
+    const frequency = HABIT_FREQUENCIES[habit.frequency] ? habit.frequency : 'daily';
+    
+    return `
+        <div class="form-group habit-frequency-option" data-frequency="weekdays" ${frequency === 'weekdays' ? '' : 'style="display: none;"'}>
+            <label class="form-label">On these days</label>
+            <div class="habit-weekday-picker" id="${prefix}ScheduleDays">
+                ${[1, 2, 3, 4, 5, 6, 0].map(day => `
+                    <label class="habit-weekday">
+                        <input type="checkbox" value="${day}" ${getHabitScheduleDays(habit).includes(day) ? 'checked' : ''}>
+                        <span>${WEEKDAY_NAMES[day]}</span>
+                    </label>
+                `).join('')}
             </div>
         </div>
+        
+        <div class="form-group habit-frequency-option" data-frequency="weekly" ${frequency === 'weekly' ? '' : 'style="display: none;"'}>
+            <label class="form-label">Times per week</label>
+            <input type="number" id="${prefix}TimesPerWeek" class="form-control" min="1" max="7"
+                   value="${getHabitTimesPerWeek(habit)}">
+        </div>
+        
+        <div class="form-group habit-frequency-option" data-frequency="interval" ${frequency === 'interval' ? '' : 'style="display: none;"'}>
+            <label class="form-label">Every how many days</label>
+            <input type="number" id="${prefix}IntervalDays" class="form-control" min="1"
+                   value="${habit.intervalDays || 2}">
+        </div>
     `;
+}
+
+function updateHabitFrequencyFields(prefix) {
+    const frequency = document.getElementById(`${prefix}Frequency`).value;
+    const modal = document.getElementById(`${prefix}Frequency`).closest('.modal');
     
-    const modalContainer = document.getElementById('modalsContainer');
-    modalContainer.innerHTML = modalHTML;
+    modal.querySelectorAll('.habit-frequency-option').forEach(option => {
+        option.style.display = option.dataset.frequency === frequency ? '' : 'none';
+    });
+}
+
+// Returns null (after telling the user) when the chosen schedule is incomplete
+function readHabitFrequencyFields(prefix) {
+    const frequency = document.getElementById(`${prefix}Frequency`).value;
+    const scheduleDays = Array.from(
+        document.querySelectorAll(`#${prefix}ScheduleDays input:checked`),
+        input => Number(input.value)
+    );
     
-    // Update progress value display
-    const progressSlider = document.getElementById('editProjectProgress');
-    const progressValue = document.getElementById('editProgressValue');
+    if (frequency === 'weekdays' && scheduleDays.length === 0) {
+        showToast('Pick at least one day for this habit', 'error');
+        return null;
+    }
     
-    progressSlider.addEventListener('input', function() {
-        progressValue.textContent = `${this.value}%`;
-    });
+    return {
+        frequency,
+        scheduleDays: scheduleDays.length > 0 ? scheduleDays : [1, 2, 3, 4, 5],
+        timesPerWeek: getHabitTimesPerWeek({ timesPerWeek: document.getElementById(`${prefix}TimesPerWeek`).value }),
+        intervalDays: getHabitIntervalDays({ intervalDays: document.getElementById(`${prefix}IntervalDays`).value })
+    };
 }
 
-function updateProject(projectId) {
-    const project = appData.projects.find(p => p.id === projectId);
-    if (!project) return;
+// ===== REST DAYS & STREAK FREEZES =====
+// Planned rest days (settings.restDays, { id, start, end, note } ranges) and
+// days covered by a streak freeze (settings.frozenDays) are neutral: they
+// neither count towards nor break habit and study streaks. A freeze is
+// earned when a streak reaches a multiple of FREEZE_EARN_STREAK days and is
+// spent automatically on a missed day that would otherwise end a streak; if
+// that day is logged after all, the freeze is given back.
+// settings.earnedFreezes lists the day each freeze was earned. Both lists
+// merge as sets across devices and the freezes left are the difference, so
+// two devices can't each spend the same freeze.
+const MAX_STREAK_FREEZES = 2;
+const FREEZE_EARN_STREAK = 7;
+
+function getRestDays() {
+    return appData.settings.restDays || [];
+}
+
+function getRestDayRange(dateKey) {
+    return getRestDays().find(range => dateKey >= range.start && dateKey <= range.end) || null;
+}
+
+function isFrozenDay(dateKey) {
+    return (appData.settings.frozenDays || []).includes(dateKey);
+}
+
+function isRestDay(dateKey) {
+    return isFrozenDay(dateKey) || getRestDayRange(dateKey) !== null;
+}
+
+// Short description for tooltips and the day modal, or null on a normal day
+function describeRestDay(dateKey) {
+    const range = getRestDayRange(dateKey);
+    if (range) return range.note ? `Rest day: ${range.note}` : 'Rest day';
+    return isFrozenDay(dateKey) ? 'Streak freeze' : null;
+}
+
+function countRestDaysBetween(fromKey, toKey) {
+    let count = 0;
+    for (let key = fromKey; key <= toKey; key = addDaysToKey(key, 1)) {
+        if (isRestDay(key)) count++;
+    }
+    return count;
+}
+
+// Days from one date to a later one, leaving out the rest days in between
+function countActiveDaysBetween(fromKey, toKey) {
+    return daysBetweenKeys(fromKey, toKey) - countRestDaysBetween(addDaysToKey(fromKey, 1), addDaysToKey(toKey, -1));
+}
+
+function getStreakFreezes(settings = appData.settings) {
+    const left = (settings.earnedFreezes || []).length - (settings.frozenDays || []).length;
+    return Math.min(MAX_STREAK_FREEZES, Math.max(0, left));
+}
+
+// After a merge: drop frozen days no earned freeze pays for (latest first)
+// and earned freezes above the cap (oldest first)
+function reconcileStreakFreezes(settings) {
+    const earned = [...(settings.earnedFreezes || [])].sort();
+    const frozen = [...(settings.frozenDays || [])].sort();
     
-    const name = document.getElementById('editProjectName').value.trim();
-    if (!name) {
-        showToast('Please enter a project name', 'error');
-        return;
+    while (frozen.length > earned.length) {
+        console.log('❄️ Dropping a streak freeze spent twice:', frozen.pop());
     }
+    while (earned.length - frozen.length > MAX_STREAK_FREEZES) earned.shift();
     
-    project.name = name;
-    project.description = document.getElementById('editProjectDescription').value.trim();
-    project.startDate = document.getElementById('editProjectStartDate').value;
-    project.deadline = document.getElementById('editProjectDeadline').value;
-    project.category = document.getElementById('editProjectCategory').value;
-    project.status = document.getElementById('editProjectStatus').value;
-    project.tech = document.getElementById('editProjectTech').value.trim();
-    project.progress = parseInt(document.getElementById('editProjectProgress').value) || 0;
-    project.updatedAt = new Date().toISOString();
+    settings.earnedFreezes = earned;
+    settings.frozenDays = frozen;
+}
+
+function refreshHabitStreaks() {
+    appData.habits.forEach(habit => {
+        habit.streak = calculateCurrentStreak(habit);
+    });
+}
+
+// At most one freeze a day, so toggling a completion off and on earns nothing
+function awardStreakFreeze(streak) {
+    const today = toDateKey();
+    if (streak <= 0 || streak % FREEZE_EARN_STREAK !== 0) return;
+    const earned = appData.settings.earnedFreezes || [];
+    if (earned.includes(today) || getStreakFreezes() >= MAX_STREAK_FREEZES) return;
     
-    saveAppData();
-    updateDashboard();
+    appData.settings.earnedFreezes = [...earned, today];
     
     addNotification(
-        'Project Updated',
-        `"${name}" has been updated.`,
-        'info',
-        { page: 'projects' }
+        'Streak Freeze Earned ❄️',
+        `Your ${streak}-day streak earned a streak freeze. You have ${getStreakFreezes()} of ${MAX_STREAK_FREEZES}.`,
+        'success',
+        { page: 'habits' }
     );
+}
+
+// Whether freezing dateKey keeps any streak alive, judged the day after it
+function doesFreezeSaveStreak(dateKey) {
+    const frozenDays = appData.settings.frozenDays || [];
+    const others = frozenDays.filter(day => day !== dateKey);
+    const nextDay = addDaysToKey(dateKey, 1);
+    const measureStreaks = () => [
+        calculateStudyStreak(dateKey),
+        ...appData.habits.map(habit => calculateCurrentStreak(habit, nextDay))
+    ];
     
-    showToast('Project updated successfully!', 'success');
-    closeModal('editProjectModal');
+    appData.settings.frozenDays = others;
+    const without = measureStreaks();
+    appData.settings.frozenDays = [...others, dateKey];
+    const withFreeze = measureStreaks();
+    appData.settings.frozenDays = frozenDays;
     
-    if (currentPage === 'projects') {
-        renderProjectsStats();
-        renderProjectsList();
-    }
+    return withFreeze.some((streak, index) => streak > without[index]);
 }
 
-function deleteProject(projectId) {
-    const project = appData.projects.find(p => p.id === projectId);
-    if (!project) return;
+// Spend a freeze on yesterday when leaving it missed would shorten a streak
+function applyStreakFreezes() {
+    const today = toDateKey();
+    const yesterday = addDaysToKey(today, -1);
+    if (getStreakFreezes() === 0 || isRestDay(yesterday) || !doesFreezeSaveStreak(yesterday)) return;
     
-    if (confirm(`Are you sure you want to delete "${project.name}"?`)) {
-        appData.projects = appData.projects.filter(p => p.id !== projectId);
-        saveAppData();
-        updateDashboard();
-        
-        addNotification(
-            'Project Deleted',
-            `"${project.name}" has been removed from your projects.`,
-            'info'
-        );
-        
-        showToast('Project deleted successfully!', 'success');
-        
-        if (currentPage === 'projects') {
-            renderProjectsStats();
-            renderProjectsList();
-        }
-    }
+    appData.settings.frozenDays = [...(appData.settings.frozenDays || []), yesterday];
+    refreshHabitStreaks();
+    saveAppData();
+    updateDashboard();
+    
+    addNotification(
+        'Streak Freeze Used ❄️',
+        `A streak freeze covered ${parseDateKey(yesterday).toLocaleDateString()}, so your streaks are safe. ${getStreakFreezes()} left.`,
+        'info',
+        { page: 'habits' }
+    );
+    
+    if (currentPage === 'habits') loadHabitsPage();
 }
 
-function showProjectModal(projectId) {
-    const project = appData.projects.find(p => p.id === projectId);
-    if (!project) return;
+// Give the freeze back once a frozen day has been logged after all and no
+// streak needs it any more. Callers save.
+function refundStreakFreeze(dateKey) {
+    if (!isFrozenDay(dateKey) || doesFreezeSaveStreak(dateKey)) return;
     
-    const daysLeft = project.deadline ? 
-        Math.ceil((new Date(project.deadline) - new Date()) / (1000 * 60 * 60 * 24)) : 
-        null;
+    appData.settings.frozenDays = appData.settings.frozenDays.filter(day => day !== dateKey);
+    reconcileStreakFreezes(appData.settings);
+    refreshHabitStreaks();
     
-    const techTags = project.tech ? project.tech.split(',').map(t => t.trim()).filter(t => t) : [];
+    addNotification(
+        'Streak Freeze Returned ❄️',
+        `${parseDateKey(dateKey).toLocaleDateString()} was logged after all, so its streak freeze is back. ${getStreakFreezes()} left.`,
+        'info',
+        { page: 'habits' }
+    );
+}
+
+function showRestDaysModal() {
+    const today = toDateKey();
+    const ranges = [...getRestDays()].sort((a, b) => b.start.localeCompare(a.start));
     
     const modalHTML = `
-        <div class="modal-overlay" id="projectViewModal">
-            <div class="modal" style="max-width: 600px;">
+        <div class="modal-overlay" id="restDaysModal">
+            <div class="modal" style="max-width: 520px;">
                 <div class="modal-header">
-                    <h3>${escapeHtml(project.name)}</h3>
-                    <button class="modal-close" onclick="closeModal('projectViewModal')">&times;</button>
+                    <h3>Rest Days & Streak Freezes</h3>
+                    <button class="modal-close" onclick="closeModal('restDaysModal')">&times;</button>
                 </div>
                 <div class="modal-body">
-                    <div class="form-group">
-                        <label class="form-label">Description</label>
-                        <div style="padding: 12px; background: var(--bg-tertiary); border-radius: 8px; white-space: pre-wrap;">
-                            ${escapeHtml(project.description || 'No description provided')}
+                    <div class="streak-freeze-summary">
+                        <div class="streak-freeze-icons">
+                            ${Array.from({ length: MAX_STREAK_FREEZES }, (_, index) => `
+                                <i class="fas fa-snowflake ${index < getStreakFreezes() ? 'earned' : ''}"></i>
+                            `).join('')}
                         </div>
+                        <p>
+                            ${getStreakFreezes()} of ${MAX_STREAK_FREEZES} streak freezes. Every ${FREEZE_EARN_STREAK}-day streak earns one,
+                            and one is used automatically if a missed day would break a streak.
+                        </p>
                     </div>
                     
-                    <div class="form-row">
-                        <div class="form-group">
-                            <label class="form-label">Category</label>
-                            <div style="padding: 8px 12px; background: var(--bg-tertiary); border-radius: 8px;">
-                                ${escapeHtml(project.category || 'Uncategorized')}
-                            </div>
-                        </div>
-                        <div class="form-group">
-                            <label class="form-label">Status</label>
-                            <div style="padding: 8px 12px; background: var(--bg-tertiary); border-radius: 8px;">
-                                <span class="project-status-badge ${project.status}">${project.status}</span>
+                    <div class="form-group">
+                        <label class="form-label">Planned Rest Days</label>
+                        ${ranges.length > 0 ? ranges.map(range => `
+                            <div class="rest-day-item ${range.end < today ? 'past' : ''}">
+                                <i class="fas fa-umbrella-beach"></i>
+                                <span class="rest-day-dates">
+                                    ${formatShortDate(range.start)}${range.end !== range.start ? ` – ${formatShortDate(range.end)}` : ''}
+                                </span>
+                                <span class="rest-day-note">${escapeHtml(range.note || '')}</span>
+                                <button class="btn-icon-sm" onclick="removeRestDays(${range.id})" title="Remove">
+                                    <i class="fas fa-times"></i>
+                                </button>
                             </div>
-                        </div>
+                        `).join('') : '<p class="goal-log-empty">No rest days planned</p>'}
                     </div>
                     
                     <div class="form-row">
                         <div class="form-group">
-                            <label class="form-label">Start Date</label>
-                            <div style="padding: 8px 12px; background: var(--bg-tertiary); border-radius: 8px;">
-                                ${project.startDate ? formatShortDate(project.startDate) : 'Not set'}
-                            </div>
+                            <label class="form-label">From</label>
+                            <input type="date" id="restDayStart" class="form-control" value="${today}">
                         </div>
                         <div class="form-group">
-                            <label class="form-label">Deadline</label>
-                            <div style="padding: 8px 12px; background: var(--bg-tertiary); border-radius: 8px;">
-                                ${project.deadline ? formatShortDate(project.deadline) : 'Not set'}
-                                ${daysLeft !== null ? ` (${daysLeft > 0 ? `${daysLeft} days left` : 'Overdue'})` : ''}
-                            </div>
+                            <label class="form-label">To</label>
+                            <input type="date" id="restDayEnd" class="form-control" value="${today}">
                         </div>
                     </div>
                     
-                    ${techTags.length > 0 ? `
-                        <div class="form-group">
-                            <label class="form-label">Technology / Tools</label>
-                            <div class="project-tech-tags" style="padding: 12px; background: var(--bg-tertiary); border-radius: 8px;">
-                                ${techTags.map(tag => `<span class="tech-tag">${escapeHtml(tag)}</span>`).join('')}
-                            </div>
-                        </div>
-                    ` : ''}
-                    
                     <div class="form-group">
-                        <label class="form-label">Progress</label>
-                        <div style="margin-top: 8px;">
-                            <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
-                                <span>${project.progress || 0}% complete</span>
-                            </div>
-                            <div class="progress-bar-modern">
-                                <div class="progress-fill-modern" style="width: ${project.progress || 0}%"></div>
-                            </div>
-                        </div>
+                        <label class="form-label">Note (Optional)</label>
+                        <input type="text" id="restDayNote" class="form-control" placeholder="e.g., Vacation, Sick day">
                     </div>
                     
                     <div class="modal-actions">
-                        <button class="btn btn-danger" onclick="deleteProject(${project.id}); closeModal('projectViewModal')">
-                            <i class="fas fa-trash"></i> Delete
-                        </button>
-                        <div style="flex: 1"></div>
-                        <button class="btn btn-outline" onclick="closeModal('projectViewModal')">
+                        <button class="btn btn-outline" onclick="closeModal('restDaysModal')">
                             Close
                         </button>
-                        <button class="btn btn-primary" onclick="editProject(${project.id}); closeModal('projectViewModal')">
-                            <i class="fas fa-edit"></i> Edit
+                        <button class="btn btn-primary" onclick="addRestDays()">
+                            <i class="fas fa-plus"></i> Add Rest Days
                         </button>
                     </div>
                 </div>
@@ -2646,410 +7371,817 @@ function showProjectModal(projectId) {
     modalContainer.innerHTML = modalHTML;
 }
 
-// ===== HABITS PAGE =====
-function loadHabitsPage() {
-    const container = document.getElementById('habitsPage');
-    if (!container) return;
+function addRestDays() {
+    const start = document.getElementById('restDayStart').value;
+    const end = document.getElementById('restDayEnd').value || start;
+    const note = document.getElementById('restDayNote').value.trim();
     
-    const stats = calculateHabitStats();
+    if (!start) {
+        showToast('Please pick the first rest day', 'error');
+        return;
+    }
+    if (end < start) {
+        showToast('The last rest day cannot be before the first', 'error');
+        return;
+    }
     
-    container.innerHTML = `
-        <div class="habits-page">
-            <div class="habits-header">
-                <h2>Habit Tracker</h2>
-                <p class="habits-subtitle">Build consistency, one day at a time. Track your daily routines and build powerful habits.</p>
-            </div>
-            
-            <!-- Habits Stats Overview -->
-            <div class="habits-stats-overview">
-                <div class="habit-stat-card">
-                    <div class="habit-stat-icon">
-                        <i class="fas fa-fire"></i>
-                    </div>
-                    <div class="habit-stat-value">${stats.totalStreak}</div>
-                    <div class="habit-stat-label">Total Streak Days</div>
-                </div>
-                
-                <div class="habit-stat-card">
-                    <div class="habit-stat-icon">
-                        <i class="fas fa-check-circle"></i>
-                    </div>
-                    <div class="habit-stat-value">${stats.todayCompletion}%</div>
-                    <div class="habit-stat-label">Today's Completion</div>
-                </div>
-                
-                <div class="habit-stat-card">
-                    <div class="habit-stat-icon">
-                        <i class="fas fa-bullseye"></i>
-                    </div>
-                    <div class="habit-stat-value">${stats.totalHabits}</div>
-                    <div class="habit-stat-label">Active Habits</div>
-                </div>
-                
-                <div class="habit-stat-card">
-                    <div class="habit-stat-icon">
-                        <i class="fas fa-calendar-week"></i>
-                    </div>
-                    <div class="habit-stat-value">${stats.bestStreak}</div>
-                    <div class="habit-stat-label">Best Streak</div>
+    appData.settings.restDays = [...getRestDays(), {
+        id: Date.now(),
+        start,
+        end,
+        note,
+        createdAt: new Date().toISOString()
+    }];
+    
+    saveRestDays();
+    showToast(start === end ? 'Rest day added' : `Rest days added (${daysBetweenKeys(start, end) + 1} days)`, 'success');
+}
+
+function removeRestDays(rangeId) {
+    appData.settings.restDays = getRestDays().filter(range => range.id !== rangeId);
+    saveRestDays();
+    showToast('Rest days removed', 'info');
+}
+
+function saveRestDays() {
+    refreshHabitStreaks();
+    saveAppData();
+    updateDashboard();
+    scheduleReminders();
+    
+    if (currentPage === 'habits') loadHabitsPage();
+    showRestDaysModal();
+}
+
+// ===== QUANTITATIVE HABITS =====
+// A habit with a target above 0 logs an amount per day in habit.amounts
+// ({ dateKey: amount }). completedDates still lists the days that reached the
+// target in force when they were logged, so streaks, stats and goal links
+// apply the same rule unchanged.
+function isQuantitativeHabit(habit) {
+    return Number(habit.target) > 0;
+}
+
+function getHabitAmount(habit, dateKey = toDateKey()) {
+    return Number(habit.amounts?.[dateKey]) || 0;
+}
+
+function formatHabitAmount(habit, amount) {
+    const rounded = Math.round(amount * 100) / 100;
+    return habit.unit ? `${rounded} ${habit.unit}` : String(rounded);
+}
+
+// Re-judge the given days against the current target. Other days keep the
+// result they were logged with, so raising or lowering the target only
+// applies from today on instead of rewriting past completions.
+function syncHabitCompletions(habit, dateKeys = [toDateKey()]) {
+    if (!isQuantitativeHabit(habit)) return;
+    
+    const completed = new Set(habit.completedDates || []);
+    dateKeys.forEach(dateKey => {
+        if (getHabitAmount(habit, dateKey) >= Number(habit.target)) {
+            completed.add(dateKey);
+        } else {
+            completed.delete(dateKey);
+        }
+    });
+    habit.completedDates = [...completed].sort();
+}
+
+// Returns true when this amount is what pushed the day over its target
+function setHabitAmount(habit, dateKey, amount) {
+    const wasCompleted = habit.completedDates?.includes(dateKey);
+    
+    if (!habit.amounts) habit.amounts = {};
+    if (amount > 0) {
+        habit.amounts[dateKey] = Math.round(amount * 100) / 100;
+    } else {
+        delete habit.amounts[dateKey];
+    }
+    
+    syncHabitCompletions(habit, [dateKey]);
+    habit.streak = calculateCurrentStreak(habit);
+    return !wasCompleted && habit.completedDates.includes(dateKey);
+}
+
+function logHabitAmount(habitId, delta) {
+    const habit = appData.habits.find(h => h.id === habitId);
+    if (!habit || !isQuantitativeHabit(habit)) return;
+    
+    const today = toDateKey();
+    const reachedTarget = setHabitAmount(habit, today, Math.max(0, getHabitAmount(habit, today) + delta));
+    if (reachedTarget) announceHabitCompletion(habit);
+    
+    habit.updatedAt = new Date().toISOString();
+    queueMutation('habits', 'upsert', habit.id, habit);
+    checkLinkedGoals('habit', habit.id);
+    saveAppData();
+    updateDashboard();
+    renderModernHabitsList();
+}
+
+function promptHabitAmount(habitId) {
+    const habit = appData.habits.find(h => h.id === habitId);
+    if (!habit) return;
+    
+    const input = prompt(
+        `Add to "${habit.name}" today (${formatHabitAmount(habit, getHabitAmount(habit))} of ${formatHabitAmount(habit, habit.target)} so far):`,
+        '1'
+    );
+    if (input === null) return;
+    
+    const amount = parseFloat(input);
+    if (isNaN(amount) || amount === 0) {
+        showToast('Please enter an amount to add', 'error');
+        return;
+    }
+    
+    logHabitAmount(habitId, amount);
+}
+
+function renderHabitAmountTracker(habit) {
+    const amount = getHabitAmount(habit);
+    const target = Number(habit.target);
+    const percent = Math.min(100, Math.round((amount / target) * 100));
+    
+    return `
+        <div class="habit-amount-tracker">
+            <div class="habit-progress-ring ${amount >= target ? 'complete' : ''}" style="--ring-progress: ${percent}%"
+                 onclick="promptHabitAmount(${habit.id})" title="Log an amount">
+                <div class="habit-progress-ring-inner">
+                    <span class="ring-amount">${Math.round(amount * 100) / 100}</span>
+                    <span class="ring-target">/ ${target}</span>
                 </div>
             </div>
-            
-            <div class="section-header" style="margin-bottom: 24px;">
-                <h3>Your Habits</h3>
-                <button class="btn btn-primary" onclick="showAddHabitModal()">
-                    <i class="fas fa-plus"></i> Add New Habit
-                </button>
+            <div class="habit-amount-info">
+                <div class="frequency-label">Today</div>
+                <div class="habit-amount-value">${formatHabitAmount(habit, amount)} of ${formatHabitAmount(habit, target)}</div>
+                <div class="habit-amount-controls">
+                    <button class="btn-icon-sm" onclick="logHabitAmount(${habit.id}, -1)" title="Remove 1" ${amount > 0 ? '' : 'disabled'}>
+                        <i class="fas fa-minus"></i>
+                    </button>
+                    <button class="btn-icon-sm" onclick="logHabitAmount(${habit.id}, 1)" title="Add 1">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                    <button class="btn btn-outline habit-amount-log" onclick="promptHabitAmount(${habit.id})">Log amount</button>
+                </div>
             </div>
-            
-            <div class="habits-grid" id="habitsList">
-                <!-- Habits will be rendered here -->
+        </div>
+    `;
+}
+
+// Target fields shared by the add and edit habit modals
+function renderHabitTargetFields(prefix, habit = {}) {
+    return `
+        <div class="form-row">
+            <div class="form-group">
+                <label class="form-label">Daily Target (Optional)</label>
+                <input type="number" id="${prefix}Target" class="form-control" min="0" step="any"
+                       placeholder="e.g., 8" value="${isQuantitativeHabit(habit) ? habit.target : ''}">
             </div>
-            
-            <!-- Empty State -->
-            <div class="habits-empty-state" id="habitsEmptyState">
-                <i class="fas fa-check-circle"></i>
-                <h3>No Habits Yet</h3>
-                <p>Start building positive routines! Add your first habit to track consistency and build momentum.</p>
-                <button class="btn btn-primary" onclick="showAddHabitModal()">
-                    <i class="fas fa-plus"></i> Add Your First Habit
-                </button>
+            <div class="form-group">
+                <label class="form-label">Unit</label>
+                <input type="text" id="${prefix}Unit" class="form-control"
+                       placeholder="e.g., glasses, pages" value="${escapeHtml(habit.unit || '')}">
             </div>
         </div>
     `;
-    
-    renderModernHabitsList();
 }
 
-function calculateHabitStats() {
-    const today = new Date().toISOString().split('T')[0];
-    const totalHabits = appData.habits.length;
-    
-    // Calculate today's completion
-    const habitsCompletedToday = appData.habits.filter(habit => 
-        habit.completedDates?.includes(today)
-    ).length;
-    const todayCompletion = totalHabits > 0 ? Math.round((habitsCompletedToday / totalHabits) * 100) : 0;
-    
-    // Calculate total streak days
-    const totalStreak = appData.habits.reduce((sum, habit) => sum + (habit.streak || 0), 0);
+// Returns null (after telling the user) when the target is not a valid amount
+function readHabitTargetFields(prefix) {
+    const rawTarget = document.getElementById(`${prefix}Target`).value.trim();
+    const target = rawTarget ? parseFloat(rawTarget) : 0;
     
-    // Calculate best streak
-    const bestStreak = totalHabits > 0 ? Math.max(...appData.habits.map(habit => habit.streak || 0)) : 0;
+    if (isNaN(target) || target < 0) {
+        showToast('Daily target must be a positive number', 'error');
+        return null;
+    }
     
     return {
-        totalHabits,
-        todayCompletion,
-        totalStreak,
-        bestStreak
+        target,
+        unit: target > 0 ? document.getElementById(`${prefix}Unit`).value.trim() : ''
     };
 }
 
-function renderModernHabitsList() {
-    const container = document.getElementById('habitsList');
-    const emptyState = document.getElementById('habitsEmptyState');
-    
-    if (!container) return;
+// ===== BAD HABITS =====
+// Habits with type 'break' track something to avoid. Each slip is logged as
+// { id, date, note, createdAt } in habit.slips; the streak is the number of
+// days since the last slip (or since the habit was added).
+function isBreakHabit(habit) {
+    return habit.type === 'break';
+}
+
+function getHabitSlipDates(habit) {
+    return [...new Set((habit.slips || []).map(slip => slip.date))].sort();
+}
+
+function calculateCleanDays(habit, today = toDateKey()) {
+    const lastSlip = getHabitSlipDates(habit).filter(date => date <= today).pop();
+    return Math.max(0, daysBetweenKeys(lastSlip || getHabitFirstKey(habit), today));
+}
+
+// Longest stretch without a slip, including the current one
+function calculateLongestCleanRun(habit) {
+    const slips = getHabitSlipDates(habit).filter(date => date <= toDateKey());
+    let longest = calculateCleanDays(habit);
     
-    if (appData.habits.length === 0) {
-        container.style.display = 'none';
-        if (emptyState) {
-            emptyState.classList.add('show');
-        }
-        return;
+    if (slips.length > 0) {
+        longest = Math.max(longest, daysBetweenKeys(getHabitFirstKey(habit), slips[0]));
     }
-    
-    if (emptyState) {
-        emptyState.classList.remove('show');
+    for (let i = 1; i < slips.length; i++) {
+        longest = Math.max(longest, daysBetweenKeys(slips[i - 1], slips[i]) - 1);
     }
-    container.style.display = 'grid';
+    return longest;
+}
+
+function renderHabitTypeSelect(prefix, habit = null) {
+    const type = habit && isBreakHabit(habit) ? 'break' : 'build';
     
-    const today = new Date().toISOString().split('T')[0];
+    return `
+        <div class="form-group">
+            <label class="form-label">Habit Type</label>
+            <select id="${prefix}Type" class="form-control" onchange="updateHabitTypeFields('${prefix}')" ${habit ? 'disabled' : ''}>
+                <option value="build" ${type === 'build' ? 'selected' : ''}>Build a habit - something to do</option>
+                <option value="break" ${type === 'break' ? 'selected' : ''}>Break a habit - something to avoid</option>
+            </select>
+        </div>
+    `;
+}
+
+function updateHabitTypeFields(prefix) {
+    const select = document.getElementById(`${prefix}Type`);
+    const isBreak = select.value === 'break';
     
-    container.innerHTML = appData.habits.map(habit => {
-        const isCompletedToday = habit.completedDates?.includes(today);
-        const streak = habit.streak || 0;
-        const frequency = habit.frequency || 'daily';
-        const category = habit.category || 'general';
-        
-        // Generate last 7 days data
-        const weekData = getLast7DaysData(habit);
-        const weeklyCompletion = calculateWeeklyCompletion(weekData);
-        
-        return `
-            <div class="habit-card" data-habit-id="${habit.id}">
-                <div class="habit-card-header">
-                    <div class="habit-card-title">
-                        <h3>
-                            ${escapeHtml(habit.name)}
-                            <span class="habit-category ${category}">
-                                <i class="fas fa-${getCategoryIcon(category)}"></i>
-                                ${getCategoryName(category)}
-                            </span>
-                        </h3>
-                        <p class="habit-card-description">${escapeHtml(habit.description || 'No description provided')}</p>
-                    </div>
+    select.closest('.modal').querySelectorAll('.habit-build-fields').forEach(section => {
+        section.style.display = isBreak ? 'none' : '';
+    });
+}
+
+function renderBreakHabitCard(habit) {
+    const today = toDateKey();
+    const slipDates = getHabitSlipDates(habit);
+    const cleanDays = habit.streak || 0;
+    const lastSlip = [...(habit.slips || [])].sort((a, b) => a.date.localeCompare(b.date)).pop();
+    const weekData = getLast7DaysData(habit);
+    const weekSlips = weekData.filter(day => slipDates.includes(day.date)).length;
+    const category = habit.category || 'general';
+    
+    return `
+        <div class="habit-card break-habit" data-habit-id="${habit.id}">
+            <div class="habit-card-header">
+                <div class="habit-card-title">
+                    <h3>
+                        <span class="habit-name-link" onclick="showHabitModal(${habit.id})">${escapeHtml(habit.name)}</span>
+                        <span class="habit-category ${category}">
+                            <i class="fas fa-${getCategoryIcon(category)}"></i>
+                            ${getCategoryName(category)}
+                        </span>
+                    </h3>
+                    <p class="habit-card-description">${escapeHtml(habit.description || 'No description provided')}</p>
                 </div>
-                
-                <!-- Streak Display -->
-                <div class="habit-streak-display">
-                    <div class="streak-info">
-                        <div class="streak-icon">
-                            <i class="fas fa-fire"></i>
-                        </div>
-                        <div class="streak-text">
-                            <div class="streak-count">${streak}</div>
-                            <div class="streak-label">Current Streak</div>
-                        </div>
+            </div>
+            
+            <div class="habit-streak-display">
+                <div class="streak-info">
+                    <div class="streak-icon clean">
+                        <i class="fas fa-shield-alt"></i>
                     </div>
-                    <div class="frequency-display">
-                        <div class="frequency-label">Frequency</div>
-                        <div class="frequency-value">${frequency.charAt(0).toUpperCase() + frequency.slice(1)}</div>
+                    <div class="streak-text">
+                        <div class="streak-count">${cleanDays}</div>
+                        <div class="streak-label">Day${cleanDays === 1 ? '' : 's'} Clean</div>
                     </div>
                 </div>
+                <div class="frequency-display">
+                    <div class="frequency-label">Longest Clean Run</div>
+                    <div class="frequency-value">${calculateLongestCleanRun(habit)} days</div>
+                </div>
+            </div>
+            
+            <div class="weekly-progress">
+                <div class="progress-title">
+                    <span>This Week</span>
+                    <span class="progress-percentage">${weekSlips} slip${weekSlips === 1 ? '' : 's'}</span>
+                </div>
                 
-                <!-- Weekly Progress -->
-                <div class="weekly-progress">
-                    <div class="progress-title">
-                        <span>This Week</span>
-                        <span class="progress-percentage">${weeklyCompletion}%</span>
-                    </div>
-                    
-                    <!-- Day Labels -->
-                    <div class="week-days">
-                        ${weekData.map(day => `
-                            <div class="week-day">${day.dayName}</div>
-                        `).join('')}
-                    </div>
-                    
-                    <!-- Calendar Grid -->
-                    <div class="week-calendar">
-                        ${weekData.map((day, index) => `
-                            <div class="day-cell-modern ${day.completed ? 'completed' : ''} ${day.isToday ? 'today' : ''}"
-                                 onclick="toggleHabitDay(${habit.id}, '${day.date}')"
-                                 title="${day.fullDate}: ${day.completed ? 'Completed' : 'Not completed'}">
+                <div class="week-days">
+                    ${weekData.map(day => `
+                        <div class="week-day">${day.dayName}</div>
+                    `).join('')}
+                </div>
+                
+                <div class="week-calendar">
+                    ${weekData.map(day => {
+                        const slipped = slipDates.includes(day.date);
+                        const tracked = day.date >= getHabitFirstKey(habit);
+                        return `
+                            <div class="day-cell-modern ${slipped ? 'slipped' : tracked ? 'clean' : ''} ${day.isToday ? 'today' : ''}"
+                                 onclick="showLogSlipModal(${habit.id}, '${day.date}')"
+                                 title="${day.fullDate}: ${slipped ? 'Slipped' : tracked ? 'Clean' : 'Not tracked yet'}">
                                 <div class="day-number">${day.dayNumber}</div>
                             </div>
-                        `).join('')}
-                    </div>
+                        `;
+                    }).join('')}
                 </div>
+            </div>
+            
+            ${lastSlip ? `
+                <p class="habit-last-slip">
+                    <i class="fas fa-history"></i>
+                    Last slip ${formatShortDate(lastSlip.date)}${lastSlip.note ? `: ${escapeHtml(lastSlip.note)}` : ''}
+                </p>
+            ` : ''}
+            
+            <div class="habit-actions-modern">
+                <button class="habit-complete-btn ${slipDates.includes(today) ? 'completed' : 'slip'}" onclick="showLogSlipModal(${habit.id})">
+                    <i class="fas fa-${slipDates.includes(today) ? 'redo' : 'exclamation-triangle'}"></i>
+                    ${slipDates.includes(today) ? 'Slipped Today - Log Another' : 'I Slipped'}
+                </button>
                 
-                <!-- Actions -->
-                <div class="habit-actions-modern">
-                    <button class="habit-complete-btn ${isCompletedToday ? 'completed' : 'incomplete'}" 
-                            onclick="toggleHabitCompletion(${habit.id})">
-                        <i class="fas fa-${isCompletedToday ? 'check' : 'plus'}"></i>
-                        ${isCompletedToday ? 'Completed Today' : 'Mark Complete'}
-                    </button>
+                <button class="btn-icon-sm" onclick="showHabitModal(${habit.id})" title="View Slips">
+                    <i class="fas fa-chart-area"></i>
+                </button>
+                
+                <button class="btn-icon-sm" onclick="editHabit(${habit.id})" title="Edit Habit">
+                    <i class="fas fa-edit"></i>
+                </button>
+                
+                <button class="btn-icon-sm delete" onclick="deleteHabit(${habit.id})" title="Delete Habit">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+function showLogSlipModal(habitId, dateKey = toDateKey()) {
+    const habit = appData.habits.find(h => h.id === habitId);
+    if (!habit) return;
+    
+    const modalHTML = `
+        <div class="modal-overlay" id="logSlipModal">
+            <div class="modal" style="max-width: 440px;">
+                <div class="modal-header">
+                    <h3>Log a Slip</h3>
+                    <button class="modal-close" onclick="closeModal('logSlipModal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p style="color: var(--text-secondary); margin-bottom: 16px;">
+                        "${escapeHtml(habit.name)}" - ${habit.streak || 0} day${habit.streak === 1 ? '' : 's'} clean so far.
+                        Logging a slip starts a new clean run.
+                    </p>
                     
-                    <button class="btn-icon-sm" onclick="editHabit(${habit.id})" title="Edit Habit">
-                        <i class="fas fa-edit"></i>
-                    </button>
+                    <div class="form-group">
+                        <label class="form-label">When</label>
+                        <input type="date" id="slipDate" class="form-control" value="${dateKey}" max="${toDateKey()}">
+                    </div>
                     
-                    <button class="btn-icon-sm delete" onclick="deleteHabit(${habit.id})" title="Delete Habit">
-                        <i class="fas fa-trash"></i>
-                    </button>
+                    <div class="form-group">
+                        <label class="form-label">Note (Optional)</label>
+                        <textarea id="slipNote" class="form-control" rows="3"
+                                  placeholder="What happened? What could help next time?"></textarea>
+                    </div>
+                    
+                    <div class="modal-actions">
+                        <button class="btn btn-outline" onclick="closeModal('logSlipModal')">
+                            Cancel
+                        </button>
+                        <button class="btn btn-primary" onclick="logHabitSlip(${habit.id})">
+                            <i class="fas fa-save"></i> Log Slip
+                        </button>
+                    </div>
                 </div>
             </div>
-        `;
-    }).join('');
+        </div>
+    `;
+    
+    const modalContainer = document.getElementById('modalsContainer');
+    modalContainer.innerHTML = modalHTML;
 }
 
-function getLast7DaysData(habit) {
-    const days = [];
-    const today = new Date();
+function logHabitSlip(habitId) {
+    const habit = appData.habits.find(h => h.id === habitId);
+    if (!habit) return;
     
-    for (let i = 6; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(today.getDate() - i);
-        const dateStr = date.toISOString().split('T')[0];
-        const dayNumber = date.getDate();
-        const dayName = date.toLocaleDateString('en-US', { weekday: 'narrow' });
-        const fullDate = date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
-        const isCompleted = habit.completedDates?.includes(dateStr) || false;
-        const isToday = i === 0;
-        
-        days.push({
-            date: dateStr,
-            dayNumber,
-            dayName,
-            fullDate,
-            completed: isCompleted,
-            isToday
-        });
+    const date = document.getElementById('slipDate').value;
+    const note = document.getElementById('slipNote').value.trim();
+    
+    if (!date || date > toDateKey()) {
+        showToast('Please pick a day up to today', 'error');
+        return;
     }
     
-    return days;
+    const cleanDays = habit.streak || 0;
+    habit.slips = [...(habit.slips || []), {
+        id: Date.now(),
+        date,
+        note,
+        createdAt: new Date().toISOString()
+    }];
+    
+    saveBreakHabit(habit);
+    closeModal('logSlipModal');
+    
+    addNotification(
+        'Slip Logged',
+        habit.streak < cleanDays
+            ? `"${habit.name}": clean run reset from ${cleanDays} to ${habit.streak} day${habit.streak === 1 ? '' : 's'}. Keep going!`
+            : `"${habit.name}": slip on ${formatShortDate(date)} recorded.`,
+        'info',
+        { page: 'habits' }
+    );
 }
 
-function calculateWeeklyCompletion(weekData) {
-    const completedDays = weekData.filter(day => day.completed).length;
-    return Math.round((completedDays / 7) * 100);
+function removeHabitSlip(habitId, slipId) {
+    const habit = appData.habits.find(h => h.id === habitId);
+    if (!habit) return;
+    
+    habit.slips = (habit.slips || []).filter(slip => slip.id !== slipId);
+    saveBreakHabit(habit);
+    showToast('Slip removed', 'info');
 }
 
-function getCategoryIcon(category) {
-    const icons = {
-        'health': 'heartbeat',
-        'learning': 'graduation-cap',
-        'productivity': 'bolt',
-        'mindfulness': 'brain',
-        'social': 'users',
-        'general': 'star'
-    };
-    return icons[category] || 'check-circle';
+function saveBreakHabit(habit) {
+    habit.streak = calculateCurrentStreak(habit);
+    habit.updatedAt = new Date().toISOString();
+    
+    queueMutation('habits', 'upsert', habit.id, habit);
+    checkLinkedGoals('habit', habit.id);
+    saveAppData();
+    updateDashboard();
+    
+    if (currentPage === 'habits') loadHabitsPage();
+    refreshHabitDetail(habit.id);
 }
 
-function getCategoryName(category) {
-    const names = {
-        'health': 'Health',
-        'learning': 'Learning',
-        'productivity': 'Productivity',
-        'mindfulness': 'Mindfulness',
-        'social': 'Social',
-        'general': 'General'
-    };
-    return names[category] || 'General';
+// Detail view for a habit to break: clean-run stats and the slip log
+function renderBreakHabitDetail(habit) {
+    const slips = [...(habit.slips || [])].sort((a, b) => b.date.localeCompare(a.date));
+    const monthAgo = addDaysToKey(toDateKey(), -29);
+    
+    return `
+        <p class="habit-card-description">${escapeHtml(habit.description || 'No description provided')} · Tracking since ${formatShortDate(getHabitFirstKey(habit))}</p>
+        
+        <div class="habit-detail-stats">
+            <div class="habit-detail-stat">
+                <div class="habit-stat-value">${calculateCleanDays(habit)}</div>
+                <div class="habit-stat-label">Days Clean</div>
+            </div>
+            <div class="habit-detail-stat">
+                <div class="habit-stat-value">${calculateLongestCleanRun(habit)}</div>
+                <div class="habit-stat-label">Longest Clean Run</div>
+            </div>
+            <div class="habit-detail-stat">
+                <div class="habit-stat-value">${slips.length}</div>
+                <div class="habit-stat-label">Total Slips</div>
+            </div>
+            <div class="habit-detail-stat">
+                <div class="habit-stat-value">${slips.filter(slip => slip.date >= monthAgo).length}</div>
+                <div class="habit-stat-label">Slips (30 Days)</div>
+            </div>
+        </div>
+        
+        <div class="form-group">
+            <label class="form-label">Slip Log</label>
+            ${slips.length > 0 ? slips.map(slip => `
+                <div class="goal-log-entry">
+                    <span class="goal-log-date">${formatDate(slip.date)}</span>
+                    <span class="goal-log-note">${escapeHtml(slip.note || '')}</span>
+                    <button class="btn-icon-sm" onclick="removeHabitSlip(${habit.id}, ${slip.id})" title="Remove slip">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `).join('') : '<p class="goal-log-empty">No slips logged - keep it up!</p>'}
+        </div>
+        
+        <button class="btn btn-outline" onclick="showLogSlipModal(${habit.id})" style="margin-bottom: 16px;">
+            <i class="fas fa-exclamation-triangle"></i> Log a Slip
+        </button>
+    `;
 }
 
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+// ===== HABIT HISTORY =====
+// Detail view with a year-long heatmap. Cells toggle through toggleHabitDay;
+// holding the mouse down and dragging paints the same state across days.
+const HEATMAP_DAYS = 365;
+const HEATMAP_WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+let heatmapPaint = null;
+
+function getHabitFirstKey(habit) {
+    const created = habit.createdAt ? toDateKey(new Date(habit.createdAt)) : toDateKey();
+    return [created, ...(habit.completedDates || []), ...getHabitSlipDates(habit)].sort()[0];
 }
 
-// ===== HABIT FUNCTIONS =====
-function toggleHabitCompletion(habitId) {
+// Best streak the habit has ever had: the largest calculateCurrentStreak()
+// as of any completion day, worked out in one pass over the history
+function calculateLongestStreak(habit) {
+    if (isBreakHabit(habit)) return calculateLongestCleanRun(habit);
+    
+    const today = toDateKey();
+    const completed = new Set(habit.completedDates || []);
+    const dates = [...completed].filter(date => date <= today).sort();
+    let longest = habit.streak || 0;
+    if (dates.length === 0) return longest;
+    
+    if (habit.frequency === 'weekly') {
+        // A week that misses its target still counts as the last week of a run
+        const target = getHabitTimesPerWeek(habit);
+        let run = 0;
+        for (let weekStart = getWeekStartKey(dates[0]); weekStart <= today; weekStart = addDaysToKey(weekStart, 7)) {
+            const weekEnd = addDaysToKey(weekStart, 6);
+            const count = countCompletionsBetween(completed, weekStart, weekEnd);
+            const required = Math.ceil((target * (7 - countRestDaysBetween(weekStart, weekEnd))) / 7);
+            
+            if (count > 0) longest = Math.max(longest, run + count);
+            run = count >= required ? run + count : 0;
+        }
+        return longest;
+    }
+    
+    if (habit.frequency === 'interval') {
+        const interval = getHabitIntervalDays(habit);
+        let run = 0;
+        dates.forEach((date, index) => {
+            run = index > 0 && countActiveDaysBetween(dates[index - 1], date) <= interval ? run + 1 : 1;
+            longest = Math.max(longest, run);
+        });
+        return longest;
+    }
+    
+    // Daily and specific weekdays: a missed scheduled day that isn't a rest day ends the run
+    let run = 0;
+    for (let key = dates[0]; key <= today; key = addDaysToKey(key, 1)) {
+        if (completed.has(key)) {
+            run++;
+            longest = Math.max(longest, run);
+        } else if (isHabitScheduledDay(habit, key) && !isRestDay(key)) {
+            run = 0;
+        }
+    }
+    return longest;
+}
+
+// Completion rates over the heatmap window, by month and by weekday (null = nothing expected)
+function calculateHabitHistoryStats(habit, fromKey, toKey) {
+    const completed = new Set(habit.completedDates || []);
+    const startKey = getHabitFirstKey(habit) > fromKey ? getHabitFirstKey(habit) : fromKey;
+    const rate = (done, expected) => expected > 0 ? Math.min(100, Math.round((done / expected) * 100)) : null;
+    
+    const months = [];
+    const monthDate = parseDateKey(fromKey);
+    monthDate.setDate(1);
+    while (toDateKey(monthDate) <= toKey) {
+        const monthStart = toDateKey(monthDate);
+        monthDate.setMonth(monthDate.getMonth() + 1);
+        const monthEnd = addDaysToKey(toDateKey(monthDate), -1);
+        const from = monthStart > startKey ? monthStart : startKey;
+        const to = monthEnd < toKey ? monthEnd : toKey;
+        
+        months.push({
+            label: parseDateKey(monthStart).toLocaleDateString('en-US', { month: 'short' }),
+            rate: from <= to ? rate(countCompletionsBetween(completed, from, to), getExpectedCompletions(habit, from, to)) : null
+        });
+    }
+    
+    const weekdays = HEATMAP_WEEKDAYS.map(day => {
+        let scheduled = 0;
+        let done = 0;
+        for (let key = startKey; key <= toKey; key = addDaysToKey(key, 1)) {
+            if (parseDateKey(key).getDay() !== day || !isHabitScheduledDay(habit, key)) continue;
+            scheduled++;
+            if (completed.has(key)) done++;
+        }
+        return { label: WEEKDAY_NAMES[day], rate: rate(done, scheduled) };
+    });
+    
+    return {
+        months,
+        weekdays,
+        completions: countCompletionsBetween(completed, fromKey, toKey),
+        overall: rate(countCompletionsBetween(completed, startKey, toKey), getExpectedCompletions(habit, startKey, toKey)),
+        currentStreak: calculateCurrentStreak(habit),
+        longestStreak: calculateLongestStreak(habit)
+    };
+}
+
+function showHabitModal(habitId) {
     const habit = appData.habits.find(h => h.id === habitId);
     if (!habit) return;
     
-    const today = new Date().toISOString().split('T')[0];
-    const isCompleted = habit.completedDates?.includes(today);
+    const modalHTML = `
+        <div class="modal-overlay" id="habitViewModal">
+            <div class="modal" style="max-width: 860px;">
+                <div class="modal-header">
+                    <h3>${escapeHtml(habit.name)}</h3>
+                    <button class="modal-close" onclick="closeModal('habitViewModal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div id="habitDetailBody">${renderHabitDetail(habit)}</div>
+                    
+                    <div class="modal-actions">
+                        <div style="flex: 1"></div>
+                        <button class="btn btn-outline" onclick="closeModal('habitViewModal')">
+                            Close
+                        </button>
+                        <button class="btn btn-primary" onclick="editHabit(${habit.id})">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
     
-    if (!habit.completedDates) {
-        habit.completedDates = [];
-    }
+    const modalContainer = document.getElementById('modalsContainer');
+    modalContainer.innerHTML = modalHTML;
+}
+
+function refreshHabitDetail(habitId) {
+    const body = document.getElementById('habitDetailBody');
+    const habit = appData.habits.find(h => h.id === habitId);
+    if (body && habit) body.innerHTML = renderHabitDetail(habit);
+}
+
+function renderHabitDetail(habit) {
+    if (isBreakHabit(habit)) return renderBreakHabitDetail(habit);
     
-    if (isCompleted) {
-        // Mark as incomplete
-        habit.completedDates = habit.completedDates.filter(date => date !== today);
-        habit.streak = Math.max(0, (habit.streak || 0) - 1);
+    const today = toDateKey();
+    const fromKey = getWeekStartKey(addDaysToKey(today, 1 - HEATMAP_DAYS));
+    const stats = calculateHabitHistoryStats(habit, fromKey, today);
+    const formatRate = value => value === null ? '—' : `${value}%`;
+    const renderRateBars = rows => rows.map(row => `
+        <div class="habit-rate-row">
+            <span class="habit-rate-label">${row.label}</span>
+            <div class="habit-rate-bar"><div style="width: ${row.rate || 0}%"></div></div>
+            <span class="habit-rate-value">${formatRate(row.rate)}</span>
+        </div>
+    `).join('');
+    
+    return `
+        <p class="habit-card-description">${escapeHtml(habit.description || 'No description provided')} · ${describeHabitFrequency(habit)}</p>
         
-        addNotification(
-            'Habit Marked Incomplete',
-            `"${habit.name}" marked as incomplete for today.`,
-            'info'
-        );
-    } else {
-        // Mark as complete
-        habit.completedDates.push(today);
+        <div class="habit-detail-stats">
+            <div class="habit-detail-stat">
+                <div class="habit-stat-value">${stats.currentStreak}</div>
+                <div class="habit-stat-label">Current Streak</div>
+            </div>
+            <div class="habit-detail-stat">
+                <div class="habit-stat-value">${stats.longestStreak}</div>
+                <div class="habit-stat-label">Longest Streak</div>
+            </div>
+            <div class="habit-detail-stat">
+                <div class="habit-stat-value">${stats.completions}</div>
+                <div class="habit-stat-label">Completions This Year</div>
+            </div>
+            <div class="habit-detail-stat">
+                <div class="habit-stat-value">${formatRate(stats.overall)}</div>
+                <div class="habit-stat-label">Completion Rate</div>
+            </div>
+        </div>
         
-        // Calculate streak
-        let streak = 1;
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        const yesterdayStr = yesterday.toISOString().split('T')[0];
+        ${renderHabitHeatmap(habit, fromKey, today)}
         
-        if (habit.completedDates.includes(yesterdayStr)) {
-            streak = (habit.streak || 0) + 1;
-        } else {
-            streak = 1;
+        <div class="habit-rate-grid">
+            <div>
+                <label class="form-label">By Month</label>
+                ${renderRateBars(stats.months)}
+            </div>
+            <div>
+                <label class="form-label">By Weekday</label>
+                ${renderRateBars(stats.weekdays)}
+            </div>
+        </div>
+    `;
+}
+
+function renderHabitHeatmap(habit, fromKey, toKey) {
+    const completed = new Set(habit.completedDates || []);
+    const weeks = Math.ceil((daysBetweenKeys(fromKey, toKey) + 1) / 7);
+    const cells = [];
+    const monthLabels = [];
+    
+    for (let week = 0; week < weeks; week++) {
+        const weekStart = addDaysToKey(fromKey, week * 7);
+        // Label the column holding the first day of each month
+        for (let day = 0; day < 7; day++) {
+            const key = addDaysToKey(weekStart, day);
+            if (key.endsWith('-01') && key <= toKey) {
+                monthLabels.push(`<span style="grid-column: ${week + 1}">${parseDateKey(key).toLocaleDateString('en-US', { month: 'short' })}</span>`);
+            }
         }
         
-        habit.streak = streak;
-        
-        // Add notification for streak milestones
-        if (streak === 7) {
-            addNotification(
-                '7-Day Streak! 🔥',
-                `Amazing! You've maintained "${habit.name}" for 7 days in a row!`,
-                'success',
-                { page: 'habits' }
-            );
-        } else if (streak === 30) {
-            addNotification(
-                '30-Day Streak! 🎯',
-                `Incredible! "${habit.name}" is now a solid habit after 30 days!`,
-                'success',
-                { page: 'habits' }
-            );
-        } else {
-            addNotification(
-                'Habit Completed!',
-                `Great job! You've completed "${habit.name}" today. Streak: ${streak} days.`,
-                'success'
-            );
+        for (let day = 0; day < 7; day++) {
+            const key = addDaysToKey(weekStart, day);
+            if (key > toKey) {
+                cells.push('<div class="heatmap-cell future"></div>');
+                continue;
+            }
+            
+            const amount = getHabitAmount(habit, key);
+            let level = completed.has(key) ? 4 : 0;
+            if (!level && amount > 0) level = Math.min(3, 1 + Math.floor((amount / habit.target) * 3));
+            const status = isQuantitativeHabit(habit)
+                ? `${formatHabitAmount(habit, amount)} of ${formatHabitAmount(habit, habit.target)}`
+                : completed.has(key) ? 'Completed' : describeRestDay(key) || (isHabitScheduledDay(habit, key) ? 'Not completed' : 'Not scheduled');
+            
+            cells.push(`
+                <div class="heatmap-cell level-${level} ${isHabitScheduledDay(habit, key) ? '' : 'off-day'} ${isRestDay(key) ? 'rest-day' : ''} ${key === toKey ? 'today' : ''}"
+                     data-date="${key}"
+                     onmousedown="startHeatmapPaint(event, ${habit.id}, '${key}')"
+                     onmouseenter="continueHeatmapPaint('${key}')"
+                     title="${formatDate(key)}: ${status}"></div>
+            `);
         }
     }
     
-    habit.updatedAt = new Date().toISOString();
-    saveAppData();
-    updateDashboard();
-    
-    // Update the habits list
-    renderModernHabitsList();
+    return `
+        <div class="habit-heatmap-wrapper">
+            <div class="habit-heatmap-months" style="grid-template-columns: repeat(${weeks}, 12px);">${monthLabels.join('')}</div>
+            <div class="habit-heatmap-body">
+                <div class="habit-heatmap-weekdays">
+                    ${HEATMAP_WEEKDAYS.map((day, index) => `<span>${index % 2 === 0 ? WEEKDAY_NAMES[day] : ''}</span>`).join('')}
+                </div>
+                <div class="habit-heatmap">${cells.join('')}</div>
+            </div>
+        </div>
+        <div class="habit-heatmap-legend">
+            <span>Click or drag across past days to mark them done</span>
+            <span class="habit-heatmap-scale">
+                Less ${[0, 1, 2, 3, 4].map(level => `<span class="heatmap-cell level-${level}"></span>`).join('')} More
+            </span>
+        </div>
+    `;
 }
 
-function toggleHabitDay(habitId, dateStr) {
+// The first cell decides whether the drag marks days done or clears them.
+// Cells are updated in place while dragging; streaks, saving and the
+// re-render happen once on mouseup.
+function startHeatmapPaint(event, habitId, dateKey) {
+    event.preventDefault();
+    
     const habit = appData.habits.find(h => h.id === habitId);
     if (!habit) return;
     
-    const today = new Date().toISOString().split('T')[0];
-    const selectedDate = new Date(dateStr);
-    const isPastDate = selectedDate < new Date(today);
-    
-    if (!isPastDate) {
+    // Same rule as toggleHabitDay: today is checked off from the habit card
+    if (!isHeatmapDayEditable(dateKey)) {
         showToast('You can only edit past dates', 'warning');
         return;
     }
     
-    if (!habit.completedDates) {
-        habit.completedDates = [];
-    }
+    heatmapPaint = {
+        habitId,
+        complete: !habit.completedDates?.includes(dateKey),
+        changed: 0,
+        paintedDays: []
+    };
+    paintHeatmapDay(dateKey);
+    document.addEventListener('mouseup', endHeatmapPaint, { once: true });
+}
+
+function isHeatmapDayEditable(dateKey) {
+    return dateKey < toDateKey();
+}
+
+function continueHeatmapPaint(dateKey) {
+    if (heatmapPaint) paintHeatmapDay(dateKey);
+}
+
+function paintHeatmapDay(dateKey) {
+    const habit = appData.habits.find(h => h.id === heatmapPaint.habitId);
+    if (!habit || !isHeatmapDayEditable(dateKey) || Boolean(habit.completedDates?.includes(dateKey)) === heatmapPaint.complete) return;
     
-    const isCompleted = habit.completedDates.includes(dateStr);
+    setHabitDayDone(habit, dateKey, heatmapPaint.complete);
+    heatmapPaint.changed++;
+    heatmapPaint.paintedDays.push(dateKey);
     
-    if (isCompleted) {
-        // Remove completion
-        habit.completedDates = habit.completedDates.filter(date => date !== dateStr);
-        showToast(`Removed completion for ${selectedDate.toLocaleDateString()}`, 'info');
-    } else {
-        // Add completion
-        habit.completedDates.push(dateStr);
-        showToast(`Marked as completed for ${selectedDate.toLocaleDateString()}`, 'success');
+    const cell = document.querySelector(`#habitDetailBody .heatmap-cell[data-date="${dateKey}"]`);
+    if (cell) {
+        cell.classList.remove('level-0', 'level-1', 'level-2', 'level-3', 'level-4');
+        cell.classList.add(heatmapPaint.complete ? 'level-4' : 'level-0');
     }
+}
+
+function endHeatmapPaint() {
+    if (!heatmapPaint) return;
+    
+    const { habitId, complete, changed, paintedDays } = heatmapPaint;
+    heatmapPaint = null;
+    const habit = appData.habits.find(h => h.id === habitId);
+    if (!habit || changed === 0) return;
     
-    // Recalculate streak
     habit.streak = calculateCurrentStreak(habit);
     habit.updatedAt = new Date().toISOString();
+    if (complete) paintedDays.forEach(refundStreakFreeze);
     
+    queueMutation('habits', 'upsert', habit.id, habit);
+    checkLinkedGoals('habit', habit.id);
     saveAppData();
     updateDashboard();
-    
-    // Update the habits list
     renderModernHabitsList();
-}
-
-function calculateCurrentStreak(habit) {
-    if (!habit.completedDates || habit.completedDates.length === 0) return 0;
-    
-    const sortedDates = habit.completedDates
-        .map(date => new Date(date))
-        .sort((a, b) => b - a);
-    
-    let streak = 1;
-    for (let i = 1; i < sortedDates.length; i++) {
-        const prevDate = new Date(sortedDates[i - 1]);
-        const currentDate = new Date(sortedDates[i]);
-        prevDate.setDate(prevDate.getDate() - 1);
-        
-        if (prevDate.toDateString() === currentDate.toDateString()) {
-            streak++;
-        } else {
-            break;
-        }
-    }
+    refreshHabitDetail(habit.id);
     
-    return streak;
+    showToast(`${complete ? 'Marked' : 'Cleared'} ${changed} day${changed === 1 ? '' : 's'}`, complete ? 'success' : 'info');
 }
 
 // ===== MODAL FUNCTIONS (Updated for modern UI) =====
@@ -3068,6 +8200,8 @@ function showAddHabitModal() {
                                placeholder="e.g., Morning Exercise, Read 30 pages" required>
                     </div>
                     
+                    ${renderHabitTypeSelect('habit')}
+                    
                     <div class="form-group">
                         <label class="form-label">Description</label>
                         <textarea id="habitDescription" class="form-control" rows="3" 
@@ -3086,20 +8220,18 @@ function showAddHabitModal() {
                                 <option value="general" selected>General</option>
                             </select>
                         </div>
-                        <div class="form-group">
-                            <label class="form-label">Frequency</label>
-                            <select id="habitFrequency" class="form-control">
-                                <option value="daily" selected>Daily</option>
-                                <option value="weekly">Weekly</option>
-                                <option value="weekdays">Weekdays</option>
-                                <option value="custom">Custom</option>
-                            </select>
-                        </div>
+                        ${renderHabitFrequencySelect('habit')}
                     </div>
                     
-                    <div class="form-group">
-                        <label class="form-label">Reminder Time (Optional)</label>
-                        <input type="time" id="habitReminder" class="form-control" value="08:00">
+                    <div class="habit-build-fields">
+                        ${renderHabitFrequencyFields('habit')}
+                        
+                        ${renderHabitTargetFields('habit')}
+                        
+                        <div class="form-group">
+                            <label class="form-label">Reminder Time (Optional)</label>
+                            <input type="time" id="habitReminder" class="form-control">
+                        </div>
                     </div>
                     
                     <div class="modal-actions">
@@ -3123,7 +8255,6 @@ function saveHabit() {
     const name = document.getElementById('habitName').value.trim();
     const description = document.getElementById('habitDescription').value.trim();
     const category = document.getElementById('habitCategory').value;
-    const frequency = document.getElementById('habitFrequency').value;
     const reminder = document.getElementById('habitReminder').value;
     
     if (!name) {
@@ -3131,23 +8262,37 @@ function saveHabit() {
         return;
     }
     
+    const schedule = readHabitFrequencyFields('habit');
+    if (!schedule) return;
+    const measure = readHabitTargetFields('habit');
+    if (!measure) return;
+    const type = document.getElementById('habitType').value;
+    
     const habit = {
         id: Date.now(),
         name,
         description,
         category,
-        frequency,
-        reminder,
+        type,
+        ...schedule,
+        ...(type === 'break' ? { target: 0, unit: '' } : measure),
+        reminder: type === 'break' ? '' : reminder,
         streak: 0,
         completedDates: [],
+        amounts: {},
+        slips: [],
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
     };
     
     appData.habits.push(habit);
+    queueMutation('habits', 'upsert', habit.id, habit);
     saveAppData();
     updateDashboard();
     
+    if (habit.reminder) requestReminderPermission();
+    scheduleReminders();
+    
     addNotification(
         'New Habit Added',
         `"${name}" has been added to your habits. Start building your streak!`,
@@ -3182,6 +8327,8 @@ function editHabit(habitId) {
                                value="${escapeHtml(habit.name)}" required>
                     </div>
                     
+                    ${renderHabitTypeSelect('editHabit', habit)}
+                    
                     <div class="form-group">
                         <label class="form-label">Description</label>
                         <textarea id="editHabitDescription" class="form-control" rows="3">${escapeHtml(habit.description || '')}</textarea>
@@ -3199,21 +8346,19 @@ function editHabit(habitId) {
                                 <option value="general" ${!habit.category || habit.category === 'general' ? 'selected' : ''}>General</option>
                             </select>
                         </div>
-                        <div class="form-group">
-                            <label class="form-label">Frequency</label>
-                            <select id="editHabitFrequency" class="form-control">
-                                <option value="daily" ${habit.frequency === 'daily' ? 'selected' : ''}>Daily</option>
-                                <option value="weekly" ${habit.frequency === 'weekly' ? 'selected' : ''}>Weekly</option>
-                                <option value="weekdays" ${habit.frequency === 'weekdays' ? 'selected' : ''}>Weekdays</option>
-                                <option value="custom" ${habit.frequency === 'custom' ? 'selected' : ''}>Custom</option>
-                            </select>
-                        </div>
+                        ${renderHabitFrequencySelect('editHabit', habit)}
                     </div>
                     
-                    <div class="form-group">
-                        <label class="form-label">Reminder Time (Optional)</label>
-                        <input type="time" id="editHabitReminder" class="form-control" 
-                               value="${habit.reminder || '08:00'}">
+                    <div class="habit-build-fields" ${isBreakHabit(habit) ? 'style="display: none;"' : ''}>
+                        ${renderHabitFrequencyFields('editHabit', habit)}
+                        
+                        ${renderHabitTargetFields('editHabit', habit)}
+                        
+                        <div class="form-group">
+                            <label class="form-label">Reminder Time (Optional)</label>
+                            <input type="time" id="editHabitReminder" class="form-control" 
+                                   value="${habit.reminder || ''}">
+                        </div>
                     </div>
                     
                     <div class="modal-actions">
@@ -3247,16 +8392,38 @@ function updateHabit(habitId) {
         return;
     }
     
+    const schedule = readHabitFrequencyFields('editHabit');
+    if (!schedule) return;
+    const measure = readHabitTargetFields('editHabit');
+    if (!measure) return;
+    
+    const wasQuantitative = isQuantitativeHabit(habit);
     habit.name = name;
     habit.description = document.getElementById('editHabitDescription').value.trim();
     habit.category = document.getElementById('editHabitCategory').value;
-    habit.frequency = document.getElementById('editHabitFrequency').value;
-    habit.reminder = document.getElementById('editHabitReminder').value;
+    Object.assign(habit, schedule, isBreakHabit(habit) ? {} : measure);
+    
+    if (isQuantitativeHabit(habit)) {
+        // Days already ticked off before the habit had a target count as met
+        if (!wasQuantitative) {
+            habit.amounts = habit.amounts || {};
+            (habit.completedDates || []).forEach(dateKey => {
+                habit.amounts[dateKey] = Math.max(getHabitAmount(habit, dateKey), habit.target);
+            });
+        }
+        syncHabitCompletions(habit);
+    }
+    habit.streak = calculateCurrentStreak(habit);
+    habit.reminder = isBreakHabit(habit) ? '' : document.getElementById('editHabitReminder').value;
     habit.updatedAt = new Date().toISOString();
     
+    queueMutation('habits', 'upsert', habit.id, habit);
     saveAppData();
     updateDashboard();
     
+    if (habit.reminder) requestReminderPermission();
+    scheduleReminders();
+    
     addNotification(
         'Habit Updated',
         `"${name}" has been updated.`,
@@ -3278,6 +8445,8 @@ function deleteHabit(habitId) {
     
     if (confirm(`Are you sure you want to delete "${habit.name}"? This will also delete all its tracking data.`)) {
         appData.habits = appData.habits.filter(h => h.id !== habitId);
+        queueMutation('habits', 'delete', habitId);
+        unlinkFromGoals('habit', habitId);
         saveAppData();
         updateDashboard();
         
@@ -3374,9 +8543,14 @@ function loadCalendarPage() {
         <div class="calendar-page">
             <div class="section-header">
                 <h3>Calendar</h3>
-                <button class="btn btn-primary" onclick="showDayModal(new Date())">
-                    <i class="fas fa-plus"></i> Log Today
-                </button>
+                <div style="display: flex; gap: 8px;">
+                    <button class="btn btn-outline" onclick="showRecurringTasksModal()">
+                        <i class="fas fa-redo"></i> Recurring Tasks
+                    </button>
+                    <button class="btn btn-primary" onclick="showDayModal(new Date())">
+                        <i class="fas fa-plus"></i> Log Today
+                    </button>
+                </div>
             </div>
             
             <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 20px; padding: 15px; background: var(--bg-tertiary); border-radius: var(--radius-lg);">
@@ -3447,7 +8621,7 @@ function renderCalendarGrid(year, month) {
     const today = new Date();
     for (let day = 1; day <= daysInMonth; day++) {
         const date = new Date(year, month, day);
-        const dateStr = date.toISOString().split('T')[0];
+        const dateStr = toDateKey(date);
         const dayData = appData.calendar[dateStr];
         const isToday = date.toDateString() === today.toDateString();
         
@@ -3472,14 +8646,26 @@ function renderCalendarGrid(year, month) {
             }
         }
         
+        const restDay = dayData?.status === 'completed' ? null : describeRestDay(dateStr);
+        const upcoming = dateStr >= toDateKey() ? getPendingRecurringTasks(dateStr) : [];
+        if (restDay && !isToday) {
+            dayCell.style.background = 'repeating-linear-gradient(45deg, var(--bg-tertiary) 0 6px, var(--bg-card) 6px 12px)';
+            dayCell.style.color = 'var(--text-primary)';
+            dayCell.style.borderColor = 'var(--border-light)';
+        }
+        
         dayCell.innerHTML = `
             <div style="font-weight: 600; margin-bottom: 5px;">${day}</div>
+            ${restDay ? `<div style="font-size: 0.7rem; opacity: 0.9;" title="${escapeHtml(restDay)}"><i class="fas fa-${isFrozenDay(dateStr) ? 'snowflake' : 'umbrella-beach'}"></i></div>` : ''}
             ${dayData && dayData.actualHours > 0 ? 
                 `<div style="font-size: 0.75rem; opacity: 0.9;">${dayData.actualHours}h</div>` : 
                 ''}
             ${dayData && dayData.tasks && dayData.tasks.length > 0 ? 
                 `<div style="font-size: 0.7rem; margin-top: 3px;">${dayData.tasks.filter(t => t.completed).length}/${dayData.tasks.length}</div>` : 
                 ''}
+            ${upcoming.length > 0 ? 
+                `<div style="font-size: 0.7rem; margin-top: 3px; opacity: 0.8;" title="${escapeHtml(upcoming.map(rule => rule.text).join(', '))}"><i class="fas fa-redo"></i> ${upcoming.length}</div>` : 
+                ''}
         `;
         
         dayCell.addEventListener('click', () => showDayModal(date));
@@ -3767,25 +8953,12 @@ function calculateAllStatistics() {
 }
 
 function calculateStreaks() {
-    let currentStreak = 0;
     let bestStreak = 0;
-    const today = new Date();
     
     // Calculate current streak
-    let checkDate = new Date(today);
-    while (true) {
-        const dateStr = checkDate.toISOString().split('T')[0];
-        const dayData = appData.calendar[dateStr];
-        
-        if (dayData && dayData.status === 'completed') {
-            currentStreak++;
-            checkDate.setDate(checkDate.getDate() - 1);
-        } else {
-            break;
-        }
-    }
+    const currentStreak = calculateStudyStreak();
     
-    // Calculate best streak
+    // Calculate best streak (rest days neither count nor break it)
     let tempStreak = 0;
     const sortedDates = Object.keys(appData.calendar).sort();
     
@@ -3794,7 +8967,7 @@ function calculateStreaks() {
         if (dayData && dayData.status === 'completed') {
             tempStreak++;
             bestStreak = Math.max(bestStreak, tempStreak);
-        } else {
+        } else if (!isRestDay(date)) {
             tempStreak = 0;
         }
     });
@@ -3802,6 +8975,19 @@ function calculateStreaks() {
     return { currentStreak, bestStreak };
 }
 
+// Completed study days running back from endKey, stepping over rest days
+function calculateStudyStreak(endKey = toDateKey()) {
+    let streak = 0;
+    
+    for (let key = endKey; ; key = addDaysToKey(key, -1)) {
+        if (appData.calendar[key]?.status === 'completed') {
+            streak++;
+        } else if (!isRestDay(key)) {
+            return streak;
+        }
+    }
+}
+
 function renderChartsSection(container, stats) {
     const last30Days = getLastNDaysData(30);
     
@@ -3985,7 +9171,8 @@ function renderHabitChart() {
     const ctx = document.getElementById('habitChart');
     if (!ctx) return;
     
-    const habitData = appData.habits.map(habit => ({
+    // Habits to break have no completions to chart
+    const habitData = appData.habits.filter(habit => !isBreakHabit(habit)).map(habit => ({
         name: habit.name,
         streak: habit.streak || 0,
         completionRate: habit.completedDates ? 
@@ -4028,7 +9215,7 @@ function getLastNDaysData(n, offset = 0) {
     for (let i = n + offset - 1; i >= offset; i--) {
         const date = new Date();
         date.setDate(date.getDate() - i);
-        const dateStr = date.toISOString().split('T')[0];
+        const dateStr = toDateKey(date);
         const dayData = appData.calendar[dateStr];
         days.push({
             date: dateStr,
@@ -4493,7 +9680,7 @@ function generateReport() {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `dailyflow-report-${currentUser}-${new Date().toISOString().split('T')[0]}.txt`;
+    a.download = `dailyflow-report-${currentUser}-${toDateKey()}.txt`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -4603,87 +9790,30 @@ function logout() {
         return; // User cancelled
     }
     
+    signOut();
+}
+
+// Ends the session only. Every user's dailyflow_<username>_* data, the users
+// registry and demo accounts stay on this device.
+function signOut() {
     // Show feedback
     showToast('Logging out securely...', 'info', 2000);
     
     try {
-        // ===== STEP 1: REMOVE ALL KNOWN AUTH KEYS =====
-        console.log('🧹 Removing auth keys...');
-        
-        const keysToRemove = [
-            // Your app's keys
-            'dailyflow_currentUser',
-            'dailyflow_token',
-            'dailyflow_user',
-            'token_expiry',
-            'dailyflow_settings',
-            'dailyflow_profile_picture',
-            'last_activity',
-            'rememberMe',
-            
-            // Common keys that might be used
-            'user',
-            'token',
-            'auth_token',
-            'session',
-            'currentUser',
-            'userData',
-            'profile'
-        ];
-        
-        // Remove from localStorage
-        keysToRemove.forEach(key => {
-            try {
-                localStorage.removeItem(key);
-            } catch (e) {}
-        });
-        
-        // Remove from sessionStorage
-        keysToRemove.forEach(key => {
-            try {
-                sessionStorage.removeItem(key);
-            } catch (e) {}
-        });
-        
-        // ===== STEP 2: CLEAR ALL STORAGE (NUCLEAR OPTION) =====
-        console.log('💥 Clearing all storage...');
-        try {
-            localStorage.clear();
-            sessionStorage.clear();
-        } catch (e) {}
-        
-        // ===== STEP 3: CLEAR COOKIES =====
-        console.log('🍪 Clearing cookies...');
-        try {
-            document.cookie.split(";").forEach(function(c) {
-                document.cookie = c
-                    .replace(/^ +/, "")
-                    .replace(/=.*/, "=;expires=" + new Date(0).toUTCString() + ";path=/");
-            });
-        } catch (e) {}
+        // Persist anything still in memory before the session goes away
+        saveAppData();
         
-        // ===== STEP 4: CLEAR ANY INDEXEDDB DATA (if used) =====
-        console.log('🗄️ Clearing IndexedDB...');
-        try {
-            if (window.indexedDB) {
-                window.indexedDB.databases?.().then(dbs => {
-                    dbs.forEach(db => {
-                        window.indexedDB.deleteDatabase(db.name);
-                    });
-                }).catch(() => {});
-            }
-        } catch (e) {}
+        console.log('🧹 Clearing session...');
+        clearSessionData();
         
-        console.log('✅ All storage has been wiped clean!');
+        // Let pending IndexedDB writes finish before leaving the page
+        const pendingWrites = storage && storage.flush ? storage.flush() : Promise.resolve();
         
-        // ===== STEP 5: FORCE REDIRECT TO LOGIN PAGE =====
         console.log('➡️ Redirecting to login page...');
-        
-        // Use replace() instead of href to prevent back button issues
-        setTimeout(() => {
+        pendingWrites.finally(() => {
+            // Use replace() instead of href to prevent back button issues
             window.location.replace('index.html');
-        }, 100);
-        
+        });
     } catch (error) {
         console.error('Logout error:', error);
         // If something fails, still try to redirect
@@ -4691,6 +9821,123 @@ function logout() {
     }
 }
 
+// ===== ERASE DEVICE DATA =====
+async function showEraseDeviceDataModal() {
+    const items = await getDeviceDataSummary();
+    
+    const modalHTML = `
+        <div class="modal-overlay" id="eraseDeviceModal">
+            <div class="modal" style="max-width: 520px;">
+                <div class="modal-header">
+                    <h3><i class="fas fa-exclamation-triangle"></i> Sign Out &amp; Erase This Device</h3>
+                    <button class="modal-close" onclick="closeModal('eraseDeviceModal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p>The following will be permanently deleted from this browser:</p>
+                    <ul class="erase-device-list">
+                        ${items.map(item => `<li class="${item.warning ? 'erase-warning' : ''}">${item.text}</li>`).join('')}
+                    </ul>
+                    <p class="erase-device-note">
+                        Data already synced to your account stays on the server. This cannot be undone.
+                    </p>
+                    <div class="modal-actions">
+                        <button class="btn btn-outline" onclick="closeModal('eraseDeviceModal')">
+                            Cancel
+                        </button>
+                        <button class="btn btn-danger" onclick="eraseDeviceData()">
+                            <i class="fas fa-trash"></i> Erase &amp; Sign Out
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    const modalContainer = document.getElementById('modalsContainer');
+    if (!modalContainer) return;
+    modalContainer.innerHTML = modalHTML;
+}
+
+async function getDeviceDataSummary() {
+    const items = [];
+    const registry = JSON.parse(localStorage.getItem('dailyflow_users') || '{}');
+    const usernames = await getLocalUsernames();
+    const otherUsers = usernames.filter(name => name !== currentUser);
+    const calendarDays = Object.values(appData.calendar).filter(day =>
+        day.actualHours > 0 || (day.tasks && day.tasks.length > 0) || day.notes
+    ).length;
+    
+    items.push(`Your data (${escapeHtml(currentUser)}): ${appData.goals.length} goals, ${appData.projects.length} projects, ` +
+        `${appData.habits.length} habits, ${calendarDays} logged calendar days, ${notifications.length} notifications`);
+    
+    if (mutationQueue.length > 0) {
+        items.push({
+            text: `${mutationQueue.length} change${mutationQueue.length === 1 ? '' : 's'} not yet synced to the server`,
+            warning: true
+        });
+    }
+    
+    if (otherUsers.length > 0) {
+        const demoCount = otherUsers.filter(name => name.startsWith('demo')).length;
+        items.push(`${otherUsers.length} other local account${otherUsers.length === 1 ? '' : 's'} and all their data: ` +
+            `${otherUsers.map(escapeHtml).join(', ')}${demoCount > 0 ? ` (${demoCount} demo)` : ''}`);
+    }
+    
+    if (Object.keys(registry).length > 0) {
+        items.push(`Saved local accounts list (${Object.keys(registry).length} account${Object.keys(registry).length === 1 ? '' : 's'})`);
+    }
+    
+    items.push('Your sign-in session, token and cookies');
+    
+    return items.map(item => typeof item === 'string' ? { text: item } : item);
+}
+
+// Everyone with a users-registry entry, per-user localStorage keys or an IndexedDB database
+async function getLocalUsernames() {
+    const usernames = new Set(Object.keys(JSON.parse(localStorage.getItem('dailyflow_users') || '{}')));
+    usernames.add(currentUser);
+    
+    const dataKeyPattern = /^dailyflow_(.+)_(calendar|goals|projects|habits|settings|notifications)$/;
+    Object.keys(localStorage).forEach(key => {
+        const match = key.match(dataKeyPattern);
+        if (match) usernames.add(match[1]);
+    });
+    
+    if (window.indexedDB && indexedDB.databases) {
+        try {
+            const databases = await indexedDB.databases();
+            databases
+                .filter(db => db.name && db.name.startsWith('dailyflow_'))
+                .forEach(db => usernames.add(db.name.slice('dailyflow_'.length)));
+        } catch (e) {}
+    }
+    
+    return [...usernames];
+}
+
+async function eraseDeviceData() {
+    console.log('💥 Erasing all DailyFlow data on this device...');
+    
+    const usernames = await getLocalUsernames();
+    
+    // Release our own database connection so it can be deleted
+    if (storage && storage.close) storage.close();
+    storage = null; // Stop auto-save from writing anything back
+    
+    usernames.forEach(username => deleteStoredUserData(username));
+    
+    Object.keys(localStorage)
+        .filter(key => key.startsWith('dailyflow_'))
+        .forEach(key => localStorage.removeItem(key));
+    sessionStorage.clear();
+    clearSessionData();
+    
+    showToast('All data on this device has been erased', 'success');
+    setTimeout(() => {
+        window.location.replace('index.html');
+    }, 500);
+}
+
 function getWeekNumber(date) {
     const firstDayOfYear = new Date(date.getFullYear(), 0, 1);
     const pastDaysOfYear = (date - firstDayOfYear) / 86400000;
@@ -4709,6 +9956,7 @@ function nextWeek() {
 
 function exportData() {
     const dataStr = JSON.stringify({
+        schemaVersion: CURRENT_SCHEMA_VERSION,
         calendar: appData.calendar,
         goals: appData.goals,
         projects: appData.projects,
@@ -4718,7 +9966,7 @@ function exportData() {
     }, null, 2);
     
     const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
-    const exportFileName = `dailyflow-backup-${currentUser}-${new Date().toISOString().split('T')[0]}.json`;
+    const exportFileName = `dailyflow-backup-${currentUser}-${toDateKey()}.json`;
     
     const linkElement = document.createElement('a');
     linkElement.setAttribute('href', dataUri);
@@ -4750,16 +9998,15 @@ function importData() {
                 const importedData = JSON.parse(event.target.result);
                 
                 if (confirm('This will replace all your current data. Are you sure?')) {
-                    appData.calendar = importedData.calendar || {};
-                    appData.goals = importedData.goals || [];
-                    appData.projects = importedData.projects || [];
-                    appData.habits = importedData.habits || [];
-                    appData.settings = importedData.settings || {
-                        theme: 'light',
-                        notifications: true,
-                        dailyReminder: '09:00'
-                    };
-                    notifications = importedData.notifications || [];
+                    // Backups made before schema versioning have no schemaVersion
+                    runDataMigrations(importedData, importedData.schemaVersion || 0);
+                    
+                    appData.calendar = importedData.calendar;
+                    appData.goals = importedData.goals;
+                    appData.projects = importedData.projects;
+                    appData.habits = importedData.habits;
+                    appData.settings = importedData.settings;
+                    notifications = importedData.notifications;
                     
                     saveAppData();
                     updateDashboard();
@@ -4805,31 +10052,213 @@ function toggleTheme() {
     showToast(`Switched to ${newTheme} theme`, 'info');
 }
 
-function scheduleDailyReminder() {
-    if (!appData.settings.notifications || !appData.settings.dailyReminder) return;
+// ===== REMINDERS =====
+// The global daily reminder and each habit's reminder time share one
+// scheduler. Instead of polling, a single timeout is set for the next
+// reminder due today; it re-arms itself after firing and whenever habits
+// change. What has fired (and any snoozes) is kept per device for the day.
+const REMINDER_GRACE_MS = 2 * 60 * 60 * 1000; // a reminder missed by longer than this (tab asleep, app closed) is skipped
+const REMINDER_SNOOZE_OPTIONS = [10, 60]; // minutes
+
+let reminderTimer = null;
+
+function getReminderState() {
+    const today = toDateKey();
+    const state = storage?.load('reminder_state');
+    return state && state.date === today ? state : { date: today, fired: [], snoozed: {} };
+}
+
+function saveReminderState(state) {
+    storage?.save('reminder_state', state);
+}
+
+// Today's reminder times as { key, habitId, at: Date } (habitId is null for the daily one).
+// The key includes the time, so changing a reminder or snoozing it re-arms it.
+function getTodaysReminders() {
+    const today = toDateKey();
+    const state = getReminderState();
+    const reminders = [];
     
-    // Check if it's time for daily reminder
-    const now = new Date();
-    const [hours, minutes] = appData.settings.dailyReminder.split(':').map(Number);
-    const reminderTime = new Date();
-    reminderTime.setHours(hours, minutes, 0, 0);
+    const atTime = time => {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return null;
+        const at = parseDateKey(today);
+        at.setHours(hours, minutes, 0, 0);
+        return at;
+    };
+    
+    if (appData.settings.dailyReminder) {
+        const at = atTime(appData.settings.dailyReminder);
+        if (at) reminders.push({ key: `daily@${appData.settings.dailyReminder}`, habitId: null, at });
+    }
+    
+    appData.habits.forEach(habit => {
+        if (!habit.reminder) return;
+        const snoozedUntil = state.snoozed[habit.id];
+        const at = snoozedUntil ? new Date(snoozedUntil) : atTime(habit.reminder);
+        if (at) reminders.push({ key: `habit-${habit.id}@${snoozedUntil || habit.reminder}`, habitId: habit.id, at });
+    });
     
-    if (now.getHours() === hours && now.getMinutes() === minutes) {
-        const today = new Date().toISOString().split('T')[0];
-        const todayData = appData.calendar[today];
+    return reminders;
+}
+
+function scheduleReminders() {
+    clearTimeout(reminderTimer);
+    reminderTimer = null;
+    if (!appData.settings.notifications) return;
+    
+    checkReminders();
+    
+    const state = getReminderState();
+    const now = Date.now();
+    const upcoming = getTodaysReminders()
+        .filter(reminder => !state.fired.includes(reminder.key) && reminder.at.getTime() > now)
+        .map(reminder => reminder.at.getTime());
+    
+    // Nothing left today: wake up just after midnight to start the next day
+    const tomorrow = parseDateKey(addDaysToKey(toDateKey(), 1)).getTime() + 1000;
+    const nextAt = upcoming.length > 0 ? Math.min(...upcoming) : tomorrow;
+    
+    reminderTimer = setTimeout(scheduleReminders, Math.min(Math.max(nextAt - now, 1000), MAX_TIMER_DELAY_MS));
+}
+
+function checkReminders() {
+    const state = getReminderState();
+    const now = Date.now();
+    const today = toDateKey();
+    let changed = false;
+    
+    getTodaysReminders().forEach(reminder => {
+        if (state.fired.includes(reminder.key) || reminder.at.getTime() > now) return;
         
-        if (!todayData || todayData.status !== 'completed') {
-            addNotification(
-                'Daily Reminder ⏰',
-                'Time to log your study hours for today! Click here to log now.',
-                'info',
-                { modal: 'day' }
-            );
+        state.fired.push(reminder.key);
+        if (reminder.habitId !== null) delete state.snoozed[reminder.habitId];
+        changed = true;
+        
+        if (now - reminder.at.getTime() > REMINDER_GRACE_MS) return;
+        
+        if (reminder.habitId === null) {
+            fireDailyReminder();
+            return;
+        }
+        
+        const habit = appData.habits.find(h => h.id === reminder.habitId);
+        if (habit && isHabitDueOn(habit, today) && !habit.completedDates?.includes(today)) {
+            fireHabitReminder(habit);
         }
+    });
+    
+    if (changed) saveReminderState(state);
+}
+
+function fireDailyReminder() {
+    const todayData = appData.calendar[toDateKey()];
+    if (todayData && todayData.status === 'completed') return;
+    
+    addNotification(
+        'Daily Reminder ⏰',
+        'Time to log your study hours for today! Click here to log now.',
+        'info',
+        { modal: 'day' }
+    );
+}
+
+function fireHabitReminder(habit) {
+    const title = `Habit Reminder: ${habit.name}`;
+    const body = habit.description || `Time for "${habit.name}" - keep your streak going!`;
+    console.log('⏰ Habit reminder:', habit.name);
+    
+    if (canUseBrowserNotifications()) {
+        const notification = new Notification(title, { body, tag: `habit-${habit.id}` });
+        notification.onclick = () => {
+            window.focus();
+            showReminderPopup(habit.id);
+            notification.close();
+        };
+    } else {
+        addNotification(title, body, 'info', { page: 'habits', reminder: habit.id });
+    }
+    
+    if (document.visibilityState === 'visible') {
+        showReminderPopup(habit.id);
     }
+}
+
+function canUseBrowserNotifications() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+}
+
+// Ask once, when the user first sets up a reminder
+function requestReminderPermission() {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'default') return;
+    
+    Notification.requestPermission().then(permission => {
+        console.log('🔔 Notification permission:', permission);
+    }).catch(() => {});
+}
+
+// In-app card with Done / Snooze / Dismiss; stacks when several fire together
+function showReminderPopup(habitId) {
+    const habit = appData.habits.find(h => h.id === habitId);
+    if (!habit) return;
+    
+    let stack = document.getElementById('reminderStack');
+    if (!stack) {
+        stack = document.createElement('div');
+        stack.id = 'reminderStack';
+        stack.className = 'reminder-stack';
+        document.body.appendChild(stack);
+    }
+    
+    stack.querySelector(`[data-habit-id="${habitId}"]`)?.remove();
+    stack.insertAdjacentHTML('beforeend', `
+        <div class="reminder-card" data-habit-id="${habit.id}">
+            <div class="reminder-card-header">
+                <i class="fas fa-bell"></i>
+                <strong>${escapeHtml(habit.name)}</strong>
+                <button class="btn-icon-sm" onclick="dismissReminderPopup(${habit.id})" title="Dismiss">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <p class="reminder-card-body">${escapeHtml(habit.description || 'Time to keep your streak going!')}</p>
+            <div class="reminder-card-actions">
+                <button class="btn btn-primary" onclick="completeHabitFromReminder(${habit.id})">
+                    <i class="fas fa-check"></i> Done
+                </button>
+                ${REMINDER_SNOOZE_OPTIONS.map(minutes => `
+                    <button class="btn btn-outline" onclick="snoozeHabitReminder(${habit.id}, ${minutes})">
+                        <i class="fas fa-clock"></i> ${minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `);
+}
+
+function dismissReminderPopup(habitId) {
+    document.querySelector(`#reminderStack [data-habit-id="${habitId}"]`)?.remove();
+}
+
+function snoozeHabitReminder(habitId, minutes) {
+    const habit = appData.habits.find(h => h.id === habitId);
+    if (!habit) return;
+    
+    const state = getReminderState();
+    state.snoozed[habitId] = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+    saveReminderState(state);
+    
+    dismissReminderPopup(habitId);
+    scheduleReminders();
+    showToast(`"${habit.name}" snoozed for ${minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes === 60 ? '' : 's'}`}`, 'info');
+}
+
+function completeHabitFromReminder(habitId) {
+    const habit = appData.habits.find(h => h.id === habitId);
+    dismissReminderPopup(habitId);
     
-    // Check for every hour to see if it's reminder time
-    setTimeout(scheduleDailyReminder, 60000); // Check every minute
+    if (habit && !habit.completedDates?.includes(toDateKey())) {
+        toggleHabitCompletion(habitId);
+    }
 }
 
 function updateUI() {
@@ -4840,9 +10269,6 @@ function updateUI() {
     if (userAvatar) userAvatar.textContent = currentUser.charAt(0).toUpperCase();
 }
 
-// Initialize schedule on load
-scheduleDailyReminder();
-
 // Check for missed days periodically
 setInterval(checkMissedDays, 300000); // Check every 5 minutes
 
@@ -4858,9 +10284,34 @@ function loadUserProfile() {
     const userData = allUsers[savedUser];
     
     if (userData) {
+        // Base64 avatars used to live in the shared users registry; keep them in per-user storage
+        if (userData.avatar && storage) {
+            moveAvatarToUserStorage(savedUser, userData.avatar);
+        }
+        
         // Update UI with user data
-        updateProfileUI(userData);
+        updateProfileUI({ ...userData, avatar: getUserAvatar() || userData.avatar });
+    }
+}
+
+// The registry copy is only dropped once the per-user write is on disk
+async function moveAvatarToUserStorage(username, avatar) {
+    try {
+        storage.save('avatar', avatar);
+        if (storage.flush && !(await storage.flush())) throw new Error('Avatar write did not complete');
+    } catch (error) {
+        console.error('❌ Could not move avatar to user storage; keeping the registry copy:', error);
+        return;
     }
+    
+    const allUsers = JSON.parse(localStorage.getItem('dailyflow_users') || '{}');
+    if (allUsers[username]?.avatar !== avatar) return;
+    delete allUsers[username].avatar;
+    localStorage.setItem('dailyflow_users', JSON.stringify(allUsers));
+}
+
+function getUserAvatar() {
+    return storage ? storage.load('avatar') : null;
 }
 
 function updateProfileUI(userData) {
@@ -4906,7 +10357,7 @@ function updateProfileUI(userData) {
 function showProfileModal() {
     const savedUser = localStorage.getItem('dailyflow_currentUser');
     const allUsers = JSON.parse(localStorage.getItem('dailyflow_users') || '{}');
-    const userData = allUsers[savedUser] || {};
+    const userData = { ...(allUsers[savedUser] || {}), avatar: getUserAvatar() };
     
     const modalHTML = `
         <div class="modal-overlay" id="profileModal">
@@ -5066,8 +10517,10 @@ function saveProfile() {
 }
 
 function completeProfileSave(allUsers, userData, username) {
-    // Save updated user data
-    allUsers[username] = userData;
+    // Avatar goes to per-user storage, the rest to the users registry
+    const { avatar, ...registryData } = userData;
+    if (avatar) storage.save('avatar', avatar);
+    allUsers[username] = registryData;
     localStorage.setItem('dailyflow_users', JSON.stringify(allUsers));
     
     // Update app settings with reminder time
@@ -5075,7 +10528,7 @@ function completeProfileSave(allUsers, userData, username) {
     saveAppData();
     
     // Update UI
-    updateProfileUI(userData);
+    updateProfileUI({ ...userData, avatar: getUserAvatar() });
     
     addNotification(
         'Profile Updated',
@@ -5098,8 +10551,7 @@ function deleteAccount() {
         localStorage.setItem('dailyflow_users', JSON.stringify(allUsers));
         
         // Clear user-specific storage
-        const storage = new LocalStorageManager(savedUser);
-        storage.clear();
+        deleteStoredUserData(savedUser);
         
         // Clear session
         localStorage.removeItem('dailyflow_currentUser');
@@ -5127,40 +10579,30 @@ function initializeApp() {
 }
 
 // ===== DEMO ACCOUNT FUNCTIONS =====
-function useDemoAccount() {
+async function useDemoAccount() {
     console.log('🎮 Logging in as demo user');
     
     // Create UNIQUE demo username for each session
     const demoUsername = 'demo_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5);
     
-    // Set unique demo as current user
-    localStorage.setItem('dailyflow_currentUser', demoUsername);
-    
     // Create demo user data if it doesn't exist
-    if (!users[demoUsername]) {
-        users[demoUsername] = {
+    if (!getLocalUsers()[demoUsername]) {
+        await createLocalAccount({
             id: generateUserId(),
             fullName: 'Demo User',
             email: 'demo@dailyflow.app',
             username: demoUsername,
-            avatar: null,
-            password: btoa('demo123'),
-            createdAt: new Date().toISOString(),
-            lastLogin: new Date().toISOString(),
-            settings: {
-                theme: 'light',
-                notifications: true,
-                dailyReminder: '09:00'
-            },
+            password: 'demo123',
             isDemo: true
-        };
+        });
         
         // Initialize demo data for this new unique demo user
         initializeDemoData(demoUsername);
-        
-        saveUsers();
     }
     
+    // Set unique demo as current user
+    localStorage.setItem('dailyflow_currentUser', demoUsername);
+    
     showToast('Welcome to DailyFlow! Using demo account.', 'success');
     
     setTimeout(() => {
@@ -5181,7 +10623,7 @@ function initializeDemoData(username) {
     for (let i = -15; i <= 15; i++) {
         const date = new Date(today);
         date.setDate(today.getDate() + i);
-        const dateStr = date.toISOString().split('T')[0];
+        const dateStr = toDateKey(date);
         
         // Random hours (2-10)
         const actualHours = i >= 0 ? Math.floor(Math.random() * 5) + 3 : Math.floor(Math.random() * 7) + 4;
@@ -5222,7 +10664,7 @@ function initializeDemoData(username) {
             id: Date.now(),
             title: 'Complete DailyFlow Demo',
             description: 'Explore all features of the DailyFlow dashboard',
-            targetDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+            targetDate: toDateKey(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)),
             status: 'active',
             createdAt: new Date().toISOString(),
             priority: 'high',
@@ -5232,7 +10674,7 @@ function initializeDemoData(username) {
             id: Date.now() + 1,
             title: 'Learn JavaScript Advanced Concepts',
             description: 'Master async/await, closures, and design patterns',
-            targetDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+            targetDate: toDateKey(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)),
             status: 'active',
             createdAt: new Date().toISOString(),
             priority: 'medium',
@@ -5248,8 +10690,8 @@ function initializeDemoData(username) {
             description: 'Life dashboard for tracking goals, habits, and progress',
             category: 'Web Development',
             tech: 'HTML, CSS, JavaScript',
-            startDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-            deadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+            startDate: toDateKey(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)),
+            deadline: toDateKey(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)),
             progress: 85,
             status: 'inprogress',
             createdAt: new Date().toISOString()
@@ -5324,7 +10766,7 @@ function generateDemoDates(count) {
     for (let i = count - 1; i >= 0; i--) {
         const date = new Date(today);
         date.setDate(date.getDate() - i);
-        dates.push(date.toISOString().split('T')[0]);
+        dates.push(toDateKey(date));
     }
     
     return dates;
@@ -5341,8 +10783,7 @@ function cleanupOldDemoAccounts() {
             if (createdAt < oneDayAgo) {
                 console.log(`🧹 Cleaning up old demo account: ${username}`);
                 
-                const storage = new LocalStorageManager(username);
-                storage.clear();
+                deleteStoredUserData(username);
                 
                 delete users[username];
                 cleanedCount++;
@@ -5365,18 +10806,21 @@ function autoSave() {
 }
 
 // Add this to your existing initializeApp() function:
-function initializeApp() {
-    // Setup storage with user prefix
-    storage = new LocalStorageManager(currentUser);
-    loadAppData();
+async function initializeApp() {
+    // Setup storage (IndexedDB when available, localStorage otherwise)
+    storage = await createStorageManager(currentUser);
+    await loadAppData();
     loadUserProfile();
     loadNotifications();
     updateUI();
     showPage('dashboard');
-    scheduleDailyReminder();
+    scheduleReminders();
     
     // ADD THIS LINE - Start auto-save
     setupAutoSave();
+    setupSessionRefresh();
+    setupServerSync();
+    setupTimeTracking();
 }
 
 // Add this new function:
@@ -5406,8 +10850,7 @@ function cleanupOldDemoAccounts() {
             if (createdAt < oneDayAgo) {
                 console.log(`🧹 Cleaning up old demo account: ${username}`);
                 
-                const storage = new LocalStorageManager(username);
-                storage.clear();
+                deleteStoredUserData(username);
                 
                 delete users[username];
                 cleanedCount++;
@@ -0,0 +1,342 @@
+// ============================================
+// DAILYFLOW STORAGE MANAGERS
+// Both managers share the same contract:
+//   load(key)       -> fresh copy of the stored value, or null
+//   save(key, data) -> true (writes happen in the background)
+//   clear()         -> remove everything stored for this user
+// ============================================
+
+// ============================================
+// LOCALSTORAGE MANAGER (fallback)
+// ============================================
+class LocalStorageManager {
+    constructor(username) {
+        this.prefix = `dailyflow_${username}_`;
+    }
+
+    load(key) {
+        const data = localStorage.getItem(this.prefix + key);
+        return data ? JSON.parse(data) : null;
+    }
+
+    save(key, data) {
+        localStorage.setItem(this.prefix + key, JSON.stringify(data));
+        return true;
+    }
+
+    clear() {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(this.prefix))
+            .forEach(key => localStorage.removeItem(key));
+    }
+}
+
+// ============================================
+// INDEXEDDB MANAGER
+// One object store per collection so a change to a single goal, habit or
+// calendar day only rewrites that record. Everything else (settings, sync
+// state, avatar...) lives in the key/value "meta" store.
+// ============================================
+const IDB_VERSION = 1;
+const IDB_META_STORE = 'meta';
+
+// collection -> keyPath
+const IDB_RECORD_STORES = {
+    calendar: { keyPath: 'date' },
+    goals: { keyPath: 'id' },
+    projects: { keyPath: 'id' },
+    habits: { keyPath: 'id' },
+    notifications: { keyPath: 'id' }
+};
+
+class IndexedDBStorageManager {
+    constructor(username) {
+        this.username = username;
+        this.dbName = `dailyflow_${username}`;
+        this.prefix = `dailyflow_${username}_`;
+        this.db = null;
+        // key -> JSON string (meta) or Map of record key -> JSON string (collections)
+        this.snapshots = {};
+        // Collections and meta keys whose latest write failed
+        this.failedWrites = new Set();
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, IDB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                Object.entries(IDB_RECORD_STORES).forEach(([name, config]) => {
+                    if (db.objectStoreNames.contains(name)) return;
+                    const store = db.createObjectStore(name, { keyPath: config.keyPath });
+                    store.createIndex('id', config.keyPath, { unique: true });
+                });
+
+                if (!db.objectStoreNames.contains(IDB_META_STORE)) {
+                    db.createObjectStore(IDB_META_STORE, { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+
+        await this.readAll();
+        await this.migrateFromLocalStorage();
+        return this;
+    }
+
+    async readAll() {
+        const storeNames = [...Object.keys(IDB_RECORD_STORES), IDB_META_STORE];
+        const tx = this.db.transaction(storeNames, 'readonly');
+
+        const results = await Promise.all(storeNames.map(name =>
+            requestToPromise(tx.objectStore(name).getAll()).then(rows => [name, rows])
+        ));
+
+        results.forEach(([name, rows]) => {
+            if (name === IDB_META_STORE) {
+                rows.forEach(row => {
+                    this.snapshots[row.key] = JSON.stringify(row.value);
+                });
+                return;
+            }
+
+            const keyPath = IDB_RECORD_STORES[name].keyPath;
+            if (rows.length > 0) {
+                this.snapshots[name] = new Map(rows.map(row => [String(row[keyPath]), JSON.stringify(this.fromRow(name, row))]));
+            }
+        });
+
+        // Stores return rows sorted by key; restore the order the app saved them in
+        Object.keys(IDB_RECORD_STORES).forEach(name => {
+            const snapshot = this.snapshots[name];
+            const order = this.snapshots[`${name}_order`];
+            if (!snapshot || !order) return;
+
+            const ordered = new Map();
+            JSON.parse(order).forEach(recordKey => {
+                if (snapshot.has(recordKey)) ordered.set(recordKey, snapshot.get(recordKey));
+            });
+            snapshot.forEach((json, recordKey) => {
+                if (!ordered.has(recordKey)) ordered.set(recordKey, json);
+            });
+            this.snapshots[name] = ordered;
+        });
+    }
+
+    // First load after the upgrade: copy dailyflow_<user>_* keys across, then
+    // drop them. The localStorage copies stay until IndexedDB has confirmed
+    // every write, and a failed run is retried on the next load.
+    async migrateFromLocalStorage() {
+        if (this.snapshots.migrated_from_localstorage) return;
+
+        const legacyKeys = Object.keys(localStorage).filter(key => key.startsWith(this.prefix));
+        const copiedKeys = [];
+
+        for (const fullKey of legacyKeys) {
+            const key = fullKey.slice(this.prefix.length);
+            // Already stored by an earlier, partly failed run (and maybe edited since)
+            if (this.snapshots[key] !== undefined) {
+                copiedKeys.push(fullKey);
+                continue;
+            }
+            try {
+                this.save(key, JSON.parse(localStorage.getItem(fullKey)));
+                copiedKeys.push(fullKey);
+            } catch (error) {
+                console.error(`❌ Could not migrate ${fullKey}:`, error);
+            }
+        }
+
+        if (!await this.flush()) {
+            console.error(`❌ Moving ${this.username}'s data to IndexedDB failed; keeping the localStorage copy`);
+            return;
+        }
+
+        this.save('migrated_from_localstorage', new Date().toISOString());
+        if (!await this.flush()) return;
+
+        copiedKeys.forEach(key => localStorage.removeItem(key));
+        if (copiedKeys.length > 0) {
+            console.log(`📦 Migrated ${copiedKeys.length} localStorage keys to IndexedDB for ${this.username}`);
+        }
+    }
+
+    load(key) {
+        const snapshot = this.snapshots[key];
+        if (snapshot === undefined) return null;
+
+        if (!(snapshot instanceof Map)) {
+            return JSON.parse(snapshot);
+        }
+
+        if (key === 'calendar') {
+            const calendar = {};
+            snapshot.forEach((json, date) => {
+                calendar[date] = JSON.parse(json);
+            });
+            return calendar;
+        }
+
+        return Array.from(snapshot.values(), json => JSON.parse(json));
+    }
+
+    save(key, data) {
+        if (IDB_RECORD_STORES[key] && data && typeof data === 'object') {
+            this.saveCollection(key, data);
+        } else {
+            this.saveMeta(key, data);
+        }
+        return true;
+    }
+
+    saveMeta(key, data) {
+        const json = JSON.stringify(data);
+        // A value whose last write failed is written again even if unchanged
+        if (this.snapshots[key] === json && !this.failedWrites.has(key)) return;
+
+        this.snapshots[key] = json;
+        this.write(IDB_META_STORE, store => store.put({ key, value: data }), key);
+    }
+
+    // Diff against the last snapshot and only write records that changed
+    saveCollection(name, data) {
+        const previous = this.snapshots[name] || new Map();
+        const next = new Map();
+        const entries = Array.isArray(data)
+            ? data.map(record => [String(record.id), record])
+            : Object.entries(data);
+
+        const changed = [];
+        entries.forEach(([recordKey, record]) => {
+            const json = JSON.stringify(record);
+            next.set(recordKey, json);
+            if (previous.get(recordKey) !== json) changed.push([recordKey, record]);
+        });
+        const removed = [...previous.keys()].filter(recordKey => !next.has(recordKey));
+
+        this.snapshots[name] = next;
+        if (Array.isArray(data)) this.saveMeta(`${name}_order`, [...next.keys()]);
+        if (changed.length === 0 && removed.length === 0) return;
+
+        this.write(name, store => {
+            changed.forEach(([recordKey, record]) => store.put(this.toRow(name, recordKey, record)));
+            removed.forEach(recordKey => store.delete(this.toStoreKey(name, recordKey, previous)));
+        });
+    }
+
+    // Per-record writes for callers that know exactly what changed
+    saveRecord(name, record, recordKey = record.id) {
+        const snapshot = this.snapshots[name] || (this.snapshots[name] = new Map());
+        const isNew = !snapshot.has(String(recordKey));
+        snapshot.set(String(recordKey), JSON.stringify(record));
+        if (isNew && name !== 'calendar') this.saveMeta(`${name}_order`, [...snapshot.keys()]);
+        this.write(name, store => store.put(this.toRow(name, String(recordKey), record)));
+        return true;
+    }
+
+    deleteRecord(name, recordKey) {
+        const snapshot = this.snapshots[name];
+        if (!snapshot || !snapshot.has(String(recordKey))) return false;
+
+        const storeKey = this.toStoreKey(name, String(recordKey), snapshot);
+        snapshot.delete(String(recordKey));
+        this.write(name, store => store.delete(storeKey));
+        return true;
+    }
+
+    toRow(name, recordKey, record) {
+        // Calendar days are keyed by their date string in appData
+        return name === 'calendar' ? { ...record, date: recordKey } : record;
+    }
+
+    fromRow(name, row) {
+        if (name !== 'calendar') return row;
+        const { date, ...day } = row;
+        return day;
+    }
+
+    // Numeric ids must be deleted with the same key type they were stored with
+    toStoreKey(name, recordKey, snapshot) {
+        if (name === 'calendar') return recordKey;
+        const json = snapshot.get(recordKey);
+        return json ? JSON.parse(json).id : recordKey;
+    }
+
+    write(storeName, operation, target = storeName) {
+        const tx = this.db.transaction(storeName, 'readwrite');
+        operation(tx.objectStore(storeName));
+
+        const done = new Promise(resolve => {
+            tx.oncomplete = () => {
+                this.failedWrites.delete(target);
+                resolve(true);
+            };
+            tx.onerror = () => {
+                console.error(`❌ IndexedDB write to "${target}" failed:`, tx.error);
+                this.failedWrites.add(target);
+                resolve(false);
+            };
+            tx.onabort = tx.onerror;
+        });
+        this.pendingWrites = (this.pendingWrites || Promise.resolve()).then(() => done);
+        return done;
+    }
+
+    // Resolves once every write issued so far has completed: true if the
+    // latest write to each collection and meta key succeeded
+    async flush() {
+        await this.pendingWrites;
+        return this.failedWrites.size === 0;
+    }
+
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+
+    clear() {
+        this.snapshots = {};
+        const storeNames = [...Object.keys(IDB_RECORD_STORES), IDB_META_STORE];
+        const tx = this.db.transaction(storeNames, 'readwrite');
+        storeNames.forEach(name => tx.objectStore(name).clear());
+        new LocalStorageManager(this.username).clear();
+    }
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ============================================
+// FACTORY
+// ============================================
+async function createStorageManager(username) {
+    if (IndexedDBStorageManager.isSupported()) {
+        try {
+            return await new IndexedDBStorageManager(username).open();
+        } catch (error) {
+            console.error('❌ IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+    return new LocalStorageManager(username);
+}
+
+// Remove every trace of a user's data, whichever backend holds it
+function deleteStoredUserData(username) {
+    new LocalStorageManager(username).clear();
+    if (IndexedDBStorageManager.isSupported()) {
+        indexedDB.deleteDatabase(`dailyflow_${username}`);
+    }
+}
@@ -0,0 +1,627 @@
+// ============================================
+// DAILYFLOW SHARED UTILITIES
+// Loaded before auth.js and main.js
+// ============================================
+
+// ============================================
+// API CONFIGURATION
+// ============================================
+const DEFAULT_API_BASE_URL = "https://dailyflow-backend-kwuc.onrender.com";
+const LOCAL_DEV_HOSTNAMES = ['localhost', '127.0.0.1'];
+
+// Local development only: when the app itself is opened from localhost,
+// localStorage "dailyflow_api_base_url" (e.g. http://localhost:5050) can
+// point it at a local backend such as mock-server/reset-server.js. Anywhere
+// else, and for any non-local target, the real API is used, so a stored
+// value can never send credentials to another host.
+function getApiBaseUrl() {
+    if (!LOCAL_DEV_HOSTNAMES.includes(window.location.hostname)) return DEFAULT_API_BASE_URL;
+
+    const override = localStorage.getItem('dailyflow_api_base_url');
+    if (!override) return DEFAULT_API_BASE_URL;
+
+    try {
+        const url = new URL(override);
+        return LOCAL_DEV_HOSTNAMES.includes(url.hostname) ? url.origin : DEFAULT_API_BASE_URL;
+    } catch (error) {
+        return DEFAULT_API_BASE_URL;
+    }
+}
+
+const API_BASE_URL = getApiBaseUrl();
+const TOKEN_KEY = "dailyflow_token";
+const USER_KEY = "dailyflow_user";
+
+// ============================================
+// HELPER FUNCTION: Fetch with timeout
+// A 401 on a request that carried the session token gets one silent
+// refresh-and-retry; if that fails the session-expired handler runs.
+// ============================================
+async function fetchWithTimeout(url, options = {}, timeout = 10000) {
+    const response = await fetchOnce(url, options, timeout);
+
+    if (response.status !== 401 || !isAuthenticatedRequest(url, options)) {
+        return response;
+    }
+
+    if (await refreshAuthToken()) {
+        const retried = await fetchOnce(url, withAuthToken(options, getAuthToken()), timeout);
+        if (retried.status !== 401) return retried;
+    }
+
+    handleSessionExpired();
+    return response;
+}
+
+async function fetchOnce(url, options, timeout) {
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, {
+            ...options,
+            signal: controller.signal
+        });
+        clearTimeout(id);
+        return response;
+    } catch (error) {
+        clearTimeout(id);
+        throw error;
+    }
+}
+
+function isAuthenticatedRequest(url, options) {
+    const authorization = options.headers && options.headers.Authorization;
+    return !!authorization && authorization.startsWith('Bearer ') && !url.endsWith(AUTH_REFRESH_PATH);
+}
+
+function withAuthToken(options, token) {
+    return {
+        ...options,
+        headers: { ...options.headers, 'Authorization': `Bearer ${token}` }
+    };
+}
+
+// ============================================
+// BACKEND CONNECTION CHECK
+// ============================================
+async function checkBackendConnection() {
+    console.log('🔍 Checking backend connection...');
+
+    try {
+        const response = await fetchWithTimeout(
+            `${API_BASE_URL}/api/health`,
+            {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            },
+            5000
+        );
+
+        if (response.ok) {
+            console.log('✅ Backend is connected!');
+            return { success: true, message: 'Connected to server' };
+        } else {
+            return {
+                success: false,
+                message: `Server responded with status: ${response.status}`
+            };
+        }
+    } catch (error) {
+        console.log('❌ Connection failed:', error.message);
+
+        if (error.name === 'AbortError' || error.message.includes('timeout')) {
+            return {
+                success: false,
+                message: 'Connection timeout - server is taking too long to respond'
+            };
+        } else if (error.message.includes('Failed to fetch')) {
+            return {
+                success: false,
+                message: 'Cannot reach server - it might be starting up or offline'
+            };
+        } else {
+            return {
+                success: false,
+                message: `Connection error: ${error.message}`
+            };
+        }
+    }
+}
+
+// ============================================
+// SESSION HELPERS
+// ============================================
+function getAuthToken() {
+    return localStorage.getItem(TOKEN_KEY) || sessionStorage.getItem(TOKEN_KEY);
+}
+
+// Keys that make up a signed-in session. Per-user data (dailyflow_<username>_*),
+// the dailyflow_users registry and demo accounts are deliberately not listed.
+const SESSION_KEYS = [
+    TOKEN_KEY,
+    USER_KEY,
+    'dailyflow_currentUser',
+    'token_expiry',
+    'last_activity',
+    'rememberMe'
+];
+
+function clearCookies() {
+    document.cookie.split(";").forEach(function(c) {
+        document.cookie = c
+            .replace(/^ +/, "")
+            .replace(/=.*/, "=;expires=" + new Date(0).toUTCString() + ";path=/");
+    });
+}
+
+/**
+ * Sign-out cleanup: removes the token, current user and cookies only
+ */
+function clearSessionData() {
+    stopTokenRefresh();
+    SESSION_KEYS.forEach(key => {
+        localStorage.removeItem(key);
+        sessionStorage.removeItem(key);
+    });
+    clearCookies();
+}
+
+// ============================================
+// TOKEN EXPIRY & REFRESH
+// The JWT "exp" claim drives a refresh shortly before the token lapses.
+// Tokens without an exp are left alone; the server's 401 still applies.
+// ============================================
+const TOKEN_EXPIRY_KEY = 'token_expiry';
+const AUTH_REFRESH_PATH = '/api/auth/refresh';
+const TOKEN_REFRESH_MARGIN_MS = 2 * 60 * 1000;
+const TOKEN_REFRESH_RETRY_MS = 30 * 1000;
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+let tokenRefreshTimer = null;
+let tokenRefreshPromise = null;
+let sessionExpiredHandler = null;
+
+/**
+ * Decode a JWT payload without verifying it (the server does that)
+ */
+function decodeTokenPayload(token) {
+    try {
+        const part = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const padded = part.padEnd(part.length + (4 - part.length % 4) % 4, '=');
+        const json = decodeURIComponent(Array.from(atob(padded), char =>
+            '%' + char.charCodeAt(0).toString(16).padStart(2, '0')
+        ).join(''));
+        return JSON.parse(json);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Expiry as a millisecond timestamp, or null when the token has no exp claim
+function getTokenExpiry(token = getAuthToken()) {
+    const payload = token ? decodeTokenPayload(token) : null;
+    return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+}
+
+function isTokenExpired(token = getAuthToken()) {
+    const expiry = getTokenExpiry(token);
+    return expiry !== null && Date.now() >= expiry;
+}
+
+// "Remember me" sessions live in localStorage, the rest in sessionStorage
+function getTokenStorage() {
+    return localStorage.getItem(TOKEN_KEY) ? localStorage : sessionStorage;
+}
+
+function storeAuthToken(token, targetStorage = getTokenStorage()) {
+    targetStorage.setItem(TOKEN_KEY, token);
+
+    const expiry = getTokenExpiry(token);
+    if (expiry) {
+        targetStorage.setItem(TOKEN_EXPIRY_KEY, String(expiry));
+    } else {
+        targetStorage.removeItem(TOKEN_EXPIRY_KEY);
+    }
+}
+
+/**
+ * Exchange the current token for a fresh one.
+ * Resolves to true on success; concurrent callers share one request.
+ */
+function refreshAuthToken() {
+    if (tokenRefreshPromise) return tokenRefreshPromise;
+
+    const token = getAuthToken();
+    if (!token) return Promise.resolve(false);
+
+    tokenRefreshPromise = (async () => {
+        try {
+            const response = await fetchOnce(`${API_BASE_URL}${AUTH_REFRESH_PATH}`, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                credentials: 'include'
+            }, 10000);
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.success || !data.data?.token) {
+                console.log(`⚠️ Token refresh rejected (status ${response.status})`);
+                return false;
+            }
+
+            storeAuthToken(data.data.token);
+            console.log('🔑 Session token refreshed');
+            scheduleTokenRefresh();
+            return true;
+        } catch (error) {
+            console.log('⚠️ Token refresh failed:', error.message);
+            return false;
+        } finally {
+            tokenRefreshPromise = null;
+        }
+    })();
+
+    return tokenRefreshPromise;
+}
+
+/**
+ * Refresh the token TOKEN_REFRESH_MARGIN_MS before it expires.
+ * A failed refresh is retried until the token actually lapses.
+ */
+function scheduleTokenRefresh() {
+    clearTimeout(tokenRefreshTimer);
+
+    const expiry = getTokenExpiry();
+    if (!expiry) return;
+
+    const delay = Math.max(expiry - Date.now() - TOKEN_REFRESH_MARGIN_MS, 0);
+    if (delay > MAX_TIMER_DELAY_MS) {
+        tokenRefreshTimer = setTimeout(scheduleTokenRefresh, MAX_TIMER_DELAY_MS);
+        return;
+    }
+
+    tokenRefreshTimer = setTimeout(async () => {
+        if (await refreshAuthToken()) return;
+
+        if (isTokenExpired()) {
+            handleSessionExpired();
+        } else {
+            tokenRefreshTimer = setTimeout(scheduleTokenRefresh, TOKEN_REFRESH_RETRY_MS);
+        }
+    }, delay);
+}
+
+function stopTokenRefresh() {
+    clearTimeout(tokenRefreshTimer);
+    tokenRefreshTimer = null;
+}
+
+// Pages that hold a session register what to do when it can't be renewed
+function setSessionExpiredHandler(handler) {
+    sessionExpiredHandler = handler;
+}
+
+function handleSessionExpired() {
+    stopTokenRefresh();
+    console.log('⏰ Session expired');
+    if (sessionExpiredHandler) sessionExpiredHandler();
+}
+
+// ============================================
+// LOCAL DATE KEYS
+// Calendar keys, habit completedDates and other day keys are "YYYY-MM-DD"
+// in the user's own timezone. toISOString() gives the UTC day instead,
+// which lands on the wrong day for anyone away from UTC around midnight.
+// ============================================
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDateKey(date = new Date()) {
+    const day = date instanceof Date ? date : parseDateKey(date);
+    const month = String(day.getMonth() + 1).padStart(2, '0');
+    return `${day.getFullYear()}-${month}-${String(day.getDate()).padStart(2, '0')}`;
+}
+
+// "YYYY-MM-DD" -> local midnight (new Date() would use UTC midnight).
+// Full timestamps and Date objects are parsed as usual.
+function parseDateKey(value) {
+    if (typeof value === 'string' && DATE_KEY_PATTERN.test(value)) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    return new Date(value);
+}
+
+function addDaysToKey(dateKey, days) {
+    const date = parseDateKey(dateKey);
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+}
+
+// Whole calendar days from one key to another (negative when toKey is earlier)
+function daysBetweenKeys(fromKey, toKey) {
+    return Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / (1000 * 60 * 60 * 24));
+}
+
+// ============================================
+// PASSWORD HASHING (local accounts)
+// Stored as "pbkdf2$<iterations>$<base64 salt>$<base64 hash>".
+// Anything else in the password field is a legacy btoa()/plain value.
+// ============================================
+const PBKDF2_ITERATIONS = 310000;
+const PBKDF2_PREFIX = 'pbkdf2';
+
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function derivePasswordBits(password, salt, iterations) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        key,
+        256
+    );
+
+    return new Uint8Array(bits);
+}
+
+async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await derivePasswordBits(password, salt, PBKDF2_ITERATIONS);
+    return [PBKDF2_PREFIX, PBKDF2_ITERATIONS, bytesToBase64(salt), bytesToBase64(hash)].join('$');
+}
+
+function isHashedPassword(stored) {
+    return typeof stored === 'string' && stored.startsWith(`${PBKDF2_PREFIX}$`);
+}
+
+/**
+ * Check a password against a stored value.
+ * Resolves to { valid, needsRehash } - needsRehash is true for legacy
+ * encodings and for hashes made with fewer iterations than today.
+ */
+async function verifyPassword(password, stored) {
+    if (!stored) return { valid: false, needsRehash: false };
+
+    if (!isHashedPassword(stored)) {
+        let encoded = null;
+        try {
+            encoded = btoa(password);
+        } catch (e) {} // btoa throws on characters outside Latin-1
+
+        const valid = stored === encoded || stored === password;
+        return { valid, needsRehash: valid };
+    }
+
+    const [, iterations, salt, expected] = stored.split('$');
+    const actual = await derivePasswordBits(password, base64ToBytes(salt), parseInt(iterations));
+    const expectedBytes = base64ToBytes(expected);
+
+    // Compare every byte so timing does not reveal where they differ
+    let diff = actual.length ^ expectedBytes.length;
+    for (let i = 0; i < actual.length; i++) {
+        diff |= actual[i] ^ (expectedBytes[i] || 0);
+    }
+
+    const valid = diff === 0;
+    return { valid, needsRehash: valid && parseInt(iterations) < PBKDF2_ITERATIONS };
+}
+
+// ============================================
+// LOCAL ACCOUNTS (dailyflow_users registry)
+// ============================================
+const USERS_KEY = 'dailyflow_users';
+
+function getLocalUsers() {
+    return JSON.parse(localStorage.getItem(USERS_KEY) || '{}');
+}
+
+function saveLocalUsers(users) {
+    localStorage.setItem(USERS_KEY, JSON.stringify(users));
+}
+
+// Look up a local account by username or email
+function findLocalUser(identifier) {
+    if (!identifier) return null;
+
+    const needle = identifier.trim().toLowerCase();
+    const users = getLocalUsers();
+
+    for (const [username, userData] of Object.entries(users)) {
+        if (username.toLowerCase() === needle ||
+            (userData.email && userData.email.toLowerCase() === needle)) {
+            return { ...userData, username };
+        }
+    }
+
+    return null;
+}
+
+function generateUserId() {
+    return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+async function createLocalAccount(details) {
+    const users = getLocalUsers();
+    const now = new Date().toISOString();
+
+    users[details.username] = {
+        fullName: details.fullName || details.username,
+        email: details.email || '',
+        username: details.username,
+        avatar: null,
+        createdAt: now,
+        lastLogin: now,
+        settings: {
+            theme: 'light',
+            notifications: true,
+            dailyReminder: '09:00'
+        },
+        ...details,
+        password: await hashPassword(details.password)
+    };
+
+    saveLocalUsers(users);
+    return users[details.username];
+}
+
+/**
+ * Verify a local login. Legacy base64 passwords are upgraded to PBKDF2
+ * as soon as they are proven correct.
+ */
+async function verifyLocalLogin(identifier, password) {
+    const user = findLocalUser(identifier);
+    if (!user) return null;
+
+    const { valid, needsRehash } = await verifyPassword(password, user.password);
+    if (!valid) return null;
+
+    const users = getLocalUsers();
+    if (needsRehash) {
+        users[user.username].password = await hashPassword(password);
+        console.log('🔐 Upgraded stored password hash for:', user.username);
+    }
+    users[user.username].lastLogin = new Date().toISOString();
+    saveLocalUsers(users);
+
+    return users[user.username];
+}
+
+async function setLocalPassword(username, newPassword) {
+    const users = getLocalUsers();
+    if (!users[username]) return false;
+
+    users[username].password = await hashPassword(newPassword);
+    users[username].lastPasswordChange = new Date().toISOString();
+    saveLocalUsers(users);
+    return true;
+}
+
+// ============================================
+// ATTEMPT THROTTLING (login, reset codes)
+// Failures are counted per identifier in localStorage. After
+// THROTTLE_FREE_ATTEMPTS failures every further one doubles the wait.
+// This only slows guessing in this browser - the server keeps its own limits.
+// ============================================
+const THROTTLE_FREE_ATTEMPTS = 3;
+const THROTTLE_BASE_DELAY_MS = 30 * 1000;
+const THROTTLE_MAX_DELAY_MS = 15 * 60 * 1000;
+const THROTTLE_FORGET_MS = 24 * 60 * 60 * 1000;
+
+function createAttemptThrottle(storageKey) {
+    const normalize = identifier => String(identifier || '').trim().toLowerCase();
+
+    const read = () => {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    };
+
+    const write = attempts => {
+        // Drop identifiers nobody has tried in a day
+        Object.keys(attempts).forEach(key => {
+            if (Date.now() - attempts[key].lastFailure > THROTTLE_FORGET_MS) delete attempts[key];
+        });
+        localStorage.setItem(storageKey, JSON.stringify(attempts));
+    };
+
+    return {
+        // Milliseconds until the next attempt is allowed (0 = go ahead)
+        getLockoutRemaining(identifier) {
+            const entry = read()[normalize(identifier)];
+            return entry ? Math.max(entry.lockedUntil - Date.now(), 0) : 0;
+        },
+
+        // Returns the lockout this failure triggered, in milliseconds
+        recordFailure(identifier) {
+            const attempts = read();
+            const key = normalize(identifier);
+            const previous = attempts[key];
+            const entry = previous && Date.now() - previous.lastFailure < THROTTLE_FORGET_MS
+                ? previous
+                : { failures: 0, lockedUntil: 0 };
+
+            entry.failures++;
+            entry.lastFailure = Date.now();
+
+            const extraFailures = entry.failures - THROTTLE_FREE_ATTEMPTS;
+            const delay = extraFailures >= 0
+                ? Math.min(THROTTLE_BASE_DELAY_MS * 2 ** extraFailures, THROTTLE_MAX_DELAY_MS)
+                : 0;
+            entry.lockedUntil = Date.now() + delay;
+
+            attempts[key] = entry;
+            write(attempts);
+            return delay;
+        },
+
+        reset(identifier) {
+            const attempts = read();
+            delete attempts[normalize(identifier)];
+            write(attempts);
+        }
+    };
+}
+
+// 95000 -> "1:35"
+function formatLockoutTime(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+// Failed sign-ins per account, shared by the sign-in page and the dashboard's re-login
+const loginAttempts = createAttemptThrottle('dailyflow_login_attempts');
+// Email -> username for server accounts that have signed in on this device
+const LOGIN_ALIASES_KEY = 'dailyflow_login_aliases';
+
+/**
+ * Resolve a typed username or email to one key per account, so switching
+ * between the two doesn't reset the failure count
+ */
+function getLoginAccountKey(usernameOrEmail) {
+    const identifier = String(usernameOrEmail || '').trim().toLowerCase();
+
+    const localUser = findLocalUser(identifier);
+    if (localUser) return localUser.username.toLowerCase();
+
+    try {
+        const aliases = JSON.parse(localStorage.getItem(LOGIN_ALIASES_KEY)) || {};
+        return aliases[identifier] || identifier;
+    } catch (error) {
+        return identifier;
+    }
+}
+
+function rememberLoginAliases(user) {
+    if (!user?.username || !user.email) return;
+
+    let aliases;
+    try {
+        aliases = JSON.parse(localStorage.getItem(LOGIN_ALIASES_KEY)) || {};
+    } catch (error) {
+        aliases = {};
+    }
+
+    aliases[user.email.trim().toLowerCase()] = user.username.trim().toLowerCase();
+    localStorage.setItem(LOGIN_ALIASES_KEY, JSON.stringify(aliases));
+}
@@ -0,0 +1,222 @@
+// ============================================
+// DAILYFLOW MOCK RESET SERVER
+// Exercises the password reset flow without the real backend.
+//
+//   node mock-server/reset-server.js          (PORT=5050 by default)
+//
+// Then open http://localhost:5050/forgot-password.html and, in the browser
+// console, point the app at it (only honoured on localhost pages):
+//
+//   localStorage.setItem('dailyflow_api_base_url', 'http://localhost:5050')
+//
+// Verification codes are printed here instead of being emailed.
+// No dependencies - plain Node.js http.
+// ============================================
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = process.env.PORT || 5050;
+const STATIC_ROOT = path.join(__dirname, '..');
+// Only the app itself is served: pages at the root, then styles, scripts and icons
+const STATIC_FILES = {
+    '.': ['.html'],
+    'css': ['.css'],
+    'js': ['.js'],
+    'assets': ['.ico', '.png', '.svg']
+};
+const LOCAL_ORIGIN_HOSTS = ['localhost', '127.0.0.1'];
+const CODE_TTL_MS = 5 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+
+// email -> { code, expiresAt, attempts }
+const pendingCodes = new Map();
+// resetToken -> { email, expiresAt }
+const resetTokens = new Map();
+// email -> new password (in memory only; this is a mock)
+const passwords = new Map();
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                resolve({});
+            }
+        });
+    });
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// ===== API HANDLERS =====
+function handleForgotPassword(body, res) {
+    const email = normalizeEmail(body.email);
+    if (!email) {
+        return sendJson(res, 400, { success: false, message: 'Email is required' });
+    }
+
+    const code = crypto.randomInt(100000, 1000000).toString();
+    pendingCodes.set(email, { code, expiresAt: Date.now() + CODE_TTL_MS, attempts: 0 });
+    console.log(`📧 Reset code for ${email}: ${code}`);
+
+    // Same answer whether or not the account exists
+    sendJson(res, 200, {
+        success: true,
+        message: 'If an account exists for this email, a code has been sent',
+        data: { expiresIn: CODE_TTL_MS / 1000 }
+    });
+}
+
+function handleVerifyCode(body, res) {
+    const email = normalizeEmail(body.email);
+    const entry = pendingCodes.get(email);
+
+    if (!entry || Date.now() > entry.expiresAt) {
+        pendingCodes.delete(email);
+        return sendJson(res, 400, { success: false, message: 'Verification code has expired. Please request a new one.' });
+    }
+
+    entry.attempts++;
+    if (entry.attempts > MAX_CODE_ATTEMPTS) {
+        pendingCodes.delete(email);
+        return sendJson(res, 429, { success: false, message: 'Too many attempts. Please request a new code.' });
+    }
+
+    if (String(body.code) !== entry.code) {
+        return sendJson(res, 400, { success: false, message: 'Invalid verification code. Please try again.' });
+    }
+
+    pendingCodes.delete(email);
+    const resetToken = crypto.randomBytes(24).toString('hex');
+    resetTokens.set(resetToken, { email, expiresAt: Date.now() + CODE_TTL_MS });
+
+    sendJson(res, 200, { success: true, message: 'Code verified', data: { resetToken } });
+}
+
+function handleResetPassword(body, res) {
+    const entry = resetTokens.get(body.resetToken);
+
+    if (!entry || entry.email !== normalizeEmail(body.email) || Date.now() > entry.expiresAt) {
+        return sendJson(res, 400, { success: false, message: 'Reset session expired. Please start over.' });
+    }
+
+    if (!body.newPassword || String(body.newPassword).length < 8) {
+        return sendJson(res, 400, { success: false, message: 'Password must be at least 8 characters' });
+    }
+
+    resetTokens.delete(body.resetToken);
+    passwords.set(entry.email, body.newPassword);
+    console.log(`🔑 Password reset for ${entry.email}`);
+
+    sendJson(res, 200, { success: true, message: 'Password has been reset' });
+}
+
+const API_ROUTES = {
+    'POST /api/auth/forgot-password': handleForgotPassword,
+    'POST /api/auth/verify-reset-code': handleVerifyCode,
+    'POST /api/auth/reset-password': handleResetPassword
+};
+
+// ===== STATIC FILES =====
+function resolveStaticFile(urlPath) {
+    const relativePath = path.relative(STATIC_ROOT, path.join(STATIC_ROOT, urlPath === '/' ? 'index.html' : urlPath));
+    if (relativePath.split(path.sep)[0] === '..' || path.isAbsolute(relativePath)) return null;
+
+    const allowed = STATIC_FILES[path.dirname(relativePath)];
+    if (!allowed || !allowed.includes(path.extname(relativePath))) return null;
+
+    return path.join(STATIC_ROOT, relativePath);
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (error) {
+        res.writeHead(400);
+        return res.end('Bad request');
+    }
+
+    const filePath = resolveStaticFile(urlPath);
+    if (!filePath) {
+        res.writeHead(404);
+        return res.end('Not found');
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+function isLocalOrigin(origin) {
+    try {
+        return LOCAL_ORIGIN_HOSTS.includes(new URL(origin).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// ===== SERVER =====
+const server = http.createServer(async (req, res) => {
+    // Allow the app to be opened from a local dev server on another port
+    if (isLocalOrigin(req.headers.origin)) {
+        res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+        res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+    }
+
+    const route = `${req.method} ${req.url.split('?')[0]}`;
+
+    if (route === 'GET /api/health') {
+        return sendJson(res, 200, { success: true, message: 'Mock server is running' });
+    }
+
+    const handler = API_ROUTES[route];
+    if (handler) {
+        return handler(await readJsonBody(req), res);
+    }
+
+    if (req.url.startsWith('/api/')) {
+        return sendJson(res, 404, { success: false, message: `No mock for ${route}` });
+    }
+
+    serveStatic(req, res);
+});
+
+server.listen(PORT, () => {
+    console.log(`🚀 DailyFlow mock reset server on http://localhost:${PORT}`);
+});